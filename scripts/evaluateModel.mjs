@@ -11,32 +11,31 @@
  * idealized gesture landmark configurations to validate that the
  * model can distinguish between gesture classes.
  *
- * Run: node scripts/evaluateModel.mjs
+ * Labels come from the app's gestureConfig.ts and features from its
+ * extractFeatures (landmarkFeatures.ts), using the preprocessing version
+ * saved with the model. Outputs are scored by the label names in the
+ * model's manifest (modelManifest.ts); a model the app would refuse is
+ * rejected before scoring. Per-class metrics come from classificationMetrics.ts,
+ * like Training Mode's quality report. Imports the TypeScript sources
+ * directly, so it runs under tsx.
+ *
+ * Run: npm run evaluate
  */
 
 
 import * as tf from '@tensorflow/tfjs-node';
 import { resolve } from 'path';
 import { readFileSync } from 'fs';
+import { GESTURE_LABELS } from '../src/config/gestureConfig.ts';
+import { extractFeatures } from '../src/ml/landmarkFeatures.ts';
+import { checkModelCompatibility, describeLabelMismatch, readModelManifest } from '../src/ml/modelManifest.ts';
+import { computeClassMetrics } from '../src/ml/classificationMetrics.ts';
 console.log('✅ Using @tensorflow/tfjs-node backend for evaluation');
 
 // ──────────────────────────────────────────────
 // Config
 // ──────────────────────────────────────────────
 
-const GESTURE_LABELS = [
-    'OPEN_PALM',
-    'CLOSED_FIST',
-    'THUMBS_UP',
-    'POINTING_UP',
-    'PEACE_SIGN',
-    'OK_SIGN',
-    'CALL_ME',
-    'ROCK_SIGN',
-    'THREE_FINGERS',
-    'FOUR_FINGERS'
-];
-
 const MODEL_PATH = `file://${resolve('public/model/model.json')}`;
 const SAMPLES_PER_CLASS = 50;
 
@@ -288,6 +287,7 @@ function generateFourFingers() {
     return addNoise(lm);
 }
 
+/** One generator per label, in GESTURE_LABELS order (checked before evaluating) */
 const GENERATORS = {
     'OPEN_PALM': generateOpenPalm,
     'CLOSED_FIST': generateClosedFist,
@@ -301,19 +301,15 @@ const GENERATORS = {
     'FOUR_FINGERS': generateFourFingers
 };
 
-// ──────────────────────────────────────────────
-// Preprocessing (must match gestureModel.js)
-// ──────────────────────────────────────────────
-
-function preprocessLandmarks(landmarks) {
-    const wrist = landmarks[0];
-    const values = [];
-    for (const lm of landmarks) {
-        values.push(lm.x - wrist.x);
-        values.push(lm.y - wrist.y);
-        values.push(lm.z - wrist.z);
-    }
-    return values;
+/**
+ * The generators above put the thumb on −x: left hands as MediaPipe sees
+ * them. Every other sample is mirrored into a right hand, so both go
+ * through extractFeatures' handedness mirroring.
+ */
+function generateHand(generator, sampleIndex) {
+    const landmarks = generator();
+    if (sampleIndex % 2 === 0) return { handedness: 'Left', landmarks };
+    return { handedness: 'Right', landmarks: landmarks.map(lm => ({ x: -lm.x, y: lm.y, z: lm.z })) };
 }
 
 // ──────────────────────────────────────────────
@@ -321,6 +317,12 @@ function preprocessLandmarks(landmarks) {
 // ──────────────────────────────────────────────
 
 async function evaluate() {
+    const mismatch = describeLabelMismatch(GESTURE_LABELS, Object.keys(GENERATORS));
+    if (mismatch) {
+        console.error(`❌ GENERATORS don't match GESTURE_LABELS (gestureConfig.ts): ${mismatch}`);
+        process.exit(1);
+    }
+
     console.log('\n📊 Model Evaluation — Corporate Signal Translator\n');
     console.log(`Model: ${MODEL_PATH}`);
     console.log(`Test samples per class: ${SAMPLES_PER_CLASS}`);
@@ -331,13 +333,39 @@ async function evaluate() {
     try {
         model = await tf.loadLayersModel(MODEL_PATH);
         console.log('✅ Model loaded successfully');
-        console.log(`   Parameters: ${model.countParams().toLocaleString()}\n`);
+        console.log(`   Parameters: ${model.countParams().toLocaleString()}`);
     } catch (err) {
         console.error('❌ Failed to load model:', err.message);
         console.error('   Make sure public/model/model.json exists.');
         process.exit(1);
     }
 
+    const manifest = readModelManifest(model.getUserDefinedMetadata());
+    const outputShape = model.outputs[0].shape;
+    const compatibility = checkModelCompatibility(manifest, GESTURE_LABELS, outputShape[outputShape.length - 1]);
+    if (compatibility.problem) {
+        console.error(`❌ ${compatibility.problem}`);
+        process.exit(1);
+    }
+    const preprocessingVersion = manifest.preprocessingVersion;
+    console.log(`   Preprocessing version: ${preprocessingVersion}`);
+    console.log(`   Labels: ${!manifest.labels
+        ? 'not saved (assumed gestureConfig.ts order)'
+        : compatibility.remapped
+            ? 'matched to gestureConfig.ts by name (order differs)'
+            : 'saved with the model, match gestureConfig.ts'}`);
+    if (compatibility.ignoredLabels.length > 0) {
+        console.log(`   Ignored outputs: ${compatibility.ignoredLabels.join(', ')}`);
+    }
+    if (manifest.trainedAt) console.log(`   Trained: ${manifest.trainedAt}`);
+    if (manifest.validationAccuracy !== null) {
+        console.log(`   Validation accuracy: ${(manifest.validationAccuracy * 100).toFixed(1)}%`);
+    }
+    console.log('');
+
+    // Output index → GESTURE_LABELS index (-1 for outputs the config no longer has)
+    const outputToLabelIdx = compatibility.outputLabels.map(label => (label ? GESTURE_LABELS.indexOf(label) : -1));
+
     // Generate test data and predict
     const confusionMatrix = GESTURE_LABELS.map(() =>
         new Array(GESTURE_LABELS.length).fill(0)
@@ -351,18 +379,18 @@ async function evaluate() {
         const generator = GENERATORS[trueLabel];
 
         for (let s = 0; s < SAMPLES_PER_CLASS; s++) {
-            const landmarks = generator();
-            const features = preprocessLandmarks(landmarks);
+            const { handedness, landmarks } = generateHand(generator, s);
+            const features = extractFeatures(landmarks, handedness, preprocessingVersion);
             const input = tf.tensor2d([features], [1, 63]);
             const prediction = model.predict(input);
             const probs = prediction.dataSync();
 
             let predIdx = 0;
-            let maxProb = probs[0];
-            for (let i = 1; i < probs.length; i++) {
-                if (probs[i] > maxProb) {
+            let maxProb = -1;
+            for (let i = 0; i < probs.length; i++) {
+                if (outputToLabelIdx[i] >= 0 && probs[i] > maxProb) {
                     maxProb = probs[i];
-                    predIdx = i;
+                    predIdx = outputToLabelIdx[i];
                 }
             }
 
@@ -388,18 +416,9 @@ async function evaluate() {
     console.log(`${'Gesture'.padEnd(15)} ${'Precision'.padEnd(12)} ${'Recall'.padEnd(12)} ${'F1-Score'.padEnd(12)} ${'Support'.padEnd(10)}`);
     console.log(`${'─'.repeat(60)}`);
 
-    for (let i = 0; i < GESTURE_LABELS.length; i++) {
-        const tp = confusionMatrix[i][i];
-        const fp = confusionMatrix.reduce((sum, row, r) => sum + (r !== i ? row[i] : 0), 0);
-        const fn = confusionMatrix[i].reduce((sum, val, c) => sum + (c !== i ? val : 0), 0);
-        const support = confusionMatrix[i].reduce((a, b) => a + b, 0);
-
-        const precision = tp + fp > 0 ? (tp / (tp + fp)) : 0;
-        const recall = tp + fn > 0 ? (tp / (tp + fn)) : 0;
-        const f1 = precision + recall > 0 ? (2 * precision * recall / (precision + recall)) : 0;
-
+    for (const { label, precision, recall, f1, support } of computeClassMetrics(GESTURE_LABELS, confusionMatrix)) {
         console.log(
-            `${GESTURE_LABELS[i].padEnd(15)} ${(precision * 100).toFixed(1).padStart(6)}%     ${(recall * 100).toFixed(1).padStart(6)}%     ${(f1 * 100).toFixed(1).padStart(6)}%     ${String(support).padStart(5)}`
+            `${label.padEnd(15)} ${(precision * 100).toFixed(1).padStart(6)}%     ${(recall * 100).toFixed(1).padStart(6)}%     ${(f1 * 100).toFixed(1).padStart(6)}%     ${String(support).padStart(5)}`
         );
     }
     console.log(`${'─'.repeat(60)}\n`);
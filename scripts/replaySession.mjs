@@ -0,0 +1,170 @@
+/**
+ * replaySession.mjs — Replay a Recorded Landmark Session in Node
+ *
+ * Loads public/model/ into the app's own gestureModel module and replays
+ * a landmark session (recorded from the 🐞 Debug dock) through the same
+ * GesturePipeline the browser uses — preprocessing, model, decision engine
+ * and recognizers. No camera or browser required, and the accepted
+ * timeline is identical on every run.
+ *
+ * Prints:
+ *   - Accepted gesture timeline
+ *   - Rejections per reason, decision gate firings and tie-break switches
+ *   - Latency (per frame, per inference, time to acceptance)
+ *
+ * --json writes the same report to a file. With --expect, the timeline is
+ * compared against an expected-events file ([{ t, label, hand? }] or a
+ * saved --json report) and the process exits with 1 on any mismatch, so
+ * recorded sessions can gate CI.
+ *
+ * Imports the TypeScript sources directly, so it runs under tsx.
+ *
+ * Run: npm run replay -- path/to/landmark-session.json
+ *        [--json report.json] [--expect expected.json] [--tolerance ms]
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { readFileSync, writeFileSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { swapModel, predictGesture } from '../src/ml/gestureModel.ts';
+import { parseLandmarkSession } from '../src/ml/landmarkSession.ts';
+import {
+    buildReplayReport,
+    parseExpectedEvents,
+    compareReplayEvents,
+    DEFAULT_MATCH_TOLERANCE_MS
+} from '../src/ml/replayReport.ts';
+
+const MODEL_JSON_PATH = resolve('public/model/model.json');
+
+// ──────────────────────────────────────────────
+// Model loading (plain tfjs — read the files from disk, no fetch)
+// ──────────────────────────────────────────────
+
+async function loadModelFromDisk(modelJsonPath) {
+    const modelJson = JSON.parse(readFileSync(modelJsonPath, 'utf8'));
+    const weightSpecs = modelJson.weightsManifest.flatMap(group => group.weights);
+    const shards = modelJson.weightsManifest.flatMap(group =>
+        group.paths.map(p => readFileSync(resolve(dirname(modelJsonPath), p)))
+    );
+    const weightData = new Uint8Array(Buffer.concat(shards)).buffer;
+
+    return tf.loadLayersModel(tf.io.fromMemory({
+        modelTopology: modelJson.modelTopology,
+        weightSpecs,
+        weightData,
+        userDefinedMetadata: modelJson.userDefinedMetadata
+    }));
+}
+
+// ──────────────────────────────────────────────
+// Arguments
+// ──────────────────────────────────────────────
+
+const USAGE = 'Usage: npm run replay -- <landmark-session.json|.jsonl> [--json <report.json>] [--expect <expected.json>] [--tolerance <ms>]';
+
+function parseArgs(argv) {
+    const args = { file: null, json: null, expect: null, tolerance: DEFAULT_MATCH_TOLERANCE_MS };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') args.json = argv[++i];
+        else if (arg === '--expect') args.expect = argv[++i];
+        else if (arg === '--tolerance') args.tolerance = Number(argv[++i]);
+        else if (!arg.startsWith('--') && !args.file) args.file = arg;
+        else return null;
+    }
+    if (!args.file || args.json === undefined || args.expect === undefined || !Number.isFinite(args.tolerance)) return null;
+    return args;
+}
+
+// ──────────────────────────────────────────────
+// Output
+// ──────────────────────────────────────────────
+
+function formatLatency(name, stats) {
+    if (stats.count === 0) return `  ${name.padEnd(12)} —`;
+    return `  ${name.padEnd(12)} mean ${stats.mean.toFixed(2)}ms  p50 ${stats.p50.toFixed(2)}ms  p95 ${stats.p95.toFixed(2)}ms  max ${stats.max.toFixed(2)}ms  (n=${stats.count})`;
+}
+
+function printReport(file, report) {
+    console.log(`\n🎬 ${file}: ${report.frames} frames, ${(report.durationMs / 1000).toFixed(2)}s\n`);
+    for (const event of report.events) {
+        console.log(
+            `  ${(event.t / 1000).toFixed(3).padStart(8)}s  ${event.label.padEnd(16)} ${(event.hand ?? '').padEnd(6)} ${event.reason}`
+        );
+    }
+    console.log(`\n  ${report.events.length} accepted gesture(s)`);
+
+    console.log('\n🚧 Rejections (hand-frames)');
+    for (const [reason, count] of Object.entries(report.rejections)) {
+        console.log(`  ${reason.padEnd(18)} ${count}`);
+    }
+
+    console.log('\n🔀 Gate remaps (hand-frames)');
+    for (const [gate, count] of Object.entries(report.gates)) {
+        console.log(`  ${gate.padEnd(18)} ${count}`);
+    }
+
+    console.log('\n⚖️  Tie-break switches (hand-frames)');
+    for (const [reason, count] of Object.entries(report.tieBreaks)) {
+        console.log(`  ${reason.padEnd(18)} ${count}`);
+    }
+
+    console.log('\n⏱️  Latency');
+    console.log(formatLatency('frame', report.latency.frameMs));
+    console.log(formatLatency('inference', report.latency.inferenceMs));
+    console.log(formatLatency('to accept', report.latency.acceptMs));
+}
+
+/** JSON report; its "events" list doubles as an expected-events file. */
+function toJsonReport(file, report, mismatches) {
+    return {
+        file,
+        frames: report.frames,
+        durationMs: report.durationMs,
+        events: report.events.map(({ t, label, hand, reason, confidence }) => ({ t, label, hand, reason, confidence })),
+        rejections: report.rejections,
+        gates: report.gates,
+        tieBreaks: report.tieBreaks,
+        latency: report.latency,
+        ...(mismatches ? { mismatches } : {})
+    };
+}
+
+// ──────────────────────────────────────────────
+// Main
+// ──────────────────────────────────────────────
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args) {
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    const session = parseLandmarkSession(readFileSync(resolve(args.file), 'utf8'));
+    const expected = args.expect ? parseExpectedEvents(readFileSync(resolve(args.expect), 'utf8')) : null;
+    swapModel(await loadModelFromDisk(MODEL_JSON_PATH), false);
+
+    const report = buildReplayReport(session, predictGesture);
+    const mismatches = expected ? compareReplayEvents(report.events, expected, args.tolerance) : null;
+
+    printReport(args.file, report);
+    if (mismatches) {
+        console.log(`\n🎯 Expected events (${args.expect}, ±${args.tolerance}ms)`);
+        if (mismatches.length === 0) console.log(`  ✅ All ${expected.length} expected event(s) matched`);
+        for (const line of mismatches) console.log(`  ❌ ${line}`);
+    }
+    if (args.json) {
+        writeFileSync(resolve(args.json), JSON.stringify(toJsonReport(args.file, report, mismatches), null, 2));
+        console.log(`\n💾 Report saved to ${args.json}`);
+    }
+    console.log('');
+
+    if (mismatches && mismatches.length > 0) process.exit(1);
+}
+
+main().catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
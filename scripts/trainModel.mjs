@@ -5,7 +5,25 @@
  * trains a small feed-forward neural network, and saves the model
  * to public/model/ for browser-side inference via TensorFlow.js.
  * 
- * Usage: node scripts/trainModel.mjs
+ * Labels come from the app's gestureConfig.ts and features from its
+ * extractFeatures (landmarkFeatures.ts). model.json carries a manifest
+ * (modelManifest.ts) — label order, preprocessing version, sample counts
+ * and validation accuracy — so the browser reads the outputs and computes
+ * the features exactly as they were trained.
+ * 
+ * A few samples per label are also saved as public/model/rehearsal.csv:
+ * in-browser fine-tuning (gestureTrainer.ts) replays them so the default
+ * model keeps recognizing the gestures that aren't being corrected. They
+ * are set aside before training, so the default model never sees them and
+ * the fine-tuning comparison scores both models on unseen samples.
+ * 
+ * Real recordings can be added with --data: landmark dataset files
+ * (JSON or CSV, landmarkDataset.ts) exported from Training Mode. They are
+ * mixed with the synthetic data, or used alone with --no-synthetic.
+ * 
+ * Imports the TypeScript sources directly, so it runs under tsx.
+ * 
+ * Usage: npm run train-model [-- --data team.json [--data more.csv] [--no-synthetic]]
  * 
  * Why offline training?
  * - Keeps the browser bundle small (no training code shipped)
@@ -14,31 +32,42 @@
  */
 
 import * as tf from '@tensorflow/tfjs';
-import { mkdirSync, existsSync, writeFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { mkdirSync, existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { GESTURE_LABELS, PREPROCESSING_VERSION } from '../src/config/gestureConfig.ts';
+import { extractFeatures } from '../src/ml/landmarkFeatures.ts';
+import { createModelManifest, describeLabelMismatch } from '../src/ml/modelManifest.ts';
+import { createLandmarkDataset, datasetToCSV, parseLandmarkDataset } from '../src/ml/landmarkDataset.ts';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const MODEL_DIR = join(__dirname, '..', 'public', 'model');
 
-// Gesture classes — order matches model output indices
-const GESTURE_CLASSES = [
-    'OPEN_PALM',
-    'CLOSED_FIST',
-    'THUMBS_UP',
-    'POINTING_UP',
-    'PEACE_SIGN',
-    'OK_SIGN',
-    'CALL_ME',
-    'ROCK_SIGN',
-    'THREE_FINGERS',
-    'FOUR_FINGERS'
-];
-
 const SAMPLES_PER_CLASS = 800;
 const EPOCHS = 100;
 const BATCH_SIZE = 32;
 
+/** Samples per label saved for fine-tuning (rehearsal.csv), and kept out of training */
+const REHEARSAL_PER_CLASS = 50;
+
+/** At most this share of a label's samples goes to rehearsal.csv (matters with few recorded samples) */
+const REHEARSAL_MAX_SHARE = 0.2;
+const REHEARSAL_FILE = 'rehearsal.csv';
+
+const USAGE = 'Usage: npm run train-model -- [--data <dataset.json|.csv>]... [--no-synthetic]';
+
+function parseArgs(argv) {
+    const args = { data: [], synthetic: true };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--data' && argv[i + 1]) args.data.push(argv[++i]);
+        else if (arg === '--no-synthetic') args.synthetic = false;
+        else return null;
+    }
+    if (!args.synthetic && args.data.length === 0) return null;
+    return args;
+}
+
 // ──────────────────────────────────────────────
 // Synthetic Data Generators
 // ──────────────────────────────────────────────
@@ -254,54 +283,47 @@ function generateOkSign() {
 }
 
 /** Generate CALL_ME: thumb + pinky extended, other fingers curled
- *  - Randomizes left/right hand and palm/knuckle facing
+ *  - Randomizes palm/knuckle facing (left hands come from asLeftHand)
  */
 function generateCallMe() {
-    // Randomly choose left/right hand
-    const isLeft = Math.random() < 0.5;
     // Randomly choose palm or knuckle facing camera
     const palmFacing = Math.random() < 0.5;
 
-    // Mirror base hand for left hand
-    function maybeMirrorX(val) {
-        return isLeft ? 1 - val : val;
-    }
-
     // For palm/knuckle, flip y axis (simulate back of hand)
     function maybeFlipY(val) {
         return palmFacing ? val : 1 - val;
     }
 
     const base = generateBaseHand();
-    const w = { x: maybeMirrorX(base.wrist.x), y: maybeFlipY(base.wrist.y), z: base.wrist.z };
+    const w = { x: base.wrist.x, y: maybeFlipY(base.wrist.y), z: base.wrist.z };
 
-    // Thumb extended (direction depends on hand)
-    const thumbIP = { x: maybeMirrorX(w.x + (isLeft ? -0.18 : 0.18)), y: maybeFlipY(w.y - 0.10), z: noise(0) };
-    const thumbTip = { x: maybeMirrorX(w.x + (isLeft ? -0.25 : 0.25)), y: maybeFlipY(w.y - 0.12), z: noise(0) };
+    // Thumb extended
+    const thumbIP = { x: w.x + 0.18, y: maybeFlipY(base.wrist.y - 0.10), z: noise(0) };
+    const thumbTip = { x: w.x + 0.25, y: maybeFlipY(base.wrist.y - 0.12), z: noise(0) };
     const thumb = {
-        cmc: { x: maybeMirrorX(base.thumbCMC.x), y: maybeFlipY(base.thumbCMC.y), z: base.thumbCMC.z },
-        mcp: { x: maybeMirrorX(base.thumbMCP.x), y: maybeFlipY(base.thumbMCP.y), z: base.thumbMCP.z },
+        cmc: { x: base.thumbCMC.x, y: maybeFlipY(base.thumbCMC.y), z: base.thumbCMC.z },
+        mcp: { x: base.thumbMCP.x, y: maybeFlipY(base.thumbMCP.y), z: base.thumbMCP.z },
         ip: thumbIP,
         tip: thumbTip
     };
 
-    // Pinky extended (direction depends on hand)
+    // Pinky extended
     const pnk = extendedFinger(
-        maybeMirrorX(base.pinkyMCP.x),
+        base.pinkyMCP.x,
         maybeFlipY(base.pinkyMCP.y),
         rand(0.14, 0.20),
-        rand(isLeft ? 0.015 : -0.03, isLeft ? 0.03 : -0.015)
+        rand(-0.03, -0.015)
     );
 
     // Other fingers curled
-    const idxC = curledFinger(maybeMirrorX(base.indexMCP.x), maybeFlipY(base.indexMCP.y));
-    const midC = curledFinger(maybeMirrorX(base.middleMCP.x), maybeFlipY(base.middleMCP.y));
-    const rngC = curledFinger(maybeMirrorX(base.ringMCP.x), maybeFlipY(base.ringMCP.y));
+    const idxC = curledFinger(base.indexMCP.x, maybeFlipY(base.indexMCP.y));
+    const midC = curledFinger(base.middleMCP.x, maybeFlipY(base.middleMCP.y));
+    const rngC = curledFinger(base.ringMCP.x, maybeFlipY(base.ringMCP.y));
 
-    const index = { mcp: { x: maybeMirrorX(base.indexMCP.x), y: maybeFlipY(base.indexMCP.y), z: base.indexMCP.z }, ...idxC };
-    const middle = { mcp: { x: maybeMirrorX(base.middleMCP.x), y: maybeFlipY(base.middleMCP.y), z: base.middleMCP.z }, ...midC };
-    const ring = { mcp: { x: maybeMirrorX(base.ringMCP.x), y: maybeFlipY(base.ringMCP.y), z: base.ringMCP.z }, ...rngC };
-    const pinky = { mcp: { x: maybeMirrorX(base.pinkyMCP.x), y: maybeFlipY(base.pinkyMCP.y), z: base.pinkyMCP.z }, ...pnk };
+    const index = { mcp: { x: base.indexMCP.x, y: maybeFlipY(base.indexMCP.y), z: base.indexMCP.z }, ...idxC };
+    const middle = { mcp: { x: base.middleMCP.x, y: maybeFlipY(base.middleMCP.y), z: base.middleMCP.z }, ...midC };
+    const ring = { mcp: { x: base.ringMCP.x, y: maybeFlipY(base.ringMCP.y), z: base.ringMCP.z }, ...rngC };
+    const pinky = { mcp: { x: base.pinkyMCP.x, y: maybeFlipY(base.pinkyMCP.y), z: base.pinkyMCP.z }, ...pnk };
 
     return assembleLandmarks(w, thumb, index, middle, ring, pinky);
 }
@@ -372,53 +394,107 @@ function generateFourFingers() {
     return assembleLandmarks(w, thumb, index, middle, ring, pinky);
 }
 
-const GENERATORS = [
-    generateOpenPalm,
-    generateClosedFist,
-    generateThumbsUp,
-    generatePointingUp,
-    generatePeaceSign,
-    generateOkSign,
-    generateCallMe,
-    generateRockSign,
-    generateThreeFingers,
-    generateFourFingers
-];
+/** One generator per label, in GESTURE_LABELS order (checked before training) */
+const GENERATORS = {
+    OPEN_PALM: generateOpenPalm,
+    CLOSED_FIST: generateClosedFist,
+    THUMBS_UP: generateThumbsUp,
+    POINTING_UP: generatePointingUp,
+    PEACE_SIGN: generatePeaceSign,
+    OK_SIGN: generateOkSign,
+    CALL_ME: generateCallMe,
+    ROCK_SIGN: generateRockSign,
+    THREE_FINGERS: generateThreeFingers,
+    FOUR_FINGERS: generateFourFingers
+};
+
+// ──────────────────────────────────────────────
+// Handedness
+// ──────────────────────────────────────────────
+
+/** Share of samples generated as left hands (mirrored back by extractFeatures) */
+const LEFT_HAND_SHARE = 0.5;
+
+/**
+ * Mirror a generated (right) hand into the left hand making the same
+ * gesture, as MediaPipe would see it.
+ */
+function asLeftHand(landmarks) {
+    return landmarks.map(lm => ({ x: 1 - lm.x, y: lm.y, z: lm.z }));
+}
 
 // ──────────────────────────────────────────────
-// Preprocessing (must match browser-side logic)
+// Recorded Data (--data)
 // ──────────────────────────────────────────────
 
 /**
- * Flatten 21 landmarks to 63 values, normalized relative to wrist.
+ * Read landmark dataset files into samples per label. Samples for labels
+ * the config doesn't have are skipped with a warning.
  */
-function preprocessLandmarks(landmarks) {
-    const wrist = landmarks[0];
-    const values = [];
-    for (const lm of landmarks) {
-        values.push(lm.x - wrist.x);
-        values.push(lm.y - wrist.y);
-        values.push(lm.z - wrist.z);
+function loadRecordedSamples(files) {
+    const byLabel = Object.fromEntries(GESTURE_LABELS.map(label => [label, []]));
+
+    for (const file of files) {
+        const dataset = parseLandmarkDataset(readFileSync(resolve(file), 'utf8'));
+        const unknown = new Set();
+        let used = 0;
+        for (const sample of dataset.samples) {
+            if (!(sample.label in byLabel)) {
+                unknown.add(sample.label);
+                continue;
+            }
+            byLabel[sample.label].push(sample);
+            used++;
+        }
+        const from = dataset.capture.profile ? `${dataset.capture.source}, ${dataset.capture.profile}` : dataset.capture.source;
+        console.log(`   ${file}: ${used} samples (${from})`);
+        if (unknown.size > 0) {
+            console.warn(`   ⚠️  Skipped labels not in GESTURE_LABELS: ${[...unknown].join(', ')}`);
+        }
     }
-    return values;
+    return byLabel;
 }
 
 // ──────────────────────────────────────────────
 // Dataset Generation
 // ──────────────────────────────────────────────
 
-function generateDataset() {
+/**
+ * Synthetic samples (unless disabled) plus recorded ones, shuffled.
+ * A random REHEARSAL_PER_CLASS samples per label (raw landmarks) are set
+ * aside for rehearsal.csv first; returns the tensors of the rest, the
+ * trained sample count per label and the rehearsal samples.
+ */
+function generateDataset(recorded, synthetic) {
     const inputs = [];
     const labels = [];
+    const counts = {};
+    const rehearsal = [];
+
+    for (let classIdx = 0; classIdx < GESTURE_LABELS.length; classIdx++) {
+        const label = GESTURE_LABELS[classIdx];
+        const generator = GENERATORS[label];
+        const pool = [];
+        for (let i = 0; synthetic && i < SAMPLES_PER_CLASS; i++) {
+            const handedness = Math.random() < LEFT_HAND_SHARE ? 'Left' : 'Right';
+            const landmarks = handedness === 'Left' ? asLeftHand(generator()) : generator();
+            pool.push({ label, handedness, recordedAt: 0, landmarks });
+        }
+        pool.push(...recorded[label]);
+
+        // Partial Fisher-Yates: the first `held` entries become a random pick, kept out of training
+        const held = Math.min(REHEARSAL_PER_CLASS, Math.floor(pool.length * REHEARSAL_MAX_SHARE));
+        for (let i = 0; i < held; i++) {
+            const j = i + Math.floor(Math.random() * (pool.length - i));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+            rehearsal.push(pool[i]);
+        }
 
-    for (let classIdx = 0; classIdx < GENERATORS.length; classIdx++) {
-        const generator = GENERATORS[classIdx];
-        for (let i = 0; i < SAMPLES_PER_CLASS; i++) {
-            const landmarks = generator();
-            const features = preprocessLandmarks(landmarks);
-            inputs.push(features);
+        for (const sample of pool.slice(held)) {
+            inputs.push(extractFeatures(sample.landmarks, sample.handedness));
             labels.push(classIdx);
         }
+        counts[label] = pool.length - held;
     }
 
     // Shuffle
@@ -433,7 +509,9 @@ function generateDataset() {
 
     return {
         xs: tf.tensor2d(shuffledInputs),
-        ys: tf.oneHot(tf.tensor1d(shuffledLabels, 'int32'), GESTURE_CLASSES.length)
+        ys: tf.oneHot(tf.tensor1d(shuffledLabels, 'int32'), GESTURE_LABELS.length),
+        counts,
+        rehearsal
     };
 }
 
@@ -464,7 +542,7 @@ function buildModel() {
 
     // Output layer: N gesture classes with softmax
     model.add(tf.layers.dense({
-        units: GESTURE_CLASSES.length,
+        units: GESTURE_LABELS.length,
         activation: 'softmax'
     }));
 
@@ -482,18 +560,52 @@ function buildModel() {
 // ──────────────────────────────────────────────
 
 async function main() {
-    console.log('🧠 Generating synthetic training data...');
-    console.log(`   ${SAMPLES_PER_CLASS} samples × ${GESTURE_CLASSES.length} classes = ${SAMPLES_PER_CLASS * GESTURE_CLASSES.length} total`);
+    const args = parseArgs(process.argv.slice(2));
+    if (!args) {
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    // Output index i is GESTURE_LABELS[i] — refuse to train if the generators disagree
+    const mismatch = describeLabelMismatch(GESTURE_LABELS, Object.keys(GENERATORS));
+    if (mismatch) {
+        console.error(`❌ GENERATORS don't match GESTURE_LABELS (gestureConfig.ts): ${mismatch}`);
+        process.exit(1);
+    }
 
-    const { xs, ys } = generateDataset();
+    let recorded = Object.fromEntries(GESTURE_LABELS.map(label => [label, []]));
+    if (args.data.length > 0) {
+        console.log('📂 Loading recorded samples...');
+        try {
+            recorded = loadRecordedSamples(args.data);
+        } catch (err) {
+            console.error(`❌ ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (!args.synthetic) {
+        // Every output needs examples when there's no synthetic data to fall back on
+        const missing = GESTURE_LABELS.filter(label => recorded[label].length === 0);
+        if (missing.length > 0) {
+            console.error(`❌ --no-synthetic: no recorded samples for ${missing.join(', ')}`);
+            process.exit(1);
+        }
+    } else {
+        console.log('🧠 Generating synthetic training data...');
+        console.log(`   ${SAMPLES_PER_CLASS} samples × ${GESTURE_LABELS.length} classes = ${SAMPLES_PER_CLASS * GESTURE_LABELS.length} total`);
+    }
 
-    console.log(`🏗️  Building model (63 → 128 → 64 → ${GESTURE_CLASSES.length})...`);
+    const { xs, ys, counts, rehearsal } = generateDataset(recorded, args.synthetic);
+    console.log(`   Training on ${xs.shape[0]} samples`);
+
+    console.log(`🏗️  Building model (63 → 128 → 64 → ${GESTURE_LABELS.length})...`);
     const model = buildModel();
     model.summary();
 
     console.log(`\n🏋️  Training for ${EPOCHS} epochs...\n`);
 
-    await model.fit(xs, ys, {
+    const history = await model.fit(xs, ys, {
         epochs: EPOCHS,
         batchSize: BATCH_SIZE,
         validationSplit: 0.2,
@@ -510,6 +622,14 @@ async function main() {
         }
     });
 
+    // Saved in model.json, so the browser uses the same labels and features
+    const valAcc = history.history.val_acc;
+    const manifest = createModelManifest(GESTURE_LABELS, {
+        sampleCounts: counts,
+        validationAccuracy: valAcc[valAcc.length - 1]
+    });
+    model.setUserDefinedMetadata(manifest);
+
     // Save model using custom file handler (pure tfjs has no file:// support)
     if (!existsSync(MODEL_DIR)) {
         mkdirSync(MODEL_DIR, { recursive: true });
@@ -528,6 +648,7 @@ async function main() {
                 format: modelArtifacts.format,
                 generatedBy: modelArtifacts.generatedBy,
                 convertedBy: modelArtifacts.convertedBy,
+                userDefinedMetadata: modelArtifacts.userDefinedMetadata,
                 weightsManifest: [weightsManifestEntry]
             };
 
@@ -551,8 +672,22 @@ async function main() {
 
     await model.save(saveHandler);
 
+    // Rehearsal samples for fine-tuning, rounded to keep the file small
+    const round = value => Math.round(value * 1e4) / 1e4;
+    const rehearsalDataset = createLandmarkDataset(
+        rehearsal.map(sample => ({
+            ...sample,
+            landmarks: sample.landmarks.map(({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) }))
+        })),
+        { source: 'train-model' },
+        GESTURE_LABELS
+    );
+    writeFileSync(join(MODEL_DIR, REHEARSAL_FILE), datasetToCSV(rehearsalDataset), 'utf8');
+
     console.log(`\n✅ Model saved to ${MODEL_DIR}`);
-    console.log('   Files: model.json + group1-shard1of1.bin');
+    console.log(`   Files: model.json + group1-shard1of1.bin + ${REHEARSAL_FILE} (${rehearsal.length} fine-tuning samples)`);
+    console.log(`   Preprocessing version: ${PREPROCESSING_VERSION}`);
+    console.log(`   Validation accuracy: ${(manifest.validationAccuracy * 100).toFixed(1)}%`);
     console.log('   Ready for browser inference via TensorFlow.js');
 
     // Cleanup
@@ -1,10 +1,25 @@
 import { useState, useRef, useCallback, useEffect, lazy, Suspense } from 'react';
 import VideoFeed from './components/VideoFeed';
 import PhraseOverlay from './components/PhraseOverlay';
-import type { Landmark, GestureDetection } from './types';
+import ProbabilityPanel from './components/ProbabilityPanel';
+import { getActionForTrigger } from './config/actionBindings';
+import { getEngineSettings } from './config/engineSettings';
+import type {
+    RecordedHand,
+    GestureDetection,
+    GestureLifecycleEvent,
+    ControlTrigger,
+    FrameAnalysis,
+    DecisionEngineSettings,
+    ModelStatus
+} from './types';
 
 // Lazy-load TrainingMode — this keeps TF.js (~1.6MB) out of the initial bundle.
 const TrainingMode = lazy(() => import('./components/TrainingMode'));
+const PhrasePackPanel = lazy(() => import('./components/PhrasePackPanel'));
+const ActionBindingsPanel = lazy(() => import('./components/ActionBindingsPanel'));
+const DebugPanel = lazy(() => import('./components/DebugPanel'));
+const EngineSettingsPanel = lazy(() => import('./components/EngineSettingsPanel'));
 
 /**
  * Corporate Signal Translator - Main App
@@ -15,11 +30,22 @@ function App() {
     // State management
     const [currentPhrase, setCurrentPhrase] = useState('Waiting for input…');
     const [gestureType, setGestureType] = useState<string | null>(null);
-    const [gestureConfidence] = useState(0);
+    const [gestureConfidence, setGestureConfidence] = useState<number | null>(null);
+    const [heldSeconds, setHeldSeconds] = useState<number | null>(null);
+    const [showProbabilities, setShowProbabilities] = useState(false);
+    const [debugPanelOpen, setDebugPanelOpen] = useState(false);
+    const [frameAnalyses, setFrameAnalyses] = useState<FrameAnalysis[]>([]);
     const [isLoading, setIsLoading] = useState(true);
     const [voiceEnabled, setVoiceEnabled] = useState(true);
     const [voices, setVoices] = useState<SpeechSynthesisVoice[]>([]);
     const [trainingMode, setTrainingMode] = useState(false);
+    const [phrasePanelOpen, setPhrasePanelOpen] = useState(false);
+    const [controlsPanelOpen, setControlsPanelOpen] = useState(false);
+    const [recognitionPaused, setRecognitionPaused] = useState(false);
+    const [engineSettingsOpen, setEngineSettingsOpen] = useState(false);
+    const [engineSettings, setEngineSettings] = useState<DecisionEngineSettings>(getEngineSettings);
+    /** Why the gesture model was refused or remapped at load (null = nothing to report) */
+    const [modelNotice, setModelNotice] = useState<string | null>(null);
     const [darkMode, setDarkMode] = useState(() => {
         if (typeof window !== 'undefined') {
             const saved = localStorage.getItem('theme-preference');
@@ -32,8 +58,10 @@ function App() {
     // Refs
     const lastSpokenRef = useRef('');
     const lastGestureTimeRef = useRef(0);
-    const landmarksRef = useRef<Landmark[] | null>(null);
+    const handRef = useRef<RecordedHand | null>(null);
     const voiceEnabledRef = useRef(voiceEnabled);
+    const lastPhraseRef = useRef('');
+    const liveAnalysisRef = useRef(false);
 
     // Persist theme preference
     useEffect(() => {
@@ -41,6 +69,12 @@ function App() {
         document.documentElement.classList.toggle('dark', darkMode);
     }, [darkMode]);
 
+    // Only pay for per-frame re-renders while a live panel is open
+    useEffect(() => {
+        liveAnalysisRef.current = showProbabilities || debugPanelOpen;
+        if (!liveAnalysisRef.current) setFrameAnalyses([]);
+    }, [showProbabilities, debugPanelOpen]);
+
     // Keep voice state ref in sync
     useEffect(() => {
         voiceEnabledRef.current = voiceEnabled;
@@ -101,11 +135,16 @@ function App() {
     }, [voices]);
 
     // Gesture detection
-    const handleGestureDetected = ({ phrase, gestureType: gType }: GestureDetection) => {
+    const handleGestureDetected = ({ phrase, gestureType: gType, confidence, heldMs }: GestureDetection) => {
         setCurrentPhrase(phrase);
         setGestureType(gType);
+        setGestureConfidence(gType ? confidence ?? null : null);
+        if (!gType) setFrameAnalyses([]);
 
         if (gType) {
+            lastPhraseRef.current = phrase;
+            // A hold-repeat is deliberate — say it again even if the phrase didn't rotate
+            if (heldMs !== undefined) lastSpokenRef.current = '';
             const now = Date.now();
             if (now - lastGestureTimeRef.current > 500) {
                 speakPhrase(phrase);
@@ -114,10 +153,53 @@ function App() {
         }
     };
 
+    // Control gestures → bound action (bindings are read at trigger time)
+    const handleControlGesture = (trigger: ControlTrigger) => {
+        switch (getActionForTrigger(trigger)) {
+            case 'toggle-voice':
+                setVoiceEnabled(prev => !prev);
+                break;
+
+            case 'repeat-phrase':
+                // Bypass the "don't say the same thing twice" guard
+                lastSpokenRef.current = '';
+                speakPhrase(lastPhraseRef.current);
+                break;
+
+            case 'open-training':
+                setTrainingMode(true);
+                break;
+
+            case 'pause-recognition':
+                setRecognitionPaused(prev => !prev);
+                setCurrentPhrase('Waiting for input…');
+                setGestureType(null);
+                break;
+
+            case 'none':
+            default:
+                break;
+        }
+    };
+
+    // Whole seconds the latest gesture has been held (re-renders once a second at most)
+    const handleGestureLifecycle = (events: GestureLifecycleEvent[]) => {
+        const latest = events[events.length - 1];
+        setHeldSeconds(latest.phase === 'end' ? null : Math.floor(latest.durationMs / 1000));
+    };
+
+    const handleFrameAnalysis = (analyses: FrameAnalysis[]) => {
+        if (liveAnalysisRef.current) setFrameAnalyses(analyses);
+    };
+
     const handleLoadingComplete = () => {
         setIsLoading(false);
     };
 
+    const handleModelStatus = (status: ModelStatus) => {
+        setModelNotice(status.notice);
+    };
+
     return (
         <div className={`${darkMode ? 'dark' : ''}`}>
             {/* Root container - fixed viewport utility layout */}
@@ -152,6 +234,20 @@ function App() {
                     
                     {/* Fixed video card - the product */}
                     <div className="relative w-full max-w-3xl">
+
+                        {/* Model notice — a refused or remapped model */}
+                        {modelNotice && (
+                            <div className="mb-3 flex items-start justify-between gap-3 px-4 py-2.5 rounded-2xl text-xs bg-amber-50 dark:bg-amber-900/20 text-amber-800 dark:text-amber-300 border border-amber-200/60 dark:border-amber-800/40">
+                                <p role="status">{modelNotice}</p>
+                                <button
+                                    onClick={() => setModelNotice(null)}
+                                    className="flex-shrink-0 text-amber-600 dark:text-amber-400 hover:text-amber-800 dark:hover:text-amber-200"
+                                    aria-label="Dismiss model notice"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        )}
                         
                         {/* Video container with rounded corners */}
                         <div className="rounded-3xl overflow-hidden shadow-2xl border border-neutral-200/50 dark:border-neutral-800/50 bg-black">
@@ -171,12 +267,20 @@ function App() {
                                 <VideoFeed
                                     onGestureDetected={handleGestureDetected}
                                     onLoadingComplete={handleLoadingComplete}
-                                    landmarksRef={landmarksRef}
+                                    handRef={handRef}
+                                    onControlGesture={handleControlGesture}
+                                    currentGestureType={gestureType}
+                                    recognitionPaused={recognitionPaused}
+                                    onFrameAnalysis={handleFrameAnalysis}
+                                    engineSettings={engineSettings}
+                                    onGestureLifecycle={handleGestureLifecycle}
+                                    onModelStatus={handleModelStatus}
                                 />
                                 <PhraseOverlay
                                     phrase={currentPhrase}
                                     gestureType={gestureType}
                                 />
+                                {showProbabilities && <ProbabilityPanel analysis={frameAnalyses[0] ?? null} />}
                             </div>
 
                             {/* Integrated status bar */}
@@ -188,14 +292,21 @@ function App() {
                                         }`} />
                                         <div className="min-w-0">
                                             <p className="text-neutral-500 dark:text-neutral-400 leading-tight">
-                                                {gestureType 
-                                                    ? gestureType.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ')
-                                                    : 'Waiting…'
+                                                {recognitionPaused
+                                                    ? '⏸ Recognition paused'
+                                                    : gestureType
+                                                        ? gestureType.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ')
+                                                        : 'Waiting…'
                                                 }
                                             </p>
                                         </div>
                                     </div>
-                                    {gestureType && (
+                                    {gestureType && heldSeconds !== null && heldSeconds >= 1 && (
+                                        <div className="text-neutral-500 dark:text-neutral-400 flex-shrink-0 tabular-nums">
+                                            held {heldSeconds}s
+                                        </div>
+                                    )}
+                                    {gestureType && gestureConfidence !== null && (
                                         <div className="text-neutral-600 dark:text-neutral-400 flex-shrink-0">
                                             {Math.round(gestureConfidence * 100)}%
                                         </div>
@@ -235,6 +346,66 @@ function App() {
                                 ✏️ Personalize
                             </button>
 
+                            {/* Phrase packs */}
+                            <button
+                                onClick={() => setPhrasePanelOpen(true)}
+                                className="w-full px-3 py-2.5 rounded-xl text-xs font-medium transition-all
+                                    bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800
+                                    hover:bg-neutral-50 dark:hover:bg-neutral-800/50
+                                    shadow-lg dark:shadow-2xl backdrop-blur-sm
+                                    text-neutral-700 dark:text-neutral-300"
+                            >
+                                💬 Phrases
+                            </button>
+
+                            {/* Live probabilities + decision reasons */}
+                            <button
+                                onClick={() => setShowProbabilities(!showProbabilities)}
+                                className="w-full px-3 py-2.5 rounded-xl text-xs font-medium transition-all
+                                    bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800
+                                    hover:bg-neutral-50 dark:hover:bg-neutral-800/50
+                                    shadow-lg dark:shadow-2xl backdrop-blur-sm
+                                    text-neutral-700 dark:text-neutral-300"
+                            >
+                                📊 {showProbabilities ? 'Hide' : 'Show'} Odds
+                            </button>
+
+                            {/* Decision engine trace (developer dock) */}
+                            <button
+                                onClick={() => setDebugPanelOpen(!debugPanelOpen)}
+                                className="w-full px-3 py-2.5 rounded-xl text-xs font-medium transition-all
+                                    bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800
+                                    hover:bg-neutral-50 dark:hover:bg-neutral-800/50
+                                    shadow-lg dark:shadow-2xl backdrop-blur-sm
+                                    text-neutral-700 dark:text-neutral-300"
+                            >
+                                🐞 Debug
+                            </button>
+
+                            {/* Control gesture bindings */}
+                            <button
+                                onClick={() => setControlsPanelOpen(true)}
+                                className="w-full px-3 py-2.5 rounded-xl text-xs font-medium transition-all
+                                    bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800
+                                    hover:bg-neutral-50 dark:hover:bg-neutral-800/50
+                                    shadow-lg dark:shadow-2xl backdrop-blur-sm
+                                    text-neutral-700 dark:text-neutral-300"
+                            >
+                                🤏 Controls
+                            </button>
+
+                            {/* Decision engine tuning */}
+                            <button
+                                onClick={() => setEngineSettingsOpen(true)}
+                                className="w-full px-3 py-2.5 rounded-xl text-xs font-medium transition-all
+                                    bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-800
+                                    hover:bg-neutral-50 dark:hover:bg-neutral-800/50
+                                    shadow-lg dark:shadow-2xl backdrop-blur-sm
+                                    text-neutral-700 dark:text-neutral-300"
+                            >
+                                🎚️ Engine
+                            </button>
+
                             {/* Reset / Recalibrate */}
                             <button
                                 onClick={() => {
@@ -273,13 +444,57 @@ function App() {
                             </div>
                         }>
                             <TrainingMode
-                                landmarksRef={landmarksRef}
+                                handRef={handRef}
                                 onClose={() => setTrainingMode(false)}
                             />
                         </Suspense>
                     </div>
                 </div>
             )}
+
+            {/* Phrase pack modal overlay */}
+            {phrasePanelOpen && (
+                <div className="fixed inset-0 z-50 bg-black/40 dark:bg-black/60 backdrop-blur-sm flex items-center justify-center p-4">
+                    <div className="relative w-full max-w-2xl max-h-[90vh] rounded-3xl overflow-hidden bg-white dark:bg-neutral-900 shadow-2xl border border-neutral-200/50 dark:border-neutral-800/50">
+                        <Suspense fallback={null}>
+                            <PhrasePackPanel onClose={() => setPhrasePanelOpen(false)} />
+                        </Suspense>
+                    </div>
+                </div>
+            )}
+
+            {/* Developer trace dock — non-modal so the video stays visible */}
+            {debugPanelOpen && (
+                <Suspense fallback={null}>
+                    <DebugPanel analyses={frameAnalyses} onClose={() => setDebugPanelOpen(false)} />
+                </Suspense>
+            )}
+
+            {/* Control gesture bindings modal overlay */}
+            {controlsPanelOpen && (
+                <div className="fixed inset-0 z-50 bg-black/40 dark:bg-black/60 backdrop-blur-sm flex items-center justify-center p-4">
+                    <div className="relative w-full max-w-md max-h-[90vh] rounded-3xl overflow-hidden bg-white dark:bg-neutral-900 shadow-2xl border border-neutral-200/50 dark:border-neutral-800/50">
+                        <Suspense fallback={null}>
+                            <ActionBindingsPanel onClose={() => setControlsPanelOpen(false)} />
+                        </Suspense>
+                    </div>
+                </div>
+            )}
+
+            {/* Decision engine settings modal overlay */}
+            {engineSettingsOpen && (
+                <div className="fixed inset-0 z-50 bg-black/40 dark:bg-black/60 backdrop-blur-sm flex items-center justify-center p-4">
+                    <div className="relative w-full max-w-md max-h-[90vh] rounded-3xl overflow-hidden bg-white dark:bg-neutral-900 shadow-2xl border border-neutral-200/50 dark:border-neutral-800/50">
+                        <Suspense fallback={null}>
+                            <EngineSettingsPanel
+                                settings={engineSettings}
+                                onChange={setEngineSettings}
+                                onClose={() => setEngineSettingsOpen(false)}
+                            />
+                        </Suspense>
+                    </div>
+                </div>
+            )}
         </div>
     );
 }
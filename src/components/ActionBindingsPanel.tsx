@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import {
+    CONTROL_TRIGGERS,
+    CONTROL_ACTIONS,
+    getActionBindings,
+    setActionBinding
+} from '../config/actionBindings';
+import type { ActionBindingsPanelProps, ControlAction, ControlTrigger } from '../types';
+
+/**
+ * ActionBindingsPanel Component
+ *
+ * Bind control gestures (e.g., pinch) to app actions.
+ * Changes apply immediately and are saved in localStorage.
+ */
+function ActionBindingsPanel({ onClose }: ActionBindingsPanelProps) {
+    const [bindings, setBindings] = useState(getActionBindings());
+
+    return (
+        <div className="h-full flex flex-col overflow-hidden bg-white dark:bg-neutral-900">
+            {/* Sticky header with close button */}
+            <div className="flex-shrink-0 flex items-center justify-between px-6 py-4 border-b border-neutral-200/50 dark:border-neutral-800/50">
+                <h2 className="text-lg font-semibold text-neutral-950 dark:text-white">
+                    Control Gestures
+                </h2>
+                <button
+                    onClick={onClose}
+                    className="ml-4 p-2 rounded-lg hover:bg-neutral-100 dark:hover:bg-neutral-800 transition-colors flex-shrink-0"
+                    title="Close"
+                >
+                    <svg className="w-5 h-5 text-neutral-600 dark:text-neutral-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4 text-sm">
+                <p className="text-xs text-neutral-500 dark:text-neutral-400">
+                    Control gestures don&rsquo;t speak a phrase — they trigger an action. They keep working while recognition is paused.
+                </p>
+
+                {(Object.keys(CONTROL_TRIGGERS) as ControlTrigger[]).map((trigger) => {
+                    const info = CONTROL_TRIGGERS[trigger];
+
+                    return (
+                        <label key={trigger} className="flex items-center justify-between gap-3">
+                            <span className="text-neutral-700 dark:text-neutral-300">
+                                {info.emoji} {info.name}
+                            </span>
+                            <select
+                                value={bindings[trigger]}
+                                onChange={(e) => setBindings(setActionBinding(trigger, e.target.value as ControlAction))}
+                                className="px-3 py-2 rounded-lg bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                            >
+                                {(Object.keys(CONTROL_ACTIONS) as ControlAction[]).map(action => (
+                                    <option key={action} value={action}>{CONTROL_ACTIONS[action]}</option>
+                                ))}
+                            </select>
+                        </label>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+export default ActionBindingsPanel;
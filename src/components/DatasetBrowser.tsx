@@ -0,0 +1,84 @@
+import { HAND_CONNECTIONS } from '../config/gestureConfig';
+import type { DatasetBrowserProps, Landmark } from '../types';
+
+/**
+ * DatasetBrowser Component
+ *
+ * Thumbnails of the recorded samples for one gesture, drawn as hand
+ * skeletons, so bad frames (half-formed pose, wrong hand) can be spotted
+ * and deleted before retraining. Shown under a gesture row in Training Mode.
+ */
+
+/** Thumbnail edge length (SVG units) */
+const THUMB_SIZE = 48;
+const THUMB_PADDING = 4;
+
+/**
+ * Fit a hand into the thumbnail, mirrored like the camera view.
+ */
+function toThumbnailPoints(landmarks: Landmark[]): { x: number; y: number }[] {
+    const xs = landmarks.map(lm => 1 - lm.x);
+    const ys = landmarks.map(lm => lm.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1e-6);
+    const scale = (THUMB_SIZE - 2 * THUMB_PADDING) / span;
+    const offsetX = (THUMB_SIZE - (Math.max(...xs) - minX) * scale) / 2;
+    const offsetY = (THUMB_SIZE - (Math.max(...ys) - minY) * scale) / 2;
+    return xs.map((x, i) => ({ x: (x - minX) * scale + offsetX, y: (ys[i] - minY) * scale + offsetY }));
+}
+
+function SampleThumbnail({ landmarks }: { landmarks: Landmark[] }) {
+    const points = toThumbnailPoints(landmarks);
+    return (
+        <svg viewBox={`0 0 ${THUMB_SIZE} ${THUMB_SIZE}`} className="w-full h-full">
+            {HAND_CONNECTIONS.map(([s, e]) => (
+                <line
+                    key={`${s}-${e}`}
+                    x1={points[s].x} y1={points[s].y}
+                    x2={points[e].x} y2={points[e].y}
+                    className="stroke-green-600 dark:stroke-green-400"
+                    strokeWidth={1.2}
+                    strokeLinecap="round"
+                />
+            ))}
+            {points.map((p, i) => (
+                <circle key={i} cx={p.x} cy={p.y} r={1.2} className="fill-green-700 dark:fill-green-300" />
+            ))}
+        </svg>
+    );
+}
+
+function DatasetBrowser({ samples, onDeleteSample, disabled = false }: DatasetBrowserProps) {
+    if (samples.length === 0) {
+        return (
+            <p className="px-1 py-2 text-xs text-neutral-500 dark:text-neutral-400">
+                No samples yet — record some first.
+            </p>
+        );
+    }
+
+    return (
+        <div className="grid grid-cols-6 sm:grid-cols-8 gap-1.5 p-2 rounded-lg bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 max-h-48 overflow-y-auto">
+            {samples.map(sample => (
+                <div
+                    key={sample.id}
+                    className="group relative aspect-square rounded-md bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-700"
+                    title={`${sample.handedness} hand · ${new Date(sample.recordedAt).toLocaleString()}`}
+                >
+                    <SampleThumbnail landmarks={sample.landmarks} />
+                    <button
+                        onClick={() => onDeleteSample(sample.id)}
+                        disabled={disabled}
+                        className="absolute top-0 right-0 w-4 h-4 rounded-full text-[10px] leading-none bg-red-500 text-white opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity disabled:hidden"
+                        aria-label="Delete sample"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default DatasetBrowser;
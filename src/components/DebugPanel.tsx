@@ -0,0 +1,247 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getGestureDisplay } from '../config/gestureConfig';
+import { getEngineSettings } from '../config/engineSettings';
+import { decisionTraceRecorder } from '../ml/decisionTraceRecorder';
+import { landmarkSessionRecorder, parseLandmarkSession, replayLandmarkSession } from '../ml/landmarkSession';
+import type { DebugPanelProps, FrameAnalysis, ReplayEvent } from '../types';
+
+/**
+ * DebugPanel Component
+ *
+ * Developer dock that streams the decision engine's per-frame trace
+ * (raw label, confidence, gated label, gate or tie-break, stability buffer, cooldown)
+ * and records it to a downloadable JSON file. The recording itself happens
+ * in the frame loop (decisionTraceRecorder) — the dock only starts, stops
+ * and reads it, so closing the dock doesn't lose frames.
+ *
+ * It also records raw landmark sessions and replays session files through
+ * the recognition pipeline, listing the accepted gestures and their timing.
+ */
+
+/** Rows kept in the live view */
+const VISIBLE_ROWS = 12;
+
+/** How often the recorded frame count refreshes while recording (ms) */
+const RECORDING_REFRESH_MS = 250;
+
+const OUTCOME_STYLES: Record<string, string> = {
+    'accepted': 'text-green-400',
+    'stabilizing': 'text-blue-300',
+    'already-accepted': 'text-white/60',
+    'cooldown': 'text-amber-300',
+    'low-confidence': 'text-white/40'
+};
+
+function DebugPanel({ analyses, onClose }: DebugPanelProps) {
+    const [rows, setRows] = useState<FrameAnalysis[]>([]);
+    const [isRecording, setIsRecording] = useState(decisionTraceRecorder.isRecording());
+    const [recordedCount, setRecordedCount] = useState(decisionTraceRecorder.frames.length);
+    const [isRecordingSession, setIsRecordingSession] = useState(landmarkSessionRecorder.isRecording());
+    const [replay, setReplay] = useState<{ name: string; events: ReplayEvent[] } | null>(null);
+    const [replayError, setReplayError] = useState<string | null>(null);
+    const replayInputRef = useRef<HTMLInputElement>(null);
+
+    // Stream incoming frames into the live view
+    useEffect(() => {
+        if (analyses.length === 0) return;
+        setRows(prev => [...analyses, ...prev].slice(0, VISIBLE_ROWS));
+    }, [analyses]);
+
+    // Follow the recording's progress
+    useEffect(() => {
+        if (!isRecording) return;
+        const timer = setInterval(() => {
+            setRecordedCount(decisionTraceRecorder.frames.length);
+            // The recorder stops itself at its frame cap
+            if (!decisionTraceRecorder.isRecording()) setIsRecording(false);
+        }, RECORDING_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [isRecording]);
+
+    const handleToggleRecording = useCallback(() => {
+        if (decisionTraceRecorder.isRecording()) {
+            decisionTraceRecorder.stop();
+            setRecordedCount(decisionTraceRecorder.frames.length);
+            setIsRecording(false);
+        } else {
+            decisionTraceRecorder.start();
+            setRecordedCount(0);
+            setIsRecording(true);
+        }
+    }, []);
+
+    const download = (json: string, prefix: string): void => {
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${prefix}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleDownload = useCallback(() => {
+        download(decisionTraceRecorder.toJSON(), 'decision-trace');
+    }, []);
+
+    const handleToggleSession = useCallback(() => {
+        if (landmarkSessionRecorder.isRecording()) {
+            landmarkSessionRecorder.stop();
+            download(landmarkSessionRecorder.toJSON(), 'landmark-session');
+            setIsRecordingSession(false);
+        } else {
+            landmarkSessionRecorder.start();
+            setIsRecordingSession(true);
+        }
+    }, []);
+
+    /**
+     * Replay a session file through a fresh pipeline using the loaded model
+     * and the engine settings recorded with it (the current ones for files
+     * that have none).
+     */
+    const handleReplay = useCallback(async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const session = parseLandmarkSession(await file.text());
+            const { predictGesture } = await import('../ml/gestureModel');
+            setReplay({
+                name: file.name,
+                events: replayLandmarkSession(session, predictGesture, {
+                    engineOptions: session.engineSettings ? {} : getEngineSettings()
+                })
+            });
+            setReplayError(null);
+        } catch (err) {
+            setReplayError(err instanceof Error ? err.message : String(err));
+        }
+    }, []);
+
+    return (
+        <div className="fixed bottom-4 left-4 z-40 w-[34rem] max-w-[calc(100vw-2rem)] rounded-2xl bg-neutral-950/90 backdrop-blur-md border border-white/10 shadow-2xl text-[10px] text-white/80 font-mono">
+            {/* Header: recording controls */}
+            <div className="flex items-center justify-between gap-2 px-3 py-2 border-b border-white/10 font-sans text-xs">
+                <span className="font-semibold text-white">🐞 Decision Trace</span>
+                <div className="flex items-center gap-2">
+                    <span className="text-white/50 tabular-nums">{recordedCount} frames</span>
+                    <button
+                        onClick={handleToggleRecording}
+                        className={`px-2 py-1 rounded-md border transition-colors ${isRecording
+                            ? 'bg-red-500/20 border-red-500/40 text-red-300'
+                            : 'bg-white/5 border-white/10 hover:bg-white/10'}`}
+                    >
+                        {isRecording ? '■ Stop' : '● Record'}
+                    </button>
+                    <button
+                        onClick={handleDownload}
+                        disabled={isRecording || recordedCount === 0}
+                        className="px-2 py-1 rounded-md bg-white/5 border border-white/10 hover:bg-white/10 transition-colors disabled:opacity-40"
+                    >
+                        ⬇️ JSON
+                    </button>
+                    <button onClick={onClose} className="px-2 py-1 rounded-md hover:bg-white/10 transition-colors" title="Close">
+                        ✕
+                    </button>
+                </div>
+            </div>
+
+            {/* Landmark session record / replay */}
+            <div className="flex items-center justify-between gap-2 px-3 py-2 border-b border-white/10 font-sans text-xs">
+                <span className="text-white/60">🎥 Landmark session</span>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={handleToggleSession}
+                        className={`px-2 py-1 rounded-md border transition-colors ${isRecordingSession
+                            ? 'bg-red-500/20 border-red-500/40 text-red-300'
+                            : 'bg-white/5 border-white/10 hover:bg-white/10'}`}
+                    >
+                        {isRecordingSession ? '■ Stop & save' : '● Record'}
+                    </button>
+                    <button
+                        onClick={() => replayInputRef.current?.click()}
+                        className="px-2 py-1 rounded-md bg-white/5 border border-white/10 hover:bg-white/10 transition-colors"
+                    >
+                        ▶ Replay file
+                    </button>
+                    <input ref={replayInputRef} type="file" accept="application/json,.json,.jsonl" onChange={handleReplay} className="hidden" />
+                </div>
+            </div>
+
+            {replayError && (
+                <p className="px-3 py-2 border-b border-white/10 font-sans text-red-400">{replayError}</p>
+            )}
+
+            {replay && (
+                <div className="px-3 py-2 border-b border-white/10 max-h-32 overflow-y-auto">
+                    <div className="flex items-center justify-between font-sans text-white/60 mb-1">
+                        <span>{replay.name}: {replay.events.length} accepted</span>
+                        <button onClick={() => setReplay(null)} className="hover:text-white">✕</button>
+                    </div>
+                    {replay.events.map((event, i) => (
+                        <div key={i} className="flex gap-3">
+                            <span className="w-14 text-right tabular-nums text-white/50">{(event.t / 1000).toFixed(2)}s</span>
+                            <span className="w-28">{event.label}</span>
+                            <span className="w-10 text-white/50">{event.hand ?? ''}</span>
+                            <span className="text-white/50">{event.reason}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Live trace, newest first */}
+            <table className="w-full">
+                <thead className="text-white/40">
+                    <tr className="text-left">
+                        <th className="px-3 py-1 font-normal">hand</th>
+                        <th className="py-1 font-normal">raw</th>
+                        <th className="py-1 font-normal">conf</th>
+                        <th className="py-1 font-normal">gated</th>
+                        <th className="py-1 font-normal">outcome</th>
+                        <th className="py-1 font-normal">buffer</th>
+                        <th className="px-3 py-1 font-normal text-right">cd</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row, i) => {
+                        const d = row.decision;
+                        return (
+                            <tr key={`${row.timestamp}-${row.hand}-${i}`} className="border-t border-white/5">
+                                <td className="px-3 py-0.5">{row.hand[0]}</td>
+                                {d ? (
+                                    <>
+                                        <td className="py-0.5">{d.rawLabel}</td>
+                                        <td className="py-0.5 tabular-nums">{d.confidence.toFixed(2)}</td>
+                                        <td
+                                            className="py-0.5"
+                                            title={d.tieBreak ? `tie ${d.tieBreak.top} / ${d.tieBreak.runnerUp} (Δ${d.tieBreak.margin.toFixed(2)}) → ${d.tieBreak.chosen} by ${d.tieBreak.reason}` : undefined}
+                                        >
+                                            {d.gate ? <span className="text-amber-300">{d.gatedLabel} ({d.gate})</span>
+                                                : d.tieBreak && d.tieBreak.chosen !== d.tieBreak.top ? <span className="text-sky-300">{d.gatedLabel} (tie: {d.tieBreak.reason})</span>
+                                                : d.gatedLabel}
+                                        </td>
+                                        <td className={`py-0.5 ${OUTCOME_STYLES[d.outcome] ?? ''}`}>{d.outcome}</td>
+                                        <td className="py-0.5 font-sans" title={d.stabilityBuffer.map(e => e.label).join(', ')}>
+                                            {d.stabilityBuffer.map(e => getGestureDisplay(e.label).emoji).join('')}
+                                        </td>
+                                        <td className="px-3 py-0.5 text-right tabular-nums">
+                                            {d.cooldownRemainingMs > 0 ? `${(d.cooldownRemainingMs / 1000).toFixed(1)}s` : ''}
+                                        </td>
+                                    </>
+                                ) : (
+                                    <td colSpan={6} className="py-0.5 text-white/40">
+                                        skipped ({row.skipped === 'two-hand' ? 'two-hand gesture' : 'hand moving'})
+                                    </td>
+                                )}
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+export default DebugPanel;
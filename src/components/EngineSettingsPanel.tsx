@@ -0,0 +1,192 @@
+import { DECISION_GATES, getGestureDisplay } from '../config/gestureConfig';
+import {
+    DEFAULT_ENGINE_SETTINGS,
+    ENGINE_SETTING_RANGES,
+    STABILIZATION_MODES,
+    updateEngineSettings,
+    resetEngineSettings
+} from '../config/engineSettings';
+import { getGateConfidenceFloor } from '../ml/decisionGates';
+import type { DecisionEngineSettings, DecisionGate, EngineSettingsPanelProps, StabilizationMode } from '../types';
+
+/**
+ * EngineSettingsPanel Component
+ *
+ * Tune the decision engine: stabilization mode (identical frames or
+ * time-based smoothing), cooldown, thresholds,
+ * which decision gates run with what confidence floor, and the
+ * conservative ordering used to settle near-ties. Changes apply to the
+ * live engines immediately and are saved in localStorage.
+ */
+function EngineSettingsPanel({ settings, onChange, onClose }: EngineSettingsPanelProps) {
+    const update = (patch: Partial<DecisionEngineSettings>): void => {
+        onChange(updateEngineSettings(patch));
+    };
+
+    const toggleGate = (gate: DecisionGate, enabled: boolean): void => {
+        const others = settings.disabledGates.filter(g => g !== gate);
+        update({ disabledGates: enabled ? others : [...others, gate] });
+    };
+
+    const setGateFloor = (gate: DecisionGate, floor: number): void => {
+        update({ gateConfidence: { ...settings.gateConfidence, [gate]: floor } });
+    };
+
+    const preferEarlier = (index: number): void => {
+        const order = [...settings.tieBreakPreference];
+        [order[index - 1], order[index]] = [order[index], order[index - 1]];
+        update({ tieBreakPreference: order });
+    };
+
+    return (
+        <div className="h-full flex flex-col overflow-hidden bg-white dark:bg-neutral-900">
+            {/* Sticky header with close button */}
+            <div className="flex-shrink-0 flex items-center justify-between px-6 py-4 border-b border-neutral-200/50 dark:border-neutral-800/50">
+                <h2 className="text-lg font-semibold text-neutral-950 dark:text-white">
+                    Decision Engine
+                </h2>
+                <button
+                    onClick={onClose}
+                    className="ml-4 p-2 rounded-lg hover:bg-neutral-100 dark:hover:bg-neutral-800 transition-colors flex-shrink-0"
+                    title="Close"
+                >
+                    <svg className="w-5 h-5 text-neutral-600 dark:text-neutral-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-5 text-sm">
+                <p className="text-xs text-neutral-500 dark:text-neutral-400">
+                    Applies to every hand immediately — no reload needed. Fewer stability frames react faster but trigger more by accident.
+                </p>
+
+                <div>
+                    <p className="text-xs font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400 mb-2">
+                        Stabilization
+                    </p>
+                    {(Object.keys(STABILIZATION_MODES) as StabilizationMode[]).map((mode) => (
+                        <label key={mode} className="flex items-start gap-3 py-1">
+                            <input
+                                type="radio"
+                                name="stabilization-mode"
+                                checked={settings.stabilizationMode === mode}
+                                onChange={() => update({ stabilizationMode: mode })}
+                                className="mt-0.5 accent-blue-500"
+                            />
+                            <span>
+                                <span className="block text-neutral-700 dark:text-neutral-300">{STABILIZATION_MODES[mode].label}</span>
+                                <span className="block text-xs text-neutral-500 dark:text-neutral-400">{STABILIZATION_MODES[mode].description}</span>
+                            </span>
+                        </label>
+                    ))}
+                </div>
+
+                {(Object.keys(ENGINE_SETTING_RANGES) as (keyof typeof ENGINE_SETTING_RANGES)[]).map((key) => {
+                    const range = ENGINE_SETTING_RANGES[key];
+                    if (range.modes && !range.modes.includes(settings.stabilizationMode)) return null;
+                    const value = settings[key];
+                    const isDefault = value === DEFAULT_ENGINE_SETTINGS[key];
+
+                    return (
+                        <label key={key} className="block">
+                            <div className="flex items-center justify-between mb-1">
+                                <span className="text-neutral-700 dark:text-neutral-300">{range.label}</span>
+                                <span className={`tabular-nums text-xs ${isDefault ? 'text-neutral-500' : 'text-blue-600 dark:text-blue-400'}`}>
+                                    {value}{range.unit ?? ''}
+                                </span>
+                            </div>
+                            <input
+                                type="range"
+                                min={range.min}
+                                max={range.max}
+                                step={range.step}
+                                value={value}
+                                onChange={(e) => update({ [key]: Number(e.target.value) })}
+                                className="w-full accent-blue-500"
+                            />
+                        </label>
+                    );
+                })}
+
+                <div>
+                    <p className="text-xs font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400 mb-2">
+                        Gates
+                    </p>
+                    {Object.entries(DECISION_GATES).map(([gate, definition]) => {
+                        const enabled = !settings.disabledGates.includes(gate);
+                        const floor = getGateConfidenceFloor(gate, settings);
+
+                        return (
+                            <div key={gate} className="py-1.5">
+                                <label className="flex items-center gap-3">
+                                    <input
+                                        type="checkbox"
+                                        checked={enabled}
+                                        onChange={(e) => toggleGate(gate, e.target.checked)}
+                                        className="accent-blue-500"
+                                    />
+                                    <span className="flex-1 text-neutral-700 dark:text-neutral-300">
+                                        {definition.display.emoji} {definition.display.name}
+                                    </span>
+                                    <span className="text-xs text-neutral-500 dark:text-neutral-400">→ {definition.fallback}</span>
+                                </label>
+                                {enabled && (
+                                    <label className="flex items-center gap-3 pl-7 mt-1 text-xs text-neutral-500 dark:text-neutral-400">
+                                        <span className="w-24">Min. confidence</span>
+                                        <input
+                                            type="range"
+                                            min={0}
+                                            max={1}
+                                            step={0.05}
+                                            value={floor}
+                                            onChange={(e) => setGateFloor(gate, Number(e.target.value))}
+                                            className="flex-1 accent-blue-500"
+                                        />
+                                        <span className="w-8 text-right tabular-nums">{floor.toFixed(2)}</span>
+                                    </label>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div>
+                    <p className="text-xs font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400 mb-1">
+                        Tie-break preference
+                    </p>
+                    <p className="text-xs text-neutral-500 dark:text-neutral-400 mb-2">
+                        When the top two guesses are within the margin and the hand's geometry doesn't settle it, the one higher in this list wins.
+                    </p>
+                    <ol className="space-y-0.5">
+                        {settings.tieBreakPreference.map((label, i) => (
+                            <li key={label} className="flex items-center gap-3">
+                                <span className="w-5 text-right tabular-nums text-xs text-neutral-400">{i + 1}</span>
+                                <span className="flex-1 text-neutral-700 dark:text-neutral-300">
+                                    {getGestureDisplay(label).emoji} {getGestureDisplay(label).name}
+                                </span>
+                                <button
+                                    onClick={() => preferEarlier(i)}
+                                    disabled={i === 0}
+                                    className="px-2 rounded text-xs text-neutral-500 hover:bg-neutral-100 dark:hover:bg-neutral-800 disabled:opacity-30 disabled:hover:bg-transparent"
+                                    title="Prefer over the label above"
+                                >
+                                    ↑
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+
+                <button
+                    onClick={() => onChange(resetEngineSettings())}
+                    className="px-3 py-2 rounded-lg text-xs font-medium bg-neutral-100 dark:bg-neutral-800 hover:bg-neutral-200 dark:hover:bg-neutral-700 text-neutral-700 dark:text-neutral-300 transition-colors"
+                >
+                    Reset to defaults
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default EngineSettingsPanel;
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { GESTURE_TYPE_TO_EMOJI } from '../config/gestureConfig';
+import { getEmojiForGestureType } from '../config/gestureConfig';
 import type { PhraseOverlayProps } from '../types';
 
 /**
@@ -39,7 +39,7 @@ function PhraseOverlay({ phrase, gestureType }: PhraseOverlayProps) {
                 {isActiveGesture && (
                     <div className="mb-2 flex items-center justify-center gap-2">
                         <span className="text-lg">
-                            {GESTURE_TYPE_TO_EMOJI[gestureType] || '🤚'}
+                            {getEmojiForGestureType(gestureType)}
                         </span>
                         <span className="text-xs text-green-400 uppercase tracking-wider font-medium">
                             {gestureType.replace('-', ' ')}
@@ -0,0 +1,217 @@
+import { useState, useRef, useCallback } from 'react';
+import {
+    getAllPhrasePacks,
+    getActivePhrasePack,
+    getPhraseSettings,
+    updatePhraseSettings,
+    isBuiltInPhrasePack,
+    savePhrasePack,
+    deletePhrasePack,
+    exportPhrasePack,
+    parsePhrasePack
+} from '../config/phrasePacks';
+import { getGestureLabels, getGestureDisplay, getPhraseForLabel } from '../config/gestureConfig';
+import type { PhrasePack, PhraseRotationMode, PhrasePackPanelProps } from '../types';
+
+/**
+ * PhrasePackPanel Component
+ *
+ * Choose the active phrase pack and rotation policy, edit user packs
+ * (one phrase per line), and import/export packs as JSON files.
+ */
+
+const ROTATION_OPTIONS: { value: PhraseRotationMode; label: string }[] = [
+    { value: 'round-robin', label: 'Round-robin' },
+    { value: 'random', label: 'Random' },
+    { value: 'no-repeat', label: 'No repeat within N' }
+];
+
+function PhrasePackPanel({ onClose }: PhrasePackPanelProps) {
+    const [packs, setPacks] = useState<PhrasePack[]>(getAllPhrasePacks());
+    const [settings, setSettings] = useState(getPhraseSettings());
+    const [error, setError] = useState<string | null>(null);
+    const fileInputRef = useRef<HTMLInputElement>(null);
+
+    const activePack = packs.find(p => p.id === settings.activePackId) ?? getActivePhrasePack();
+    const isEditable = !isBuiltInPhrasePack(activePack.id);
+
+    const refresh = useCallback(() => {
+        setPacks(getAllPhrasePacks());
+        setSettings(getPhraseSettings());
+    }, []);
+
+    /**
+     * Copy the active pack into a new, editable user pack.
+     */
+    const handleDuplicate = useCallback(() => {
+        const phrases: Record<string, string[]> = {};
+        for (const label of getGestureLabels()) {
+            phrases[label] = activePack.phrases[label] ?? [getPhraseForLabel(label, { rotate: false })];
+        }
+        const pack: PhrasePack = { id: `pack-${Date.now()}`, name: `${activePack.name} (copy)`, phrases };
+        savePhrasePack(pack);
+        updatePhraseSettings({ activePackId: pack.id });
+        refresh();
+    }, [activePack, refresh]);
+
+    const handleEditPhrases = useCallback((label: string, text: string) => {
+        const list = text.split('\n').map(p => p.trim()).filter(Boolean);
+        const phrases = { ...activePack.phrases };
+        if (list.length > 0) phrases[label] = list;
+        else delete phrases[label];
+        savePhrasePack({ ...activePack, phrases });
+        refresh();
+    }, [activePack, refresh]);
+
+    const handleDelete = useCallback(() => {
+        if (!confirm(`Delete the "${activePack.name}" phrase pack?`)) return;
+        deletePhrasePack(activePack.id);
+        refresh();
+    }, [activePack, refresh]);
+
+    const handleExport = useCallback(() => {
+        const blob = new Blob([exportPhrasePack(activePack)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${activePack.id}.phrases.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }, [activePack]);
+
+    const handleImport = useCallback(async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const pack = parsePhrasePack(await file.text());
+            savePhrasePack(pack);
+            updatePhraseSettings({ activePackId: pack.id });
+            setError(null);
+            refresh();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : String(err));
+        }
+    }, [refresh]);
+
+    return (
+        <div className="h-full flex flex-col overflow-hidden bg-white dark:bg-neutral-900">
+            {/* Sticky header with close button */}
+            <div className="flex-shrink-0 flex items-center justify-between px-6 py-4 border-b border-neutral-200/50 dark:border-neutral-800/50">
+                <h2 className="text-lg font-semibold text-neutral-950 dark:text-white">
+                    Phrase Packs
+                </h2>
+                <button
+                    onClick={onClose}
+                    className="ml-4 p-2 rounded-lg hover:bg-neutral-100 dark:hover:bg-neutral-800 transition-colors flex-shrink-0"
+                    title="Close"
+                >
+                    <svg className="w-5 h-5 text-neutral-600 dark:text-neutral-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+
+            {/* Scrollable content */}
+            <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4 text-sm">
+                {/* Pack + rotation selection */}
+                <div className="grid grid-cols-2 gap-3">
+                    <label className="space-y-1">
+                        <span className="text-xs text-neutral-500 dark:text-neutral-400">Active pack</span>
+                        <select
+                            value={activePack.id}
+                            onChange={(e) => { updatePhraseSettings({ activePackId: e.target.value }); refresh(); }}
+                            className="w-full px-3 py-2 rounded-lg bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                        >
+                            {packs.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                    </label>
+                    <label className="space-y-1">
+                        <span className="text-xs text-neutral-500 dark:text-neutral-400">Rotation</span>
+                        <select
+                            value={settings.rotation}
+                            onChange={(e) => { updatePhraseSettings({ rotation: e.target.value as PhraseRotationMode }); refresh(); }}
+                            className="w-full px-3 py-2 rounded-lg bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                        >
+                            {ROTATION_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                    </label>
+                </div>
+
+                {settings.rotation === 'no-repeat' && (
+                    <label className="flex items-center justify-between gap-3">
+                        <span className="text-neutral-700 dark:text-neutral-300">Don&rsquo;t repeat any of the last N phrases</span>
+                        <input
+                            type="number"
+                            min={1}
+                            max={10}
+                            value={settings.noRepeatWindow}
+                            onChange={(e) => { updatePhraseSettings({ noRepeatWindow: Math.max(1, Number(e.target.value) || 1) }); refresh(); }}
+                            className="w-16 px-2 py-1.5 rounded-lg text-center bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                        />
+                    </label>
+                )}
+
+                {/* Pack actions */}
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={handleDuplicate} className="px-3 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-300 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors">
+                        📄 Duplicate
+                    </button>
+                    <button onClick={handleExport} className="px-3 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-300 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors">
+                        ⬇️ Export
+                    </button>
+                    <button onClick={() => fileInputRef.current?.click()} className="px-3 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-300 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors">
+                        ⬆️ Import
+                    </button>
+                    {isEditable && (
+                        <button onClick={handleDelete} className="px-3 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-300 hover:text-red-700 dark:hover:text-red-400 hover:bg-red-100 dark:hover:bg-red-500/10 transition-colors">
+                            🗑️ Delete
+                        </button>
+                    )}
+                    <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+                </div>
+
+                {error && (
+                    <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+                )}
+
+                {!isEditable && (
+                    <p className="text-xs text-neutral-500 dark:text-neutral-400">
+                        Built-in packs are read-only. Duplicate one to edit its phrases.
+                    </p>
+                )}
+
+                {/* Phrases per gesture */}
+                <div className="space-y-3">
+                    {getGestureLabels().map((label) => {
+                        const info = getGestureDisplay(label);
+                        const phrases = activePack.phrases[label] ?? [getPhraseForLabel(label, { rotate: false })];
+
+                        return (
+                            <div key={`${activePack.id}-${label}`} className="space-y-1">
+                                <p className="text-xs font-medium text-neutral-700 dark:text-neutral-300">
+                                    {info.emoji} {info.name}
+                                </p>
+                                {isEditable ? (
+                                    <textarea
+                                        defaultValue={phrases.join('\n')}
+                                        onBlur={(e) => handleEditPhrases(label, e.target.value)}
+                                        rows={Math.max(2, phrases.length)}
+                                        className="w-full px-3 py-2 rounded-lg text-xs bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                                    />
+                                ) : (
+                                    <ul className="pl-4 list-disc text-xs text-neutral-600 dark:text-neutral-400">
+                                        {phrases.map(p => <li key={p}>{p}</li>)}
+                                    </ul>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PhrasePackPanel;
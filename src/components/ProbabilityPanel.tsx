@@ -0,0 +1,77 @@
+import { getGestureLabels, getGestureDisplay } from '../config/gestureConfig';
+import type { DecisionTrace, ProbabilityPanelProps } from '../types';
+
+/**
+ * ProbabilityPanel Component
+ *
+ * Live per-class probability bars for the primary hand, plus a one-line
+ * explanation of what the decision engine did with the current frame
+ * (gate remap, stabilizing, cooldown, …). Rendered over the video feed.
+ */
+
+function describeDecision(decision: DecisionTrace | null): string {
+    if (!decision) return 'Hand moving — static voting paused';
+
+    const name = getGestureDisplay(decision.gatedLabel).name;
+    const tie = decision.tieBreak;
+    const remap = decision.gate
+        ? `${getGestureDisplay(decision.rawLabel).name} → ${name} (${decision.gate} gate) · `
+        : tie && tie.chosen !== tie.top
+            ? `${getGestureDisplay(tie.top).name} ≈ ${getGestureDisplay(tie.runnerUp).name} → ${name} (tie, ${tie.reason}) · `
+            : '';
+
+    switch (decision.outcome) {
+        case 'low-confidence':
+            return `Below confidence threshold (${Math.round(decision.confidence * 100)}%)`;
+        case 'cooldown':
+            return `Cooldown — ${(decision.cooldownRemainingMs / 1000).toFixed(1)}s left`;
+        case 'stabilizing':
+            return decision.stabilization
+                ? `${remap}Stabilizing ${name} (${Math.round(decision.stabilization.score * 100)}% of ${Math.round(decision.stabilization.threshold * 100)}%)`
+                : `${remap}Stabilizing ${name} (${decision.stableFrames}/${decision.requiredFrames})`;
+        case 'already-accepted':
+            return `${remap}${name} already accepted`;
+        case 'accepted':
+            return `${remap}Accepted ${name}`;
+        default:
+            return '';
+    }
+}
+
+function ProbabilityPanel({ analysis }: ProbabilityPanelProps) {
+    const probabilities = analysis?.probabilities ?? {};
+    const labels = getGestureLabels();
+    const topLabel = labels.reduce<string | null>(
+        (best, label) => (best === null || (probabilities[label] ?? 0) > (probabilities[best] ?? 0) ? label : best),
+        null
+    );
+
+    return (
+        <div className="absolute top-3 right-3 z-20 w-56 rounded-xl bg-black/70 backdrop-blur-md border border-white/10 px-3 py-2 text-[10px] text-white/80 pointer-events-none">
+            <div className="space-y-1">
+                {labels.map((label) => {
+                    const p = probabilities[label] ?? 0;
+                    const info = getGestureDisplay(label);
+
+                    return (
+                        <div key={label} className="flex items-center gap-2">
+                            <span className="w-4 text-center">{info.emoji}</span>
+                            <div className="flex-1 h-1.5 rounded-full bg-white/10 overflow-hidden">
+                                <div
+                                    className={`h-full rounded-full transition-all duration-100 ${label === topLabel ? 'bg-green-400' : 'bg-white/40'}`}
+                                    style={{ width: `${Math.round(p * 100)}%` }}
+                                />
+                            </div>
+                            <span className="w-8 text-right tabular-nums">{Math.round(p * 100)}%</span>
+                        </div>
+                    );
+                })}
+            </div>
+            <p className="mt-2 pt-2 border-t border-white/10 leading-snug">
+                {analysis ? `${analysis.hand} hand · ${describeDecision(analysis.decision)}` : 'No hand'}
+            </p>
+        </div>
+    );
+}
+
+export default ProbabilityPanel;
@@ -0,0 +1,261 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { addSample, getSamples, deleteSample } from '../ml/gestureTrainer';
+import { predictGesture, getModelStatus } from '../ml/gestureModel';
+import { isNearDuplicate, measureDiversity } from '../ml/recordingQuality';
+import {
+    RECORDING_STEPS,
+    RECORDING_COUNTDOWN_SECONDS,
+    RECORDING_STEP_DURATION,
+    RECORDING_CAPTURE_INTERVAL,
+    MISMATCH_CONFIDENCE,
+    getGestureDisplay,
+    getGestureLabels
+} from '../config/gestureConfig';
+import type { Landmark, RecordingWizardProps } from '../types';
+
+/**
+ * RecordingWizard Component
+ *
+ * Guided recording of one gesture in Training Mode: short rounds
+ * (RECORDING_STEPS), each with a countdown and a prompt to change the
+ * angle, distance or hand. While capturing it skips frames without a hand
+ * and near-duplicates (recordingQuality.ts), shows how varied the
+ * gesture's samples are, and flags frames the current model reads as a
+ * different gesture — they can be removed, or kept when the point is to
+ * correct the model.
+ */
+
+type Phase = 'countdown' | 'capturing' | 'done';
+
+interface CaptureStats {
+    kept: number;
+    duplicates: number;
+    noHand: number;
+}
+
+function DiversityBar({ name, value }: { name: string; value: number }) {
+    return (
+        <div className="flex items-center gap-2 text-xs">
+            <span className="w-20 text-neutral-600 dark:text-neutral-400">{name}</span>
+            <div className="flex-1 h-1.5 bg-neutral-200 dark:bg-neutral-700 rounded-full overflow-hidden">
+                <div
+                    className={`h-full rounded-full transition-all duration-300 ${value >= 1 ? 'bg-green-500' : 'bg-yellow-500'}`}
+                    style={{ width: `${Math.round(value * 100)}%` }}
+                />
+            </div>
+        </div>
+    );
+}
+
+function RecordingWizard({ label, handRef, onSamplesChanged, onClose }: RecordingWizardProps) {
+    const [step, setStep] = useState(0);
+    const [phase, setPhase] = useState<Phase>('countdown');
+    const [countdown, setCountdown] = useState(RECORDING_COUNTDOWN_SECONDS);
+    const [progress, setProgress] = useState(0);
+    const [stats, setStats] = useState<CaptureStats>({ kept: 0, duplicates: 0, noHand: 0 });
+    /** Kept samples the current model reads as another gesture: sample id → predicted label */
+    const [mismatches, setMismatches] = useState<Record<string, string>>({});
+
+    /** Samples of this gesture so far, for the near-duplicate check */
+    const recordedRef = useRef<{ id: string; landmarks: Landmark[] }[] | null>(null);
+    if (recordedRef.current === null) {
+        recordedRef.current = getSamples(label).map(({ id, landmarks }) => ({ id, landmarks }));
+    }
+
+    const onSamplesChangedRef = useRef(onSamplesChanged);
+    onSamplesChangedRef.current = onSamplesChanged;
+
+    /**
+     * Move on to the next round's countdown, or finish after the last one.
+     */
+    const advance = useCallback(() => {
+        onSamplesChangedRef.current();
+        setProgress(0);
+        if (step + 1 < RECORDING_STEPS.length) {
+            setStep(step + 1);
+            setCountdown(RECORDING_COUNTDOWN_SECONDS);
+            setPhase('countdown');
+        } else {
+            setPhase('done');
+        }
+    }, [step]);
+
+    const finish = useCallback(() => {
+        onSamplesChangedRef.current();
+        setPhase('done');
+    }, []);
+
+    // Countdown before each round
+    useEffect(() => {
+        if (phase !== 'countdown') return;
+        if (countdown === 0) {
+            setPhase('capturing');
+            return;
+        }
+        const timer = setTimeout(() => setCountdown(c => c - 1), 1000);
+        return () => clearTimeout(timer);
+    }, [phase, countdown]);
+
+    // Capture frames during a round
+    useEffect(() => {
+        if (phase !== 'capturing') return;
+
+        // Only a model trained on this gesture can say a frame looks like another one
+        const modelLabels = getModelStatus().manifest?.labels ?? getGestureLabels();
+        const checkMismatch = modelLabels.includes(label);
+        const startTime = Date.now();
+
+        const captureFrame = () => {
+            const hand = handRef.current;
+            if (!hand || hand.landmarks.length !== 21) {
+                setStats(s => ({ ...s, noHand: s.noHand + 1 }));
+                return;
+            }
+
+            const recorded = recordedRef.current!;
+            if (isNearDuplicate(hand.landmarks, recorded.map(r => r.landmarks))) {
+                setStats(s => ({ ...s, duplicates: s.duplicates + 1 }));
+                return;
+            }
+
+            const id = addSample(hand.landmarks, label, hand.handedness);
+            if (!id) return;
+            recorded.push({ id, landmarks: hand.landmarks.map(({ x, y, z }) => ({ x, y, z })) });
+            setStats(s => ({ ...s, kept: s.kept + 1 }));
+
+            if (checkMismatch) {
+                const prediction = predictGesture(hand.landmarks, hand.handedness);
+                if (prediction.label !== label && prediction.label !== 'NONE' && prediction.confidence >= MISMATCH_CONFIDENCE) {
+                    setMismatches(m => ({ ...m, [id]: prediction.label }));
+                }
+            }
+        };
+
+        const interval = setInterval(() => {
+            captureFrame();
+            setProgress(Math.min(100, ((Date.now() - startTime) / RECORDING_STEP_DURATION) * 100));
+        }, RECORDING_CAPTURE_INTERVAL);
+        const timer = setTimeout(advance, RECORDING_STEP_DURATION);
+
+        return () => {
+            clearInterval(interval);
+            clearTimeout(timer);
+        };
+    }, [phase, label, handRef, advance]);
+
+    /**
+     * Delete the samples the current model read as another gesture.
+     */
+    const handleRemoveMismatches = useCallback(() => {
+        const ids = Object.keys(mismatches);
+        ids.forEach(deleteSample);
+        recordedRef.current = recordedRef.current!.filter(r => !ids.includes(r.id));
+        setStats(s => ({ ...s, kept: s.kept - ids.length }));
+        setMismatches({});
+        onSamplesChangedRef.current();
+    }, [mismatches]);
+
+    const current = RECORDING_STEPS[step];
+    const diversity = measureDiversity(getSamples(label));
+
+    // Most common "looks like" label among flagged frames
+    const mismatchCounts = Object.values(mismatches).reduce<Record<string, number>>((counts, predicted) => {
+        counts[predicted] = (counts[predicted] ?? 0) + 1;
+        return counts;
+    }, {});
+    const [likelyLabel] = Object.entries(mismatchCounts).sort((a, b) => b[1] - a[1])[0] ?? [];
+    const mismatchTotal = Object.keys(mismatches).length;
+
+    return (
+        <div className="p-3 rounded-lg bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 space-y-3">
+            {/* Prompt for this round */}
+            {phase === 'done' ? (
+                <p className="text-sm font-medium text-neutral-950 dark:text-white">
+                    Done — {stats.kept} sample{stats.kept === 1 ? '' : 's'} added.
+                </p>
+            ) : (
+                <div>
+                    <p className="text-sm font-medium text-neutral-950 dark:text-white">
+                        Step {step + 1} of {RECORDING_STEPS.length}: {current.prompt}
+                    </p>
+                    <p className="text-xs text-neutral-600 dark:text-neutral-400">{current.hint}</p>
+                </div>
+            )}
+
+            {/* Countdown / capture progress */}
+            {phase === 'countdown' && (
+                <p className="text-center text-3xl font-semibold tabular-nums text-neutral-950 dark:text-white" aria-live="polite">
+                    {countdown}
+                </p>
+            )}
+            {phase === 'capturing' && (
+                <div className="w-full h-1.5 bg-neutral-300 dark:bg-neutral-700 rounded-full overflow-hidden">
+                    <div
+                        className="h-full bg-red-500 rounded-full transition-all duration-100"
+                        style={{ width: `${progress}%` }}
+                    />
+                </div>
+            )}
+
+            {/* What happened to the captured frames */}
+            <p className="text-xs text-neutral-600 dark:text-neutral-400 tabular-nums">
+                {stats.kept} kept · {stats.duplicates} near-duplicate{stats.duplicates === 1 ? '' : 's'} skipped · {stats.noHand} without a hand
+            </p>
+
+            {/* Diversity of all samples of this gesture */}
+            <div className="space-y-1">
+                <p className="text-xs font-medium text-neutral-700 dark:text-neutral-300">
+                    Sample variety: {Math.round(diversity.overall * 100)}%
+                </p>
+                <DiversityBar name="Angle" value={diversity.angle} />
+                <DiversityBar name="Distance" value={diversity.distance} />
+                <DiversityBar name="Both hands" value={diversity.hands} />
+            </div>
+
+            {/* Frames the current model reads as another gesture */}
+            {likelyLabel && (
+                <div role="status" className="px-3 py-2 rounded-lg text-xs bg-amber-50 dark:bg-amber-500/10 border border-amber-200 dark:border-amber-500/30 text-amber-800 dark:text-amber-300 space-y-1.5">
+                    <p>
+                        {mismatchTotal} frame{mismatchTotal === 1 ? '' : 's'} look{mismatchTotal === 1 ? 's' : ''} like {getGestureDisplay(likelyLabel).emoji} {getGestureDisplay(likelyLabel).name} to the current model.
+                        Check your pose — or keep them if you&rsquo;re teaching the model this gesture.
+                    </p>
+                    <button
+                        onClick={handleRemoveMismatches}
+                        className="px-2.5 py-1 rounded-md bg-white dark:bg-neutral-900 border border-amber-300 dark:border-amber-500/30 hover:bg-amber-100 dark:hover:bg-amber-500/15 transition-colors"
+                    >
+                        Remove them
+                    </button>
+                </div>
+            )}
+
+            {/* Controls */}
+            <div className="flex gap-2">
+                {phase === 'done' ? (
+                    <button
+                        onClick={onClose}
+                        className="flex-1 py-2 px-3 rounded-lg text-sm font-medium bg-blue-500 hover:bg-blue-600 text-white border border-blue-600 transition-colors"
+                    >
+                        Close
+                    </button>
+                ) : (
+                    <>
+                        <button
+                            onClick={advance}
+                            className="flex-1 py-2 px-3 rounded-lg text-sm font-medium bg-neutral-100 dark:bg-neutral-800 text-neutral-700 dark:text-neutral-300 border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors"
+                        >
+                            {step + 1 < RECORDING_STEPS.length ? 'Skip Step' : 'Finish Last Step'}
+                        </button>
+                        <button
+                            onClick={finish}
+                            className="flex-1 py-2 px-3 rounded-lg text-sm font-medium bg-neutral-100 dark:bg-neutral-800 text-neutral-700 dark:text-neutral-300 border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors"
+                        >
+                            Stop Recording
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default RecordingWizard;
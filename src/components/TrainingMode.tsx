@@ -1,17 +1,66 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
+import type { LayersModel } from '@tensorflow/tfjs';
 import {
-    GESTURE_LABELS,
+    getGestureLabels,
     MIN_SAMPLES_PER_GESTURE,
-    addSample,
+    removeLabelSamples,
     getSampleCounts,
     canTrain,
     trainModel,
-    clearDataset
+    EPOCHS,
+    canFineTune,
+    fineTuneModel,
+    FINE_TUNE_EPOCHS,
+    clearDataset,
+    deleteProfileDataset,
+    loadDataset,
+    getSamples,
+    deleteSample,
+    exportDataset,
+    importDataset
 } from '../ml/gestureTrainer';
-import { saveUserModel, clearUserModel, hasUserModel } from '../ml/localModelManager';
-import { swapModel, resetToDefaultModel, isUsingUserModel } from '../ml/gestureModel';
-import { GESTURE_DISPLAY } from '../config/gestureConfig';
-import type { TrainingModeProps } from '../types';
+import { datasetToCSV, datasetToJSON, parseLandmarkDataset } from '../ml/landmarkDataset';
+import {
+    saveUserModel,
+    clearUserModel,
+    hasUserModel,
+    loadCustomGestures,
+    saveCustomGestures,
+    deleteProfileData
+} from '../ml/localModelManager';
+import {
+    swapModel,
+    resetToDefaultModel,
+    isUsingUserModel,
+    getModelStatus,
+    switchProfile,
+    loadFineTuneBase
+} from '../ml/gestureModel';
+import {
+    getProfiles,
+    getActiveProfile,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    DEFAULT_PROFILE_ID
+} from '../config/modelProfiles';
+import { deletePhraseSettings } from '../config/phrasePacks';
+import DatasetBrowser from './DatasetBrowser';
+import TrainingReportPanel from './TrainingReportPanel';
+import RecordingWizard from './RecordingWizard';
+import {
+    getGestureDisplay,
+    getCustomGestures,
+    setCustomGestures,
+    labelFromGestureName
+} from '../config/gestureConfig';
+import type {
+    CustomGestureDefinition,
+    FineTuneReport,
+    ModelManifest,
+    TrainingModeProps,
+    TrainingReport
+} from '../types';
 
 /**
  * TrainingMode Component
@@ -19,25 +68,62 @@ import type { TrainingModeProps } from '../types';
  * User-facing UI for personalizing gesture recognition.
  * Allows recording gesture samples, training a model,
  * and managing personalization — all in-browser.
+ * Each profile (modelProfiles.ts) has its own samples, model and gestures.
+ * Recorded samples are stored in IndexedDB and can be browsed and pruned
+ * per gesture, so a model can be retrained later on old + new samples,
+ * and exported/imported as landmark dataset files (landmarkDataset.ts).
+ * Fine-tuning corrects just the recorded gestures on top of the default model.
+ * After training, a report on held-out samples is shown; a model that scores
+ * worse than the one in use is only saved if the user chooses it.
+ * Recording runs as a guided wizard (RecordingWizard) with quality checks.
  */
 
-/** How long to record samples (ms) */
-const RECORD_DURATION = 3000;
+/** One-line summary of what the active model was trained on */
+function describeManifest(manifest: ModelManifest): string {
+    const parts: string[] = [];
+    if (manifest.trainedAt) parts.push(`trained ${new Date(manifest.trainedAt).toLocaleString()}`);
+    if (manifest.fineTunedLabels) {
+        parts.push(`fine-tuned for ${manifest.fineTunedLabels.map(label => getGestureDisplay(label).name).join(', ')}`);
+    }
+    if (manifest.sampleCounts) {
+        const total = Object.values(manifest.sampleCounts).reduce((sum, count) => sum + count, 0);
+        parts.push(`${total} samples`);
+    }
+    if (manifest.validationAccuracy !== null) {
+        parts.push(`${Math.round(manifest.validationAccuracy * 100)}% validation accuracy`);
+    }
+    return parts.length > 0 ? parts.join(' · ') : 'no training details saved';
+}
 
-/** Interval between frame captures (ms) */
-const CAPTURE_INTERVAL = 100;
+function formatAccuracy(accuracy: number): string {
+    return `${Math.round(accuracy * 100)}%`;
+}
 
-function TrainingMode({ landmarksRef, onClose }: TrainingModeProps) {
+function TrainingMode({ handRef, onClose }: TrainingModeProps) {
     const [sampleCounts, setSampleCounts] = useState(getSampleCounts());
     const [recording, setRecording] = useState<string | null>(null);
-    const [recordProgress, setRecordProgress] = useState(0);
     const [isTraining, setIsTraining] = useState(false);
     const [trainProgress, setTrainProgress] = useState({ epoch: 0, total: 0 });
     const [trainStatus, setTrainStatus] = useState<'success' | 'error' | null>(null);
+    const [trainError, setTrainError] = useState<string | null>(null);
+    const [fineTuneReport, setFineTuneReport] = useState<FineTuneReport | null>(null);
+    const [trainReport, setTrainReport] = useState<TrainingReport | null>(null);
+    /** Set while a trained model that scored worse than the current one awaits a decision */
+    const [awaitingChoice, setAwaitingChoice] = useState(false);
+    const pendingModelRef = useRef<LayersModel | null>(null);
     const [hasPersonalized, setHasPersonalized] = useState(false);
-
-    const recordTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
-    const captureIntervalRef = useRef<ReturnType<typeof setInterval> | null>(null);
+    const [modelStatus, setModelStatus] = useState(getModelStatus);
+    const [profiles, setProfiles] = useState(getProfiles);
+    const [activeProfile, setActiveProfile] = useState(getActiveProfile);
+    const [profileName, setProfileName] = useState('');
+    const [profileError, setProfileError] = useState<string | null>(null);
+    const [switchingProfile, setSwitchingProfile] = useState(false);
+    const [browsingLabel, setBrowsingLabel] = useState<string | null>(null);
+    const [datasetMessage, setDatasetMessage] = useState<{ text: string; isError: boolean } | null>(null);
+    const datasetInputRef = useRef<HTMLInputElement>(null);
+    const [customGestures, setCustomGestureList] = useState<CustomGestureDefinition[]>(getCustomGestures());
+    const [newGesture, setNewGesture] = useState({ name: '', emoji: '', phrase: '' });
+    const [customError, setCustomError] = useState<string | null>(null);
 
     // Check if user already has a personalized model
     useEffect(() => {
@@ -49,70 +135,337 @@ function TrainingMode({ landmarksRef, onClose }: TrainingModeProps) {
         setHasPersonalized(isUsingUserModel());
     }, []);
 
+    // Load user-defined gestures saved alongside the model, then the stored samples
+    useEffect(() => {
+        loadCustomGestures().then(async (saved) => {
+            setCustomGestures(saved);
+            setCustomGestureList(getCustomGestures());
+            try {
+                await loadDataset();
+            } catch (err) {
+                console.warn('Failed to load saved samples:', err);
+            }
+            setSampleCounts(getSampleCounts());
+        });
+    }, []);
+
     /**
-     * Start recording samples for a specific gesture.
+     * Drop a trained model the user hasn't chosen to keep.
      */
-    const startRecording = useCallback((label: string) => {
+    const discardPendingModel = useCallback(() => {
+        pendingModelRef.current?.dispose();
+        pendingModelRef.current = null;
+        setAwaitingChoice(false);
+    }, []);
+
+    /**
+     * Activate a profile and reload everything shown for it.
+     */
+    const activateProfile = useCallback(async (profileId: string) => {
+        discardPendingModel();
+        setSwitchingProfile(true);
+        try {
+            await switchProfile(profileId);
+            await loadDataset();
+            setProfileError(null);
+        } catch (err) {
+            setProfileError(`Couldn't load that profile: ${(err as Error).message}`);
+        } finally {
+            setProfiles(getProfiles());
+            setActiveProfile(getActiveProfile());
+            setCustomGestureList(getCustomGestures());
+            setSampleCounts(getSampleCounts());
+            setModelStatus(getModelStatus());
+            setHasPersonalized(await hasUserModel());
+            setTrainStatus(null);
+            setTrainReport(null);
+            setBrowsingLabel(null);
+            setSwitchingProfile(false);
+        }
+    }, [discardPendingModel]);
+
+    const handleSelectProfile = useCallback(async (profileId: string) => {
+        if (recording || isTraining || profileId === activeProfile.id) return;
+        await activateProfile(profileId);
+    }, [recording, isTraining, activeProfile, activateProfile]);
+
+    /**
+     * Create a profile from the name field and switch to it.
+     */
+    const handleCreateProfile = useCallback(async () => {
         if (recording || isTraining) return;
+        try {
+            const profile = createProfile(profileName);
+            setProfileName('');
+            await activateProfile(profile.id);
+        } catch (err) {
+            setProfileError((err as Error).message);
+        }
+    }, [recording, isTraining, profileName, activateProfile]);
+
+    const handleRenameProfile = useCallback(() => {
+        try {
+            renameProfile(activeProfile.id, profileName);
+            setProfileName('');
+            setProfileError(null);
+            setProfiles(getProfiles());
+            setActiveProfile(getActiveProfile());
+        } catch (err) {
+            setProfileError((err as Error).message);
+        }
+    }, [activeProfile, profileName]);
+
+    /**
+     * Delete the active profile and everything stored for it,
+     * then go back to the default profile.
+     */
+    const handleDeleteProfile = useCallback(async () => {
+        if (recording || isTraining || activeProfile.id === DEFAULT_PROFILE_ID) return;
+        if (!confirm(`Delete the "${activeProfile.name}" profile, its model and its samples?`)) return;
+
+        const profileId = activeProfile.id;
+        await activateProfile(DEFAULT_PROFILE_ID);
+        try {
+            deleteProfile(profileId);
+        } catch (err) {
+            setProfileError((err as Error).message);
+            return;
+        }
+        deleteProfileDataset(profileId);
+        deletePhraseSettings(profileId);
+        await deleteProfileData(profileId);
+        setProfiles(getProfiles());
+    }, [recording, isTraining, activeProfile, activateProfile]);
 
+    /**
+     * Persist and register an updated custom gesture list. `beforeRefresh`
+     * runs only once the list is saved. Returns false (with the error
+     * shown) when saving fails — nothing changes then.
+     */
+    const applyCustomGestures = useCallback(async (
+        next: CustomGestureDefinition[],
+        beforeRefresh?: () => void
+    ): Promise<boolean> => {
+        try {
+            await saveCustomGestures(next);
+        } catch (err) {
+            setCustomError(`Couldn't save custom gestures: ${(err as Error).message}`);
+            return false;
+        }
+        beforeRefresh?.();
+        setCustomGestures(next);
+        setCustomGestureList(getCustomGestures());
+        setSampleCounts(getSampleCounts());
+        return true;
+    }, []);
+
+    /**
+     * Create a new gesture class from the form fields.
+     */
+    const handleAddCustomGesture = useCallback(async () => {
+        const name = newGesture.name.trim();
+        const phrase = newGesture.phrase.trim();
+        const label = labelFromGestureName(name);
+
+        if (!label || !phrase) {
+            setCustomError('A custom gesture needs a name and a phrase.');
+            return;
+        }
+        if (getGestureLabels().includes(label)) {
+            setCustomError(`A gesture named "${name}" already exists.`);
+            return;
+        }
+
+        setCustomError(null);
+        const saved = await applyCustomGestures([
+            ...customGestures,
+            { label, name, emoji: newGesture.emoji.trim() || '🤚', phrase }
+        ]);
+        if (saved) setNewGesture({ name: '', emoji: '', phrase: '' });
+    }, [newGesture, customGestures, applyCustomGestures]);
+
+    /**
+     * Delete a custom gesture class, then its recorded samples — only
+     * once the shorter list is saved, so a failed save loses nothing.
+     */
+    const handleRemoveCustomGesture = useCallback(async (label: string) => {
+        if (recording || isTraining) return;
+        setCustomError(null);
+        await applyCustomGestures(
+            customGestures.filter(g => g.label !== label),
+            () => removeLabelSamples(label)
+        );
+    }, [recording, isTraining, customGestures, applyCustomGestures]);
+
+    /**
+     * Delete one bad sample from the dataset browser.
+     */
+    const handleDeleteSample = useCallback((id: string) => {
+        if (recording || isTraining) return;
+        deleteSample(id);
+        setSampleCounts(getSampleCounts());
+    }, [recording, isTraining]);
+
+    /**
+     * Download the active profile's samples as a JSON or CSV dataset file.
+     */
+    const handleExportDataset = useCallback((fileType: 'json' | 'csv') => {
+        const dataset = exportDataset();
+        const text = fileType === 'json' ? datasetToJSON(dataset) : datasetToCSV(dataset);
+        const blob = new Blob([text], { type: fileType === 'json' ? 'application/json' : 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `gesture-dataset-${activeProfile.name.replace(/\W+/g, '-').toLowerCase()}.${fileType}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }, [activeProfile]);
+
+    const handleImportDataset = useCallback(async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || recording || isTraining) return;
+
+        try {
+            const { added, skippedLabels } = importDataset(parseLandmarkDataset(await file.text()));
+            const skipped = skippedLabels.length > 0
+                ? ` Skipped unknown gestures: ${skippedLabels.join(', ')} — add them as custom gestures, then import again.`
+                : '';
+            setDatasetMessage({ text: `Imported ${added} sample${added === 1 ? '' : 's'}.${skipped}`, isError: false });
+            setSampleCounts(getSampleCounts());
+        } catch (err) {
+            setDatasetMessage({ text: err instanceof Error ? err.message : String(err), isError: true });
+        }
+    }, [recording, isTraining]);
+
+    /**
+     * Open the recording wizard for a specific gesture.
+     */
+    const startRecording = useCallback((label: string) => {
+        if (recording || isTraining) return;
         setRecording(label);
-        setRecordProgress(0);
+        setBrowsingLabel(null);
         setTrainStatus(null);
+    }, [recording, isTraining]);
 
-        const startTime = Date.now();
+    const handleSamplesChanged = useCallback(() => {
+        setSampleCounts(getSampleCounts());
+    }, []);
 
-        // Capture frames at regular intervals
-        captureIntervalRef.current = setInterval(() => {
-            const landmarks = landmarksRef.current;
-            if (landmarks && landmarks.length === 21) {
-                addSample(landmarks, label);
-            }
+    const handleWizardClose = useCallback(() => {
+        setRecording(null);
+        setSampleCounts(getSampleCounts());
+    }, []);
 
-            // Update progress
-            const elapsed = Date.now() - startTime;
-            setRecordProgress(Math.min(100, (elapsed / RECORD_DURATION) * 100));
-        }, CAPTURE_INTERVAL);
-
-        // Stop after duration
-        recordTimerRef.current = setTimeout(() => {
-            if (captureIntervalRef.current) clearInterval(captureIntervalRef.current);
-            captureIntervalRef.current = null;
-            setRecording(null);
-            setRecordProgress(0);
-            setSampleCounts(getSampleCounts());
-        }, RECORD_DURATION);
-    }, [recording, isTraining, landmarksRef]);
+    /**
+     * Save a trained model to IndexedDB and hot-swap it in.
+     */
+    const applyTrainedModel = useCallback(async (model: LayersModel) => {
+        await saveUserModel(model);
+        swapModel(model);
+        setModelStatus(getModelStatus());
+
+        setTrainStatus('success');
+        setHasPersonalized(true);
+    }, []);
 
     /**
-     * Train the model using collected samples.
+     * Train the model using collected samples. If it does worse on the
+     * held-out samples than the model in use, ask before replacing it.
      */
     const handleTrain = useCallback(async () => {
         if (!canTrain() || isTraining) return;
 
+        discardPendingModel();
         setIsTraining(true);
         setTrainStatus(null);
-        setTrainProgress({ epoch: 0, total: 50 });
+        setTrainError(null);
+        setFineTuneReport(null);
+        setTrainReport(null);
+        setTrainProgress({ epoch: 0, total: EPOCHS });
 
         try {
-            const model = await trainModel((epoch, total) => {
+            const { model, report } = await trainModel((epoch, total) => {
                 setTrainProgress({ epoch, total });
             });
+            setTrainReport(report);
 
-            // Save to IndexedDB
-            await saveUserModel(model);
-
-            // Hot-swap the active model
-            swapModel(model);
+            if (report.previousAccuracy !== null && report.validationAccuracy < report.previousAccuracy) {
+                pendingModelRef.current = model;
+                setAwaitingChoice(true);
+                return;
+            }
 
-            setTrainStatus('success');
-            setHasPersonalized(true);
+            await applyTrainedModel(model);
         } catch (err) {
             console.error('Training failed:', err);
+            setTrainError(err instanceof Error ? err.message : String(err));
+            setTrainStatus('error');
+        } finally {
+            setIsTraining(false);
+        }
+    }, [isTraining, discardPendingModel, applyTrainedModel]);
+
+    /**
+     * Use the new model even though it scored worse than the current one.
+     */
+    const handleUseNewModel = useCallback(async () => {
+        const model = pendingModelRef.current;
+        if (!model) return;
+        pendingModelRef.current = null;
+        setAwaitingChoice(false);
+
+        try {
+            await applyTrainedModel(model);
+        } catch (err) {
+            console.error('Saving the model failed:', err);
+            setTrainStatus('error');
+        }
+    }, [applyTrainedModel]);
+
+    /**
+     * Fine-tune the default model on the gestures that have enough samples.
+     * The result is dropped if another gesture got worse; if it does worse
+     * on the held-out samples than the model in use, ask before replacing it.
+     */
+    const handleFineTune = useCallback(async () => {
+        if (!canFineTune() || isTraining) return;
+
+        discardPendingModel();
+        setIsTraining(true);
+        setTrainStatus(null);
+        setTrainError(null);
+        setFineTuneReport(null);
+        setTrainReport(null);
+        setTrainProgress({ epoch: 0, total: FINE_TUNE_EPOCHS });
+
+        try {
+            const base = await loadFineTuneBase();
+            const { model, report } = await fineTuneModel(base.model, base.rehearsal, (epoch, total) => {
+                setTrainProgress({ epoch, total });
+            });
+            setFineTuneReport(report);
+
+            if (report.regressedLabels.length > 0) {
+                model.dispose();
+                return;
+            }
+
+            if (report.previousAccuracy !== null && report.validationAccuracy < report.previousAccuracy) {
+                pendingModelRef.current = model;
+                setAwaitingChoice(true);
+                return;
+            }
+
+            await applyTrainedModel(model);
+        } catch (err) {
+            console.error('Fine-tuning failed:', err);
+            setTrainError(err instanceof Error ? err.message : String(err));
             setTrainStatus('error');
         } finally {
             setIsTraining(false);
         }
-    }, [isTraining]);
+    }, [isTraining, discardPendingModel, applyTrainedModel]);
 
     /**
      * Reset personalization — clear dataset, model, revert to default.
@@ -120,25 +473,36 @@ function TrainingMode({ landmarksRef, onClose }: TrainingModeProps) {
     const handleReset = useCallback(async () => {
         if (isTraining || recording) return;
 
+        discardPendingModel();
         clearDataset();
         await clearUserModel();
         await resetToDefaultModel();
+        setModelStatus(getModelStatus());
 
         setSampleCounts(getSampleCounts());
         setTrainStatus(null);
+        setFineTuneReport(null);
+        setTrainReport(null);
         setTrainProgress({ epoch: 0, total: 0 });
         setHasPersonalized(false);
-    }, [isTraining, recording]);
+    }, [isTraining, recording, discardPendingModel]);
 
     // Cleanup on unmount
     useEffect(() => {
         return () => {
-            if (recordTimerRef.current) clearTimeout(recordTimerRef.current);
-            if (captureIntervalRef.current) clearInterval(captureIntervalRef.current);
+            pendingModelRef.current?.dispose();
         };
     }, []);
 
     const allReady = canTrain();
+    const fineTuneReady = canFineTune();
+    // Whichever run produced the model awaiting a choice
+    const comparison = trainReport ?? fineTuneReport;
+
+    // Samples recorded after the active personalized model was trained
+    const trainedCounts = modelStatus.manifest?.sampleCounts ?? {};
+    const newSinceTraining = Object.entries(sampleCounts)
+        .reduce((sum, [label, count]) => sum + Math.max(0, count - (trainedCounts[label] ?? 0)), 0);
 
     return (
         <div className="h-full flex flex-col overflow-hidden bg-white dark:bg-neutral-900">
@@ -162,81 +526,260 @@ function TrainingMode({ landmarksRef, onClose }: TrainingModeProps) {
 
             {/* Scrollable content */}
             <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+                {/* Profile picker — each profile has its own model, samples and phrase settings */}
+                <div className="p-4 rounded-lg border border-neutral-200 dark:border-neutral-700 space-y-2.5">
+                    <div className="flex items-center gap-2">
+                        <label htmlFor="profile-select" className="text-sm font-medium text-neutral-950 dark:text-white flex-shrink-0">
+                            Profile
+                        </label>
+                        <select
+                            id="profile-select"
+                            value={activeProfile.id}
+                            onChange={(e) => handleSelectProfile(e.target.value)}
+                            disabled={switchingProfile || recording !== null || isTraining}
+                            className="flex-1 px-3 py-2 rounded-lg text-sm bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white disabled:opacity-50"
+                        >
+                            {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                    </div>
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            value={profileName}
+                            onChange={(e) => setProfileName(e.target.value)}
+                            placeholder="Profile name"
+                            className="flex-1 min-w-0 px-3 py-2 rounded-lg text-sm bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                        />
+                        <button
+                            onClick={handleCreateProfile}
+                            disabled={switchingProfile || recording !== null || isTraining}
+                            className="px-3 py-2 rounded-lg text-sm font-medium bg-neutral-100 dark:bg-neutral-800 text-neutral-700 dark:text-neutral-300 border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors disabled:opacity-50"
+                            title="Create a profile with this name"
+                        >
+                            ➕ New
+                        </button>
+                        <button
+                            onClick={handleRenameProfile}
+                            disabled={switchingProfile}
+                            className="px-3 py-2 rounded-lg text-sm font-medium bg-neutral-100 dark:bg-neutral-800 text-neutral-700 dark:text-neutral-300 border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors disabled:opacity-50"
+                            title={`Rename "${activeProfile.name}"`}
+                        >
+                            ✏️
+                        </button>
+                        {activeProfile.id !== DEFAULT_PROFILE_ID && (
+                            <button
+                                onClick={handleDeleteProfile}
+                                disabled={switchingProfile || recording !== null || isTraining}
+                                className="px-3 py-2 rounded-lg text-sm text-neutral-500 hover:text-red-600 dark:hover:text-red-400 hover:bg-red-100 dark:hover:bg-red-500/10 transition-colors disabled:opacity-50"
+                                title={`Delete "${activeProfile.name}"`}
+                            >
+                                🗑️
+                            </button>
+                        )}
+                    </div>
+                    {profileError && (
+                        <p className="text-xs text-red-600 dark:text-red-400">{profileError}</p>
+                    )}
+                </div>
+
                 {/* Status badge */}
-                {hasPersonalized && !isTraining && trainStatus !== 'success' && (
+                {modelStatus.source === 'user' && !isTraining && trainStatus !== 'success' && (
                     <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-blue-50 dark:bg-blue-500/10 border border-blue-200 dark:border-blue-500/30">
                         <span className="w-2 h-2 rounded-full bg-blue-500 animate-pulse" />
                         <span className="text-sm text-blue-700 dark:text-blue-400">Using your personalized model</span>
                     </div>
                 )}
 
+                {/* Active model manifest and any refusal / remap notice */}
+                {modelStatus.manifest && (
+                    <p className="text-xs text-neutral-500 dark:text-neutral-400">
+                        {modelStatus.source === 'user' ? 'Personalized' : 'Default'} model: {describeManifest(modelStatus.manifest)}
+                        {modelStatus.source === 'user' && newSinceTraining > 0 && (
+                            <> · {newSinceTraining} new sample{newSinceTraining === 1 ? '' : 's'} since — retrain to include them</>
+                        )}
+                    </p>
+                )}
+                {modelStatus.notice && (
+                    <div role="status" className="px-3 py-2 rounded-lg text-xs bg-amber-50 dark:bg-amber-500/10 border border-amber-200 dark:border-amber-500/30 text-amber-800 dark:text-amber-300">
+                        {modelStatus.notice}
+                    </div>
+                )}
+
                 {/* Instructions */}
                 <div className="p-4 rounded-lg bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700">
                     <p className="text-sm text-neutral-700 dark:text-neutral-300">
-                        <strong>How to train:</strong> Hold each gesture steady, then click &ldquo;Record&rdquo; to collect samples. 
+                        <strong>How to train:</strong> Click &ldquo;Record&rdquo; and follow the prompts — each round asks for a different angle, distance or hand. 
                         Gather at least <strong>{MIN_SAMPLES_PER_GESTURE} samples</strong> per gesture, then train your model.
+                        To fix only a few gestures, record those and fine-tune the default model instead.
                     </p>
                 </div>
 
                 {/* Gesture recording buttons */}
                 <div className="space-y-2.5">
-                    {GESTURE_LABELS.map((label) => {
-                        const info = GESTURE_DISPLAY[label];
+                    {getGestureLabels().map((label) => {
+                        const info = getGestureDisplay(label);
                         const count = sampleCounts[label] || 0;
                         const isRecording = recording === label;
                         const isEnough = count >= MIN_SAMPLES_PER_GESTURE;
+                        const isCustom = customGestures.some(g => g.label === label);
 
                         return (
-                            <div key={label} className="flex items-center gap-3">
-                                {/* Record Button */}
-                                <button
-                                    onClick={() => startRecording(label)}
-                                    disabled={recording !== null || isTraining}
-                                    className={`
-                                        flex-1 flex items-center gap-3 px-4 py-3 rounded-lg text-sm font-medium
-                                        transition-all duration-300 border
-                                        ${isRecording
-                                            ? 'bg-red-100 dark:bg-red-500/15 border-red-300 dark:border-red-500/30 text-red-700 dark:text-red-400 animate-pulse'
-                                            : recording || isTraining
-                                                ? 'bg-neutral-100 dark:bg-neutral-800/30 border-neutral-200 dark:border-neutral-700 text-neutral-500 cursor-not-allowed'
-                                                : 'bg-neutral-50 dark:bg-neutral-800/50 border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white hover:bg-neutral-100 dark:hover:bg-neutral-800'
-                                        }
-                                    `}
-                                >
-                                    <span className="text-xl flex-shrink-0">{info.emoji}</span>
-                                    <span className="flex-1 text-left">
-                                        {isRecording ? `Recording ${info.name}…` : `Record ${info.name}`}
-                                    </span>
-
-                                    {/* Recording progress */}
-                                    {isRecording && (
-                                        <div className="w-20 h-1.5 bg-neutral-300 dark:bg-neutral-700 rounded-full overflow-hidden flex-shrink-0">
-                                            <div
-                                                className="h-full bg-red-500 rounded-full transition-all duration-100"
-                                                style={{ width: `${recordProgress}%` }}
-                                            />
-                                        </div>
+                            <div key={label} className="space-y-2">
+                                <div className="flex items-center gap-3">
+                                    {/* Record Button */}
+                                    <button
+                                        onClick={() => startRecording(label)}
+                                        disabled={recording !== null || isTraining}
+                                        className={`
+                                            flex-1 flex items-center gap-3 px-4 py-3 rounded-lg text-sm font-medium
+                                            transition-all duration-300 border
+                                            ${isRecording
+                                                ? 'bg-red-100 dark:bg-red-500/15 border-red-300 dark:border-red-500/30 text-red-700 dark:text-red-400 animate-pulse'
+                                                : recording || isTraining
+                                                    ? 'bg-neutral-100 dark:bg-neutral-800/30 border-neutral-200 dark:border-neutral-700 text-neutral-500 cursor-not-allowed'
+                                                    : 'bg-neutral-50 dark:bg-neutral-800/50 border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white hover:bg-neutral-100 dark:hover:bg-neutral-800'
+                                            }
+                                        `}
+                                    >
+                                        <span className="text-xl flex-shrink-0">{info.emoji}</span>
+                                        <span className="flex-1 text-left">
+                                            {isRecording ? `Recording ${info.name}…` : `Record ${info.name}`}
+                                        </span>
+                                    </button>
+
+                                    {/* Sample count — opens the dataset browser */}
+                                    <button
+                                        onClick={() => setBrowsingLabel(browsingLabel === label ? null : label)}
+                                        title={`Browse ${info.name} samples`}
+                                        aria-expanded={browsingLabel === label}
+                                        className={`
+                                            min-w-[52px] text-center px-2.5 py-1.5 rounded-lg text-xs font-bold
+                                            transition-all duration-300 border flex-shrink-0 hover:opacity-80
+                                            ${isEnough
+                                                ? 'bg-green-100 dark:bg-green-500/15 text-green-700 dark:text-green-400 border-green-300 dark:border-green-500/30'
+                                                : count > 0
+                                                    ? 'bg-yellow-100 dark:bg-yellow-500/15 text-yellow-700 dark:text-yellow-400 border-yellow-300 dark:border-yellow-500/30'
+                                                    : 'bg-neutral-100 dark:bg-neutral-800/50 text-neutral-600 dark:text-neutral-500 border-neutral-200 dark:border-neutral-700'
+                                            }
+                                        `}
+                                    >
+                                        {count}
+                                    </button>
+
+                                    {/* Delete custom gesture */}
+                                    {isCustom && (
+                                        <button
+                                            onClick={() => handleRemoveCustomGesture(label)}
+                                            disabled={recording !== null || isTraining}
+                                            className="p-2 rounded-lg text-neutral-500 hover:text-red-600 dark:hover:text-red-400 hover:bg-red-100 dark:hover:bg-red-500/10 transition-colors flex-shrink-0 disabled:opacity-50"
+                                            title={`Delete ${info.name}`}
+                                        >
+                                            🗑️
+                                        </button>
                                     )}
-                                </button>
-
-                                {/* Sample count */}
-                                <div className={`
-                                    min-w-[52px] text-center px-2.5 py-1.5 rounded-lg text-xs font-bold
-                                    transition-all duration-300 border flex-shrink-0
-                                    ${isEnough
-                                        ? 'bg-green-100 dark:bg-green-500/15 text-green-700 dark:text-green-400 border-green-300 dark:border-green-500/30'
-                                        : count > 0
-                                            ? 'bg-yellow-100 dark:bg-yellow-500/15 text-yellow-700 dark:text-yellow-400 border-yellow-300 dark:border-yellow-500/30'
-                                            : 'bg-neutral-100 dark:bg-neutral-800/50 text-neutral-600 dark:text-neutral-500 border-neutral-200 dark:border-neutral-700'
-                                    }
-                                `}>
-                                    {count}
                                 </div>
+
+                                {isRecording && (
+                                    <RecordingWizard
+                                        label={label}
+                                        handRef={handRef}
+                                        onSamplesChanged={handleSamplesChanged}
+                                        onClose={handleWizardClose}
+                                    />
+                                )}
+
+                                {browsingLabel === label && (
+                                    <DatasetBrowser
+                                        samples={getSamples(label)}
+                                        onDeleteSample={handleDeleteSample}
+                                        disabled={recording !== null || isTraining}
+                                    />
+                                )}
                             </div>
                         );
                     })}
                 </div>
 
+                {/* Dataset import / export */}
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span className="font-medium text-neutral-950 dark:text-white mr-auto">Samples</span>
+                    <button
+                        onClick={() => handleExportDataset('json')}
+                        disabled={Object.values(sampleCounts).every(c => c === 0)}
+                        className="px-3 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-300 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors disabled:opacity-50"
+                    >
+                        ⬇️ JSON
+                    </button>
+                    <button
+                        onClick={() => handleExportDataset('csv')}
+                        disabled={Object.values(sampleCounts).every(c => c === 0)}
+                        className="px-3 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-300 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors disabled:opacity-50"
+                    >
+                        ⬇️ CSV
+                    </button>
+                    <button
+                        onClick={() => datasetInputRef.current?.click()}
+                        disabled={recording !== null || isTraining}
+                        className="px-3 py-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-300 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors disabled:opacity-50"
+                    >
+                        ⬆️ Import
+                    </button>
+                    <input
+                        ref={datasetInputRef}
+                        type="file"
+                        accept="application/json,.json,text/csv,.csv"
+                        onChange={handleImportDataset}
+                        className="hidden"
+                    />
+                </div>
+                {datasetMessage && (
+                    <p className={`text-xs ${datasetMessage.isError ? 'text-red-600 dark:text-red-400' : 'text-neutral-600 dark:text-neutral-400'}`}>
+                        {datasetMessage.text}
+                    </p>
+                )}
+
+                {/* Add custom gesture */}
+                <div className="p-4 rounded-lg border border-dashed border-neutral-300 dark:border-neutral-700 space-y-2.5">
+                    <p className="text-sm font-medium text-neutral-950 dark:text-white">Add a custom gesture</p>
+                    <div className="flex gap-2">
+                        <input
+                            type="text"
+                            value={newGesture.emoji}
+                            onChange={(e) => setNewGesture({ ...newGesture, emoji: e.target.value })}
+                            placeholder="🤚"
+                            maxLength={4}
+                            className="w-14 px-2 py-2 rounded-lg text-center text-sm bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                        />
+                        <input
+                            type="text"
+                            value={newGesture.name}
+                            onChange={(e) => setNewGesture({ ...newGesture, name: e.target.value })}
+                            placeholder="Gesture name"
+                            className="flex-1 px-3 py-2 rounded-lg text-sm bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                        />
+                    </div>
+                    <input
+                        type="text"
+                        value={newGesture.phrase}
+                        onChange={(e) => setNewGesture({ ...newGesture, phrase: e.target.value })}
+                        placeholder="Corporate phrase, e.g. “Let's double-click on that.”"
+                        className="w-full px-3 py-2 rounded-lg text-sm bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 text-neutral-950 dark:text-white"
+                    />
+                    {customError && (
+                        <p className="text-xs text-red-600 dark:text-red-400">{customError}</p>
+                    )}
+                    <button
+                        onClick={handleAddCustomGesture}
+                        disabled={recording !== null || isTraining}
+                        className="w-full py-2 px-4 rounded-lg text-sm font-medium bg-neutral-100 dark:bg-neutral-800 text-neutral-700 dark:text-neutral-300 border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        ➕ Add Gesture
+                    </button>
+                    <p className="text-xs text-neutral-500 dark:text-neutral-400">
+                        New gestures need samples and a retrain before they can be recognized.
+                    </p>
+                </div>
+
                 {/* Train button and messages */}
                 <div className="pt-4 border-t border-neutral-200 dark:border-neutral-800">
                     <button
@@ -261,6 +804,15 @@ function TrainingMode({ landmarksRef, onClose }: TrainingModeProps) {
                         )}
                     </button>
 
+                    <button
+                        onClick={handleFineTune}
+                        disabled={!fineTuneReady || isTraining || recording !== null}
+                        className="mt-2 w-full py-2.5 px-4 rounded-lg text-sm font-medium bg-neutral-100 dark:bg-neutral-800 text-neutral-700 dark:text-neutral-300 border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Start from the default model and correct only the gestures you recorded"
+                    >
+                        🎯 Fine-tune Default Model
+                    </button>
+
                     {/* Training progress */}
                     {isTraining && (
                         <div className="mt-3 w-full h-2 bg-neutral-200 dark:bg-neutral-700 rounded-full overflow-hidden">
@@ -287,13 +839,65 @@ function TrainingMode({ landmarksRef, onClose }: TrainingModeProps) {
                             <svg className="w-5 h-5 text-red-700 dark:text-red-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                             </svg>
-                            <span className="text-sm text-red-700 dark:text-red-400">Training failed. Try recording more samples.</span>
+                            <span className="text-sm text-red-700 dark:text-red-400">{trainError ?? 'Training failed. Try recording more samples.'}</span>
+                        </div>
+                    )}
+
+                    {/* New model scored worse than the current one: keep which? */}
+                    {awaitingChoice && comparison && comparison.previousAccuracy !== null && (
+                        <div role="status" className="mt-3 px-4 py-3 rounded-lg bg-amber-50 dark:bg-amber-500/10 border border-amber-200 dark:border-amber-500/30 space-y-2">
+                            <p className="text-sm text-amber-800 dark:text-amber-300">
+                                The new model recognizes {formatAccuracy(comparison.validationAccuracy)} of your held-out samples; the current one recognizes {formatAccuracy(comparison.previousAccuracy)}. It hasn&rsquo;t been saved.
+                            </p>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={discardPendingModel}
+                                    className="flex-1 py-2 px-3 rounded-lg text-sm font-medium bg-blue-500 hover:bg-blue-600 text-white border border-blue-600 transition-colors"
+                                >
+                                    Keep Current Model
+                                </button>
+                                <button
+                                    onClick={handleUseNewModel}
+                                    className="flex-1 py-2 px-3 rounded-lg text-sm font-medium bg-neutral-100 dark:bg-neutral-800 text-neutral-700 dark:text-neutral-300 border border-neutral-200 dark:border-neutral-700 hover:bg-neutral-200 dark:hover:bg-neutral-700 transition-colors"
+                                >
+                                    Use New Model
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {trainReport && <TrainingReportPanel report={trainReport} />}
+
+                    {/* Fine-tuning: held-out accuracy per gesture, default model → fine-tuned */}
+                    {fineTuneReport && (
+                        <div className="mt-3 p-3 rounded-lg bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 space-y-1">
+                            {fineTuneReport.regressedLabels.length > 0 && (
+                                <p role="status" className="pb-1 text-xs text-amber-800 dark:text-amber-300">
+                                    Not saved — the fine-tuned model got worse at {fineTuneReport.regressedLabels.map(label => getGestureDisplay(label).name).join(', ')}.
+                                    Record more varied samples, or train from scratch.
+                                </p>
+                            )}
+                            {fineTuneReport.accuracy.map(({ label, before, after }) => {
+                                const corrected = fineTuneReport.correctedLabels.includes(label);
+                                const regressed = fineTuneReport.regressedLabels.includes(label);
+                                return (
+                                    <div key={label} className="flex items-center justify-between text-xs">
+                                        <span className={corrected ? 'font-medium text-neutral-950 dark:text-white' : 'text-neutral-600 dark:text-neutral-400'}>
+                                            {getGestureDisplay(label).emoji} {getGestureDisplay(label).name}{corrected ? ' (corrected)' : ''}
+                                        </span>
+                                        <span className={`tabular-nums ${regressed ? 'text-amber-700 dark:text-amber-400' : 'text-neutral-600 dark:text-neutral-400'}`}>
+                                            {before === null ? 'new' : formatAccuracy(before)} → {formatAccuracy(after)}
+                                        </span>
+                                    </div>
+                                );
+                            })}
                         </div>
                     )}
 
                     {!allReady && !isTraining && (
                         <p className="mt-3 text-xs text-neutral-600 dark:text-neutral-400 text-center">
                             Record at least {MIN_SAMPLES_PER_GESTURE} samples per gesture to train
+                            {fineTuneReady ? '' : `, or ${MIN_SAMPLES_PER_GESTURE} for each gesture to fix (and each custom gesture) to fine-tune`}
                         </p>
                     )}
                 </div>
@@ -0,0 +1,149 @@
+import { getGestureDisplay } from '../config/gestureConfig';
+import type { TrainingReportPanelProps } from '../types';
+
+/**
+ * TrainingReportPanel Component
+ *
+ * How a model just trained in Training Mode does on the samples held out
+ * from training: loss and accuracy curves, per-gesture precision/recall
+ * (like `npm run evaluate`) and a confusion matrix.
+ */
+
+/** Chart size (SVG units) */
+const CHART_WIDTH = 120;
+const CHART_HEIGHT = 48;
+
+function percent(value: number): string {
+    return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Training and validation series of one metric, scaled to the chart.
+ */
+function MetricChart({ title, train, validation, min = 0, max }: {
+    title: string;
+    train: number[];
+    validation: number[];
+    min?: number;
+    max?: number;
+}) {
+    const top = max ?? Math.max(...train, ...validation, 1e-6);
+    const toPoints = (values: number[]) => values
+        .map((v, i) => {
+            const x = values.length > 1 ? (i / (values.length - 1)) * CHART_WIDTH : 0;
+            const y = CHART_HEIGHT - ((Math.min(v, top) - min) / (top - min)) * CHART_HEIGHT;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        })
+        .join(' ');
+
+    return (
+        <div className="flex-1 min-w-0">
+            <p className="mb-1 text-xs text-neutral-600 dark:text-neutral-400">{title}</p>
+            <svg
+                viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                preserveAspectRatio="none"
+                className="w-full h-12 rounded bg-white dark:bg-neutral-900 border border-neutral-200 dark:border-neutral-700 overflow-visible"
+            >
+                <polyline points={toPoints(train)} fill="none" className="stroke-blue-500" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+                <polyline points={toPoints(validation)} fill="none" className="stroke-amber-500" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+            </svg>
+        </div>
+    );
+}
+
+function TrainingReportPanel({ report }: TrainingReportPanelProps) {
+    const { history, labels, confusion, classes } = report;
+    const last = (values: number[]) => values[values.length - 1] ?? 0;
+
+    return (
+        <div className="mt-3 p-3 rounded-lg bg-neutral-50 dark:bg-neutral-800/50 border border-neutral-200 dark:border-neutral-700 space-y-3">
+            <div className="text-xs text-neutral-700 dark:text-neutral-300 space-y-0.5">
+                <p>
+                    <strong>Held-out accuracy: {percent(report.validationAccuracy)}</strong>
+                    {' '}· loss {last(history.valLoss).toFixed(3)}
+                    {' '}<span className="text-neutral-500 dark:text-neutral-400">(training: {percent(last(history.accuracy))} · loss {last(history.loss).toFixed(3)})</span>
+                </p>
+                {report.previousAccuracy !== null && (
+                    <p className="text-neutral-500 dark:text-neutral-400">
+                        Previous model on the same samples: {percent(report.previousAccuracy)}
+                    </p>
+                )}
+            </div>
+
+            {/* Curves: blue = training, amber = held out */}
+            <div className="flex gap-3">
+                <MetricChart title="Loss" train={history.loss} validation={history.valLoss} />
+                <MetricChart title="Accuracy" train={history.accuracy} validation={history.valAccuracy} max={1} />
+            </div>
+            <p className="text-[10px] text-neutral-500 dark:text-neutral-400">
+                <span className="text-blue-500">━</span> training · <span className="text-amber-500">━</span> held out, per epoch
+            </p>
+
+            {/* Per-gesture precision / recall */}
+            <table className="w-full text-xs tabular-nums">
+                <thead>
+                    <tr className="text-neutral-500 dark:text-neutral-400">
+                        <th className="text-left font-normal">Gesture</th>
+                        <th className="text-right font-normal">Precision</th>
+                        <th className="text-right font-normal">Recall</th>
+                        <th className="text-right font-normal">F1</th>
+                        <th className="text-right font-normal">Samples</th>
+                    </tr>
+                </thead>
+                <tbody className="text-neutral-700 dark:text-neutral-300">
+                    {classes.map(({ label, precision, recall, f1, support }) => (
+                        <tr key={label}>
+                            <td className="py-0.5 truncate">{getGestureDisplay(label).emoji} {getGestureDisplay(label).name}</td>
+                            <td className="text-right">{percent(precision)}</td>
+                            <td className="text-right">{percent(recall)}</td>
+                            <td className="text-right">{percent(f1)}</td>
+                            <td className="text-right">{support}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {/* Confusion matrix: rows = recorded gesture, columns = predicted */}
+            <div className="overflow-x-auto">
+                <p className="mb-1 text-xs text-neutral-600 dark:text-neutral-400">Confusion matrix (rows: recorded, columns: predicted)</p>
+                <table className="text-[10px] tabular-nums border-collapse">
+                    <thead>
+                        <tr>
+                            <th />
+                            {labels.map(label => (
+                                <th key={label} className="w-6 font-normal" title={getGestureDisplay(label).name}>
+                                    {getGestureDisplay(label).emoji}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {confusion.map((row, i) => (
+                            <tr key={labels[i]}>
+                                <th className="pr-1 font-normal" title={getGestureDisplay(labels[i]).name}>
+                                    {getGestureDisplay(labels[i]).emoji}
+                                </th>
+                                {row.map((count, j) => (
+                                    <td
+                                        key={labels[j]}
+                                        className={`w-6 h-6 text-center border border-neutral-200 dark:border-neutral-700 ${
+                                            count === 0
+                                                ? 'text-neutral-300 dark:text-neutral-600'
+                                                : i === j
+                                                    ? 'bg-green-100 dark:bg-green-500/15 text-green-700 dark:text-green-400'
+                                                    : 'bg-red-100 dark:bg-red-500/15 text-red-700 dark:text-red-400'
+                                        }`}
+                                    >
+                                        {count}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default TrainingReportPanel;
@@ -8,7 +8,18 @@ import type { VideoFeedProps } from '../types';
  * Displays the webcam feed with a canvas overlay for hand skeleton visualization.
  * Uses the useHandTracking hook for MediaPipe integration.
  */
-function VideoFeed({ onGestureDetected, onLoadingComplete, landmarksRef }: VideoFeedProps) {
+function VideoFeed({
+    onGestureDetected,
+    onLoadingComplete,
+    handRef,
+    onControlGesture,
+    currentGestureType,
+    recognitionPaused,
+    onFrameAnalysis,
+    engineSettings,
+    onGestureLifecycle,
+    onModelStatus
+}: VideoFeedProps) {
     const videoRef = useRef<HTMLVideoElement>(null);
     const canvasRef = useRef<HTMLCanvasElement>(null);
     const containerRef = useRef<HTMLDivElement>(null);
@@ -20,7 +31,14 @@ function VideoFeed({ onGestureDetected, onLoadingComplete, landmarksRef }: Video
         canvasRef,
         onGestureDetected,
         onLoadingComplete,
-        landmarksRef
+        handRef,
+        onControlGesture,
+        currentGestureType,
+        recognitionPaused,
+        onFrameAnalysis,
+        engineSettings,
+        onGestureLifecycle,
+        onModelStatus
     });
 
     // Handle responsive sizing
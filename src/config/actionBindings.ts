@@ -0,0 +1,78 @@
+/**
+ * actionBindings.ts — Control Gesture Action Bindings
+ *
+ * Control gestures (currently the strict pinch) don't produce a phrase —
+ * they drive the app. Each trigger is bound to one action, and the
+ * bindings are persisted in localStorage.
+ *
+ * Adding a control gesture: add it to ControlTrigger (types),
+ * CONTROL_TRIGGERS and DEFAULT_ACTION_BINDINGS, then feed its detector
+ * from the landmark loop in useHandTracking.
+ */
+
+import { readStorage, writeStorage } from './storage';
+import type { ActionBindings, ControlAction, ControlTrigger, GestureDisplayInfo } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+const BINDINGS_STORAGE_KEY = 'action-bindings';
+
+/** Display info for each control gesture */
+export const CONTROL_TRIGGERS: Record<ControlTrigger, GestureDisplayInfo> = {
+    'PINCH': { emoji: '🤏', name: 'Pinch (hold)' }
+};
+
+/** Human-readable action names, in menu order */
+export const CONTROL_ACTIONS: Record<ControlAction, string> = {
+    'toggle-voice': 'Toggle voice',
+    'repeat-phrase': 'Repeat last phrase',
+    'open-training': 'Open Training Mode',
+    'pause-recognition': 'Pause / resume recognition',
+    'none': 'Do nothing'
+};
+
+/** Pinch toggles voice by default, as documented in PINCH_GESTURE_VOICE_TOGGLE.md */
+export const DEFAULT_ACTION_BINDINGS: ActionBindings = {
+    'PINCH': 'toggle-voice'
+};
+
+// ──────────────────────────────────────────────
+// Persistence
+// ──────────────────────────────────────────────
+
+function loadBindings(): ActionBindings {
+    const saved = readStorage<Partial<ActionBindings>>(BINDINGS_STORAGE_KEY, {});
+    const bindings = { ...DEFAULT_ACTION_BINDINGS };
+    for (const trigger of Object.keys(bindings) as ControlTrigger[]) {
+        const action = saved[trigger];
+        // Ignore actions from an older/newer build that this one doesn't know
+        if (action && action in CONTROL_ACTIONS) bindings[trigger] = action;
+    }
+    return bindings;
+}
+
+let bindings: ActionBindings = loadBindings();
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+
+export function getActionBindings(): ActionBindings {
+    return bindings;
+}
+
+export function getActionForTrigger(trigger: ControlTrigger): ControlAction {
+    return bindings[trigger] ?? 'none';
+}
+
+/**
+ * Bind a control gesture to an action and persist the change.
+ */
+export function setActionBinding(trigger: ControlTrigger, action: ControlAction): ActionBindings {
+    const next = { ...bindings, [trigger]: action };
+    writeStorage(BINDINGS_STORAGE_KEY, next);
+    bindings = next;
+    return bindings;
+}
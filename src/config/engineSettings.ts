@@ -0,0 +1,146 @@
+/**
+ * engineSettings.ts — Decision Engine Settings
+ *
+ * Default thresholds for GestureDecisionEngine, the ranges the settings
+ * panel allows, and the user's tuned values. Tuned values are persisted in
+ * localStorage and applied to the live engines without reloading the model.
+ *
+ * Engines never read this module's state themselves — callers pass the
+ * settings in, so tests and replays can run engines with any values.
+ */
+
+import { DECISION_GATES, TIE_BREAK_PREFERENCE } from './gestureConfig';
+import { readStorage, removeStorage, writeStorage } from './storage';
+import type { DecisionEngineSettings, StabilizationMode } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+const SETTINGS_STORAGE_KEY = 'engine-settings';
+
+/** All gates declared in DECISION_GATES run, each with its own confidence floor */
+export const DEFAULT_ENGINE_SETTINGS: DecisionEngineSettings = {
+    stabilityFrames: 8,
+    cooldownMs: 2500,
+    thumbDominanceThreshold: 1.3,
+    disabledGates: [],
+    gateConfidence: {},
+    tieBreakMargin: 0.1,
+    tieBreakPreference: TIE_BREAK_PREFERENCE,
+    stabilizationMode: 'frames',
+    stabilityWindowMs: 250,
+    hysteresisEnter: 0.7,
+    hysteresisExit: 0.4,
+    holdRepeatMs: 0
+};
+
+/** Stabilization modes the panel offers, in display order */
+export const STABILIZATION_MODES: Record<StabilizationMode, { label: string; description: string }> = {
+    frames: { label: 'Identical frames', description: 'N identical frames in a row. One noisy frame starts over.' },
+    ema: { label: 'Smoothed probabilities', description: 'Moving average of the probabilities over time, with hysteresis.' },
+    window: { label: 'Majority in window', description: 'Confidence-weighted majority over the last window, with hysteresis.' }
+};
+
+/** Numeric settings the panel exposes, with their allowed range (and the modes they apply to) */
+export const ENGINE_SETTING_RANGES: Record<
+    | 'stabilityFrames'
+    | 'stabilityWindowMs'
+    | 'hysteresisEnter'
+    | 'hysteresisExit'
+    | 'cooldownMs'
+    | 'holdRepeatMs'
+    | 'thumbDominanceThreshold'
+    | 'tieBreakMargin',
+    { label: string; min: number; max: number; step: number; unit?: string; modes?: StabilizationMode[] }
+> = {
+    stabilityFrames: { label: 'Stability frames', min: 2, max: 30, step: 1, modes: ['frames'] },
+    stabilityWindowMs: { label: 'Stability window', min: 100, max: 2000, step: 50, unit: 'ms', modes: ['ema', 'window'] },
+    hysteresisEnter: { label: 'Accept at score', min: 0.3, max: 1, step: 0.05, modes: ['ema', 'window'] },
+    hysteresisExit: { label: 'Release below score', min: 0, max: 1, step: 0.05, modes: ['ema', 'window'] },
+    cooldownMs: { label: 'Cooldown', min: 0, max: 10000, step: 100, unit: 'ms' },
+    holdRepeatMs: { label: 'Repeat while held (0 = off)', min: 0, max: 10000, step: 250, unit: 'ms' },
+    thumbDominanceThreshold: { label: 'Thumb dominance factor', min: 1, max: 2.5, step: 0.05, unit: '×' },
+    tieBreakMargin: { label: 'Tie-break margin', min: 0, max: 0.3, step: 0.01 }
+};
+
+// ──────────────────────────────────────────────
+// Validation
+// ──────────────────────────────────────────────
+
+/**
+ * Merge saved/partial values over the defaults, dropping anything out of
+ * range or unknown (e.g., saved by an older or newer build).
+ */
+export function sanitizeEngineSettings(raw: Partial<DecisionEngineSettings>): DecisionEngineSettings {
+    const settings: DecisionEngineSettings = { ...DEFAULT_ENGINE_SETTINGS, disabledGates: [], gateConfidence: {} };
+
+    for (const key of Object.keys(ENGINE_SETTING_RANGES) as (keyof typeof ENGINE_SETTING_RANGES)[]) {
+        const value = raw[key];
+        const { min, max } = ENGINE_SETTING_RANGES[key];
+        if (typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max) {
+            settings[key] = key === 'stabilityFrames' ? Math.round(value) : value;
+        }
+    }
+
+    if (Array.isArray(raw.disabledGates)) {
+        settings.disabledGates = raw.disabledGates.filter(name => name in DECISION_GATES);
+    }
+
+    if (raw.gateConfidence && typeof raw.gateConfidence === 'object') {
+        for (const [name, floor] of Object.entries(raw.gateConfidence)) {
+            if (name in DECISION_GATES && typeof floor === 'number' && floor >= 0 && floor <= 1) {
+                settings.gateConfidence[name] = floor;
+            }
+        }
+    }
+
+    if (typeof raw.stabilizationMode === 'string' && raw.stabilizationMode in STABILIZATION_MODES) {
+        settings.stabilizationMode = raw.stabilizationMode;
+    }
+    // Hysteresis only works if a stable label is released below where it was accepted
+    settings.hysteresisExit = Math.min(settings.hysteresisExit, settings.hysteresisEnter);
+
+    if (Array.isArray(raw.tieBreakPreference)) {
+        settings.tieBreakPreference = [...new Set(raw.tieBreakPreference.filter(label => typeof label === 'string'))];
+    }
+
+    return settings;
+}
+
+// ──────────────────────────────────────────────
+// Persistence
+// ──────────────────────────────────────────────
+
+function loadSettings(): DecisionEngineSettings {
+    return sanitizeEngineSettings(readStorage<Partial<DecisionEngineSettings>>(SETTINGS_STORAGE_KEY, {}));
+}
+
+let settings: DecisionEngineSettings = loadSettings();
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+
+export function getEngineSettings(): DecisionEngineSettings {
+    return settings;
+}
+
+/**
+ * Change some settings and persist the result.
+ */
+export function updateEngineSettings(patch: Partial<DecisionEngineSettings>): DecisionEngineSettings {
+    const next = sanitizeEngineSettings({ ...settings, ...patch });
+    writeStorage(SETTINGS_STORAGE_KEY, next);
+    settings = next;
+    return settings;
+}
+
+/**
+ * Forget the tuned values and go back to the defaults.
+ */
+export function resetEngineSettings(): DecisionEngineSettings {
+    removeStorage(SETTINGS_STORAGE_KEY);
+    settings = sanitizeEngineSettings({});
+    return settings;
+}
@@ -8,10 +8,20 @@
  * trainer, and UI components. One file to update, zero duplicates.
  */
 
-import type { GestureDisplayInfo } from '../types';
+import { selectPhrase } from './phrasePacks';
+import type {
+    CustomGestureDefinition,
+    DecisionGateDefinition,
+    GateCheck,
+    GestureDisplayInfo,
+    GestureSequenceDefinition,
+    MotionGestureDefinition,
+    RecordingStep,
+    TwoHandGestureDefinition
+} from '../types';
 
 // ──────────────────────────────────────────────
-// Gesture Labels (order matches model output indices)
+// Built-in Gesture Labels (order matches default model output indices)
 // ──────────────────────────────────────────────
 
 export const GESTURE_LABELS = [
@@ -30,9 +40,65 @@ export const GESTURE_LABELS = [
 /** Union type of all valid gesture labels */
 export type GestureLabel = (typeof GESTURE_LABELS)[number];
 
-/** Total number of gesture classes */
+/** Number of built-in gesture classes (default model output size) */
 export const NUM_CLASSES: number = GESTURE_LABELS.length;
 
+// ──────────────────────────────────────────────
+// User-Defined Gestures (runtime registry)
+// ──────────────────────────────────────────────
+
+/** Prefix for labels created from the Training Mode UI */
+export const CUSTOM_LABEL_PREFIX = 'CUSTOM_';
+
+/**
+ * Custom gestures registered at runtime. Loaded from IndexedDB by
+ * localModelManager and appended after the built-in labels, so the
+ * built-in output indices never shift.
+ */
+let customGestures: CustomGestureDefinition[] = [];
+
+/**
+ * Replace the registered custom gestures.
+ */
+export function setCustomGestures(gestures: CustomGestureDefinition[]): void {
+    customGestures = gestures.filter(g => !(GESTURE_LABELS as readonly string[]).includes(g.label));
+}
+
+/**
+ * Get the registered custom gestures.
+ */
+export function getCustomGestures(): CustomGestureDefinition[] {
+    return customGestures;
+}
+
+/**
+ * Full label set: built-ins first, then custom gestures.
+ * Order matches the output indices of a model trained on this set.
+ */
+export function getGestureLabels(): string[] {
+    return [...GESTURE_LABELS, ...customGestures.map(g => g.label)];
+}
+
+/**
+ * Derive a stable label from a user-entered gesture name.
+ * e.g. "Mic Drop!" → "CUSTOM_MIC_DROP"
+ */
+export function labelFromGestureName(name: string): string {
+    const slug = name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return slug ? `${CUSTOM_LABEL_PREFIX}${slug}` : '';
+}
+
+function findCustomGesture(label: string): CustomGestureDefinition | undefined {
+    return customGestures.find(g => g.label === label);
+}
+
+/**
+ * Look up a non-model gesture (two-hand, sequence or motion) by label.
+ */
+function findCompositeGesture(label: string): { phrase: string; gestureType: string; display: GestureDisplayInfo } | undefined {
+    return TWO_HAND_GESTURES[label] ?? GESTURE_SEQUENCES[label] ?? MOTION_GESTURES[label];
+}
+
 // ──────────────────────────────────────────────
 // ML Label → Corporate Phrase
 // ──────────────────────────────────────────────
@@ -95,9 +161,245 @@ export const GESTURE_TYPE_TO_EMOJI: Record<string, string> = {
     'call-me': '🤙',
     'rock-sign': '🤘',
     'three-fingers': '3️⃣',
-    'four-fingers': '4️⃣'
+    'four-fingers': '4️⃣',
+    'level-set': '🙌',
+    'time-out': '⏸️',
+    'aligned-offline': '🤝',
+    'regroup': '🔁',
+    'wave': '👋',
+    'swipe-left': '👈',
+    'swipe-right': '👉',
+    'loop-in': '🔄'
+};
+
+// ──────────────────────────────────────────────
+// Two-Hand Gestures
+// ──────────────────────────────────────────────
+
+/** Maximum number of hands MediaPipe tracks per frame */
+export const MAX_NUM_HANDS: number = 2;
+
+/**
+ * Combined gestures made with both hands at once.
+ *
+ * Checked in declaration order — the first definition whose hand labels
+ * and pose both match wins. `handLabels` is unordered (left/right agnostic).
+ */
+export const TWO_HAND_GESTURES: Record<string, TwoHandGestureDefinition> = {
+    'TIME_OUT': {
+        phrase: "Let's call a time-out.",
+        gestureType: 'time-out',
+        display: { emoji: '⏸️', name: 'Time-Out' },
+        pose: 'T_SHAPE'
+    },
+    'LEVEL_SET': {
+        phrase: "Let's level-set.",
+        gestureType: 'level-set',
+        display: { emoji: '🙌', name: 'Level-Set' },
+        handLabels: ['OPEN_PALM', 'OPEN_PALM']
+    }
+};
+
+// ──────────────────────────────────────────────
+// Gesture Sequences (combos)
+// ──────────────────────────────────────────────
+
+/**
+ * Ordered combos of accepted gestures that emit one compound phrase.
+ *
+ * Gestures that could start a sequence are held back until the sequence
+ * completes or its window runs out, so the individual phrases never fire
+ * alongside the compound one. Windows aren't declared here: each step
+ * after the first gets the decision engine's cooldown, its stabilization
+ * time and SEQUENCE_STEP_ALLOWANCE_MS (see sequenceWindowMs() in
+ * gestureSequenceRecognizer.ts), so they follow the engine settings.
+ */
+export const GESTURE_SEQUENCES: Record<string, GestureSequenceDefinition> = {
+    'ALIGNED_OFFLINE': {
+        steps: ['THUMBS_UP', 'POINTING_UP'],
+        phrase: "Aligned — let's take it offline.",
+        gestureType: 'aligned-offline',
+        display: { emoji: '🤝', name: 'Aligned Offline' }
+    },
+    'REGROUP': {
+        steps: ['CLOSED_FIST', 'OPEN_PALM', 'CLOSED_FIST'],
+        phrase: "Let's regroup, open the floor, and lock in the deliverables.",
+        gestureType: 'regroup',
+        display: { emoji: '🔁', name: 'Regroup' }
+    }
+};
+
+/** Time (ms) per sequence step to change pose, on top of the engine's cooldown and stabilization */
+export const SEQUENCE_STEP_ALLOWANCE_MS: number = 500;
+
+/** Frame interval (ms) assumed when turning stabilityFrames into time (~30fps) */
+export const SEQUENCE_FRAME_INTERVAL_MS: number = 33;
+
+// ──────────────────────────────────────────────
+// Motion Gestures (dynamic, trajectory-based)
+// ──────────────────────────────────────────────
+
+/**
+ * Gestures recognized from hand movement over time rather than a single
+ * frame. Directions are as the user sees them on the mirrored video.
+ */
+export const MOTION_GESTURES: Record<string, MotionGestureDefinition> = {
+    'WAVE': {
+        pattern: 'WAVE',
+        phrase: "Hi all, just joining — sorry I'm late.",
+        gestureType: 'wave',
+        display: { emoji: '👋', name: 'Wave' }
+    },
+    'SWIPE_LEFT': {
+        pattern: 'SWIPE_LEFT',
+        phrase: "Let's go back to the previous slide.",
+        gestureType: 'swipe-left',
+        display: { emoji: '👈', name: 'Swipe Left' }
+    },
+    'SWIPE_RIGHT': {
+        pattern: 'SWIPE_RIGHT',
+        phrase: "Let's move on to the next agenda item.",
+        gestureType: 'swipe-right',
+        display: { emoji: '👉', name: 'Swipe Right' }
+    },
+    'LOOP_IN': {
+        pattern: 'LOOP',
+        phrase: "Let's loop in the wider team.",
+        gestureType: 'loop-in',
+        display: { emoji: '🔄', name: 'Loop In' }
+    }
 };
 
+// ──────────────────────────────────────────────
+// Decision Gates
+// ──────────────────────────────────────────────
+
+/**
+ * Geometric sanity checks the decision engine applies to raw predictions
+ * before stability voting. When a gate's geometry (or confidence floor)
+ * fails, its label is replaced by the fallback — the class the model most
+ * often confuses it with. Keys are the names shown in decision traces.
+ *
+ * Checked in declaration order; the first failing gate for a label wins.
+ * Gates can be switched off in the engine settings (disabledGates).
+ */
+export const DECISION_GATES: Record<string, DecisionGateDefinition> = {
+    'thumb-dominance': {
+        label: 'THUMBS_UP',
+        check: 'THUMB_DOMINANCE',
+        fallback: 'CLOSED_FIST',
+        display: { emoji: '👍', name: 'Thumbs Up: thumb clearly extended' }
+    },
+    'call-me': {
+        label: 'CALL_ME',
+        check: 'CALL_ME_SHAPE',
+        minConfidence: 0.60, // same as CONFIDENCE_THRESHOLD
+        fallback: 'CLOSED_FIST',
+        display: { emoji: '🤙', name: 'Call Me: thumb + pinky out' }
+    },
+    'ok-circle': {
+        label: 'OK_SIGN',
+        check: 'THUMB_INDEX_CIRCLE',
+        fallback: 'OPEN_PALM',
+        display: { emoji: '👌', name: 'OK: thumb and index touch' }
+    },
+    'peace-two-fingers': {
+        label: 'PEACE_SIGN',
+        check: 'TWO_FINGERS',
+        fallback: 'THREE_FINGERS',
+        display: { emoji: '✌️', name: 'Peace: only index + middle up' }
+    },
+    'four-tucked-thumb': {
+        label: 'FOUR_FINGERS',
+        check: 'TUCKED_THUMB',
+        fallback: 'OPEN_PALM',
+        display: { emoji: '4️⃣', name: 'Four: thumb tucked in' }
+    }
+};
+
+// ──────────────────────────────────────────────
+// Tie-Breaking
+// ──────────────────────────────────────────────
+
+/**
+ * When the model's top two classes are nearly tied, the decision engine
+ * first compares geometric evidence for each (the checks of the gates that
+ * guard the label, plus the extra checks below). If the geometry doesn't
+ * separate them, the label earlier in this list wins — a missed gesture is
+ * cheaper than a wrong phrase. Labels not listed rank after all listed ones.
+ */
+export const TIE_BREAK_PREFERENCE: string[] = [
+    'CLOSED_FIST',
+    'OPEN_PALM',
+    'THREE_FINGERS',
+    'FOUR_FINGERS',
+    'POINTING_UP',
+    'PEACE_SIGN',
+    'OK_SIGN',
+    'ROCK_SIGN',
+    'CALL_ME',
+    'THUMBS_UP'
+];
+
+/** Extra geometric checks used only as tie-break evidence (not as gates) */
+export const TIE_BREAK_EVIDENCE: Record<string, GateCheck[]> = {
+    THREE_FINGERS: ['THREE_FINGERS'],
+    FOUR_FINGERS: ['FOUR_FINGERS']
+};
+
+// ──────────────────────────────────────────────
+// Hand Skeleton (MediaPipe landmark indices)
+// ──────────────────────────────────────────────
+
+/** Bones drawn between landmarks — live overlay and sample thumbnails */
+export const HAND_CONNECTIONS: [number, number][] = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [0, 9], [9, 10], [10, 11], [11, 12],
+    [0, 13], [13, 14], [14, 15], [15, 16],
+    [0, 17], [17, 18], [18, 19], [19, 20],
+    [5, 9], [9, 13], [13, 17], [0, 17]
+];
+
+// ──────────────────────────────────────────────
+// Recording Wizard (Training Mode)
+// ──────────────────────────────────────────────
+
+/**
+ * Guided recording rounds, in order. Each round starts with a countdown
+ * and asks for a different angle, distance or hand, so the samples cover
+ * the ways the gesture is really shown.
+ */
+export const RECORDING_STEPS: RecordingStep[] = [
+    { prompt: 'Face the camera', hint: 'Hold the gesture straight on, at a comfortable distance.' },
+    { prompt: 'Vary the angle', hint: 'Slowly tilt and turn your hand while keeping the gesture.' },
+    { prompt: 'Move closer', hint: 'Bring your hand nearer to the camera.' },
+    { prompt: 'Move back', hint: 'Hold your hand further from the camera.' },
+    { prompt: 'Switch hands', hint: 'Make the same gesture with your other hand.' }
+];
+
+/** Countdown before each recording round (seconds) */
+export const RECORDING_COUNTDOWN_SECONDS: number = 3;
+
+/** Length of a recording round and time between captured frames (ms) */
+export const RECORDING_STEP_DURATION: number = 3000;
+export const RECORDING_CAPTURE_INTERVAL: number = 100;
+
+/**
+ * Frames whose landmarks moved less than this on average (normalized image
+ * units) from an already recorded sample are dropped as near-duplicates.
+ */
+export const NEAR_DUPLICATE_DISTANCE: number = 0.005;
+
+/** A frame "looks like" another gesture when the current model says so this confidently */
+export const MISMATCH_CONFIDENCE: number = 0.85;
+
+/**
+ * Spread at which the diversity indicator is full: range of palm angles
+ * (degrees) and size ratio of the nearest vs. the farthest hand.
+ */
+export const DIVERSITY_TARGETS = { angleRange: 45, distanceRatio: 1.5 } as const;
+
 // ──────────────────────────────────────────────
 // ML Model Configuration
 // ──────────────────────────────────────────────
@@ -105,6 +407,13 @@ export const GESTURE_TYPE_TO_EMOJI: Record<string, string> = {
 /** Input shape: 21 landmarks × 3 coordinates (x, y, z) */
 export const INPUT_FEATURES: number = 63;
 
+/**
+ * Feature pipeline version written into every newly trained model
+ * (see landmarkFeatures.ts). Bump when the features change, so models
+ * trained on the old features keep getting the features they expect.
+ */
+export const PREPROCESSING_VERSION: number = 2;
+
 /** Minimum confidence to accept a prediction */
 export const CONFIDENCE_THRESHOLD: number = 0.60;
 
@@ -114,14 +423,46 @@ export const CONFIDENCE_THRESHOLD: number = 0.60;
 
 /**
  * Get phrase for a gesture label. Returns waiting message for unknown labels.
+ *
+ * Single entry point for phrases: applies the active phrase pack and its
+ * rotation policy, falling back to the default phrase for the label.
+ * Pass `{ rotate: false }` to peek without advancing the rotation
+ * (e.g., for per-frame predictions that may never be accepted).
  */
-export function getPhraseForLabel(label: string): string {
-    return (LABEL_TO_PHRASE as Record<string, string>)[label] || 'Waiting for input…';
+export function getPhraseForLabel(label: string, options: { rotate?: boolean } = {}): string {
+    const fallback = (LABEL_TO_PHRASE as Record<string, string>)[label]
+        || findCustomGesture(label)?.phrase
+        || findCompositeGesture(label)?.phrase;
+    if (!fallback) return 'Waiting for input…';
+    return selectPhrase(label, fallback, options.rotate ?? true);
 }
 
 /**
  * Get UI gesture type for a gesture label. Returns null for unknown labels.
  */
 export function getGestureTypeForLabel(label: string): string | null {
-    return (LABEL_TO_GESTURE_TYPE as Record<string, string>)[label] || null;
+    return (LABEL_TO_GESTURE_TYPE as Record<string, string>)[label]
+        || (findCustomGesture(label) ? label.toLowerCase().replace(/_/g, '-') : null)
+        || findCompositeGesture(label)?.gestureType
+        || null;
+}
+
+/**
+ * Get emoji + display name for any label (built-in, custom, two-hand, sequence or motion).
+ */
+export function getGestureDisplay(label: string): GestureDisplayInfo {
+    const custom = findCustomGesture(label);
+    if (custom) return { emoji: custom.emoji, name: custom.name };
+    return (GESTURE_DISPLAY as Record<string, GestureDisplayInfo>)[label]
+        || findCompositeGesture(label)?.display
+        || { emoji: '🤚', name: label };
+}
+
+/**
+ * Get emoji for a UI gesture type, including custom gestures.
+ */
+export function getEmojiForGestureType(gestureType: string): string {
+    if (GESTURE_TYPE_TO_EMOJI[gestureType]) return GESTURE_TYPE_TO_EMOJI[gestureType];
+    const custom = customGestures.find(g => getGestureTypeForLabel(g.label) === gestureType);
+    return custom?.emoji || '🤚';
 }
@@ -0,0 +1,149 @@
+/**
+ * modelProfiles.ts — Named Personalization Profiles
+ *
+ * A shared kiosk or family laptop can hold one profile per person. Each
+ * profile has its own trained model and custom gestures (localModelManager),
+ * training samples (gestureTrainer) and phrase settings (phrasePacks).
+ * Switching is done through switchProfile() in gestureModel, which reloads
+ * all of them without a page reload.
+ *
+ * The profile list and the last active profile are persisted in
+ * localStorage, so they are known synchronously at startup. Changes are
+ * saved before they take effect: if saving fails, nothing changes.
+ *
+ * The default profile always exists and uses the storage keys from before
+ * profiles existed, so an existing personalized model stays where it was.
+ */
+
+import { readStorage, writeStorage } from './storage';
+import type { ModelProfile } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+const PROFILES_STORAGE_KEY = 'model-profiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'active-model-profile';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_PROFILE: ModelProfile = { id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: '' };
+
+/** Longest profile name accepted */
+const MAX_PROFILE_NAME_LENGTH = 40;
+
+// ──────────────────────────────────────────────
+// Persistence
+// ──────────────────────────────────────────────
+
+function loadProfiles(): ModelProfile[] {
+    const saved = readStorage<Partial<ModelProfile>[]>(PROFILES_STORAGE_KEY, []);
+    const valid = Array.isArray(saved)
+        ? saved.filter((p): p is ModelProfile => typeof p?.id === 'string' && typeof p?.name === 'string')
+        : [];
+    // The default profile always comes first; only its name is stored
+    const savedDefault = valid.find(p => p.id === DEFAULT_PROFILE_ID);
+    return [
+        { ...DEFAULT_PROFILE, name: savedDefault?.name ?? DEFAULT_PROFILE.name },
+        ...valid.filter(p => p.id !== DEFAULT_PROFILE_ID)
+    ];
+}
+
+let profiles: ModelProfile[] = loadProfiles();
+let activeProfileId: string = readStorage<string>(ACTIVE_PROFILE_STORAGE_KEY, DEFAULT_PROFILE_ID);
+if (!profiles.some(p => p.id === activeProfileId)) activeProfileId = DEFAULT_PROFILE_ID;
+
+/** Persist a new profile list, then make it current (unchanged if saving throws). */
+function saveProfiles(next: ModelProfile[]): void {
+    writeStorage(PROFILES_STORAGE_KEY, next);
+    profiles = next;
+}
+
+function normalizeName(name: string): string {
+    const trimmed = name.trim().replace(/\s+/g, ' ');
+    if (!trimmed) throw new Error('Profile name cannot be empty.');
+    if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+        throw new Error(`Profile name must be at most ${MAX_PROFILE_NAME_LENGTH} characters.`);
+    }
+    return trimmed;
+}
+
+function assertUniqueName(name: string, exceptId?: string): void {
+    const clash = profiles.find(p => p.id !== exceptId && p.name.toLowerCase() === name.toLowerCase());
+    if (clash) throw new Error(`A profile named "${clash.name}" already exists.`);
+}
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+
+/**
+ * All profiles, the default one first.
+ */
+export function getProfiles(): ModelProfile[] {
+    return profiles;
+}
+
+export function getActiveProfile(): ModelProfile {
+    return profiles.find(p => p.id === activeProfileId) ?? profiles[0];
+}
+
+/**
+ * Storage key for per-profile data. The default profile keeps the bare
+ * key used before profiles existed.
+ */
+export function profileStorageKey(baseKey: string, profileId: string = activeProfileId): string {
+    return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+}
+
+/**
+ * Create and persist a new (inactive) profile.
+ * Throws if the name is empty, too long or already taken.
+ */
+export function createProfile(name: string): ModelProfile {
+    const cleanName = normalizeName(name);
+    assertUniqueName(cleanName);
+    const profile: ModelProfile = {
+        id: `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: cleanName,
+        createdAt: new Date().toISOString()
+    };
+    saveProfiles([...profiles, profile]);
+    return profile;
+}
+
+/**
+ * Rename a profile. Throws if it doesn't exist or the name is invalid.
+ */
+export function renameProfile(id: string, name: string): ModelProfile {
+    const profile = profiles.find(p => p.id === id);
+    if (!profile) throw new Error(`Unknown profile "${id}".`);
+    const cleanName = normalizeName(name);
+    assertUniqueName(cleanName, id);
+    const renamed = { ...profile, name: cleanName };
+    saveProfiles(profiles.map(p => (p.id === id ? renamed : p)));
+    return renamed;
+}
+
+/**
+ * Remove a profile from the list. The default profile and the active one
+ * can't be deleted — switch away first. Its stored data is removed by
+ * deleteProfileData (localModelManager).
+ */
+export function deleteProfile(id: string): void {
+    if (id === DEFAULT_PROFILE_ID) throw new Error('The default profile cannot be deleted.');
+    if (id === activeProfileId) throw new Error('Switch to another profile before deleting this one.');
+    saveProfiles(profiles.filter(p => p.id !== id));
+}
+
+/**
+ * Remember a profile as the active one. Callers reload the per-profile
+ * state afterwards — see switchProfile in gestureModel.
+ */
+export function setActiveProfileId(id: string): ModelProfile {
+    const profile = profiles.find(p => p.id === id);
+    if (!profile) throw new Error(`Unknown profile "${id}".`);
+    writeStorage(ACTIVE_PROFILE_STORAGE_KEY, id);
+    activeProfileId = id;
+    return profile;
+}
@@ -0,0 +1,339 @@
+/**
+ * phrasePacks.ts — Phrase Packs & Rotation
+ *
+ * A phrase pack maps gesture labels to a LIST of corporate phrases.
+ * The rotation policy picks one phrase each time a gesture is accepted,
+ * so the same line doesn't repeat all day.
+ *
+ * Labels missing from a pack fall back to the default phrase from
+ * gestureConfig (the "Classic" pack is empty and therefore always
+ * falls back). Callers should go through getPhraseForLabel() in
+ * gestureConfig rather than calling selectPhrase() directly.
+ *
+ * Persistence: active pack, rotation policy and user packs are stored
+ * in localStorage. Settings are per profile (modelProfiles.ts); user packs
+ * are shared by all profiles.
+ */
+
+import { profileStorageKey } from './modelProfiles';
+import { readStorage, removeStorage, writeStorage } from './storage';
+import type { PhrasePack, PhraseSettings } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+const SETTINGS_STORAGE_KEY = 'phrase-settings';
+const PACKS_STORAGE_KEY = 'phrase-packs';
+
+/** Identifies exported pack files */
+const PACK_FILE_FORMAT = 'corporate-phrase-pack';
+const PACK_FILE_VERSION = 1;
+
+// ──────────────────────────────────────────────
+// Built-in Packs
+// ──────────────────────────────────────────────
+
+export const BUILT_IN_PHRASE_PACKS: PhrasePack[] = [
+    {
+        id: 'classic',
+        name: 'Classic',
+        phrases: {}
+    },
+    {
+        id: 'startup',
+        name: 'Startup',
+        phrases: {
+            'OPEN_PALM': ["Let's park that in the backlog.", "Hold that thought — we'll iterate on it next sprint."],
+            'CLOSED_FIST': ["Let's refocus on the MVP.", "We need to ship the core loop first."],
+            'THUMBS_UP': ["Love it — let's ship it.", "Huge fan of this, fully bought in.", "This is a total game-changer."],
+            'POINTING_UP': ["Let's take this to Slack.", "Let's async on this."],
+            'PEACE_SIGN': ["The synergy here is off the charts.", "This unlocks real product-market fit."],
+            'OK_SIGN': ["We're crushing our OKRs.", "Velocity looks great this sprint."],
+            'CALL_ME': ["Let's grab a coffee chat after this.", "Ping me and we'll jam on it."],
+            'ROCK_SIGN': ["This is our north star.", "This is P0, all hands on deck."],
+            'THREE_FINGERS': ["Three quick learnings from the last sprint.", "I have three hot takes."],
+            'FOUR_FINGERS': ["Four action items for the standup.", "Let's lock in four next steps."]
+        }
+    },
+    {
+        id: 'consulting',
+        name: 'Consulting',
+        phrases: {
+            'OPEN_PALM': ["Let's put that in the parking lot.", "Let's table that for the next workstream."],
+            'CLOSED_FIST': ["Let's anchor back on the key deliverables.", "We need to boil this down to the core."],
+            'THUMBS_UP': ["That's a clear win-win.", "I'm fully aligned with the recommendation."],
+            'POINTING_UP': ["Let's take this offline.", "Let's double-click on that in a side session."],
+            'PEACE_SIGN': ["We've validated the cross-functional synergies.", "The two workstreams are well aligned."],
+            'OK_SIGN': ["We're tracking to plan.", "The engagement is on time and on budget."],
+            'CALL_ME': ["Let's set up a one-on-one.", "Let's connect bilaterally after this."],
+            'ROCK_SIGN': ["This is a strategic imperative.", "This is the top priority for the steering committee."],
+            'THREE_FINGERS': ["I see three key levers here.", "Let me structure this in three buckets."],
+            'FOUR_FINGERS': ["Four actionable recommendations.", "Let's walk through four next steps."]
+        }
+    },
+    {
+        id: 'legal',
+        name: 'Legal',
+        phrases: {
+            'OPEN_PALM': ["Let's reserve our position on that.", "We'll hold that point in abeyance."],
+            'CLOSED_FIST': ["Let's return to the operative clauses.", "We need to revisit the core obligations."],
+            'THUMBS_UP': ["We have no objection.", "That is acceptable, subject to contract."],
+            'POINTING_UP': ["Let's discuss this without prejudice.", "Let's continue this under privilege."],
+            'PEACE_SIGN': ["Both parties are in agreement.", "We have mutual consent on this point."],
+            'OK_SIGN': ["The matter is proceeding as planned.", "We're in compliance with the timeline."],
+            'CALL_ME': ["Let's confer privately after this.", "Let's have a privileged call afterwards."],
+            'ROCK_SIGN': ["This is a material term.", "This point is non-negotiable."],
+            'THREE_FINGERS': ["I have three points for the record.", "I'd like to raise three issues."],
+            'FOUR_FINGERS': ["Let's review four outstanding items.", "There are four open points in the redline."]
+        }
+    }
+];
+
+export const DEFAULT_PHRASE_SETTINGS: PhraseSettings = {
+    activePackId: 'classic',
+    rotation: 'round-robin',
+    noRepeatWindow: 2
+};
+
+// ──────────────────────────────────────────────
+// Persistence
+// ──────────────────────────────────────────────
+
+function loadSettings(): PhraseSettings {
+    return { ...DEFAULT_PHRASE_SETTINGS, ...readStorage<Partial<PhraseSettings>>(profileStorageKey(SETTINGS_STORAGE_KEY), {}) };
+}
+
+let settings: PhraseSettings = loadSettings();
+let userPacks: PhrasePack[] = readStorage<PhrasePack[]>(PACKS_STORAGE_KEY, []);
+
+function saveUserPacks(next: PhrasePack[]): void {
+    writeStorage(PACKS_STORAGE_KEY, next);
+    userPacks = next;
+}
+
+// ──────────────────────────────────────────────
+// Rotation state (per label)
+// ──────────────────────────────────────────────
+
+interface RotationState {
+    nextIndex: number;
+    history: string[];
+}
+
+const rotationState = new Map<string, RotationState>();
+
+/**
+ * Forget rotation progress (e.g., after switching packs).
+ */
+export function resetPhraseRotation(): void {
+    rotationState.clear();
+}
+
+// ──────────────────────────────────────────────
+// Settings & Pack Management
+// ──────────────────────────────────────────────
+
+export function getPhraseSettings(): PhraseSettings {
+    return settings;
+}
+
+/**
+ * Update and persist phrase settings. Rotation restarts when the pack changes.
+ */
+export function updatePhraseSettings(patch: Partial<PhraseSettings>): PhraseSettings {
+    if (patch.activePackId && patch.activePackId !== settings.activePackId) {
+        resetPhraseRotation();
+    }
+    const next = { ...settings, ...patch };
+    writeStorage(profileStorageKey(SETTINGS_STORAGE_KEY), next);
+    settings = next;
+    return settings;
+}
+
+/**
+ * Re-read the active profile's settings (after switching profiles).
+ */
+export function reloadPhraseSettings(): PhraseSettings {
+    settings = loadSettings();
+    resetPhraseRotation();
+    return settings;
+}
+
+/**
+ * Forget a deleted profile's settings.
+ */
+export function deletePhraseSettings(profileId: string): void {
+    removeStorage(profileStorageKey(SETTINGS_STORAGE_KEY, profileId));
+}
+
+/**
+ * All packs: built-ins first, then user-created/imported ones.
+ */
+export function getAllPhrasePacks(): PhrasePack[] {
+    return [...BUILT_IN_PHRASE_PACKS, ...userPacks];
+}
+
+export function isBuiltInPhrasePack(id: string): boolean {
+    return BUILT_IN_PHRASE_PACKS.some(p => p.id === id);
+}
+
+export function getActivePhrasePack(): PhrasePack {
+    return getAllPhrasePacks().find(p => p.id === settings.activePackId) ?? BUILT_IN_PHRASE_PACKS[0];
+}
+
+/**
+ * A label's phrases trimmed, without blanks or repeats.
+ */
+function cleanPhrases(list: string[]): string[] {
+    return [...new Set(list.map(p => p.trim()).filter(Boolean))];
+}
+
+/**
+ * Create or replace a user pack. Built-in packs are read-only.
+ * Repeated phrases are dropped, so rotation never has duplicates to skip.
+ */
+export function savePhrasePack(pack: PhrasePack): void {
+    if (isBuiltInPhrasePack(pack.id)) {
+        throw new Error(`"${pack.name}" is a built-in pack and cannot be modified.`);
+    }
+    const phrases: Record<string, string[]> = {};
+    for (const [label, list] of Object.entries(pack.phrases)) {
+        const cleaned = cleanPhrases(list);
+        if (cleaned.length > 0) phrases[label] = cleaned;
+    }
+    saveUserPacks([...userPacks.filter(p => p.id !== pack.id), { ...pack, phrases }]);
+    if (pack.id === settings.activePackId) resetPhraseRotation();
+}
+
+/**
+ * Delete a user pack. Falls back to the default pack if it was active.
+ */
+export function deletePhrasePack(id: string): void {
+    saveUserPacks(userPacks.filter(p => p.id !== id));
+    if (settings.activePackId === id) {
+        updatePhraseSettings({ activePackId: DEFAULT_PHRASE_SETTINGS.activePackId });
+    }
+}
+
+// ──────────────────────────────────────────────
+// Import / Export
+// ──────────────────────────────────────────────
+
+/**
+ * Serialize a pack to the JSON file format.
+ */
+export function exportPhrasePack(pack: PhrasePack): string {
+    return JSON.stringify({
+        format: PACK_FILE_FORMAT,
+        version: PACK_FILE_VERSION,
+        id: pack.id,
+        name: pack.name,
+        phrases: pack.phrases
+    }, null, 2);
+}
+
+/**
+ * `baseId`, or `baseId-imported` (then `-imported-2`, …) if a pack already
+ * uses it.
+ */
+function unusedPackId(baseId: string): string {
+    const taken = new Set(getAllPhrasePacks().map(p => p.id));
+    if (!taken.has(baseId)) return baseId;
+    let id = `${baseId}-imported`;
+    for (let n = 2; taken.has(id); n++) id = `${baseId}-imported-${n}`;
+    return id;
+}
+
+/**
+ * Parse and validate a pack file. Throws with a readable message on bad input.
+ * Imported packs get an id no existing pack uses, so importing never
+ * replaces a pack; a clashing name is marked "(imported)".
+ */
+export function parsePhrasePack(json: string): PhrasePack {
+    let data: unknown;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('Phrase pack is not valid JSON.');
+    }
+
+    const obj = data as { format?: unknown; name?: unknown; id?: unknown; phrases?: unknown };
+    if (obj.format !== PACK_FILE_FORMAT) {
+        throw new Error(`Not a phrase pack file (expected format "${PACK_FILE_FORMAT}").`);
+    }
+    if (typeof obj.name !== 'string' || !obj.name.trim()) {
+        throw new Error('Phrase pack is missing a name.');
+    }
+    if (!obj.phrases || typeof obj.phrases !== 'object') {
+        throw new Error('Phrase pack is missing its phrases.');
+    }
+
+    const phrases: Record<string, string[]> = {};
+    for (const [label, list] of Object.entries(obj.phrases as Record<string, unknown>)) {
+        if (!Array.isArray(list) || !list.every(p => typeof p === 'string')) {
+            throw new Error(`Phrases for ${label} must be a list of strings.`);
+        }
+        const cleaned = cleanPhrases(list as string[]);
+        if (cleaned.length > 0) phrases[label] = cleaned;
+    }
+
+    const name = obj.name.trim();
+    const baseId = typeof obj.id === 'string' && obj.id ? obj.id : name.toLowerCase().replace(/\s+/g, '-');
+    const nameTaken = getAllPhrasePacks().some(p => p.name.toLowerCase() === name.toLowerCase());
+
+    return { id: unusedPackId(baseId), name: nameTaken ? `${name} (imported)` : name, phrases };
+}
+
+// ──────────────────────────────────────────────
+// Phrase Selection
+// ──────────────────────────────────────────────
+
+/**
+ * Pick a phrase for a label from the active pack using the rotation policy.
+ *
+ * @param label    Gesture label
+ * @param fallback Phrase to use when the pack has nothing for this label
+ * @param rotate   false = peek at the current phrase without advancing rotation
+ */
+export function selectPhrase(label: string, fallback: string, rotate: boolean = true): string {
+    const candidates = getActivePhrasePack().phrases[label];
+    if (!candidates || candidates.length === 0) return fallback;
+    if (candidates.length === 1) return candidates[0];
+
+    let state = rotationState.get(label);
+    if (!state) {
+        state = { nextIndex: 0, history: [] };
+        rotationState.set(label, state);
+    }
+
+    if (!rotate) return candidates[state.nextIndex % candidates.length];
+
+    let phrase: string;
+    switch (settings.rotation) {
+        case 'random':
+            phrase = candidates[Math.floor(Math.random() * candidates.length)];
+            break;
+
+        case 'no-repeat': {
+            // Never repeat any of the last N phrases (N capped so something is always left,
+            // counting each phrase once in case a pack saved before deduplication repeats one)
+            const window = Math.max(0, Math.min(settings.noRepeatWindow, new Set(candidates).size - 1));
+            const recent = window > 0 ? state.history.slice(-window) : [];
+            const allowed = candidates.filter(p => !recent.includes(p));
+            phrase = allowed[Math.floor(Math.random() * allowed.length)];
+            break;
+        }
+
+        case 'round-robin':
+        default:
+            phrase = candidates[state.nextIndex % candidates.length];
+            break;
+    }
+
+    state.nextIndex = (candidates.indexOf(phrase) + 1) % candidates.length;
+    state.history.push(phrase);
+    if (state.history.length > candidates.length) state.history.shift();
+
+    return phrase;
+}
@@ -0,0 +1,58 @@
+/**
+ * storage.ts — Guarded localStorage Access
+ *
+ * The settings modules (phrase packs, profiles, action bindings, engine
+ * settings) keep their state in memory and persist it as JSON in
+ * localStorage. These helpers are the only place that touches
+ * localStorage for them:
+ *
+ *   - In Node (tests, scripts) there is no localStorage: reads return the
+ *     fallback and writes do nothing.
+ *   - A missing or corrupt entry reads as the fallback.
+ *   - A failed write (storage full or disabled) throws a readable error.
+ *     Callers write first and only then update their in-memory state, so
+ *     memory never holds a change that wasn't saved.
+ */
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+
+/**
+ * Parsed JSON stored under `key`, or `fallback` when there is none or it
+ * can't be read.
+ */
+export function readStorage<T>(key: string, fallback: T): T {
+    if (typeof localStorage === 'undefined') return fallback;
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? ((JSON.parse(raw) as T | null) ?? fallback) : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Store `value` as JSON under `key`. Throws if the browser refuses it.
+ */
+export function writeStorage(key: string, value: unknown): void {
+    if (typeof localStorage === 'undefined') return;
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        const reason = err instanceof Error ? err.message : String(err);
+        throw new Error(`Couldn't save to browser storage (it may be full or disabled): ${reason}`);
+    }
+}
+
+/**
+ * Forget whatever is stored under `key`.
+ */
+export function removeStorage(key: string): void {
+    if (typeof localStorage === 'undefined') return;
+    try {
+        localStorage.removeItem(key);
+    } catch {
+        // Storage disabled — nothing was saved there to remove
+    }
+}
@@ -4,8 +4,22 @@
  * Pipeline:
  * 1. MediaPipe Hands (CDN) → detects 21 hand landmarks per frame
  * 2. TensorFlow.js model (lazy-loaded) → classifies landmarks into gesture labels
- * 3. Gesture Decision Engine → stability voting, gating, cooldown
- * 4. Final gesture + corporate phrase → parent via callback
+ * 3-5. GesturePipeline (camera-independent, also used for session replay):
+ *    3. Gesture Decision Engine → stability voting, gating, cooldown (one per hand)
+ *    4. Two-Hand Recognizer → combined gestures when both hands are visible
+ *    4b. Motion Classifier → dynamic gestures (wave, swipe, loop) per hand
+ *    5. Sequence Recognizer → combos of accepted gestures (e.g., 👍 → ☝️)
+ * 6. Final gesture + corporate phrase → parent via callback
+ *    (plus a per-frame FrameAnalysis per hand for the probability + debug panels)
+ *
+ * Control gestures (strict pinch) are detected on the primary hand in the
+ * same loop and reported via onControlGesture — they still run while
+ * recognition is paused, so a pinch can resume it.
+ *
+ * Every frame's raw hands are offered to landmarkSessionRecorder (with the
+ * paused state and engine settings, so a replay runs the same way), and
+ * its analyses (or the absence of a hand) to decisionTraceRecorder — each
+ * keeps them only while it is recording.
  *
  * Engineering decisions:
  * - MediaPipe loaded from CDN with timeout + retry for resilience
@@ -14,9 +28,27 @@
  */
 
 import { useEffect, useRef, useState } from 'react';
-import { processGestureFrame, onHandLost } from '../ml/gestureDecisionEngine';
-import type { Landmark, GestureDetection } from '../types';
-import type { predictGesture as PredictGestureFn, loadGestureModel as LoadGestureModelFn } from '../ml/gestureModel';
+import { GesturePipeline } from '../ml/gesturePipeline';
+import { landmarkSessionRecorder } from '../ml/landmarkSession';
+import { decisionTraceRecorder } from '../ml/decisionTraceRecorder';
+import { usePinchDetector } from './usePinchDetector';
+import { HAND_CONNECTIONS, MAX_NUM_HANDS } from '../config/gestureConfig';
+import type {
+    Landmark,
+    GestureDetection,
+    AcceptedGesture,
+    ControlTrigger,
+    FrameAnalysis,
+    RecordedHand,
+    DecisionEngineSettings,
+    GestureLifecycleEvent,
+    ModelStatus
+} from '../types';
+import type {
+    predictGesture as PredictGestureFn,
+    loadGestureModel as LoadGestureModelFn,
+    getModelStatus as GetModelStatusFn
+} from '../ml/gestureModel';
 
 /** CDN load timeout (ms) — fail fast if CDN is unreachable */
 const CDN_TIMEOUT_MS = 15000;
@@ -29,7 +61,14 @@ interface UseHandTrackingParams {
     canvasRef: React.RefObject<HTMLCanvasElement | null>;
     onGestureDetected?: (detection: GestureDetection) => void;
     onLoadingComplete?: () => void;
-    landmarksRef?: React.MutableRefObject<Landmark[] | null>;
+    handRef?: React.MutableRefObject<RecordedHand | null>;
+    onControlGesture?: (trigger: ControlTrigger) => void;
+    currentGestureType?: string | null;
+    recognitionPaused?: boolean;
+    onFrameAnalysis?: (analyses: FrameAnalysis[]) => void;
+    engineSettings?: DecisionEngineSettings;
+    onGestureLifecycle?: (events: GestureLifecycleEvent[]) => void;
+    onModelStatus?: (status: ModelStatus) => void;
 }
 
 interface UseHandTrackingReturn {
@@ -41,9 +80,23 @@ interface UseHandTrackingReturn {
 interface GestureModule {
     loadGestureModel: typeof LoadGestureModelFn;
     predictGesture: typeof PredictGestureFn;
+    getModelStatus: typeof GetModelStatusFn;
 }
 
-function useHandTracking({ videoRef, canvasRef, onGestureDetected, onLoadingComplete, landmarksRef }: UseHandTrackingParams): UseHandTrackingReturn {
+function useHandTracking({
+    videoRef,
+    canvasRef,
+    onGestureDetected,
+    onLoadingComplete,
+    handRef,
+    onControlGesture,
+    currentGestureType = null,
+    recognitionPaused = false,
+    onFrameAnalysis,
+    engineSettings,
+    onGestureLifecycle,
+    onModelStatus
+}: UseHandTrackingParams): UseHandTrackingReturn {
     const [isInitialized, setIsInitialized] = useState(false);
     const [isHandDetected, setIsHandDetected] = useState(false);
 
@@ -54,6 +107,35 @@ function useHandTracking({ videoRef, canvasRef, onGestureDetected, onLoadingComp
     /** Lazy-loaded ML module — loaded via dynamic import for code splitting */
     const mlModuleRef = useRef<GestureModule | null>(null);
 
+    /** Recognition state for all hands — created once the ML module has loaded */
+    const pipelineRef = useRef<GesturePipeline | null>(null);
+
+    // The frame loop is set up once — read the latest props through refs
+    const onControlGestureRef = useRef(onControlGesture);
+    onControlGestureRef.current = onControlGesture;
+    const recognitionPausedRef = useRef(recognitionPaused);
+    recognitionPausedRef.current = recognitionPaused;
+    const onFrameAnalysisRef = useRef(onFrameAnalysis);
+    onFrameAnalysisRef.current = onFrameAnalysis;
+    const engineSettingsRef = useRef(engineSettings);
+    engineSettingsRef.current = engineSettings;
+    const onGestureLifecycleRef = useRef(onGestureLifecycle);
+    onGestureLifecycleRef.current = onGestureLifecycle;
+    const onModelStatusRef = useRef(onModelStatus);
+    onModelStatusRef.current = onModelStatus;
+
+    // Retune the live engines when the settings change (no model reload)
+    useEffect(() => {
+        if (engineSettings) pipelineRef.current?.configureEngines(engineSettings);
+    }, [engineSettings]);
+
+    const { detectPinch } = usePinchDetector({
+        onPinch: () => onControlGestureRef.current?.('PINCH'),
+        currentGestureType
+    });
+    const detectPinchRef = useRef(detectPinch);
+    detectPinchRef.current = detectPinch;
+
     useEffect(() => {
         if (initRef.current) return;
         initRef.current = true;
@@ -64,21 +146,10 @@ function useHandTracking({ videoRef, canvasRef, onGestureDetected, onLoadingComp
 
         // ── Draw hand landmarks on canvas overlay ──
         const drawLandmarks = (ctx: CanvasRenderingContext2D, landmarks: Landmark[], width: number, height: number): void => {
-            ctx.clearRect(0, 0, width, height);
-
-            const connections: [number, number][] = [
-                [0, 1], [1, 2], [2, 3], [3, 4],
-                [0, 5], [5, 6], [6, 7], [7, 8],
-                [0, 9], [9, 10], [10, 11], [11, 12],
-                [0, 13], [13, 14], [14, 15], [15, 16],
-                [0, 17], [17, 18], [18, 19], [19, 20],
-                [5, 9], [9, 13], [13, 17], [0, 17]
-            ];
-
             // Skeleton lines
             ctx.strokeStyle = '#00ff88';
             ctx.lineWidth = 3;
-            connections.forEach(([s, e]) => {
+            HAND_CONNECTIONS.forEach(([s, e]) => {
                 ctx.beginPath();
                 ctx.moveTo((1 - landmarks[s].x) * width, landmarks[s].y * height);
                 ctx.lineTo((1 - landmarks[e].x) * width, landmarks[e].y * height);
@@ -96,6 +167,24 @@ function useHandTracking({ videoRef, canvasRef, onGestureDetected, onLoadingComp
             });
         };
 
+        // ── Forward accepted gestures to the parent ──
+        const emitAccepted = (accepted: AcceptedGesture[]): void => {
+            for (const gesture of accepted) {
+                onGestureDetected?.({
+                    phrase: gesture.phrase,
+                    gestureType: gesture.gestureType,
+                    hand: gesture.hand,
+                    confidence: gesture.confidence,
+                    heldMs: gesture.heldMs
+                });
+            }
+        };
+
+        // ── Forward start / hold / end events (skip quiet frames) ──
+        const emitLifecycle = (events: GestureLifecycleEvent[]): void => {
+            if (events.length > 0) onGestureLifecycleRef.current?.(events);
+        };
+
         // ── Load CDN script with timeout + retry ──
         const loadScript = (src: string, retries = CDN_MAX_RETRIES): Promise<void> => {
             return new Promise((resolve, reject) => {
@@ -154,7 +243,13 @@ function useHandTracking({ videoRef, canvasRef, onGestureDetected, onLoadingComp
                 console.log('🧠 Loading ML model (lazy)...');
                 const gestureModule = await import('../ml/gestureModel') as GestureModule;
                 mlModuleRef.current = gestureModule;
-                await gestureModule.loadGestureModel();
+                try {
+                    await gestureModule.loadGestureModel();
+                } finally {
+                    // Which model is active, or why one was refused
+                    onModelStatusRef.current?.(gestureModule.getModelStatus());
+                }
+                pipelineRef.current = new GesturePipeline(gestureModule.predictGesture, engineSettingsRef.current);
                 console.log('✅ ML gesture model ready');
 
                 // Step 3: Initialize MediaPipe Hands
@@ -163,7 +258,7 @@ function useHandTracking({ videoRef, canvasRef, onGestureDetected, onLoadingComp
                 });
 
                 hands.setOptions({
-                    maxNumHands: 1,
+                    maxNumHands: MAX_NUM_HANDS,
                     modelComplexity: 1,
                     minDetectionConfidence: 0.5,
                     minTrackingConfidence: 0.5
@@ -175,36 +270,55 @@ function useHandTracking({ videoRef, canvasRef, onGestureDetected, onLoadingComp
                     if (!ctx) return;
                     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-                    if (results.multiHandLandmarks?.length && results.multiHandLandmarks.length > 0) {
-                        const landmarks = results.multiHandLandmarks[0] as Landmark[];
+                    const now = Date.now();
+                    const pipeline = pipelineRef.current;
+                    const allLandmarks = (results.multiHandLandmarks ?? []) as Landmark[][];
+                    const rawHands: RecordedHand[] = allLandmarks.map((landmarks, i) => ({
+                        handedness: results.multiHandedness?.[i]?.label ?? 'Right',
+                        landmarks
+                    }));
+                    landmarkSessionRecorder.add(rawHands, now, {
+                        paused: recognitionPausedRef.current,
+                        engineSettings: engineSettingsRef.current
+                    });
+
+                    if (allLandmarks.length > 0) {
                         setIsHandDetected(true);
-                        drawLandmarks(ctx, landmarks, canvas.width, canvas.height);
+                        allLandmarks.forEach(lm => drawLandmarks(ctx, lm, canvas.width, canvas.height));
 
-                        // Expose landmarks for Training Mode capture
-                        if (landmarksRef) landmarksRef.current = landmarks;
+                        // Expose the primary hand for Training Mode capture
+                        if (handRef) handRef.current = rawHands[0];
 
-                        // ML classification via lazy-loaded module
-                        if (mlModuleRef.current) {
-                            const mlPrediction = mlModuleRef.current.predictGesture(landmarks);
+                        // Control gestures on the primary hand (hold + cooldown handled by the detector)
+                        detectPinchRef.current(allLandmarks[0]);
 
-                            // Pass through decision engine for stability voting, gating, cooldown
-                            const finalGesture = processGestureFrame(mlPrediction, landmarks);
+                        // Paused: keep tracking for control gestures, but recognize nothing else
+                        if (recognitionPausedRef.current) {
+                            if (pipeline) emitLifecycle(pipeline.reset(now));
+                            return;
+                        }
 
-                            // Only trigger UI update if gesture was accepted by decision engine
-                            if (finalGesture) {
-                                onGestureDetected?.({
-                                    phrase: finalGesture.phrase,
-                                    gestureType: finalGesture.gestureType
-                                });
-                            }
+                        // ML classification → decision engines → composite recognizers
+                        if (pipeline) {
+                            const { accepted, lifecycle, analyses } = pipeline.processFrame(rawHands, now);
+                            emitAccepted(accepted);
+                            emitLifecycle(lifecycle);
+                            decisionTraceRecorder.add(analyses, now);
+                            onFrameAnalysisRef.current?.(analyses);
                         }
                     } else {
                         // Hand disappeared
                         setIsHandDetected(false);
-                        if (landmarksRef) landmarksRef.current = null;
-
-                        // Notify decision engine that hand is gone
-                        onHandLost();
+                        if (handRef) handRef.current = null;
+
+                        // Reset per-hand state; release any held sequence steps
+                        detectPinchRef.current([]);
+                        decisionTraceRecorder.add([], now);
+                        if (pipeline) {
+                            const { accepted, lifecycle } = pipeline.processFrame([], now);
+                            emitAccepted(accepted);
+                            emitLifecycle(lifecycle);
+                        }
 
                         // Trigger "waiting" state
                         onGestureDetected?.({
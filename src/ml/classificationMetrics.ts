@@ -0,0 +1,55 @@
+/**
+ * classificationMetrics.ts — Confusion Matrix & Per-Class Metrics
+ *
+ * Shared by Training Mode's quality report (gestureTrainer.ts, on the
+ * user's held-out samples) and scripts/evaluateModel.mjs (on synthetic
+ * test data), so both report precision and recall the same way.
+ * No TF.js here, so the Node scripts can import it.
+ */
+
+import type { ClassMetrics } from '../types';
+
+/**
+ * Count (actual, predicted) pairs into a confusion matrix.
+ * confusion[i][j] = samples of labels[i] predicted as labels[j];
+ * predictions outside `labels` (null = no usable output) aren't counted.
+ */
+export function buildConfusionMatrix(
+    labels: readonly string[],
+    results: { actual: string; predicted: string | null }[]
+): number[][] {
+    const confusion = labels.map(() => new Array<number>(labels.length).fill(0));
+    for (const { actual, predicted } of results) {
+        const row = labels.indexOf(actual);
+        const col = predicted === null ? -1 : labels.indexOf(predicted);
+        if (row !== -1 && col !== -1) confusion[row][col]++;
+    }
+    return confusion;
+}
+
+/**
+ * Precision, recall, F1 and support per label (rows = true, cols = predicted).
+ * A metric with nothing to divide by is 0.
+ */
+export function computeClassMetrics(labels: readonly string[], confusion: number[][]): ClassMetrics[] {
+    return labels.map((label, i) => {
+        const tp = confusion[i][i];
+        const fp = confusion.reduce((sum, row, r) => sum + (r !== i ? row[i] : 0), 0);
+        const fn = confusion[i].reduce((sum, val, c) => sum + (c !== i ? val : 0), 0);
+        const support = confusion[i].reduce((a, b) => a + b, 0);
+
+        const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+        const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+        const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+        return { label, precision, recall, f1, support };
+    });
+}
+
+/**
+ * Share of all counted samples on the diagonal; 0 for an empty matrix.
+ */
+export function overallAccuracy(confusion: number[][]): number {
+    const total = confusion.flat().reduce((a, b) => a + b, 0);
+    const correct = confusion.reduce((sum, row, i) => sum + row[i], 0);
+    return total > 0 ? correct / total : 0;
+}
@@ -0,0 +1,256 @@
+/**
+ * decisionGates.ts — Geometric Decision Gates
+ *
+ * The model sometimes reports a confident label the hand isn't actually
+ * making (a fist with the thumb peeking out read as THUMBS_UP, three
+ * fingers read as PEACE_SIGN, ...). Gates declared in DECISION_GATES
+ * (config) name one of the checks below; when the landmarks fail the
+ * check, or the confidence is under the gate's floor, the raw label is
+ * replaced by the gate's fallback before stability voting.
+ *
+ * Checks are pure functions of the 21 landmarks (plus engine settings for
+ * tunable thresholds) and are scale-invariant: distances are compared to
+ * each other or to the palm size (wrist → middle finger MCP), never to
+ * absolute image coordinates.
+ *
+ * The same checks serve as evidence when the model's top two classes are
+ * nearly tied (breakTie): the candidate whose geometry fits wins, else the
+ * conservative ordering in the settings decides. A near-tie splits the
+ * probability, so its top class is usually under CONFIDENCE_THRESHOLD and
+ * predictGesture reports 'NONE' — findNearTie recovers it from the raw
+ * distribution so the engine can settle it.
+ *
+ * Adding a gate: add its check to GateCheck (types) and GATE_CHECKS below,
+ * then declare it in DECISION_GATES.
+ */
+
+import { CONFIDENCE_THRESHOLD, DECISION_GATES, TIE_BREAK_EVIDENCE } from '../config/gestureConfig';
+import type { DecisionEngineSettings, DecisionGate, GateCheck, Landmark, TieBreak } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+/** MediaPipe hand landmark indices */
+const LANDMARKS = {
+    WRIST: 0,
+    THUMB_TIP: 4,
+    INDEX_MCP: 5,
+    INDEX_PIP: 6,
+    INDEX_TIP: 8,
+    MIDDLE_MCP: 9,
+    MIDDLE_PIP: 10,
+    MIDDLE_TIP: 12,
+    RING_PIP: 14,
+    RING_TIP: 16,
+    PINKY_MCP: 17,
+    PINKY_PIP: 18,
+    PINKY_TIP: 20
+} as const;
+
+/** CALL_ME: thumb and pinky must reach this much farther than the curled fingers */
+const CALL_ME_EXTENSION_FACTOR = 1.1;
+
+/** OK_SIGN: thumb and index tips closer than this × palm size count as touching */
+const CIRCLE_MAX_GAP = 0.35;
+
+/** FOUR_FINGERS: a tucked thumb tip lies within this × palm size of the pinky knuckle */
+const TUCKED_THUMB_MAX_REACH = 0.9;
+
+// ──────────────────────────────────────────────
+// Geometry Helpers
+// ──────────────────────────────────────────────
+
+function distance(a: Landmark, b: Landmark): number {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = b.z - a.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/** Wrist → middle finger MCP: a size reference that doesn't change with the pose. */
+function palmSize(landmarks: Landmark[]): number {
+    return distance(landmarks[LANDMARKS.WRIST], landmarks[LANDMARKS.MIDDLE_MCP]);
+}
+
+/** A finger is extended when its tip is farther from the wrist than its PIP joint. */
+function isExtended(landmarks: Landmark[], tip: number, pip: number): boolean {
+    const wrist = landmarks[LANDMARKS.WRIST];
+    return distance(wrist, landmarks[tip]) > distance(wrist, landmarks[pip]);
+}
+
+// ──────────────────────────────────────────────
+// Checks
+// ──────────────────────────────────────────────
+
+/**
+ * Each check returns true when the landmarks support the gated label.
+ */
+export const GATE_CHECKS: Record<GateCheck, (landmarks: Landmark[], settings: DecisionEngineSettings) => boolean> = {
+    /** Thumb tip reaches thumbDominanceThreshold × farther than every other fingertip. */
+    THUMB_DOMINANCE: (landmarks, settings) => {
+        const wrist = landmarks[LANDMARKS.WRIST];
+        const thumbDist = distance(wrist, landmarks[LANDMARKS.THUMB_TIP]);
+        const maxOtherDist = Math.max(
+            ...[LANDMARKS.INDEX_TIP, LANDMARKS.MIDDLE_TIP, LANDMARKS.RING_TIP, LANDMARKS.PINKY_TIP]
+                .map(tip => distance(wrist, landmarks[tip]))
+        );
+        return thumbDist > settings.thumbDominanceThreshold * maxOtherDist;
+    },
+
+    /** Thumb and pinky extended, index/middle/ring curled. */
+    CALL_ME_SHAPE: (landmarks) => {
+        const wrist = landmarks[LANDMARKS.WRIST];
+        const curledMax = Math.max(
+            ...[LANDMARKS.INDEX_TIP, LANDMARKS.MIDDLE_TIP, LANDMARKS.RING_TIP]
+                .map(tip => distance(wrist, landmarks[tip]))
+        );
+        return distance(wrist, landmarks[LANDMARKS.THUMB_TIP]) > CALL_ME_EXTENSION_FACTOR * curledMax
+            && distance(wrist, landmarks[LANDMARKS.PINKY_TIP]) > CALL_ME_EXTENSION_FACTOR * curledMax;
+    },
+
+    /** Thumb and index fingertips touch. */
+    THUMB_INDEX_CIRCLE: (landmarks) => {
+        const gap = distance(landmarks[LANDMARKS.THUMB_TIP], landmarks[LANDMARKS.INDEX_TIP]);
+        return gap < CIRCLE_MAX_GAP * palmSize(landmarks);
+    },
+
+    /** Index and middle extended, ring and pinky curled. */
+    TWO_FINGERS: (landmarks) =>
+        isExtended(landmarks, LANDMARKS.INDEX_TIP, LANDMARKS.INDEX_PIP)
+        && isExtended(landmarks, LANDMARKS.MIDDLE_TIP, LANDMARKS.MIDDLE_PIP)
+        && !isExtended(landmarks, LANDMARKS.RING_TIP, LANDMARKS.RING_PIP)
+        && !isExtended(landmarks, LANDMARKS.PINKY_TIP, LANDMARKS.PINKY_PIP),
+
+    /** Index, middle and ring extended, pinky curled. */
+    THREE_FINGERS: (landmarks) =>
+        isExtended(landmarks, LANDMARKS.INDEX_TIP, LANDMARKS.INDEX_PIP)
+        && isExtended(landmarks, LANDMARKS.MIDDLE_TIP, LANDMARKS.MIDDLE_PIP)
+        && isExtended(landmarks, LANDMARKS.RING_TIP, LANDMARKS.RING_PIP)
+        && !isExtended(landmarks, LANDMARKS.PINKY_TIP, LANDMARKS.PINKY_PIP),
+
+    /** Index, middle, ring and pinky all extended. */
+    FOUR_FINGERS: (landmarks) =>
+        isExtended(landmarks, LANDMARKS.INDEX_TIP, LANDMARKS.INDEX_PIP)
+        && isExtended(landmarks, LANDMARKS.MIDDLE_TIP, LANDMARKS.MIDDLE_PIP)
+        && isExtended(landmarks, LANDMARKS.RING_TIP, LANDMARKS.RING_PIP)
+        && isExtended(landmarks, LANDMARKS.PINKY_TIP, LANDMARKS.PINKY_PIP),
+
+    /** Thumb folded across the palm rather than sticking out. */
+    TUCKED_THUMB: (landmarks) => {
+        const reach = distance(landmarks[LANDMARKS.THUMB_TIP], landmarks[LANDMARKS.PINKY_MCP]);
+        return reach < TUCKED_THUMB_MAX_REACH * palmSize(landmarks);
+    }
+};
+
+// ──────────────────────────────────────────────
+// Gate Evaluation
+// ──────────────────────────────────────────────
+
+/**
+ * Confidence floor for a gate: the user's override, else the gate's own.
+ */
+export function getGateConfidenceFloor(name: DecisionGate, settings: DecisionEngineSettings): number {
+    return settings.gateConfidence[name] ?? DECISION_GATES[name]?.minConfidence ?? 0;
+}
+
+/**
+ * Run the enabled gates for `label`. Returns the (possibly remapped)
+ * label and the name of the gate that remapped it.
+ */
+export function applyDecisionGates(
+    label: string,
+    confidence: number,
+    landmarks: Landmark[],
+    settings: DecisionEngineSettings
+): { label: string; gate: DecisionGate | null } {
+    for (const [name, gate] of Object.entries(DECISION_GATES)) {
+        if (gate.label !== label || settings.disabledGates.includes(name)) continue;
+
+        const passes = GATE_CHECKS[gate.check](landmarks, settings)
+            && confidence >= getGateConfidenceFloor(name, settings);
+        if (!passes) return { label: gate.fallback, gate: name };
+    }
+    return { label, gate: null };
+}
+
+// ──────────────────────────────────────────────
+// Tie-Breaking
+// ──────────────────────────────────────────────
+
+/**
+ * Geometric evidence for a label: +1 when all its checks pass, -1 when
+ * any fails, 0 when nothing checks it. Uses the checks of the label's
+ * enabled gates plus its TIE_BREAK_EVIDENCE (confidence floors don't count).
+ */
+function scoreEvidence(label: string, landmarks: Landmark[], settings: DecisionEngineSettings): number {
+    const checks: GateCheck[] = [
+        ...Object.entries(DECISION_GATES)
+            .filter(([name, gate]) => gate.label === label && !settings.disabledGates.includes(name))
+            .map(([, gate]) => gate.check),
+        ...(TIE_BREAK_EVIDENCE[label] ?? [])
+    ];
+    if (checks.length === 0) return 0;
+    return checks.every(check => GATE_CHECKS[check](landmarks, settings)) ? 1 : -1;
+}
+
+function preferenceRank(label: string, settings: DecisionEngineSettings): number {
+    const index = settings.tieBreakPreference.indexOf(label);
+    return index === -1 ? Infinity : index;
+}
+
+/** The two most probable labels, best first (null when there are fewer than two). */
+function topTwo(probabilities: Record<string, number>): [string, string] | null {
+    const ranked = Object.keys(probabilities).sort((a, b) => probabilities[b] - probabilities[a]);
+    return ranked.length >= 2 ? [ranked[0], ranked[1]] : null;
+}
+
+/**
+ * Top label of a distribution that was rejected as low-confidence only
+ * because its top two classes split the probability: they are within
+ * tieBreakMargin of each other and together reach CONFIDENCE_THRESHOLD.
+ * Null for anything else (including tie-breaking turned off).
+ */
+export function findNearTie(probabilities: Record<string, number>, settings: DecisionEngineSettings): string | null {
+    const pair = topTwo(probabilities);
+    if (settings.tieBreakMargin <= 0 || !pair) return null;
+
+    const [top, runnerUp] = pair;
+    const isTied = probabilities[top] - probabilities[runnerUp] < settings.tieBreakMargin;
+    return isTied && probabilities[top] + probabilities[runnerUp] >= CONFIDENCE_THRESHOLD ? top : null;
+}
+
+/**
+ * Settle a near-tie between the model's top label and the runner-up.
+ * Returns null when there is no runner-up within tieBreakMargin;
+ * otherwise the tie and which label was kept.
+ */
+export function breakTie(
+    label: string,
+    probabilities: Record<string, number>,
+    landmarks: Landmark[],
+    settings: DecisionEngineSettings
+): TieBreak | null {
+    const topProbability = probabilities[label];
+    if (settings.tieBreakMargin <= 0 || topProbability === undefined) return null;
+
+    let runnerUp: string | null = null;
+    for (const [candidate, probability] of Object.entries(probabilities)) {
+        if (candidate === label) continue;
+        if (runnerUp === null || probability > probabilities[runnerUp]) runnerUp = candidate;
+    }
+    if (runnerUp === null) return null;
+
+    const margin = topProbability - probabilities[runnerUp];
+    if (margin >= settings.tieBreakMargin) return null;
+
+    const topEvidence = scoreEvidence(label, landmarks, settings);
+    const runnerUpEvidence = scoreEvidence(runnerUp, landmarks, settings);
+    if (topEvidence !== runnerUpEvidence) {
+        const chosen = runnerUpEvidence > topEvidence ? runnerUp : label;
+        return { top: label, runnerUp, margin, chosen, reason: 'evidence' };
+    }
+
+    const chosen = preferenceRank(runnerUp, settings) < preferenceRank(label, settings) ? runnerUp : label;
+    return { top: label, runnerUp, margin, chosen, reason: 'preference' };
+}
@@ -0,0 +1,89 @@
+/**
+ * decisionTraceRecorder.ts — Decision Engine Trace Recording
+ *
+ * Collects the per-frame FrameAnalysis stream (raw label, confidence,
+ * gated label, gate, stability buffer, cooldown) into a session that can
+ * be downloaded as JSON. Teammates can record a false trigger and attach
+ * the file to a bug report instead of reproducing it live.
+ *
+ * File format: { format: 'corporate-decision-trace', version, recordedAt, frameCount, frames }
+ * where each frame carries `t` = ms since recording started. A frame with
+ * no hand in view is recorded once, with `hand: null`.
+ *
+ * useHandTracking feeds the app-wide `decisionTraceRecorder` from the
+ * frame loop, so a recording keeps every frame whether or not the debug
+ * dock is open.
+ */
+
+import type { FrameAnalysis, RecordedTraceFrame } from '../types';
+
+/** Identifies exported trace files */
+const TRACE_FILE_FORMAT = 'corporate-decision-trace';
+const TRACE_FILE_VERSION = 1;
+
+/** Safety cap (~10 min at 30fps with two hands) so a forgotten recording can't exhaust memory */
+const MAX_RECORDED_FRAMES = 36000;
+
+export class DecisionTraceRecorder {
+    /** Recorded frames, oldest first. */
+    frames: RecordedTraceFrame[];
+
+    /** Wall-clock start of the current recording (0 = not recording). */
+    startedAt: number;
+
+    constructor() {
+        this.frames = [];
+        this.startedAt = 0;
+    }
+
+    /**
+     * Discard any previous recording and start a new one.
+     */
+    start(now: number = Date.now()): void {
+        this.frames = [];
+        this.startedAt = now;
+    }
+
+    stop(): void {
+        this.startedAt = 0;
+    }
+
+    isRecording(): boolean {
+        return this.startedAt !== 0;
+    }
+
+    /**
+     * Append one frame's analyses (one entry per tracked hand); an empty
+     * list records a frame with no hand.
+     */
+    add(analyses: FrameAnalysis[], now: number): void {
+        if (!this.isRecording()) return;
+
+        const entries: Omit<RecordedTraceFrame, 't'>[] = analyses.length > 0
+            ? analyses
+            : [{ timestamp: now, hand: null, probabilities: {}, decision: null, skipped: null }];
+        for (const entry of entries) {
+            if (this.frames.length >= MAX_RECORDED_FRAMES) {
+                this.stop();
+                return;
+            }
+            this.frames.push({ ...entry, t: entry.timestamp - this.startedAt });
+        }
+    }
+
+    /**
+     * Serialize the recording to the trace file format.
+     */
+    toJSON(): string {
+        return JSON.stringify({
+            format: TRACE_FILE_FORMAT,
+            version: TRACE_FILE_VERSION,
+            recordedAt: new Date(this.frames[0]?.timestamp ?? Date.now()).toISOString(),
+            frameCount: this.frames.length,
+            frames: this.frames
+        }, null, 2);
+    }
+}
+
+/** App-wide recorder fed by useHandTracking (no-op unless recording). */
+export const decisionTraceRecorder = new DecisionTraceRecorder();
@@ -8,66 +8,86 @@
  *   3. Spam from a single held gesture
  *
  * Core concepts:
- *   - Thumb Dominance Gate: THUMBS_UP requires thumb to be significantly
- *     more extended than other fingers
- *   - Stability Voting: Require N consecutive frames of same gesture
+ *   - Tie-Breaking: when the top two classes are nearly tied, geometric
+ *     evidence (else a conservative ordering) picks between them — even
+ *     when the split left the top class under the confidence threshold
+ *   - Decision Gates: geometric checks per label (e.g., THUMBS_UP requires
+ *     the thumb to be significantly more extended than other fingers),
+ *     declared in DECISION_GATES and implemented in decisionGates.ts
+ *   - Stability Voting: Require N consecutive frames of same gesture, or
+ *     (stabilizationMode 'ema' / 'window') a time-based smoothed score with
+ *     hysteresis — see temporalSmoother.ts
  *   - Intent Lock: Once a gesture is accepted, lock it for 2–3 seconds
  *     to prevent re-trigger on hand jitter
+ *   - Lifecycle: an accepted gesture 'start's, reports 'hold' (with its
+ *     duration) every frame it is still shown — cooldown included — and
+ *     'end's when the hand shows something else or disappears. With
+ *     holdRepeatMs set, a held gesture is re-emitted at that interval.
  *
  * This is a deterministic, frame-by-frame decision engine.
- * All decisions are explainable and debuggable.
+ * All decisions are explainable and debuggable: every processed frame
+ * leaves a DecisionTrace in `lastDecision` (outcome, gate, stability).
+ *
+ * Each instance has its own thresholds, enabled gates and clock
+ * (DecisionEngineOptions), so one engine per hand, a test engine with a
+ * fake clock and a replay engine with tuned settings can all coexist.
+ * Defaults live in config/engineSettings.ts.
  */
 
 import { getGestureTypeForLabel, getPhraseForLabel } from '../config/gestureConfig';
-import type { Landmark, MLPrediction, StabilityEntry, GestureResult, EngineState } from '../types';
+import { DEFAULT_ENGINE_SETTINGS } from '../config/engineSettings';
+import { applyDecisionGates, breakTie, findNearTie } from './decisionGates';
+import { TemporalSmoother } from './temporalSmoother';
+import type {
+    Landmark,
+    MLPrediction,
+    StabilityEntry,
+    GestureResult,
+    EngineState,
+    DecisionGate,
+    DecisionOutcome,
+    DecisionTrace,
+    DecisionEngineOptions,
+    DecisionEngineSettings,
+    GestureLifecycleEvent,
+    StabilizationTrace,
+    TieBreak
+} from '../types';
 
 // ──────────────────────────────────────────────
 // Configuration
 // ──────────────────────────────────────────────
 
-/** Number of consecutive frames required to stabilize a gesture */
-const STABILITY_FRAMES = 8;
-
-/** Cooldown duration (ms) after accepting a gesture */
-const GESTURE_COOLDOWN_MS = 2500;
-
-/**
- * Thumb dominance threshold for THUMBS_UP.
- * Thumb distance must be AT LEAST this factor greater than max other finger distance.
- * Higher = stricter (fewer false THUMBS_UP).
- */
-const THUMB_DOMINANCE_THRESHOLD = 1.3;
-
 /**
- * Confidence tie-break threshold.
- * If two gestures differ by less than this, prefer the conservative one.
- * Reserved for future use when full probability distributions are exposed.
+ * A held gesture ends once the hand has shown something else for this
+ * long, so a single misread frame doesn't split one hold into two.
  */
-// eslint-disable-next-line @typescript-eslint/no-unused-vars
-const CONFIDENCE_TIE_BREAK_THRESHOLD = 0.1;
-void CONFIDENCE_TIE_BREAK_THRESHOLD;
+const HOLD_RELEASE_MS = 200;
 
 // ──────────────────────────────────────────────
-// MediaPipe hand landmark indices
+// Gesture Decision Engine Class
 // ──────────────────────────────────────────────
 
-const LANDMARKS = {
-    WRIST: 0,
-    THUMB_TIP: 4,
-    INDEX_TIP: 8,
-    MIDDLE_TIP: 12,
-    RING_TIP: 16,
-    PINKY_TIP: 20
-} as const;
+export class GestureDecisionEngine {
+    /**
+     * Thresholds and enabled gates for this instance.
+     * thumbDominanceThreshold: thumb distance must be AT LEAST this factor
+     * greater than max other finger distance. Higher = stricter.
+     */
+    settings: DecisionEngineSettings;
 
-// ──────────────────────────────────────────────
-// Gesture Decision Engine Class
-// ──────────────────────────────────────────────
+    /** Time source used when processFrame() isn't given a timestamp. */
+    clock: () => number;
 
-class GestureDecisionEngine {
-    /** Stability buffer: stores last N predictions to vote on gesture. */
+    /**
+     * Stability buffer: stores last N predictions to vote on gesture
+     * (in the time-based modes, the predictions of the last stabilityWindowMs).
+     */
     stabilityBuffer: StabilityEntry[];
 
+    /** Smoothed scores + hysteresis for the 'ema' and 'window' modes. */
+    smoother: TemporalSmoother;
+
     /** Currently accepted gesture (what we last fired to UI). */
     acceptedGesture: string | null;
 
@@ -77,11 +97,51 @@ class GestureDecisionEngine {
     /** Whether we're currently in cooldown. */
     inCooldown: boolean;
 
-    constructor() {
+    /** Gate that fired in the last _applyDecisionGates() call, if any. */
+    lastGate: DecisionGate | null;
+
+    /** Near-tie settled in the last _applyTieBreaking() call, if any. */
+    lastTieBreak: TieBreak | null;
+
+    /** Explanation of what happened to the most recent frame. */
+    lastDecision: DecisionTrace | null;
+
+    /** Accepted gesture the hand is still showing (drives hold / end / repeats). */
+    heldGesture: { label: string; startedAt: number; lastSeenAt: number; lastEmittedAt: number } | null;
+
+    /** Lifecycle events from the most recent processFrame() / onHandDisappear() / skipFrame() call. */
+    lifecycle: GestureLifecycleEvent[];
+
+    constructor(options: DecisionEngineOptions = {}) {
+        const { clock = Date.now, ...overrides } = options;
+        this.settings = { ...DEFAULT_ENGINE_SETTINGS, ...overrides };
+        this.clock = clock;
         this.stabilityBuffer = [];
+        this.smoother = new TemporalSmoother();
         this.acceptedGesture = null;
         this.acceptedTimestamp = 0;
         this.inCooldown = false;
+        this.lastGate = null;
+        this.lastTieBreak = null;
+        this.lastDecision = null;
+        this.heldGesture = null;
+        this.lifecycle = [];
+    }
+
+    /**
+     * Change thresholds or gates at runtime. In-progress voting is kept;
+     * the stability buffer is trimmed if it is now longer than required.
+     */
+    configure(patch: Partial<DecisionEngineSettings>): void {
+        const previousMode = this.settings.stabilizationMode;
+        this.settings = { ...this.settings, ...patch };
+        if (this.settings.stabilizationMode !== previousMode) {
+            // Votes from another mode mean something else — start over
+            this.stabilityBuffer = [];
+            this.smoother.reset();
+        } else if (this.settings.stabilizationMode === 'frames' && this.stabilityBuffer.length > this.settings.stabilityFrames) {
+            this.stabilityBuffer = this.stabilityBuffer.slice(-this.settings.stabilityFrames);
+        }
     }
 
     /**
@@ -89,121 +149,70 @@ class GestureDecisionEngine {
      */
     reset(): void {
         this.stabilityBuffer = [];
+        this.smoother.reset();
         this.acceptedGesture = null;
         this.acceptedTimestamp = 0;
         this.inCooldown = false;
+        this.lastGate = null;
+        this.lastTieBreak = null;
+        this.lastDecision = null;
+        this.heldGesture = null;
+        this.lifecycle = [];
     }
 
     /**
-     * Compute distance from wrist to a landmark.
-     */
-    _computeDistance(wrist: Landmark, tip: Landmark): number {
-        const dx = tip.x - wrist.x;
-        const dy = tip.y - wrist.y;
-        const dz = tip.z - wrist.z;
-        return Math.sqrt(dx * dx + dy * dy + dz * dz);
-    }
-
-    /**
-     * Check if THUMBS_UP is justified by thumb geometry.
-     *
-     * Logic:
-     *   1. Compute distance from wrist to thumb tip
-     *   2. Compute distances for all other finger tips
-     *   3. THUMBS_UP is only valid if:
-     *      - Thumb distance > THRESHOLD × max(other finger distances)
-     *      - If not, the gesture is likely CLOSED_FIST with thumb peeking out
-     */
-    _validateThumbDominance(landmarks: Landmark[]): boolean {
-        const wrist = landmarks[LANDMARKS.WRIST];
-        const thumbDist = this._computeDistance(wrist, landmarks[LANDMARKS.THUMB_TIP]);
-        const indexDist = this._computeDistance(wrist, landmarks[LANDMARKS.INDEX_TIP]);
-        const middleDist = this._computeDistance(wrist, landmarks[LANDMARKS.MIDDLE_TIP]);
-        const ringDist = this._computeDistance(wrist, landmarks[LANDMARKS.RING_TIP]);
-        const pinkyDist = this._computeDistance(wrist, landmarks[LANDMARKS.PINKY_TIP]);
-
-        const otherFingerDists = [indexDist, middleDist, ringDist, pinkyDist];
-        const maxOtherDist = Math.max(...otherFingerDists);
-
-        return thumbDist > THUMB_DOMINANCE_THRESHOLD * maxOtherDist;
-    }
-
-    /**
-     * Apply confidence-aware tie breaking.
-     * Forward-compatible hook for future ML improvements.
+     * Apply probability-aware tie breaking: if the runner-up is within
+     * tieBreakMargin of the top label, keep whichever the landmarks support
+     * (else the more conservative one per tieBreakPreference).
      */
-    _applyTieBreaking(label: string, _confidence: number, _fullPredictionObject: unknown): string {
-        return label;
+    _applyTieBreaking(label: string, probabilities: Record<string, number>, landmarks: Landmark[]): string {
+        this.lastTieBreak = breakTie(label, probabilities, landmarks, this.settings);
+        return this.lastTieBreak?.chosen ?? label;
     }
 
     /**
      * Apply all decision gates to a raw ML prediction.
      *
      * Gates (in order):
-     *   1. Thumb dominance: if THUMBS_UP, validate thumb extension
-     *   2. Call Me geometry: if CALL_ME, require thumb+pinky extended, others curled
-     *   3. Tie-breaking: if close confidence, prefer conservative gesture
+     *   1. Tie-breaking: if the top two classes are close, pick by
+     *      geometry, then by conservative preference
+     *   2. Geometric gates from DECISION_GATES (thumb dominance, Call Me
+     *      shape, OK circle, ...) validate the chosen label — see decisionGates.ts
      */
-    _applyDecisionGates(label: string, confidence: number, landmarks: Landmark[]): string {
-        // Gate 1: Thumb Dominance for THUMBS_UP
-        if (label === 'THUMBS_UP') {
-            const isValid = this._validateThumbDominance(landmarks);
-            if (!isValid) {
-                return 'CLOSED_FIST';
-            }
-        }
-
-        // Gate 2: Call Me geometry and confidence for CALL_ME
-        if (label === 'CALL_ME') {
-            const isValid = this._validateCallMeGeometry(landmarks);
-            // Use the same threshold as the rest of the app (from config)
-            const CONFIDENCE_THRESHOLD = 0.60;
-            if (!isValid || confidence < CONFIDENCE_THRESHOLD) {
-                // If not valid or not confident, fallback to most likely confusion (fist)
-                return 'CLOSED_FIST';
-            }
-        }
-
-        // Gate 3: Tie-breaking (future-compatible)
-        const finalLabel = this._applyTieBreaking(label, confidence, null);
-        return finalLabel;
-    }
-
-    /**
-     * Validate 'Call Me' gesture geometry: thumb and pinky extended, others curled.
-     * Returns true if geometry matches expected pattern.
-     */
-    _validateCallMeGeometry(landmarks: Landmark[]): boolean {
-        // Indices for tips
-        const WRIST = 0, THUMB_TIP = 4, INDEX_TIP = 8, MIDDLE_TIP = 12, RING_TIP = 16, PINKY_TIP = 20;
-        const wrist = landmarks[WRIST];
-        // Distances from wrist
-        const thumbDist = this._computeDistance(wrist, landmarks[THUMB_TIP]);
-        const pinkyDist = this._computeDistance(wrist, landmarks[PINKY_TIP]);
-        const indexDist = this._computeDistance(wrist, landmarks[INDEX_TIP]);
-        const middleDist = this._computeDistance(wrist, landmarks[MIDDLE_TIP]);
-        const ringDist = this._computeDistance(wrist, landmarks[RING_TIP]);
-        // Require thumb and pinky to be at least 1.1x as extended as the max of the other fingers
-        const curledMax = Math.max(indexDist, middleDist, ringDist);
-        const EXTENSION_FACTOR = 1.1;
-        return thumbDist > EXTENSION_FACTOR * curledMax && pinkyDist > EXTENSION_FACTOR * curledMax;
+    _applyDecisionGates(
+        label: string,
+        confidence: number,
+        landmarks: Landmark[],
+        probabilities: Record<string, number> = {}
+    ): string {
+        // Gate 1: Tie-breaking (the kept label carries the pair's combined probability)
+        const candidate = this._applyTieBreaking(label, probabilities, landmarks);
+        const tie = this.lastTieBreak;
+        const candidateConfidence = tie ? probabilities[tie.top] + probabilities[tie.runnerUp] : confidence;
+
+        // Gate 2: Geometric gates
+        const gated = applyDecisionGates(candidate, candidateConfidence, landmarks, this.settings);
+        this.lastGate = gated.gate;
+        return gated.label;
     }
 
     /**
      * Feed a new frame into the stability voting system.
      */
-    _updateStabilityBuffer(label: string, confidence: number): string | null {
+    _updateStabilityBuffer(label: string, confidence: number, now: number = this.clock()): string | null {
+        const required = this.settings.stabilityFrames;
+
         this.stabilityBuffer.push({
             label,
             confidence,
-            timestamp: Date.now()
+            timestamp: now
         });
 
-        if (this.stabilityBuffer.length > STABILITY_FRAMES) {
+        while (this.stabilityBuffer.length > required) {
             this.stabilityBuffer.shift();
         }
 
-        if (this.stabilityBuffer.length === STABILITY_FRAMES) {
+        if (this.stabilityBuffer.length === required) {
             const allSame = this.stabilityBuffer.every(
                 (p) => p.label === this.stabilityBuffer[0].label
             );
@@ -216,16 +225,35 @@ class GestureDecisionEngine {
         return null;
     }
 
+    /**
+     * Feed a new frame into the time-based smoother ('ema' / 'window').
+     * The stability buffer keeps the frames of the last window for traces.
+     */
+    _updateSmoothedStability(
+        rawLabel: string,
+        label: string,
+        confidence: number,
+        probabilities: Record<string, number>,
+        now: number = this.clock()
+    ): string | null {
+        this.stabilityBuffer.push({ label, confidence, timestamp: now });
+        this.stabilityBuffer = this.stabilityBuffer.filter(
+            entry => entry.timestamp > now - this.settings.stabilityWindowMs
+        );
+
+        return this.smoother.update(rawLabel, label, confidence, probabilities, now, this.settings);
+    }
+
     /**
      * Check if we're in gesture cooldown period.
      */
-    _isInCooldown(): boolean {
+    _isInCooldown(now: number = this.clock()): boolean {
         if (!this.inCooldown || this.acceptedTimestamp === 0) {
             return false;
         }
 
-        const elapsedMs = Date.now() - this.acceptedTimestamp;
-        const stillInCooldown = elapsedMs < GESTURE_COOLDOWN_MS;
+        const elapsedMs = now - this.acceptedTimestamp;
+        const stillInCooldown = elapsedMs < this.settings.cooldownMs;
 
         if (!stillInCooldown) {
             this.inCooldown = false;
@@ -234,64 +262,228 @@ class GestureDecisionEngine {
         return this.inCooldown;
     }
 
+    /**
+     * Number of trailing stability-buffer entries that match the newest one.
+     */
+    _countStableFrames(): number {
+        const buffer = this.stabilityBuffer;
+        if (buffer.length === 0) return 0;
+
+        const newest = buffer[buffer.length - 1].label;
+        let count = 0;
+        for (let i = buffer.length - 1; i >= 0 && buffer[i].label === newest; i--) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Lifecycle event for the held gesture at `now`.
+     */
+    _lifecycleEvent(phase: GestureLifecycleEvent['phase'], now: number): GestureLifecycleEvent {
+        const held = this.heldGesture!;
+        return {
+            phase,
+            label: held.label,
+            gestureType: this._labelToGestureType(held.label),
+            durationMs: (phase === 'end' ? held.lastSeenAt : now) - held.startedAt,
+            timestamp: now
+        };
+    }
+
+    /**
+     * Follow the held gesture with this frame's verdict (null = nothing
+     * recognized). Emits 'hold' while it matches and 'end' once something
+     * else has been shown for HOLD_RELEASE_MS. Returns a repeat of the held
+     * gesture when holdRepeatMs has passed since it was last emitted.
+     * An ended gesture is no longer accepted, so showing it again (once the
+     * cooldown is over) is accepted anew and starts a new hold.
+     */
+    _trackHold(label: string | null, confidence: number, now: number): GestureResult | null {
+        const held = this.heldGesture;
+        if (!held) return null;
+
+        if (label !== held.label) {
+            if (now - held.lastSeenAt >= HOLD_RELEASE_MS) {
+                this.lifecycle.push(this._lifecycleEvent('end', now));
+                this.heldGesture = null;
+                this.acceptedGesture = null;
+            }
+            return null;
+        }
+
+        held.lastSeenAt = now;
+        this.lifecycle.push(this._lifecycleEvent('hold', now));
+
+        const repeatMs = this.settings.holdRepeatMs;
+        if (repeatMs <= 0 || now - held.lastEmittedAt < repeatMs) return null;
+
+        held.lastEmittedAt = now;
+        const heldMs = now - held.startedAt;
+        return {
+            label,
+            gestureType: this._labelToGestureType(label),
+            phrase: this._labelToPhrase(label),
+            reason: `held (${(heldMs / 1000).toFixed(1)}s)`,
+            confidence,
+            heldMs
+        };
+    }
+
+    /**
+     * Smoothed score behind the verdict for `label` (time-based modes only).
+     */
+    _traceStabilization(label: string): StabilizationTrace | null {
+        const { stabilizationMode: mode, hysteresisEnter, hysteresisExit } = this.settings;
+        if (mode === 'frames') return null;
+
+        const heldLabel = this.smoother.heldLabel;
+        return {
+            mode,
+            score: this.smoother.score(label, this.settings),
+            threshold: heldLabel === label ? hysteresisExit : hysteresisEnter,
+            heldLabel
+        };
+    }
+
+    /**
+     * Record why the current frame did (or didn't) produce a gesture.
+     */
+    _recordDecision(
+        outcome: DecisionOutcome,
+        rawLabel: string,
+        gatedLabel: string,
+        confidence: number,
+        gate: DecisionGate | null,
+        tieBreak: TieBreak | null,
+        now: number
+    ): void {
+        this.lastDecision = {
+            rawLabel,
+            gatedLabel,
+            confidence,
+            outcome,
+            gate,
+            tieBreak,
+            stableFrames: this._countStableFrames(),
+            requiredFrames: this.settings.stabilityFrames,
+            stabilization: this._traceStabilization(gatedLabel),
+            cooldownRemainingMs: this.inCooldown
+                ? Math.max(0, this.settings.cooldownMs - (now - this.acceptedTimestamp))
+                : 0,
+            stabilityBuffer: this.stabilityBuffer.map(entry => ({ ...entry }))
+        };
+    }
+
     /**
      * Process a raw ML prediction frame.
      *
      * Pipeline:
+     *   0. A 'NONE' frame whose top two classes are nearly tied is taken
+     *      back as its top class, so tie-breaking can settle it
      *   1. Check if in cooldown → if yes, return null (ignore)
-     *   2. Apply decision gates (thumb dominance, tie-breaking)
-     *   3. Feed into stability voting buffer
+     *   2. Apply decision gates (tie-breaking, thumb dominance, ...)
+     *   3. Feed into stability voting (frame buffer or time-based smoother)
      *   4. If stable, accept gesture
-     *   5. If gesture changed, trigger UI update
+     *   5. If gesture changed, map to phrase and trigger UI update
+     *   6. Otherwise follow the held gesture (hold / end, repeats)
+     *
+     * Lifecycle events for the frame are left in `lifecycle`.
+     *
+     * `now` defaults to this engine's clock; replay passes recorded
+     * timestamps so the same input always produces the same accepted gestures.
      */
-    processFrame(mlPrediction: MLPrediction, landmarks: Landmark[]): GestureResult | null {
-        const { label, confidence } = mlPrediction;
+    processFrame(mlPrediction: MLPrediction, landmarks: Landmark[], now: number = this.clock()): GestureResult | null {
+        const { probabilities = {} } = mlPrediction;
+        let { label, confidence } = mlPrediction;
+        this.lifecycle = [];
+
+        // Below the confidence threshold only because two classes split the probability?
+        const tiedLabel = !label || label === 'NONE' ? findNearTie(probabilities, this.settings) : null;
+        if (tiedLabel) {
+            label = tiedLabel;
+            confidence = probabilities[tiedLabel];
+        }
 
         // Ignore if gesture is null (low confidence from model)
         if (!label || label === 'NONE') {
-            return null;
+            this._recordDecision('low-confidence', 'NONE', 'NONE', confidence, null, null, now);
+            return this._trackHold(null, confidence, now);
         }
 
-        // Check cooldown: ignore all gestures during cooldown
-        if (this._isInCooldown()) {
-            return null;
+        // Check cooldown: ignore all new gestures during cooldown (the held one keeps being tracked)
+        if (this._isInCooldown(now)) {
+            this._recordDecision('cooldown', label, label, confidence, null, null, now);
+            const shown = this.heldGesture ? this._applyDecisionGates(label, confidence, landmarks, probabilities) : null;
+            return this._trackHold(shown, confidence, now);
         }
 
-        // Apply decision gates (thumb dominance, tie-breaking)
-        const gatedLabel = this._applyDecisionGates(label, confidence, landmarks);
-
-        // Map gated label to phrase and gestureType
-        const finalGestureType = this._labelToGestureType(gatedLabel);
-        const finalPhrase = this._labelToPhrase(gatedLabel);
+        // Apply decision gates (tie-breaking, thumb dominance, ...)
+        const gatedLabel = this._applyDecisionGates(label, confidence, landmarks, probabilities);
 
         // Feed into stability voting
-        const stableLabel = this._updateStabilityBuffer(gatedLabel, confidence);
+        const stableLabel = this.settings.stabilizationMode === 'frames'
+            ? this._updateStabilityBuffer(gatedLabel, confidence, now)
+            : this._updateSmoothedStability(label, gatedLabel, confidence, probabilities, now);
 
         // If gesture is stable, check if it's new
         if (stableLabel) {
             if (stableLabel !== this.acceptedGesture) {
+                const votes = this.stabilityBuffer.filter(p => p.label === stableLabel);
+                const meanConfidence = votes.reduce((sum, p) => sum + p.confidence, 0) / votes.length;
+
                 this.acceptedGesture = stableLabel;
-                this.acceptedTimestamp = Date.now();
+                this.acceptedTimestamp = now;
                 this.inCooldown = true;
+                this._recordDecision('accepted', label, gatedLabel, confidence, this.lastGate, this.lastTieBreak, now);
                 this.stabilityBuffer = [];
+                this.smoother.reset();
 
+                if (this.heldGesture) this.lifecycle.push(this._lifecycleEvent('end', now));
+                this.heldGesture = { label: stableLabel, startedAt: now, lastSeenAt: now, lastEmittedAt: now };
+                this.lifecycle.push(this._lifecycleEvent('start', now));
+
+                // Map to phrase only on acceptance — phrase packs rotate per call
                 return {
                     label: stableLabel,
-                    gestureType: finalGestureType,
-                    phrase: finalPhrase,
-                    reason: `stable (${STABILITY_FRAMES} frames)`
+                    gestureType: this._labelToGestureType(stableLabel),
+                    phrase: this._labelToPhrase(stableLabel),
+                    reason: this.settings.stabilizationMode === 'frames'
+                        ? `stable (${this.settings.stabilityFrames} frames)`
+                        : `stable (${this.settings.stabilizationMode}, ${this.settings.stabilityWindowMs}ms)`,
+                    confidence: meanConfidence
                 };
             }
+
+            this._recordDecision('already-accepted', label, gatedLabel, confidence, this.lastGate, this.lastTieBreak, now);
+            return this._trackHold(gatedLabel, confidence, now);
         }
 
-        return null;
+        this._recordDecision('stabilizing', label, gatedLabel, confidence, this.lastGate, this.lastTieBreak, now);
+        return this._trackHold(gatedLabel, confidence, now);
     }
 
     /**
-     * Notify engine that hand disappeared.
+     * Notify engine that hand disappeared. Ends the held gesture, if any
+     * (the 'end' event is left in `lifecycle`).
      */
-    onHandDisappear(): void {
+    onHandDisappear(now: number = this.clock()): void {
+        const ended = this.heldGesture ? this._lifecycleEvent('end', now) : null;
         this.reset();
+        if (ended) this.lifecycle = [ended];
+    }
+
+    /**
+     * Sit out a frame whose pose can't be trusted (the hand is moving, or
+     * is part of a two-hand gesture). Votes in progress are dropped, but the
+     * accepted gesture, its cooldown and its hold are kept: the same pose
+     * afterwards is not accepted again.
+     */
+    skipFrame(): void {
+        this.stabilityBuffer = [];
+        this.smoother.reset();
+        this.lastDecision = null;
+        this.lifecycle = [];
     }
 
     // ──────────────────────────────────────────────
@@ -309,6 +501,7 @@ class GestureDecisionEngine {
 
 // ──────────────────────────────────────────────
 // Export singleton instance
+// (multi-hand callers create one GestureDecisionEngine per hand instead)
 // ──────────────────────────────────────────────
 
 export const gestureDecisionEngine = new GestureDecisionEngine();
@@ -316,8 +509,12 @@ export const gestureDecisionEngine = new GestureDecisionEngine();
 /**
  * Public API: Process a frame through the decision engine.
  */
-export function processGestureFrame(mlPrediction: MLPrediction, landmarks: Landmark[]): GestureResult | null {
-    return gestureDecisionEngine.processFrame(mlPrediction, landmarks);
+export function processGestureFrame(
+    mlPrediction: MLPrediction,
+    landmarks: Landmark[],
+    now: number = gestureDecisionEngine.clock()
+): GestureResult | null {
+    return gestureDecisionEngine.processFrame(mlPrediction, landmarks, now);
 }
 
 /**
@@ -336,7 +533,7 @@ export function getEngineState(): EngineState {
         inCooldown: gestureDecisionEngine.inCooldown,
         stabilityBufferSize: gestureDecisionEngine.stabilityBuffer.length,
         cooldownTimeRemaining: gestureDecisionEngine.inCooldown
-            ? Math.max(0, GESTURE_COOLDOWN_MS - (Date.now() - gestureDecisionEngine.acceptedTimestamp))
+            ? Math.max(0, gestureDecisionEngine.settings.cooldownMs - (gestureDecisionEngine.clock() - gestureDecisionEngine.acceptedTimestamp))
             : 0
     };
 }
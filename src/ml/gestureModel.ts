@@ -5,9 +5,21 @@
  * MediaPipe hand landmarks entirely client-side.
  *
  * Model loading priority:
- * 1. User-trained model from IndexedDB (personalized)
+ * 1. User-trained model of the active profile from IndexedDB (personalized)
  * 2. Default pre-trained model from /model/ (static asset)
  *
+ * loadFineTuneBase() loads a separate copy of the default model, plus the
+ * rehearsal samples saved with it, for fine-tuning (gestureTrainer.ts).
+ *
+ * switchProfile() swaps in another profile's model, custom gestures and
+ * phrase settings without a page reload (modelProfiles.ts).
+ *
+ * Each model carries a manifest (modelManifest.ts): its label order, the
+ * feature pipeline version it was trained on, and training stats. Outputs
+ * are read by label name and features computed with the model's version.
+ * A model that can't be read is refused — a personalized one falls back to
+ * the default — and the reason is kept in getModelStatus() for the UI.
+ *
  * Why browser ML?
  * - Zero server costs — runs on user's device
  * - No API keys or backend required
@@ -16,15 +28,33 @@
  */
 
 import * as tf from '@tensorflow/tfjs';
-import { loadUserModel } from './localModelManager';
+import { loadUserModel, loadCustomGestures } from './localModelManager';
 import {
-    GESTURE_LABELS,
-    LABEL_TO_PHRASE,
-    LABEL_TO_GESTURE_TYPE,
+    getGestureLabels,
+    getPhraseForLabel,
+    getGestureTypeForLabel,
+    getCustomGestures,
+    setCustomGestures,
     CONFIDENCE_THRESHOLD,
     INPUT_FEATURES
 } from '../config/gestureConfig';
-import type { Landmark, MLPrediction } from '../types';
+import { getActiveProfile, setActiveProfileId } from '../config/modelProfiles';
+import { reloadPhraseSettings } from '../config/phrasePacks';
+import { extractFeatures, LEGACY_PREPROCESSING_VERSION } from './landmarkFeatures';
+import { checkModelCompatibility, readModelManifest } from './modelManifest';
+import { parseLandmarkDataset } from './landmarkDataset';
+import type {
+    Landmark,
+    LandmarkDataset,
+    MLPrediction,
+    ModelCompatibility,
+    ModelManifest,
+    ModelStatus,
+    TrainingSample
+} from '../types';
+
+/** Samples of every default gesture, written by scripts/trainModel.mjs */
+const REHEARSAL_URL = '/model/rehearsal.csv';
 
 // ──────────────────────────────────────────────
 // Module-scoped model cache (loaded once)
@@ -34,6 +64,94 @@ let cachedModel: tf.LayersModel | null = null;
 let isLoading = false;
 let loadPromise: Promise<tf.LayersModel> | null = null;
 let isUserModel = false;
+let modelPreprocessingVersion = LEGACY_PREPROCESSING_VERSION;
+/** Current label of each model output (null = ignored), from the manifest check */
+let outputLabels: (string | null)[] = [];
+let modelStatus: ModelStatus = { source: null, manifest: null, remapped: false, notice: null };
+
+// ──────────────────────────────────────────────
+// Manifest checks
+// ──────────────────────────────────────────────
+
+/**
+ * Check a model's manifest against the current labels.
+ * Throws with the reason when the model can't be used.
+ */
+function checkModel(model: tf.LayersModel): { manifest: ModelManifest; compatibility: ModelCompatibility } {
+    const manifest = readModelManifest(model.getUserDefinedMetadata());
+    const outputShape = model.outputs[0].shape;
+    const compatibility = checkModelCompatibility(manifest, getGestureLabels(), outputShape[outputShape.length - 1] ?? 0);
+    if (compatibility.problem) throw new Error(compatibility.problem);
+    return { manifest, compatibility };
+}
+
+function describeRemap(compatibility: ModelCompatibility): string | null {
+    if (!compatibility.remapped) return null;
+    return compatibility.ignoredLabels.length > 0
+        ? `Model outputs matched to gestures by name; ignoring ${compatibility.ignoredLabels.join(', ')}.`
+        : 'Model outputs matched to gestures by name (its label order differs from the config).';
+}
+
+/**
+ * Make a checked model the active one. `notice` explains anything that
+ * happened on the way (e.g., a refused personalized model).
+ */
+function activateModel(
+    model: tf.LayersModel,
+    isUser: boolean,
+    { manifest, compatibility }: ReturnType<typeof checkModel>,
+    notice: string | null = null
+): tf.LayersModel {
+    cachedModel = model;
+    isUserModel = isUser;
+    modelPreprocessingVersion = manifest.preprocessingVersion;
+    outputLabels = compatibility.outputLabels;
+    modelStatus = {
+        source: isUser ? 'user' : 'default',
+        manifest,
+        remapped: compatibility.remapped,
+        notice: [notice, describeRemap(compatibility)].filter(Boolean).join(' ') || null
+    };
+    if (modelStatus.notice) console.warn(`⚠️ ${modelStatus.notice}`);
+    return model;
+}
+
+/**
+ * Load the active profile's custom gestures and model: its personalized
+ * model if it has a usable one, otherwise the default.
+ */
+async function loadActiveProfileModel(): Promise<tf.LayersModel> {
+    // Register user-defined gestures so labels line up with a model trained on them
+    setCustomGestures(await loadCustomGestures());
+
+    // Try loading user-trained model from IndexedDB first
+    const userModel = await loadUserModel();
+    let refusal: string | null = null;
+    if (userModel) {
+        try {
+            const model = activateModel(userModel, true, checkModel(userModel));
+            console.log('🧠 Using personalized gesture model from IndexedDB');
+            return model;
+        } catch (err) {
+            refusal = `Your personalized model wasn't used: ${(err as Error).message}`;
+            userModel.dispose();
+        }
+    }
+
+    // Fall back to default model from public/model/
+    const defaultModel = await tf.loadLayersModel('/model/model.json');
+    const model = activateModel(defaultModel, false, checkModel(defaultModel), refusal);
+    console.log('🧠 Using default gesture model from /model/');
+    return model;
+}
+
+/** Run a dummy prediction to initialize WebGL */
+function warmUp(model: tf.LayersModel): void {
+    const dummy = tf.zeros([1, 63]);
+    const warmup = model.predict(dummy) as tf.Tensor;
+    warmup.dispose();
+    dummy.dispose();
+}
 
 // ──────────────────────────────────────────────
 // Public API
@@ -43,7 +161,7 @@ let isUserModel = false;
  * Load the gesture classification model.
  *
  * Priority:
- * 1. User-trained model from IndexedDB (if exists)
+ * 1. Active profile's user-trained model from IndexedDB (if exists)
  * 2. Default model from /model/model.json (static asset)
  *
  * Model is cached — subsequent calls return immediately.
@@ -57,29 +175,18 @@ export async function loadGestureModel(): Promise<tf.LayersModel> {
     isLoading = true;
     loadPromise = (async () => {
         try {
-            // Try loading user-trained model from IndexedDB first
-            const userModel = await loadUserModel();
-            if (userModel) {
-                cachedModel = userModel;
-                isUserModel = true;
-                console.log('🧠 Using personalized gesture model from IndexedDB');
-            } else {
-                // Fall back to default model from public/model/
-                cachedModel = await tf.loadLayersModel('/model/model.json');
-                isUserModel = false;
-                console.log('🧠 Using default gesture model from /model/');
-            }
-
-            // Warm up the model with a dummy prediction to initialize WebGL
-            const dummy = tf.zeros([1, 63]);
-            const warmup = cachedModel.predict(dummy) as tf.Tensor;
-            warmup.dispose();
-            dummy.dispose();
-
-            return cachedModel;
+            const model = await loadActiveProfileModel();
+            warmUp(model);
+            return model;
         } catch (err) {
             console.error('Failed to load gesture model:', err);
             cachedModel = null;
+            modelStatus = {
+                source: null,
+                manifest: null,
+                remapped: false,
+                notice: `Gesture model couldn't be loaded: ${(err as Error).message}`
+            };
             throw err;
         } finally {
             isLoading = false;
@@ -92,15 +199,17 @@ export async function loadGestureModel(): Promise<tf.LayersModel> {
 /**
  * Hot-swap the active model with a newly trained one.
  * Used after in-browser training to apply the new model
- * immediately without a page reload.
+ * immediately without a page reload, and by Node scripts
+ * that load the default model from disk (isUser = false).
+ * Use switchProfile() to change to another profile's model.
  */
-export function swapModel(newModel: tf.LayersModel): void {
+export function swapModel(newModel: tf.LayersModel, isUser: boolean = true): void {
+    const checked = checkModel(newModel);
     if (cachedModel && cachedModel !== newModel) {
         cachedModel.dispose();
     }
-    cachedModel = newModel;
-    isUserModel = true;
-    console.log('🔄 Model hot-swapped to user-trained model');
+    activateModel(newModel, isUser, checked);
+    console.log(`🔄 Model hot-swapped to ${isUser ? 'user-trained' : 'default'} model`);
 }
 
 /**
@@ -117,16 +226,69 @@ export async function resetToDefaultModel(): Promise<tf.LayersModel> {
     loadPromise = null;
 
     // Force reload from default
-    cachedModel = await tf.loadLayersModel('/model/model.json');
+    const defaultModel = await tf.loadLayersModel('/model/model.json');
+    const model = activateModel(defaultModel, false, checkModel(defaultModel));
     console.log('🧠 Reset to default gesture model');
+    warmUp(model);
 
-    // Warm up
-    const dummy = tf.zeros([1, 63]);
-    const warmup = cachedModel.predict(dummy) as tf.Tensor;
-    warmup.dispose();
-    dummy.dispose();
+    return model;
+}
+
+/**
+ * Make another profile the active one and hot-swap in its model, custom
+ * gestures and phrase settings — no page reload. The profile is remembered
+ * for the next visit. Training samples follow automatically (gestureTrainer
+ * keeps one dataset per profile). If its model can't be loaded, the
+ * previous profile stays active with everything it had.
+ */
+export async function switchProfile(profileId: string): Promise<tf.LayersModel> {
+    const previous = cachedModel;
+    const previousProfileId = getActiveProfile().id;
+    const previousCustomGestures = getCustomGestures();
+    setActiveProfileId(profileId);
+
+    let model: tf.LayersModel;
+    try {
+        model = await loadActiveProfileModel();
+    } catch (err) {
+        setActiveProfileId(previousProfileId);
+        setCustomGestures(previousCustomGestures);
+        throw err;
+    }
+    reloadPhraseSettings();
 
-    return cachedModel;
+    if (previous && previous !== model) {
+        previous.dispose();
+    }
+    loadPromise = null;
+    warmUp(model);
+    console.log(`🔄 Switched to profile ${profileId}`);
+
+    return model;
+}
+
+/**
+ * A fresh copy of the default model — not the one used for inference, so
+ * fine-tuning it doesn't disturb live predictions — and its rehearsal
+ * samples (gestureTrainer.fineTuneModel).
+ */
+export async function loadFineTuneBase(): Promise<{ model: tf.LayersModel; rehearsal: LandmarkDataset }> {
+    const [model, response] = await Promise.all([
+        tf.loadLayersModel('/model/model.json'),
+        fetch(REHEARSAL_URL)
+    ]);
+    if (!response.ok) {
+        model.dispose();
+        throw new Error(`Couldn't load the default gesture samples (${REHEARSAL_URL}, HTTP ${response.status}).`);
+    }
+    return { model, rehearsal: parseLandmarkDataset(await response.text()) };
+}
+
+/**
+ * Active model, its manifest, and why a model was refused or remapped.
+ */
+export function getModelStatus(): ModelStatus {
+    return modelStatus;
 }
 
 /**
@@ -139,21 +301,12 @@ export function isUsingUserModel(): boolean {
 /**
  * Preprocess MediaPipe landmarks into a tensor suitable for inference.
  *
- * Steps:
- * 1. Flatten 21 landmarks (x, y, z) into 63 values
- * 2. Normalize relative to wrist position (landmark 0)
- * 3. Return as [1, 63] tensor2d
+ * Features come from extractFeatures (landmarkFeatures.ts) with the
+ * preprocessing version the active model was trained on.
+ * Returns a [1, 63] tensor2d.
  */
-export function preprocessLandmarks(landmarks: Landmark[]): tf.Tensor2D {
-    const wrist = landmarks[0];
-    const values: number[] = [];
-
-    for (const lm of landmarks) {
-        values.push(lm.x - wrist.x);
-        values.push(lm.y - wrist.y);
-        values.push(lm.z - wrist.z);
-    }
-
+export function preprocessLandmarks(landmarks: Landmark[], handedness: string = 'Right'): tf.Tensor2D {
+    const values = extractFeatures(landmarks, handedness, modelPreprocessingVersion);
     return tf.tensor2d([values], [1, INPUT_FEATURES]);
 }
 
@@ -165,8 +318,11 @@ export function preprocessLandmarks(landmarks: Landmark[]): tf.Tensor2D {
  *
  * Returns full probability distribution (for decision engine tie-breaking)
  * and top prediction for backward compatibility.
+ *
+ * `handedness` is MediaPipe's label for the hand, so left hands can be
+ * mirrored into the same features as right hands.
  */
-export function predictGesture(landmarks: Landmark[]): MLPrediction {
+export function predictGesture(landmarks: Landmark[], handedness: string = 'Right'): MLPrediction {
     if (!cachedModel || !landmarks || landmarks.length !== 21) {
         return {
             gestureType: null,
@@ -179,34 +335,34 @@ export function predictGesture(landmarks: Landmark[]): MLPrediction {
 
     // Use tf.tidy to automatically dispose all intermediate tensors
     const result = tf.tidy(() => {
-        const input = preprocessLandmarks(landmarks);
+        const input = preprocessLandmarks(landmarks, handedness);
         const prediction = cachedModel!.predict(input) as tf.Tensor;
 
         // Get class probabilities
         const probabilities = prediction.dataSync(); // Float32Array
 
-        const classCount = Math.min(probabilities.length, GESTURE_LABELS.length);
+        // Build probability distribution map for decision engine
+        // (labels the model wasn't trained on get 0; ignored outputs are skipped)
+        const probMap: Record<string, number> = {};
+        for (const label of getGestureLabels()) probMap[label] = 0;
 
         // Find the class with highest confidence
-        let maxIdx = 0;
-        let maxConf = probabilities[0];
-        for (let i = 1; i < classCount; i++) {
+        let bestLabel = 'NONE';
+        let maxConf = 0;
+        for (let i = 0; i < probabilities.length; i++) {
+            const outputLabel = outputLabels[i];
+            if (!outputLabel) continue;
+            probMap[outputLabel] = probabilities[i];
             if (probabilities[i] > maxConf) {
                 maxConf = probabilities[i];
-                maxIdx = i;
+                bestLabel = outputLabel;
             }
         }
 
-        // Build probability distribution map for decision engine
-        const probMap: Record<string, number> = {};
-        for (let i = 0; i < GESTURE_LABELS.length; i++) {
-            probMap[GESTURE_LABELS[i]] = i < classCount ? probabilities[i] : 0;
-        }
-
-        return { maxIdx, maxConf, probMap };
+        return { label: bestLabel, maxConf, probMap };
     });
 
-    const { maxIdx, maxConf, probMap } = result;
+    const { label, maxConf, probMap } = result;
 
     // Apply confidence threshold
     if (maxConf < CONFIDENCE_THRESHOLD) {
@@ -219,17 +375,40 @@ export function predictGesture(landmarks: Landmark[]): MLPrediction {
         };
     }
 
-    const label = GESTURE_LABELS[maxIdx];
-
     return {
-        gestureType: LABEL_TO_GESTURE_TYPE[label],
-        phrase: LABEL_TO_PHRASE[label],
+        gestureType: getGestureTypeForLabel(label),
+        phrase: getPhraseForLabel(label, { rotate: false }),
         label,
         confidence: maxConf,
         probabilities: probMap
     };
 }
 
+/**
+ * Accuracy (0–1) of the model in use on labeled samples, read the way
+ * predictGesture reads it but without the confidence threshold. Training
+ * Mode compares a newly trained model against it. Null when no model is
+ * loaded or there are no samples.
+ */
+export function scoreActiveModel(samples: Omit<TrainingSample, 'id'>[]): number | null {
+    if (!cachedModel || samples.length === 0) return null;
+    const model = cachedModel;
+
+    const predicted = tf.tidy(() => {
+        const input = tf.tensor2d(samples.map(s => extractFeatures(s.landmarks, s.handedness, modelPreprocessingVersion)));
+        return (model.predict(input) as tf.Tensor).arraySync() as number[][];
+    });
+
+    const correct = predicted.filter((probabilities, i) => {
+        let best = -1;
+        probabilities.forEach((p, output) => {
+            if (outputLabels[output] && (best === -1 || p > probabilities[best])) best = output;
+        });
+        return best !== -1 && outputLabels[best] === samples[i].label;
+    }).length;
+    return correct / samples.length;
+}
+
 /**
  * Check if the model is loaded and ready for inference.
  */
@@ -0,0 +1,329 @@
+/**
+ * gesturePipeline.ts — Per-Frame Recognition Pipeline
+ *
+ * Everything that happens to one camera frame after MediaPipe, with no
+ * dependency on the camera, the DOM or TensorFlow.js:
+ *
+ *   landmarks → predict (injected) → decision engine (per hand)
+ *             → two-hand recognizer → motion classifier → sequence recognizer
+ *
+ * useHandTracking feeds it live frames; landmark session replay feeds it
+ * recorded frames with their recorded timestamps. Because every stage
+ * takes `now` explicitly, the same input always yields the same accepted
+ * gestures at the same times.
+ *
+ * Decision engine options given to the pipeline apply to every hand's
+ * engine, including engines created later when a new hand appears.
+ *
+ * While a hand moves fast (MotionGestureClassifier.isMoving), or both
+ * hands match a two-hand gesture, the hand's engine sits the frame out:
+ * no votes are cast and those in progress are dropped, but the accepted
+ * gesture, its cooldown and its hold are kept. A jerk mid-hold, or a
+ * combo made while holding a pose, doesn't accept that pose again.
+ * The two-hand recognizer follows the engines' stabilityFrames and
+ * cooldownMs.
+ *
+ * Besides accepted gestures, each frame reports the per-hand gesture
+ * lifecycle (start / hold / end) — only for gestures that are delivered.
+ * A gesture folded into a combo has no lifecycle; one the sequence
+ * recognizer holds back 'start's when it is released.
+ *
+ * Hold-repeats of an accepted gesture go straight to `accepted` — they are
+ * not new steps for the sequence recognizer, and are dropped while it
+ * still holds gestures back.
+ */
+
+import { GestureDecisionEngine } from './gestureDecisionEngine';
+import { TwoHandGestureRecognizer } from './twoHandGestureRecognizer';
+import { GestureSequenceRecognizer } from './gestureSequenceRecognizer';
+import { MotionGestureClassifier } from './motionGestureClassifier';
+import type {
+    AcceptedGesture,
+    DecisionEngineOptions,
+    DecisionEngineSettings,
+    DecisionTrace,
+    EngineSkipReason,
+    GestureLifecycleEvent,
+    GestureResult,
+    Handedness,
+    HandFrame,
+    Landmark,
+    MLPrediction,
+    PipelineFrameOutput,
+    RecordedHand
+} from '../types';
+
+/** Landmarks (+ handedness) → model prediction (predictGesture in the app, a stub in tests). */
+export type PredictFn = (landmarks: Landmark[], handedness: Handedness) => MLPrediction;
+
+/**
+ * Lifecycle of a hand's accepted gesture, forwarded only once the gesture
+ * itself has been delivered.
+ */
+interface TrackedHold {
+    hand: Handedness;
+    result: GestureResult;
+    status: 'pending' | 'delivered' | 'suppressed';
+    start: GestureLifecycleEvent;
+    /** 'end' that arrived while still pending. */
+    end: GestureLifecycleEvent | null;
+}
+
+export class GesturePipeline {
+    /** Model inference for one hand. */
+    predict: PredictFn;
+
+    /** Options every per-hand decision engine is created with. */
+    engineOptions: DecisionEngineOptions;
+
+    /** Independent decision engine state per hand, keyed by handedness. */
+    engines: Map<Handedness, GestureDecisionEngine>;
+
+    /** Independent motion trajectory per hand. */
+    motionClassifiers: Map<Handedness, MotionGestureClassifier>;
+
+    twoHandRecognizer: TwoHandGestureRecognizer;
+
+    /** Shared across hands — combos are built from every hand's accepted gestures. */
+    sequenceRecognizer: GestureSequenceRecognizer;
+
+    /** Holds whose lifecycle is still followed: each hand's current one, plus ended ones still pending. */
+    holds: TrackedHold[];
+
+    constructor(predict: PredictFn, engineOptions: DecisionEngineOptions = {}) {
+        this.predict = predict;
+        this.engineOptions = { ...engineOptions };
+        this.engines = new Map();
+        this.motionClassifiers = new Map();
+        this.twoHandRecognizer = new TwoHandGestureRecognizer(this.engineOptions);
+        this.sequenceRecognizer = new GestureSequenceRecognizer(undefined, this.engineOptions);
+        this.holds = [];
+    }
+
+    /**
+     * Drop all in-progress recognition state (e.g., while recognition is
+     * paused). Nothing is accepted; returns the 'end' events of delivered
+     * gestures that were held, so listeners don't show a stale hold.
+     */
+    reset(now: number = Date.now()): GestureLifecycleEvent[] {
+        const ended = this._resetRecognizers(now);
+        this.sequenceRecognizer.reset();
+        this.holds = [];
+        return ended;
+    }
+
+    /**
+     * Retune every hand's decision engine (e.g., from the settings panel),
+     * and the two-hand recognizer and sequence windows that follow it.
+     */
+    configureEngines(patch: Partial<DecisionEngineSettings>): void {
+        this.engineOptions = { ...this.engineOptions, ...patch };
+        this.engines.forEach(engine => engine.configure(patch));
+        this.twoHandRecognizer.configure(patch);
+        this.sequenceRecognizer.configure(this.engineOptions);
+    }
+
+    /** Reset every hand; returns the 'end' events of delivered gestures that were held. */
+    _resetRecognizers(now: number): GestureLifecycleEvent[] {
+        const ended: GestureLifecycleEvent[] = [];
+        this.engines.forEach((engine, hand) => ended.push(...this._restartEngine(hand, engine, now)));
+        this.motionClassifiers.forEach(classifier => classifier.reset());
+        this.twoHandRecognizer.reset();
+        return ended;
+    }
+
+    _getEngine(hand: Handedness): GestureDecisionEngine {
+        let engine = this.engines.get(hand);
+        if (!engine) {
+            engine = new GestureDecisionEngine(this.engineOptions);
+            this.engines.set(hand, engine);
+        }
+        return engine;
+    }
+
+    /**
+     * Put a hand's engine through its hand-lost path: votes are dropped and
+     * a held gesture ends. Returns the 'end' event if that gesture was delivered.
+     */
+    _restartEngine(hand: Handedness, engine: GestureDecisionEngine, now: number): GestureLifecycleEvent[] {
+        engine.onHandDisappear(now);
+        return this._trackLifecycle(hand, engine.lifecycle, null);
+    }
+
+    _getMotionClassifier(hand: Handedness): MotionGestureClassifier {
+        let classifier = this.motionClassifiers.get(hand);
+        if (!classifier) {
+            classifier = new MotionGestureClassifier();
+            this.motionClassifiers.set(hand, classifier);
+        }
+        return classifier;
+    }
+
+    /**
+     * Tag a hand's engine lifecycle events and keep those of delivered
+     * gestures. A 'start' opens a pending hold for `result`, which waits
+     * for settleHolds().
+     */
+    _trackLifecycle(
+        hand: Handedness,
+        events: GestureLifecycleEvent[],
+        result: GestureResult | null
+    ): GestureLifecycleEvent[] {
+        const forwarded: GestureLifecycleEvent[] = [];
+        for (const event of events) {
+            const tagged = { ...event, hand };
+            if (event.phase === 'start') {
+                if (result) this.holds.push({ hand, result, status: 'pending', start: tagged, end: null });
+                continue;
+            }
+
+            const hold = this.holds.find(h => h.hand === hand && h.end === null);
+            if (!hold) continue;
+            if (hold.status === 'delivered') forwarded.push(tagged);
+            if (event.phase === 'end') {
+                if (hold.status === 'pending') hold.end = tagged;
+                else this.holds = this.holds.filter(h => h !== hold);
+            }
+        }
+        return forwarded;
+    }
+
+    /**
+     * Start (and end, if already over) the holds of pending gestures that
+     * were delivered this frame; a pending gesture no longer held back
+     * without being delivered was folded into a combo.
+     */
+    _settleHolds(delivered: Set<GestureResult>, now: number): GestureLifecycleEvent[] {
+        const events: GestureLifecycleEvent[] = [];
+        for (const hold of this.holds) {
+            if (hold.status !== 'pending') continue;
+
+            if (delivered.has(hold.result)) {
+                events.push({ ...hold.start, durationMs: now - hold.start.timestamp, timestamp: now });
+                hold.status = 'delivered';
+                if (hold.end) events.push(hold.end);
+            } else if (!this.sequenceRecognizer.held.some(h => h.result === hold.result)) {
+                hold.status = 'suppressed';
+            }
+        }
+        this.holds = this.holds.filter(hold => hold.status === 'pending' || hold.end === null);
+        return events;
+    }
+
+    /**
+     * Run predictions and assign each hand a unique handedness.
+     * MediaPipe occasionally labels both hands the same — keep engines
+     * separate. The unique handedness only keys the per-hand state: the
+     * model gets MediaPipe's own label, which decides whether the hand is
+     * mirrored into right-hand features.
+     */
+    _toHandFrames(hands: RecordedHand[]): HandFrame[] {
+        const frames: HandFrame[] = [];
+        for (const hand of hands) {
+            const detected: Handedness = hand.handedness === 'Left' ? 'Left' : 'Right';
+            const handedness: Handedness = frames.some(f => f.handedness === detected)
+                ? (detected === 'Right' ? 'Left' : 'Right')
+                : detected;
+            frames.push({
+                handedness,
+                landmarks: hand.landmarks,
+                prediction: this.predict(hand.landmarks, detected)
+            });
+        }
+        return frames;
+    }
+
+    /**
+     * Process one camera frame. An empty `hands` list means every hand
+     * disappeared: state is reset and held sequence steps are flushed.
+     */
+    processFrame(hands: RecordedHand[], now: number = Date.now()): PipelineFrameOutput {
+        const accepted: AcceptedGesture[] = [];
+        const lifecycle: GestureLifecycleEvent[] = [];
+        const delivered = new Set<GestureResult>();
+        const tag = (results: GestureResult[], hand?: Handedness | 'Both'): void => {
+            for (const result of results) {
+                accepted.push({ ...result, hand });
+                delivered.add(result);
+            }
+        };
+
+        if (hands.length === 0) {
+            lifecycle.push(...this._resetRecognizers(now));
+            tag(this.sequenceRecognizer.flush());
+            lifecycle.push(...this._settleHolds(delivered, now));
+            return { accepted, lifecycle, analyses: [] };
+        }
+
+        const frames = this._toHandFrames(hands);
+
+        // Hands no longer in frame start fresh when they return
+        for (const hand of this.engines.keys()) {
+            if (!frames.some(f => f.handedness === hand)) {
+                lifecycle.push(...this._restartEngine(hand, this.engines.get(hand)!, now));
+                this.motionClassifiers.get(hand)?.reset();
+            }
+        }
+
+        // Two-hand gestures take priority over the individual hands
+        const combined = this.twoHandRecognizer.processFrame(frames, now);
+        if (combined) tag([combined], 'Both');
+
+        const decisions = new Map<Handedness, DecisionTrace | null>();
+        const skips = new Map<Handedness, EngineSkipReason>();
+
+        for (const frame of frames) {
+            // Motion gestures: trajectory over a sliding window, own stability + cooldown
+            const motionClassifier = this._getMotionClassifier(frame.handedness);
+            const motionGesture = motionClassifier.processFrame(frame.landmarks, now);
+            if (motionGesture && !this.twoHandRecognizer.currentMatch) {
+                tag(this.sequenceRecognizer.process(motionGesture, now), frame.handedness);
+            }
+
+            // Static poses are unreliable mid-movement, and a hand in a two-hand gesture
+            // mustn't fire (or start a cooldown) on its own: the engine sits the frame out
+            // (no votes carry across; the accepted gesture, its cooldown and hold stay)
+            decisions.set(frame.handedness, null);
+            const skipped: EngineSkipReason | null = motionClassifier.isMoving() ? 'hand-moving'
+                : this.twoHandRecognizer.currentMatch ? 'two-hand'
+                    : null;
+            if (skipped) {
+                skips.set(frame.handedness, skipped);
+                this.engines.get(frame.handedness)?.skipFrame();
+                continue;
+            }
+
+            // Pass through this hand's decision engine for stability voting, gating, cooldown
+            const engine = this._getEngine(frame.handedness);
+            const finalGesture = engine.processFrame(frame.prediction, frame.landmarks, now);
+            decisions.set(frame.handedness, engine.lastDecision);
+            lifecycle.push(...this._trackLifecycle(frame.handedness, engine.lifecycle, finalGesture));
+
+            // The sequence recognizer may hold it back as the start of a combo
+            if (finalGesture) {
+                if (finalGesture.heldMs === undefined) {
+                    tag(this.sequenceRecognizer.process(finalGesture, now), frame.handedness);
+                } else if (this.sequenceRecognizer.held.length === 0) {
+                    // Repeat only once the original has been emitted, not while it may still start a combo
+                    tag([finalGesture], frame.handedness);
+                }
+            }
+        }
+
+        // Release held gestures whose combo window expired
+        tag(this.sequenceRecognizer.poll(now));
+        lifecycle.push(...this._settleHolds(delivered, now));
+
+        return {
+            accepted,
+            lifecycle,
+            analyses: frames.map(frame => ({
+                timestamp: now,
+                hand: frame.handedness,
+                probabilities: frame.prediction.probabilities,
+                decision: decisions.get(frame.handedness) ?? null,
+                skipped: skips.get(frame.handedness) ?? null
+            }))
+        };
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * gestureSequenceRecognizer.ts — Gesture Combos
+ *
+ * Sits on top of the decision engine's ACCEPTED output (not raw frames).
+ * Recognizes ordered combos declared in GESTURE_SEQUENCES, e.g.
+ * THUMBS_UP → POINTING_UP, and emits one compound phrase.
+ *
+ * Core concepts:
+ *   - Hold-back: an accepted gesture that could start (or continue) a
+ *     sequence is held instead of emitted
+ *   - Completion: when the held gestures finish a sequence inside its
+ *     window, only the compound result is emitted — never the individual
+ *     phrases as well
+ *   - Release: once no sequence can still complete (window ran out, or a
+ *     non-matching gesture arrived), held gestures are emitted as normal
+ *
+ * A sequence's window is derived from the decision engine settings
+ * (sequenceWindowMs), so a retuned cooldown or stability count never makes
+ * a combo unreachable or holds gestures back longer than needed.
+ * Definitions are validated when this module loads.
+ *
+ * Callers must invoke poll() regularly (e.g., every frame) so held
+ * gestures are released when a window expires.
+ */
+
+import {
+    GESTURE_LABELS,
+    GESTURE_SEQUENCES,
+    MOTION_GESTURES,
+    SEQUENCE_FRAME_INTERVAL_MS,
+    SEQUENCE_STEP_ALLOWANCE_MS,
+    getGestureTypeForLabel,
+    getPhraseForLabel
+} from '../config/gestureConfig';
+import { DEFAULT_ENGINE_SETTINGS } from '../config/engineSettings';
+import type { DecisionEngineSettings, GestureResult, GestureSequenceDefinition } from '../types';
+
+// ──────────────────────────────────────────────
+// Windows + validation
+// ──────────────────────────────────────────────
+
+/**
+ * Max time (ms) from a sequence's first step to its last: each later step
+ * needs the engine's cooldown to run out, the new pose to stabilize, and
+ * SEQUENCE_STEP_ALLOWANCE_MS to change pose.
+ */
+export function sequenceWindowMs(stepCount: number, settings: DecisionEngineSettings): number {
+    const stabilizationMs = settings.stabilizationMode === 'frames'
+        ? settings.stabilityFrames * SEQUENCE_FRAME_INTERVAL_MS
+        : settings.stabilityWindowMs;
+    return (stepCount - 1) * (settings.cooldownMs + stabilizationMs + SEQUENCE_STEP_ALLOWANCE_MS);
+}
+
+/**
+ * Throw if a definition can never complete: fewer than two steps, or a
+ * step that isn't a single-hand (static or motion) gesture.
+ */
+export function validateSequences(sequences: Record<string, GestureSequenceDefinition>): void {
+    const stepLabels: string[] = [...GESTURE_LABELS, ...Object.keys(MOTION_GESTURES)];
+
+    for (const [label, seq] of Object.entries(sequences)) {
+        if (seq.steps.length < 2) {
+            throw new Error(`Gesture sequence ${label} needs at least two steps.`);
+        }
+        const unknown = seq.steps.find(step => !stepLabels.includes(step));
+        if (unknown) {
+            throw new Error(`Gesture sequence ${label} has a step that isn't a single-hand gesture: ${unknown}.`);
+        }
+    }
+}
+
+validateSequences(GESTURE_SEQUENCES);
+
+// ──────────────────────────────────────────────
+// Gesture Sequence Recognizer Class
+// ──────────────────────────────────────────────
+
+/** An accepted gesture waiting to see whether it becomes part of a sequence. */
+interface HeldGesture {
+    result: GestureResult;
+    timestamp: number;
+}
+
+export class GestureSequenceRecognizer {
+    /** Accepted gestures held back, oldest first. */
+    held: HeldGesture[];
+
+    /** Sequence definitions, keyed by output label. */
+    sequences: Record<string, GestureSequenceDefinition>;
+
+    /** Window (ms) of each sequence under the current engine settings. */
+    windows: Record<string, number>;
+
+    constructor(
+        sequences: Record<string, GestureSequenceDefinition> = GESTURE_SEQUENCES,
+        engineSettings: Partial<DecisionEngineSettings> = {}
+    ) {
+        validateSequences(sequences);
+        this.held = [];
+        this.sequences = sequences;
+        this.windows = {};
+        this.configure(engineSettings);
+    }
+
+    /**
+     * Recompute the windows for new decision engine settings (held
+     * gestures are kept).
+     */
+    configure(engineSettings: Partial<DecisionEngineSettings>): void {
+        const settings = { ...DEFAULT_ENGINE_SETTINGS, ...engineSettings };
+        this.windows = Object.fromEntries(
+            Object.entries(this.sequences).map(([label, seq]) => [label, sequenceWindowMs(seq.steps.length, settings)])
+        );
+    }
+
+    /**
+     * Drop held gestures without emitting them.
+     */
+    reset(): void {
+        this.held = [];
+    }
+
+    /**
+     * Can held[start..] still grow into some sequence before its window closes?
+     */
+    _isViablePrefix(start: number, now: number): boolean {
+        const labels = this.held.slice(start).map(h => h.result.label);
+        const startedAt = this.held[start].timestamp;
+
+        return Object.entries(this.sequences).some(([label, seq]) =>
+            seq.steps.length > labels.length &&
+            labels.every((step, i) => seq.steps[i] === step) &&
+            now - startedAt <= this.windows[label]
+        );
+    }
+
+    /**
+     * Find a sequence completed by the tail of the held gestures.
+     */
+    _findCompleted(): { label: string; length: number } | null {
+        for (const [label, seq] of Object.entries(this.sequences)) {
+            const n = seq.steps.length;
+            if (n > this.held.length) continue;
+
+            const tail = this.held.slice(-n);
+            const matches = tail.every((h, i) => h.result.label === seq.steps[i]);
+            const inWindow = tail[n - 1].timestamp - tail[0].timestamp <= this.windows[label];
+
+            if (matches && inWindow) return { label, length: n };
+        }
+        return null;
+    }
+
+    /**
+     * Release every held gesture that can no longer be part of a sequence.
+     * Keeps the shortest-starting viable suffix held.
+     */
+    _release(now: number): GestureResult[] {
+        let start = 0;
+        while (start < this.held.length && !this._isViablePrefix(start, now)) {
+            start++;
+        }
+
+        const released = this.held.slice(0, start).map(h => h.result);
+        this.held = this.held.slice(start);
+        return released;
+    }
+
+    /**
+     * Feed an accepted gesture from the decision engine.
+     * Returns the results to emit now (possibly none, possibly several).
+     */
+    process(result: GestureResult, now: number = Date.now()): GestureResult[] {
+        this.held.push({ result, timestamp: now });
+
+        const completed = this._findCompleted();
+        if (completed) {
+            const tail = this.held.slice(-completed.length).map(h => h.result);
+            const steps = tail.map(r => r.label);
+            // A combo is only as certain as its weakest step (motion steps carry no confidence)
+            const confidences = tail.map(r => r.confidence).filter((c): c is number => c !== undefined);
+            const before = this.held.slice(0, -completed.length).map(h => h.result);
+            this.held = [];
+
+            return [
+                ...before,
+                {
+                    label: completed.label,
+                    gestureType: getGestureTypeForLabel(completed.label),
+                    phrase: getPhraseForLabel(completed.label),
+                    reason: `sequence (${steps.join(' → ')})`,
+                    confidence: confidences.length > 0 ? Math.min(...confidences) : undefined
+                }
+            ];
+        }
+
+        return this._release(now);
+    }
+
+    /**
+     * Release held gestures whose sequence windows have expired.
+     */
+    poll(now: number = Date.now()): GestureResult[] {
+        if (this.held.length === 0) return [];
+        return this._release(now);
+    }
+
+    /**
+     * Emit everything still held (e.g., when the hand disappears).
+     */
+    flush(): GestureResult[] {
+        const released = this.held.map(h => h.result);
+        this.held = [];
+        return released;
+    }
+}
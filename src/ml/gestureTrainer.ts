@@ -5,17 +5,56 @@
  * and trains a lightweight TensorFlow.js classifier entirely
  * in the browser. No data leaves the device.
  *
- * Architecture: Dense(128, relu) → Dropout(0.3) → Dense(64, relu) → Dense(NUM_CLASSES, softmax)
- * Input:  [1, 63] — 21 landmarks × 3 coordinates (normalized to wrist)
- * Output: [1, NUM_CLASSES]  — probability per gesture class
+ * Samples are kept as raw landmarks and persisted to IndexedDB
+ * (localModelManager), so they survive closing Training Mode or
+ * reloading the page: record more later and retrain on everything.
+ *
+ * Architecture: Dense(128, relu) → Dropout(0.3) → Dense(64, relu) → Dense(N, softmax)
+ * Input:  [1, 63] — 21 landmarks × 3 coordinates (extractFeatures, landmarkFeatures.ts)
+ * Output: [1, N]  — probability per gesture class
+ *
+ * N is the size of the dynamic label set (built-in + custom gestures),
+ * read from getGestureLabels() at training time.
+ *
+ * trainModel() holds out part of each gesture's samples and reports how
+ * the model does on them (TrainingReport): loss and accuracy per epoch,
+ * a confusion matrix, per-class precision/recall, and the score of the
+ * model in use before, so a worse model isn't saved unnoticed. Whether a
+ * sample is held out follows from its id, so it stays held out on every
+ * run: the model in use was never trained on the samples it is scored on.
+ *
+ * Trained models carry a manifest (modelManifest.ts) — label order,
+ * preprocessing version, sample counts and validation accuracy — so
+ * inference reads the outputs and computes the features the same way
+ * training did.
+ *
+ * fineTuneModel() is the lighter alternative: it starts from the default
+ * model and only needs samples for the gestures being corrected. The other
+ * gestures are rehearsed with samples saved next to the default model
+ * (public/model/rehearsal.csv, which it was never trained on), and
+ * held-out samples show whether any of them got worse.
  */
 
 import * as tf from '@tensorflow/tfjs';
-import { GESTURE_LABELS, NUM_CLASSES, INPUT_FEATURES } from '../config/gestureConfig';
-import type { Landmark, TrainProgressCallback } from '../types';
+import { GESTURE_LABELS, INPUT_FEATURES, PREPROCESSING_VERSION, getGestureLabels } from '../config/gestureConfig';
+import { getActiveProfile } from '../config/modelProfiles';
+import { extractFeatures } from './landmarkFeatures';
+import { createModelManifest, readModelManifest } from './modelManifest';
+import { loadSamples, saveSamples, deleteSamples, clearSamples } from './localModelManager';
+import { createLandmarkDataset } from './landmarkDataset';
+import { buildConfusionMatrix, computeClassMetrics, overallAccuracy } from './classificationMetrics';
+import { scoreActiveModel } from './gestureModel';
+import type {
+    FineTuneReport,
+    Landmark,
+    LandmarkDataset,
+    TrainingReport,
+    TrainingSample,
+    TrainProgressCallback
+} from '../types';
 
 // Re-export for consumers that imported from here previously
-export { GESTURE_LABELS };
+export { GESTURE_LABELS, getGestureLabels };
 
 // ──────────────────────────────────────────────
 // Constants
@@ -25,63 +64,159 @@ export { GESTURE_LABELS };
 export const MIN_SAMPLES_PER_GESTURE = 10;
 
 /** Training hyperparameters */
-const EPOCHS = 50;
+export const EPOCHS = 50;
 const BATCH_SIZE = 32;
 const LEARNING_RATE = 0.001;
 
+/** Share of each gesture's samples held out for the training report and fine-tuning comparison */
+const VALIDATION_SHARE = 0.2;
+
+/** Fine-tuning: fewer, gentler updates so the default model's knowledge survives */
+export const FINE_TUNE_EPOCHS = 30;
+const FINE_TUNE_LEARNING_RATE = 0.0005;
+
+/** An untouched gesture has regressed when its held-out accuracy drops by more than this */
+const REGRESSION_TOLERANCE = 0.05;
+
 // ──────────────────────────────────────────────
-// Dataset Storage (module-scoped, in-memory)
+// Dataset Storage (in memory, persisted to IndexedDB)
 // ──────────────────────────────────────────────
 
 /**
- * Dataset: Map<string, Float32Array[]>
- * Key = gesture label, Value = array of feature vectors (63 floats each)
+ * Dataset: Map<string, TrainingSample[]>
+ * Key = gesture label, Value = recorded samples, oldest first
  */
-let dataset = new Map<string, Float32Array[]>();
-resetDataset();
+type Dataset = Map<string, TrainingSample[]>;
+
+/** One dataset per profile (modelProfiles.ts), keyed by profile id */
+const datasets = new Map<string, Dataset>();
+
+/** Profiles whose stored samples have been read into memory */
+const loadedProfiles = new Set<string>();
+
+/** IndexedDB writes, chained so they land in the order they were made */
+let pendingWrites: Promise<void> = Promise.resolve();
+
+function persist(write: () => Promise<void>): void {
+    pendingWrites = pendingWrites
+        .then(write)
+        .catch(err => console.warn('Failed to persist training samples:', err));
+}
 
 // ──────────────────────────────────────────────
 // Dataset API
 // ──────────────────────────────────────────────
 
 /**
- * Initialize/reset the dataset with empty arrays for each gesture.
+ * Initialize/reset a profile's in-memory dataset with empty arrays for each gesture.
  */
-function resetDataset(): void {
-    dataset = new Map<string, Float32Array[]>();
-    for (const label of GESTURE_LABELS) {
+function resetDataset(profileId: string = getActiveProfile().id): Dataset {
+    const dataset: Dataset = new Map();
+    for (const label of getGestureLabels()) {
         dataset.set(label, []);
     }
+    datasets.set(profileId, dataset);
+    return dataset;
 }
 
 /**
- * Normalize 21 MediaPipe landmarks into a 63-element Float32Array.
- * Coordinates are made relative to the wrist (landmark 0).
+ * The active profile's dataset, so switching profiles switches samples too.
  */
-function normalizeLandmarks(landmarks: Landmark[]): Float32Array {
-    const wrist = landmarks[0];
-    const values = new Float32Array(63);
-    let idx = 0;
+function activeDataset(): Dataset {
+    return datasets.get(getActiveProfile().id) ?? resetDataset();
+}
 
-    for (const lm of landmarks) {
-        values[idx++] = lm.x - wrist.x;
-        values[idx++] = lm.y - wrist.y;
-        values[idx++] = lm.z - wrist.z;
+/**
+ * Get the sample list for a label, creating it for newly added custom gestures.
+ */
+function samplesFor(label: string): TrainingSample[] {
+    const dataset = activeDataset();
+    let samples = dataset.get(label);
+    if (!samples) {
+        samples = [];
+        dataset.set(label, samples);
     }
+    return samples;
+}
 
-    return values;
+/**
+ * Read the active profile's stored samples into memory (once per profile).
+ * Call before showing counts; samples recorded meanwhile are kept.
+ */
+export async function loadDataset(): Promise<void> {
+    const profileId = getActiveProfile().id;
+    if (loadedProfiles.has(profileId)) return;
+
+    const stored = await loadSamples(profileId);
+    loadedProfiles.add(profileId);
+
+    const dataset = datasets.get(profileId) ?? resetDataset(profileId);
+    const known = new Set([...dataset.values()].flat().map(sample => sample.id));
+    for (const sample of stored) {
+        if (known.has(sample.id)) continue;
+        if (!dataset.has(sample.label)) dataset.set(sample.label, []);
+        dataset.get(sample.label)!.push(sample);
+    }
+    for (const samples of dataset.values()) {
+        samples.sort((a, b) => a.recordedAt - b.recordedAt);
+    }
+}
+
+function newSampleId(): string {
+    return `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 }
 
 /**
- * Add a single landmark sample to the dataset.
+ * Add a single landmark sample to the dataset (and IndexedDB).
+ * `handedness` is MediaPipe's label for the hand (left hands are mirrored
+ * when features are extracted for training).
+ * Returns the new sample's id, or null if the sample was refused.
  */
-export function addSample(landmarks: Landmark[], label: string): boolean {
-    if (!landmarks || landmarks.length !== 21) return false;
-    if (!(GESTURE_LABELS as readonly string[]).includes(label)) return false;
+export function addSample(landmarks: Landmark[], label: string, handedness: string = 'Right'): string | null {
+    if (!landmarks || landmarks.length !== 21) return null;
+    if (!getGestureLabels().includes(label)) return null;
+
+    const sample: TrainingSample = {
+        id: newSampleId(),
+        label,
+        handedness,
+        landmarks: landmarks.map(({ x, y, z }) => ({ x, y, z })),
+        recordedAt: Date.now()
+    };
+    samplesFor(label).push(sample);
+
+    const profileId = getActiveProfile().id;
+    persist(() => saveSamples([sample], profileId));
+    return sample.id;
+}
 
-    const features = normalizeLandmarks(landmarks);
-    dataset.get(label)!.push(features);
-    return true;
+/**
+ * Recorded samples for a label, oldest first (for the dataset browser).
+ */
+export function getSamples(label: string): TrainingSample[] {
+    return [...samplesFor(label)];
+}
+
+/**
+ * Delete one sample (e.g., a bad frame spotted in the dataset browser).
+ */
+export function deleteSample(id: string): void {
+    for (const samples of activeDataset().values()) {
+        const index = samples.findIndex(sample => sample.id === id);
+        if (index === -1) continue;
+        samples.splice(index, 1);
+        persist(() => deleteSamples([id]));
+        return;
+    }
+}
+
+/**
+ * Drop all samples for a label (e.g., when a custom gesture is deleted).
+ */
+export function removeLabelSamples(label: string): void {
+    const ids = samplesFor(label).map(sample => sample.id);
+    activeDataset().delete(label);
+    persist(() => deleteSamples(ids));
 }
 
 /**
@@ -89,8 +224,8 @@ export function addSample(landmarks: Landmark[], label: string): boolean {
  */
 export function getSampleCounts(): Record<string, number> {
     const counts: Record<string, number> = {};
-    for (const label of GESTURE_LABELS) {
-        counts[label] = dataset.get(label)!.length;
+    for (const label of getGestureLabels()) {
+        counts[label] = samplesFor(label).length;
     }
     return counts;
 }
@@ -100,8 +235,8 @@ export function getSampleCounts(): Record<string, number> {
  */
 export function getTotalSamples(): number {
     let total = 0;
-    for (const label of GESTURE_LABELS) {
-        total += dataset.get(label)!.length;
+    for (const label of getGestureLabels()) {
+        total += samplesFor(label).length;
     }
     return total;
 }
@@ -110,17 +245,116 @@ export function getTotalSamples(): number {
  * Check if we have enough samples to train.
  */
 export function canTrain(): boolean {
-    for (const label of GESTURE_LABELS) {
-        if (dataset.get(label)!.length < MIN_SAMPLES_PER_GESTURE) return false;
+    for (const label of getGestureLabels()) {
+        if (samplesFor(label).length < MIN_SAMPLES_PER_GESTURE) return false;
     }
     return true;
 }
 
 /**
- * Clear all collected samples.
+ * Gestures fine-tuning would correct: those with enough samples.
+ */
+export function getFineTuneLabels(): string[] {
+    return getGestureLabels().filter(label => samplesFor(label).length >= MIN_SAMPLES_PER_GESTURE);
+}
+
+/**
+ * Check if we have enough samples to fine-tune: at least one gesture, and
+ * every custom gesture (the default model doesn't know them).
+ */
+export function canFineTune(): boolean {
+    const corrected = getFineTuneLabels();
+    return corrected.length > 0
+        && getGestureLabels().every(label => (GESTURE_LABELS as readonly string[]).includes(label) || corrected.includes(label));
+}
+
+/**
+ * Clear all collected samples of the active profile, in memory and stored.
  */
 export function clearDataset(): void {
-    resetDataset();
+    const profileId = getActiveProfile().id;
+    resetDataset(profileId);
+    persist(() => clearSamples(profileId));
+}
+
+/**
+ * The active profile's samples for the current labels, as a portable
+ * dataset file (landmarkDataset.ts).
+ */
+export function exportDataset(): LandmarkDataset {
+    const labels = getGestureLabels();
+    return createLandmarkDataset(labels.flatMap(label => samplesFor(label)), {
+        source: 'training-mode',
+        profile: getActiveProfile().name,
+        ...(typeof navigator !== 'undefined' ? { userAgent: navigator.userAgent } : {})
+    }, labels);
+}
+
+/**
+ * Add a dataset file's samples to the active profile. Samples whose label
+ * isn't a current gesture are skipped and reported, so they can be added
+ * as custom gestures first.
+ */
+export function importDataset(dataset: LandmarkDataset): { added: number; skippedLabels: string[] } {
+    const labels = getGestureLabels();
+    const skipped = new Set<string>();
+    const imported: TrainingSample[] = [];
+
+    for (const sample of dataset.samples) {
+        if (!labels.includes(sample.label)) {
+            skipped.add(sample.label);
+            continue;
+        }
+        const stored: TrainingSample = { ...sample, id: newSampleId() };
+        samplesFor(sample.label).push(stored);
+        imported.push(stored);
+    }
+
+    const profileId = getActiveProfile().id;
+    persist(() => saveSamples(imported, profileId));
+    return { added: imported.length, skippedLabels: [...skipped] };
+}
+
+/**
+ * Drop a deleted profile's samples from memory
+ * (deleteProfileData in localModelManager removes the stored ones).
+ */
+export function deleteProfileDataset(profileId: string): void {
+    datasets.delete(profileId);
+    loadedProfiles.delete(profileId);
+}
+
+// ──────────────────────────────────────────────
+// Held-Out Samples
+// ──────────────────────────────────────────────
+
+/** Sample id → [0, 1), the same on every run (32-bit FNV-1a, then mixed so similar ids spread out). */
+function idToUnit(id: string): number {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < id.length; i++) {
+        hash ^= id.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) / 2 ** 32;
+}
+
+/**
+ * Split one gesture's recorded samples into training and held-out, by id:
+ * about VALIDATION_SHARE of them are held out, always the same ones.
+ * When no id falls under the share, the lowest one is held out, so every
+ * gesture is scored.
+ */
+export function splitByHoldout(samples: TrainingSample[]): { training: TrainingSample[]; heldOut: TrainingSample[] } {
+    const heldOut = samples.filter(sample => idToUnit(sample.id) < VALIDATION_SHARE);
+    if (heldOut.length === 0 && samples.length > 0) {
+        heldOut.push(samples.reduce((lowest, sample) => idToUnit(sample.id) < idToUnit(lowest.id) ? sample : lowest));
+    }
+    return { training: samples.filter(sample => !heldOut.includes(sample)), heldOut };
 }
 
 // ──────────────────────────────────────────────
@@ -129,8 +363,13 @@ export function clearDataset(): void {
 
 /**
  * Build and train a gesture classification model using collected samples.
+ * Returns the model with a report on the held-out samples; saving it is
+ * up to the caller (Training Mode asks first if it scores worse than the
+ * model in use).
  */
-export async function trainModel(onProgress?: TrainProgressCallback): Promise<tf.LayersModel> {
+export async function trainModel(
+    onProgress?: TrainProgressCallback
+): Promise<{ model: tf.LayersModel; report: TrainingReport }> {
     if (!canTrain()) {
         throw new Error(
             `Need at least ${MIN_SAMPLES_PER_GESTURE} samples per gesture. ` +
@@ -138,77 +377,286 @@ export async function trainModel(onProgress?: TrainProgressCallback): Promise<tf
         );
     }
 
-    // ── Prepare training data ──
-    const allFeatures: number[][] = [];
-    const allLabels: number[][] = [];
+    // ── Prepare training data: hold out part of every gesture ──
+    const labels = getGestureLabels();
+    const training: { sample: LabeledSample; index: number }[] = [];
+    const validation: { sample: LabeledSample; index: number }[] = [];
 
-    for (let i = 0; i < GESTURE_LABELS.length; i++) {
-        const label = GESTURE_LABELS[i];
-        const samples = dataset.get(label)!;
+    labels.forEach((label, index) => {
+        const split = splitByHoldout(samplesFor(label));
+        validation.push(...split.heldOut.map(sample => ({ sample, index })));
+        training.push(...split.training.map(sample => ({ sample, index })));
+    });
 
-        for (const features of samples) {
-            allFeatures.push(Array.from(features));
-            // One-hot encode the label
-            const oneHot = new Array<number>(GESTURE_LABELS.length).fill(0);
-            oneHot[i] = 1;
-            allLabels.push(oneHot);
-        }
+    const toTensors = (items: typeof training) => ({
+        xs: tf.tensor2d(items.map(({ sample }) => extractFeatures(sample.landmarks, sample.handedness))),
+        ys: tf.oneHot(tf.tensor1d(items.map(({ index }) => index), 'int32'), labels.length)
+    });
+    const train = toTensors(training);
+    const held = toTensors(validation);
+    const model = tf.sequential();
+
+    try {
+        // ── Build model ──
+        model.add(tf.layers.dense({
+            inputShape: [INPUT_FEATURES],
+            units: 128,
+            activation: 'relu'
+        }));
+
+        model.add(tf.layers.dropout({ rate: 0.3 }));
+
+        model.add(tf.layers.dense({
+            units: 64,
+            activation: 'relu'
+        }));
+
+        model.add(tf.layers.dense({
+            units: labels.length,
+            activation: 'softmax'
+        }));
+
+        model.compile({
+            optimizer: tf.train.adam(LEARNING_RATE),
+            loss: 'categoricalCrossentropy',
+            metrics: ['accuracy']
+        });
+
+        // ── Train ──
+        const history = await model.fit(train.xs, train.ys, {
+            epochs: EPOCHS,
+            batchSize: BATCH_SIZE,
+            shuffle: true,
+            validationData: [held.xs, held.ys],
+            callbacks: {
+                onEpochEnd: (epoch) => {
+                    onProgress?.(epoch + 1, EPOCHS);
+                }
+            }
+        });
+
+        // ── Score the held-out samples ──
+        const predicted = tf.tidy(() => (model.predict(held.xs) as tf.Tensor).argMax(-1).dataSync());
+        const confusion = buildConfusionMatrix(labels, validation.map(({ sample }, i) => ({
+            actual: sample.label,
+            predicted: labels[predicted[i]]
+        })));
+
+        const series = (key: string) => (history.history[key] ?? []).map(Number);
+        const report: TrainingReport = {
+            history: {
+                loss: series('loss'),
+                accuracy: series('acc'),
+                valLoss: series('val_loss'),
+                valAccuracy: series('val_acc')
+            },
+            labels,
+            confusion,
+            classes: computeClassMetrics(labels, confusion),
+            validationAccuracy: overallAccuracy(confusion),
+            previousAccuracy: scoreActiveModel(validation.map(({ sample }) => sample))
+        };
+
+        // Saved with the model, so inference uses the same labels and features
+        model.setUserDefinedMetadata(createModelManifest(labels, {
+            sampleCounts: getSampleCounts(),
+            validationAccuracy: report.validationAccuracy
+        }));
+
+        return { model, report };
+    } catch (err) {
+        model.dispose();
+        throw err;
+    } finally {
+        // ── Cleanup tensors ──
+        train.xs.dispose();
+        train.ys.dispose();
+        held.xs.dispose();
+        held.ys.dispose();
     }
+}
+
+type LabeledSample = Omit<TrainingSample, 'id'>;
 
-    // Shuffle the data (Fisher-Yates)
-    for (let i = allFeatures.length - 1; i > 0; i--) {
+function shuffled<T>(items: T[]): T[] {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
         const j = Math.floor(Math.random() * (i + 1));
-        [allFeatures[i], allFeatures[j]] = [allFeatures[j], allFeatures[i]];
-        [allLabels[i], allLabels[j]] = [allLabels[j], allLabels[i]];
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Share of each label's samples that a model classifies as that label.
+ * `outputLabels[i]` is the label of the model's output i.
+ */
+function accuracyByLabel(
+    model: tf.LayersModel,
+    outputLabels: readonly string[],
+    samplesByLabel: Map<string, LabeledSample[]>
+): Map<string, number> {
+    const accuracy = new Map<string, number>();
+    for (const [label, samples] of samplesByLabel) {
+        if (samples.length === 0) continue;
+        const predicted = tf.tidy(() => {
+            const input = tf.tensor2d(samples.map(s => extractFeatures(s.landmarks, s.handedness)));
+            return (model.predict(input) as tf.Tensor).argMax(-1).dataSync();
+        });
+        const correct = Array.from(predicted).filter(index => outputLabels[index] === label).length;
+        accuracy.set(label, correct / samples.length);
     }
+    return accuracy;
+}
 
-    // Convert to tensors
-    const xs = tf.tensor2d(allFeatures);
-    const ys = tf.tensor2d(allLabels);
+/**
+ * Fine-tune the default model (`base`, a copy not used for inference — see
+ * loadFineTuneBase in gestureModel.ts) instead of training from scratch.
+ *
+ * Gestures with at least MIN_SAMPLES_PER_GESTURE samples are corrected with
+ * them; the others are rehearsed with `rehearsal` so the model keeps
+ * recognizing them. Only the last hidden layer and a new output layer (one
+ * unit per current label, known ones keeping their weights) are trained.
+ *
+ * The report compares held-out accuracy per gesture with the default
+ * model's, and overall with the model in use (like trainModel's). Don't
+ * use the model when `regressedLabels` isn't empty.
+ */
+export async function fineTuneModel(
+    base: tf.LayersModel,
+    rehearsal: LandmarkDataset,
+    onProgress?: TrainProgressCallback
+): Promise<{ model: tf.LayersModel; report: FineTuneReport }> {
+    const labels = getGestureLabels();
+    const corrected = getFineTuneLabels();
+    const baseManifest = readModelManifest(base.getUserDefinedMetadata());
+    const baseLabels = baseManifest.labels;
+    if (!baseLabels || baseManifest.preprocessingVersion !== PREPROCESSING_VERSION) {
+        throw new Error('The default model was saved by an older version and can\'t be fine-tuned. Train from scratch instead.');
+    }
+    const missing = labels.filter(label => !baseLabels.includes(label) && !corrected.includes(label));
+    if (corrected.length === 0 || missing.length > 0) {
+        throw new Error(
+            `Need at least ${MIN_SAMPLES_PER_GESTURE} samples for ` +
+            `${missing.length > 0 ? missing.join(', ') : 'one gesture'} to fine-tune.`
+        );
+    }
 
-    // ── Build model ──
-    const model = tf.sequential();
+    // ── Split each gesture's samples into training and held-out ──
+    const training: { sample: LabeledSample; index: number }[] = [];
+    const holdout = new Map<string, LabeledSample[]>();
+    const sampleCounts: Record<string, number> = {};
+
+    labels.forEach((label, index) => {
+        let split: { training: LabeledSample[]; heldOut: LabeledSample[] };
+        if (corrected.includes(label)) {
+            // Same split as trainModel, so later comparisons stay fair
+            split = splitByHoldout(samplesFor(label));
+        } else {
+            const samples = shuffled(rehearsal.samples.filter(sample => sample.label === label));
+            if (samples.length === 0) return;
+            const held = Math.max(1, Math.round(samples.length * VALIDATION_SHARE));
+            split = { training: samples.slice(held), heldOut: samples.slice(0, held) };
+        }
 
-    model.add(tf.layers.dense({
-        inputShape: [INPUT_FEATURES],
-        units: 128,
-        activation: 'relu'
-    }));
+        holdout.set(label, split.heldOut);
+        training.push(...split.training.map(sample => ({ sample, index })));
+        sampleCounts[label] = split.training.length + split.heldOut.length;
+    });
 
-    model.add(tf.layers.dropout({ rate: 0.3 }));
+    // Measured first: training updates the hidden layers shared with `base`
+    const before = accuracyByLabel(base, baseLabels, holdout);
 
-    model.add(tf.layers.dense({
-        units: 64,
-        activation: 'relu'
-    }));
+    // ── Build model: default hidden layers + a new output layer ──
+    const hidden = base.layers.slice(0, -1);
+    const oldOutput = base.layers[base.layers.length - 1];
+    const lastDense = [...hidden].reverse().find(layer => layer.getWeights().length > 0);
+    for (const layer of hidden) {
+        layer.trainable = layer === lastDense;
+    }
 
-    model.add(tf.layers.dense({
-        units: NUM_CLASSES,
-        activation: 'softmax'
-    }));
+    const output = tf.layers.dense({ units: labels.length, name: 'fine_tuned_logits' });
+    const logits = output.apply(hidden[hidden.length - 1].output) as tf.SymbolicTensor;
+    const model = tf.model({
+        inputs: base.inputs,
+        outputs: tf.layers.activation({ activation: 'softmax', name: 'fine_tuned_output' }).apply(logits) as tf.SymbolicTensor
+    });
+
+    // Trained on the logits (same layers as `model`): the default model is so
+    // confident that a clipped softmax output would give misread samples no gradient
+    const trainer = tf.model({ inputs: base.inputs, outputs: logits });
+
+    // Gestures the default model knows keep their output weights (matched by name)
+    tf.tidy(() => {
+        const [oldKernel, oldBias] = oldOutput.getWeights().map(w => w.arraySync()) as [number[][], number[]];
+        const [kernel, bias] = output.getWeights().map(w => w.arraySync()) as [number[][], number[]];
+        labels.forEach((label, j) => {
+            const i = baseLabels.indexOf(label);
+            if (i === -1) return;
+            kernel.forEach((row, r) => { row[j] = oldKernel[r][i]; });
+            bias[j] = oldBias[i];
+        });
+        output.setWeights([tf.tensor2d(kernel), tf.tensor1d(bias)]);
+    });
+    oldOutput.dispose();
 
-    model.compile({
-        optimizer: tf.train.adam(LEARNING_RATE),
-        loss: 'categoricalCrossentropy',
+    trainer.compile({
+        optimizer: tf.train.adam(FINE_TUNE_LEARNING_RATE),
+        loss: (yTrue: tf.Tensor, yPred: tf.Tensor) => tf.losses.softmaxCrossEntropy(yTrue, yPred),
         metrics: ['accuracy']
     });
 
     // ── Train ──
-    await model.fit(xs, ys, {
-        epochs: EPOCHS,
-        batchSize: BATCH_SIZE,
-        shuffle: true,
-        validationSplit: 0.2,
-        callbacks: {
-            onEpochEnd: (epoch) => {
-                onProgress?.(epoch + 1, EPOCHS);
+    const xs = tf.tensor2d(training.map(({ sample }) => extractFeatures(sample.landmarks, sample.handedness)));
+    const ys = tf.oneHot(tf.tensor1d(training.map(({ index }) => index), 'int32'), labels.length);
+
+    try {
+        await trainer.fit(xs, ys, {
+            epochs: FINE_TUNE_EPOCHS,
+            batchSize: BATCH_SIZE,
+            shuffle: true,
+            callbacks: {
+                onEpochEnd: (epoch) => {
+                    onProgress?.(epoch + 1, FINE_TUNE_EPOCHS);
+                }
             }
-        }
-    });
+        });
+    } catch (err) {
+        model.dispose();
+        throw err;
+    } finally {
+        xs.dispose();
+        ys.dispose();
+    }
 
-    // ── Cleanup tensors ──
-    xs.dispose();
-    ys.dispose();
+    // ── Compare held-out accuracy with the default model ──
+    const after = accuracyByLabel(model, labels, holdout);
+    const accuracy = [...holdout].map(([label, samples]) => ({
+        label,
+        before: before.get(label) ?? null,
+        after: after.get(label) ?? 0,
+        samples: samples.length
+    }));
+    const regressedLabels = accuracy
+        .filter(a => !corrected.includes(a.label) && a.before !== null && a.after < a.before - REGRESSION_TOLERANCE)
+        .map(a => a.label);
+
+    const heldOut = accuracy.reduce((sum, a) => sum + a.samples, 0);
+    const validationAccuracy = accuracy.reduce((sum, a) => sum + a.after * a.samples, 0) / heldOut;
+    model.setUserDefinedMetadata(createModelManifest(labels, {
+        sampleCounts,
+        validationAccuracy,
+        fineTunedLabels: corrected
+    }));
 
-    return model;
+    return {
+        model,
+        report: {
+            correctedLabels: corrected,
+            accuracy,
+            regressedLabels,
+            validationAccuracy,
+            previousAccuracy: scoreActiveModel([...holdout.values()].flat())
+        }
+    };
 }
@@ -0,0 +1,218 @@
+/**
+ * landmarkDataset.ts — Portable Training Data Files
+ *
+ * Moves recorded samples between browsers (Training Mode export/import)
+ * and into scripts/trainModel.mjs, which can train the default model on
+ * real recordings alone or mixed with its synthetic data. No TF.js here,
+ * so the Node scripts can import it.
+ *
+ * Samples are raw MediaPipe landmarks (normalized image coordinates) plus
+ * handedness; features are extracted by whoever trains on them, with the
+ * preprocessing version of that build.
+ *
+ * File formats:
+ *   - JSON: { format: 'corporate-landmark-dataset', version, exportedAt,
+ *             capture: { source, profile?, userAgent? }, labels,
+ *             samples: [{ label, handedness, recordedAt, landmarks: [{ x, y, z } × 21] }] }
+ *   - CSV:  '# key=value' metadata lines (format, version, exportedAt,
+ *           source, profile), then a header row
+ *           label,handedness,recordedAt,x0,y0,z0,…,x20,y20,z20
+ *           and one sample per row
+ */
+
+import type { Landmark, LandmarkDataset, LandmarkDatasetCapture, TrainingSample } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+export const LANDMARK_DATASET_FORMAT = 'corporate-landmark-dataset';
+export const LANDMARK_DATASET_VERSION = 1;
+
+const LANDMARK_COUNT = 21;
+
+const CSV_FIXED_COLUMNS = ['label', 'handedness', 'recordedAt'];
+const CSV_COLUMNS = [
+    ...CSV_FIXED_COLUMNS,
+    ...Array.from({ length: LANDMARK_COUNT }, (_, i) => [`x${i}`, `y${i}`, `z${i}`]).flat()
+];
+
+// ──────────────────────────────────────────────
+// Export
+// ──────────────────────────────────────────────
+
+/**
+ * Bundle samples into a dataset. `labels` defaults to the labels present,
+ * in first-seen order.
+ */
+export function createLandmarkDataset(
+    samples: Omit<TrainingSample, 'id'>[],
+    capture: LandmarkDatasetCapture,
+    labels: string[] = [...new Set(samples.map(s => s.label))]
+): LandmarkDataset {
+    return {
+        format: LANDMARK_DATASET_FORMAT,
+        version: LANDMARK_DATASET_VERSION,
+        exportedAt: new Date().toISOString(),
+        capture,
+        labels,
+        samples: samples.map(({ label, handedness, recordedAt, landmarks }) => ({
+            label,
+            handedness,
+            recordedAt,
+            landmarks: landmarks.map(({ x, y, z }) => ({ x, y, z }))
+        }))
+    };
+}
+
+export function datasetToJSON(dataset: LandmarkDataset): string {
+    return JSON.stringify(dataset);
+}
+
+export function datasetToCSV(dataset: LandmarkDataset): string {
+    const meta: Record<string, string | number | undefined> = {
+        format: dataset.format,
+        version: dataset.version,
+        exportedAt: dataset.exportedAt ?? undefined,
+        source: dataset.capture.source,
+        profile: dataset.capture.profile,
+        labels: dataset.labels.join(' ')
+    };
+    const lines = Object.entries(meta)
+        .filter(([, value]) => value !== undefined && value !== '')
+        .map(([key, value]) => `# ${key}=${value}`);
+    lines.push(CSV_COLUMNS.join(','));
+    for (const s of dataset.samples) {
+        lines.push([s.label, s.handedness, s.recordedAt, ...s.landmarks.flatMap(lm => [lm.x, lm.y, lm.z])].join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// ──────────────────────────────────────────────
+// Parsing
+// ──────────────────────────────────────────────
+
+function validateSample(sample: unknown, where: string): Omit<TrainingSample, 'id'> {
+    const s = sample as { label?: unknown; handedness?: unknown; recordedAt?: unknown; landmarks?: unknown };
+    if (typeof s?.label !== 'string' || !s.label) {
+        throw new Error(`${where} has no label.`);
+    }
+    if (s.handedness !== 'Left' && s.handedness !== 'Right') {
+        throw new Error(`${where} must have handedness "Left" or "Right".`);
+    }
+    if (!Array.isArray(s.landmarks) || s.landmarks.length !== LANDMARK_COUNT) {
+        throw new Error(`${where} must have ${LANDMARK_COUNT} landmarks.`);
+    }
+    const landmarks = (s.landmarks as Partial<Landmark>[]).map(lm => ({ x: lm?.x, y: lm?.y, z: lm?.z }));
+    if (!landmarks.every(lm => [lm.x, lm.y, lm.z].every(v => typeof v === 'number' && Number.isFinite(v)))) {
+        throw new Error(`${where} has a landmark without numeric x, y and z.`);
+    }
+    return {
+        label: s.label,
+        handedness: s.handedness,
+        recordedAt: typeof s.recordedAt === 'number' && Number.isFinite(s.recordedAt) ? s.recordedAt : 0,
+        landmarks: landmarks as Landmark[]
+    };
+}
+
+function parseJSON(text: string): LandmarkDataset {
+    let raw: Partial<Record<keyof LandmarkDataset, unknown>>;
+    try {
+        raw = JSON.parse(text) as typeof raw;
+    } catch {
+        throw new Error('Dataset file is not valid JSON.');
+    }
+    if (raw.format !== LANDMARK_DATASET_FORMAT) {
+        throw new Error(`Not a landmark dataset file (expected format "${LANDMARK_DATASET_FORMAT}").`);
+    }
+    if (!Array.isArray(raw.samples)) {
+        throw new Error('Landmark dataset is missing its "samples" list.');
+    }
+    const samples = raw.samples.map((sample, i) => validateSample(sample, `Sample ${i}`));
+    const capture = (raw.capture ?? {}) as Partial<LandmarkDatasetCapture>;
+    return {
+        format: LANDMARK_DATASET_FORMAT,
+        version: typeof raw.version === 'number' ? raw.version : LANDMARK_DATASET_VERSION,
+        exportedAt: typeof raw.exportedAt === 'string' ? raw.exportedAt : null,
+        capture: {
+            source: typeof capture.source === 'string' ? capture.source : 'unknown',
+            ...(typeof capture.profile === 'string' ? { profile: capture.profile } : {}),
+            ...(typeof capture.userAgent === 'string' ? { userAgent: capture.userAgent } : {})
+        },
+        labels: Array.isArray(raw.labels) && raw.labels.every(l => typeof l === 'string')
+            ? raw.labels as string[]
+            : [...new Set(samples.map(s => s.label))],
+        samples
+    };
+}
+
+function parseCSV(text: string): LandmarkDataset {
+    const lines = text.split('\n').map(l => l.trim());
+    const meta: Record<string, string> = {};
+    const samples: Omit<TrainingSample, 'id'>[] = [];
+    let columns: string[] | null = null;
+
+    lines.forEach((line, i) => {
+        if (!line) return;
+        const where = `Line ${i + 1}`;
+        if (line.startsWith('#')) {
+            const [key, ...rest] = line.slice(1).trim().split('=');
+            if (rest.length > 0) meta[key.trim()] = rest.join('=').trim();
+            return;
+        }
+        const cells = line.split(',').map(c => c.trim());
+        if (!columns) {
+            const missing = CSV_COLUMNS.filter(c => !cells.includes(c));
+            if (missing.length > 0) {
+                throw new Error(`${where}: header is missing column${missing.length === 1 ? '' : 's'} ${missing.slice(0, 3).join(', ')}${missing.length > 3 ? '…' : ''}.`);
+            }
+            columns = cells;
+            return;
+        }
+        if (cells.length !== columns.length) {
+            throw new Error(`${where}: expected ${columns.length} values, found ${cells.length}.`);
+        }
+        const cell = (name: string) => cells[columns!.indexOf(name)];
+        const number = (name: string) => (cell(name) === '' ? NaN : Number(cell(name)));
+        samples.push(validateSample({
+            label: cell('label'),
+            handedness: cell('handedness'),
+            recordedAt: cell('recordedAt') === '' ? 0 : number('recordedAt'),
+            landmarks: Array.from({ length: LANDMARK_COUNT }, (_, j) => ({
+                x: number(`x${j}`),
+                y: number(`y${j}`),
+                z: number(`z${j}`)
+            }))
+        }, where));
+    });
+
+    if (!columns) throw new Error('CSV dataset has no header row.');
+    if (meta.format !== undefined && meta.format !== LANDMARK_DATASET_FORMAT) {
+        throw new Error(`Not a landmark dataset file (expected format "${LANDMARK_DATASET_FORMAT}").`);
+    }
+    return {
+        format: LANDMARK_DATASET_FORMAT,
+        version: meta.version ? Number(meta.version) : LANDMARK_DATASET_VERSION,
+        exportedAt: meta.exportedAt ?? null,
+        capture: {
+            source: meta.source ?? 'unknown',
+            ...(meta.profile ? { profile: meta.profile } : {})
+        },
+        labels: meta.labels ? meta.labels.split(/\s+/) : [...new Set(samples.map(s => s.label))],
+        samples
+    };
+}
+
+/**
+ * Parse a JSON or CSV dataset file. Throws with a readable message on bad input.
+ */
+export function parseLandmarkDataset(text: string): LandmarkDataset {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error('Dataset file is empty.');
+
+    const dataset = trimmed.startsWith('{') ? parseJSON(trimmed) : parseCSV(trimmed);
+    if (dataset.version > LANDMARK_DATASET_VERSION) {
+        throw new Error(`Dataset version ${dataset.version} is newer than this build supports (${LANDMARK_DATASET_VERSION}).`);
+    }
+    return dataset;
+}
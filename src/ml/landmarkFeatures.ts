@@ -0,0 +1,85 @@
+/**
+ * landmarkFeatures.ts — Landmark → Model Feature Pipeline
+ *
+ * The one place that turns 21 MediaPipe landmarks into the 63 numbers the
+ * classifier sees. Inference (gestureModel), in-browser training
+ * (gestureTrainer) and the Node scripts (trainModel.mjs, evaluateModel.mjs)
+ * all call extractFeatures, so a model never sees features computed
+ * differently from the ones it was trained on.
+ *
+ * Version 2 (current) makes the features independent of where and how the
+ * hand appears in the image:
+ *   1. Translate: coordinates relative to the wrist
+ *   2. Mirror:    left hands are flipped on x so they look like right hands
+ *   3. Rotate:    in the image plane, so wrist → middle finger MCP points up
+ *   4. Scale:     divide by the palm size (wrist → middle finger MCP)
+ *
+ * Version 1 (legacy) is step 1 only. Models saved without a preprocessing
+ * version (modelManifest.ts) were trained on it and keep using it.
+ */
+
+import { PREPROCESSING_VERSION } from '../config/gestureConfig';
+import type { Landmark } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+/** Version assumed for models that don't record one (wrist-relative only) */
+export const LEGACY_PREPROCESSING_VERSION = 1;
+
+/** Feature versions extractFeatures can produce */
+export const SUPPORTED_PREPROCESSING_VERSIONS: readonly number[] = [LEGACY_PREPROCESSING_VERSION, PREPROCESSING_VERSION];
+
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+
+/** Below this palm size the hand is degenerate — skip rotation and scaling */
+const MIN_PALM_SIZE = 1e-6;
+
+// ──────────────────────────────────────────────
+// Feature Extraction
+// ──────────────────────────────────────────────
+
+/**
+ * Flatten 21 landmarks into 63 features (x, y, z per landmark).
+ *
+ * `handedness` is MediaPipe's label for the hand; 'Left' hands are
+ * mirrored. Throws for a version this build can't produce.
+ */
+export function extractFeatures(
+    landmarks: Landmark[],
+    handedness: string = 'Right',
+    version: number = PREPROCESSING_VERSION
+): number[] {
+    if (!SUPPORTED_PREPROCESSING_VERSIONS.includes(version)) {
+        throw new Error(`Unsupported preprocessing version ${version} (supported: ${SUPPORTED_PREPROCESSING_VERSIONS.join(', ')}).`);
+    }
+
+    const wrist = landmarks[WRIST];
+    const points = landmarks.map(lm => ({ x: lm.x - wrist.x, y: lm.y - wrist.y, z: lm.z - wrist.z }));
+
+    if (version === LEGACY_PREPROCESSING_VERSION) {
+        return points.flatMap(p => [p.x, p.y, p.z]);
+    }
+
+    const mirror = handedness === 'Left' ? -1 : 1;
+    for (const p of points) p.x *= mirror;
+
+    const palm = points[MIDDLE_MCP];
+    const palmSize = Math.sqrt(palm.x * palm.x + palm.y * palm.y + palm.z * palm.z);
+    if (palmSize < MIN_PALM_SIZE) {
+        return points.flatMap(p => [p.x, p.y, p.z]);
+    }
+
+    // Rotate so the palm axis points to −y (up in image coordinates)
+    const angle = -Math.PI / 2 - Math.atan2(palm.y, palm.x);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return points.flatMap(p => [
+        (p.x * cos - p.y * sin) / palmSize,
+        (p.x * sin + p.y * cos) / palmSize,
+        p.z / palmSize
+    ]);
+}
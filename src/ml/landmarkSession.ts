@@ -0,0 +1,289 @@
+/**
+ * landmarkSession.ts — Landmark Session Recording & Replay
+ *
+ * Records the raw per-frame MediaPipe output (every hand's landmarks and
+ * handedness, plus empty frames when no hand is visible) with timestamps.
+ * A recorded session can be replayed through the same GesturePipeline the
+ * live app uses — no camera, no DOM — in the browser or in Node.
+ *
+ * Determinism: replay drives every stage with the recorded timestamps
+ * (startedAt + t) instead of the wall clock, and restarts phrase rotation,
+ * so the same session and model always yield the same accepted gestures
+ * at the same times. (The 'random' rotation policy still varies phrases.)
+ *
+ * A session also records what the live pipeline was told: the engine
+ * settings (at the start, and on each frame where they changed) and the
+ * frames where recognition was paused. Replay follows both, so a session
+ * tuned or paused mid-recording replays the way it ran.
+ *
+ * File formats:
+ *   - JSON:  { format: 'corporate-landmark-session', version, startedAt,
+ *              engineSettings?, frames }
+ *   - JSONL: optional header line { format, version, startedAt,
+ *            engineSettings? }, then one { t, hands, paused?,
+ *            engineSettings? } frame per line
+ */
+
+import { GesturePipeline } from './gesturePipeline';
+import { resetPhraseRotation } from '../config/phrasePacks';
+import { sanitizeEngineSettings } from '../config/engineSettings';
+import type { PredictFn } from './gesturePipeline';
+import type {
+    DecisionEngineOptions,
+    DecisionEngineSettings,
+    LandmarkSession,
+    LandmarkSessionFrame,
+    PipelineFrameOutput,
+    RecordedHand,
+    ReplayEvent
+} from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+export const LANDMARK_SESSION_FORMAT = 'corporate-landmark-session';
+const LANDMARK_SESSION_VERSION = 1;
+
+/**
+ * startedAt for files that don't carry one. Any non-zero base works —
+ * the engines treat a timestamp of 0 as "never accepted".
+ */
+const DEFAULT_SESSION_EPOCH = 1_000_000;
+
+/** Safety cap (~10 min at 30fps) so a forgotten recording can't exhaust memory */
+const MAX_SESSION_FRAMES = 18000;
+
+// ──────────────────────────────────────────────
+// Recording
+// ──────────────────────────────────────────────
+
+export class LandmarkSessionRecorder {
+    /** Recorded frames, oldest first. */
+    frames: LandmarkSessionFrame[];
+
+    /** Wall-clock start of the current recording (0 = not recording). */
+    startedAt: number;
+
+    /** Wall-clock start of the last recording, kept after stop() for export. */
+    lastStartedAt: number;
+
+    /** Engine settings of the first recorded frame (null = none given). */
+    engineSettings: DecisionEngineSettings | null;
+
+    /** Settings most recently given to add(), serialized, to record only changes. */
+    lastSettingsJson: string | null;
+
+    constructor() {
+        this.frames = [];
+        this.startedAt = 0;
+        this.lastStartedAt = 0;
+        this.engineSettings = null;
+        this.lastSettingsJson = null;
+    }
+
+    /**
+     * Discard any previous recording and start a new one.
+     */
+    start(now: number = Date.now()): void {
+        this.frames = [];
+        this.startedAt = now;
+        this.lastStartedAt = now;
+        this.engineSettings = null;
+        this.lastSettingsJson = null;
+    }
+
+    stop(): void {
+        this.startedAt = 0;
+    }
+
+    isRecording(): boolean {
+        return this.startedAt !== 0;
+    }
+
+    /**
+     * Append one camera frame (pass an empty list when no hand is visible),
+     * with whether recognition was paused and the engine settings in use.
+     */
+    add(
+        hands: RecordedHand[],
+        now: number = Date.now(),
+        { paused = false, engineSettings }: { paused?: boolean; engineSettings?: DecisionEngineSettings } = {}
+    ): void {
+        if (!this.isRecording()) return;
+        if (this.frames.length >= MAX_SESSION_FRAMES) {
+            this.stop();
+            return;
+        }
+
+        const frame: LandmarkSessionFrame = {
+            t: now - this.startedAt,
+            hands: hands.map(h => ({
+                handedness: h.handedness,
+                landmarks: h.landmarks.map(({ x, y, z }) => ({ x, y, z }))
+            }))
+        };
+        if (paused) frame.paused = true;
+
+        if (engineSettings) {
+            const json = JSON.stringify(engineSettings);
+            if (this.frames.length === 0) this.engineSettings = engineSettings;
+            else if (json !== this.lastSettingsJson) frame.engineSettings = engineSettings;
+            this.lastSettingsJson = json;
+        }
+
+        this.frames.push(frame);
+    }
+
+    toSession(): LandmarkSession {
+        return {
+            format: LANDMARK_SESSION_FORMAT,
+            version: LANDMARK_SESSION_VERSION,
+            startedAt: this.lastStartedAt,
+            ...(this.engineSettings ? { engineSettings: this.engineSettings } : {}),
+            frames: this.frames
+        };
+    }
+
+    toJSON(): string {
+        return JSON.stringify(this.toSession());
+    }
+}
+
+/** App-wide recorder fed by useHandTracking (no-op unless recording). */
+export const landmarkSessionRecorder = new LandmarkSessionRecorder();
+
+// ──────────────────────────────────────────────
+// Parsing
+// ──────────────────────────────────────────────
+
+/** Recorded engine settings, checked like saved ones; undefined if absent. */
+function readEngineSettings(raw: unknown): DecisionEngineSettings | undefined {
+    return raw && typeof raw === 'object' ? sanitizeEngineSettings(raw as Partial<DecisionEngineSettings>) : undefined;
+}
+
+function validateFrame(frame: unknown, index: number): LandmarkSessionFrame {
+    const f = frame as { t?: unknown; hands?: unknown; paused?: unknown; engineSettings?: unknown };
+    if (typeof f?.t !== 'number' || !Array.isArray(f.hands)) {
+        throw new Error(`Frame ${index} must have a numeric "t" and a "hands" list.`);
+    }
+    for (const hand of f.hands as { handedness?: unknown; landmarks?: unknown }[]) {
+        if (typeof hand?.handedness !== 'string' || !Array.isArray(hand.landmarks) || hand.landmarks.length !== 21) {
+            throw new Error(`Frame ${index} has a hand without a handedness and 21 landmarks.`);
+        }
+    }
+
+    const valid: LandmarkSessionFrame = { t: f.t, hands: f.hands as RecordedHand[] };
+    if (f.paused === true) valid.paused = true;
+    const engineSettings = readEngineSettings(f.engineSettings);
+    if (engineSettings) valid.engineSettings = engineSettings;
+    return valid;
+}
+
+/**
+ * Parse a JSON or JSONL session file. Throws with a readable message on bad input.
+ */
+export function parseLandmarkSession(text: string): LandmarkSession {
+    const trimmed = text.trim();
+    if (!trimmed) throw new Error('Landmark session file is empty.');
+
+    let header: { format?: unknown; startedAt?: unknown; engineSettings?: unknown } = {};
+    let rawFrames: unknown[];
+
+    try {
+        const whole = JSON.parse(trimmed) as { format?: unknown; startedAt?: unknown; engineSettings?: unknown; frames?: unknown; t?: unknown };
+        if (Array.isArray(whole.frames)) {
+            header = whole;
+            rawFrames = whole.frames;
+        } else if (whole.t !== undefined) {
+            // Single-line JSONL
+            rawFrames = [whole];
+        } else {
+            throw new Error('Landmark session is missing its "frames" list.');
+        }
+    } catch (err) {
+        if (!(err instanceof SyntaxError)) throw err;
+
+        // JSONL: one object per line, optionally starting with a header
+        const lines = trimmed.split('\n').map(l => l.trim()).filter(Boolean);
+        rawFrames = lines.map((line, i) => {
+            try {
+                return JSON.parse(line) as unknown;
+            } catch {
+                throw new Error(`Line ${i + 1} is not valid JSON.`);
+            }
+        });
+        const first = rawFrames[0] as { format?: unknown };
+        if (first && typeof first === 'object' && 'format' in first) {
+            header = first as typeof header;
+            rawFrames = rawFrames.slice(1);
+        }
+    }
+
+    if (header.format !== undefined && header.format !== LANDMARK_SESSION_FORMAT) {
+        throw new Error(`Not a landmark session file (expected format "${LANDMARK_SESSION_FORMAT}").`);
+    }
+
+    const engineSettings = readEngineSettings(header.engineSettings);
+    return {
+        format: LANDMARK_SESSION_FORMAT,
+        version: LANDMARK_SESSION_VERSION,
+        startedAt: typeof header.startedAt === 'number' && header.startedAt > 0 ? header.startedAt : DEFAULT_SESSION_EPOCH,
+        ...(engineSettings ? { engineSettings } : {}),
+        frames: rawFrames.map(validateFrame)
+    };
+}
+
+// ──────────────────────────────────────────────
+// Replay
+// ──────────────────────────────────────────────
+
+/** Called after each replayed frame with its output and wall-clock processing time. */
+export type ReplayFrameCallback = (frame: LandmarkSessionFrame, output: PipelineFrameOutput, elapsedMs: number) => void;
+
+export interface ReplayOptions {
+    /**
+     * Decision engine settings to replay with, over the ones recorded in
+     * the session (defaults for files that have none).
+     */
+    engineOptions?: DecisionEngineOptions;
+    onFrame?: ReplayFrameCallback;
+}
+
+/**
+ * Replay a session through a fresh GesturePipeline and return every
+ * accepted gesture with its time offset. The session is treated as ending
+ * with the hands leaving the frame, so held sequence steps are flushed.
+ *
+ * Recorded settings changes are applied on their frame. A paused frame
+ * with hands in view resets the pipeline, as the live app does, so it
+ * never accepts anything.
+ */
+export function replayLandmarkSession(
+    session: LandmarkSession,
+    predict: PredictFn,
+    { engineOptions = {}, onFrame }: ReplayOptions = {}
+): ReplayEvent[] {
+    const pipeline = new GesturePipeline(predict, { ...session.engineSettings, ...engineOptions });
+    const { clock: _clock, ...overrides } = engineOptions;
+    const events: ReplayEvent[] = [];
+    resetPhraseRotation();
+
+    for (const frame of session.frames) {
+        const start = performance.now();
+        const now = session.startedAt + frame.t;
+        if (frame.engineSettings) pipeline.configureEngines({ ...frame.engineSettings, ...overrides });
+        const output: PipelineFrameOutput = frame.paused && frame.hands.length > 0
+            ? { accepted: [], lifecycle: pipeline.reset(now), analyses: [] }
+            : pipeline.processFrame(frame.hands, now);
+        onFrame?.(frame, output, performance.now() - start);
+        for (const gesture of output.accepted) events.push({ ...gesture, t: frame.t });
+    }
+
+    const lastT = session.frames.length > 0 ? session.frames[session.frames.length - 1].t : 0;
+    for (const gesture of pipeline.processFrame([], session.startedAt + lastT).accepted) {
+        events.push({ ...gesture, t: lastT });
+    }
+
+    return events;
+}
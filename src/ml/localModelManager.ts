@@ -4,13 +4,27 @@
  * Handles saving, loading, and clearing user-trained gesture models
  * in the browser's IndexedDB via TensorFlow.js built-in I/O.
  *
- * Storage key: indexeddb://corporate-gesture-model
+ * Storage key: indexeddb://corporate-gesture-model, suffixed with the
+ * profile id for profiles other than the default (modelProfiles.ts).
+ * Every function works on the active profile unless given one.
  *
- * Privacy: All data stays in the user's browser.
- * No uploads, no server calls, no file downloads.
+ * The preprocessing version the model was trained on is saved with it
+ * (tfjs user-defined metadata, set by gestureTrainer), so it survives the
+ * IndexedDB round trip without a separate record.
+ *
+ * Metadata that belongs with the model (custom gesture definitions)
+ * lives in a small companion IndexedDB database, `corporate-gesture-meta`.
+ * Its `samples` store keeps the recorded training samples (raw landmarks),
+ * one record per sample, tagged with the profile that recorded it.
+ *
+ * Privacy: All data stays in the user's browser — no uploads, no server
+ * calls. Nothing leaves it unless the user exports the dataset, which
+ * downloads a JSON or CSV file (Training Mode, landmarkDataset.ts).
  */
 
 import * as tf from '@tensorflow/tfjs';
+import { getActiveProfile, profileStorageKey } from '../config/modelProfiles';
+import type { CustomGestureDefinition, TrainingSample } from '../types';
 
 // ──────────────────────────────────────────────
 // Constants
@@ -18,6 +32,100 @@ import * as tf from '@tensorflow/tfjs';
 
 const MODEL_KEY = 'indexeddb://corporate-gesture-model';
 
+function modelKey(profileId?: string): string {
+    return profileStorageKey(MODEL_KEY, profileId);
+}
+
+/** Companion database for model metadata */
+const META_DB_NAME = 'corporate-gesture-meta';
+const META_STORE = 'meta';
+const SAMPLES_STORE = 'samples';
+const SAMPLES_PROFILE_INDEX = 'profileId';
+const META_DB_VERSION = 2;
+
+/** Metadata record keys */
+const CUSTOM_GESTURES_KEY = 'customGestures';
+
+// ──────────────────────────────────────────────
+// IndexedDB key-value helpers (metadata store)
+// ──────────────────────────────────────────────
+
+function openMetaDb(): Promise<IDBDatabase> {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(META_DB_NAME, META_DB_VERSION);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(META_STORE)) {
+                request.result.createObjectStore(META_STORE);
+            }
+            // v2: recorded training samples
+            if (!request.result.objectStoreNames.contains(SAMPLES_STORE)) {
+                const samples = request.result.createObjectStore(SAMPLES_STORE, { keyPath: 'id' });
+                samples.createIndex(SAMPLES_PROFILE_INDEX, SAMPLES_PROFILE_INDEX);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function metaGet<T>(key: string): Promise<T | undefined> {
+    const db = await openMetaDb();
+    try {
+        return await new Promise<T | undefined>((resolve, reject) => {
+            const request = db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(key);
+            request.onsuccess = () => resolve(request.result as T | undefined);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+async function metaSet(key: string, value: unknown): Promise<void> {
+    const db = await openMetaDb();
+    try {
+        await new Promise<void>((resolve, reject) => {
+            const tx = db.transaction(META_STORE, 'readwrite');
+            tx.objectStore(META_STORE).put(value, key);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+async function metaDelete(key: string): Promise<void> {
+    const db = await openMetaDb();
+    try {
+        await new Promise<void>((resolve, reject) => {
+            const tx = db.transaction(META_STORE, 'readwrite');
+            tx.objectStore(META_STORE).delete(key);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Run a read-write transaction on the samples store.
+ */
+async function withSamplesStore(work: (store: IDBObjectStore) => void): Promise<void> {
+    const db = await openMetaDb();
+    try {
+        await new Promise<void>((resolve, reject) => {
+            const tx = db.transaction(SAMPLES_STORE, 'readwrite');
+            work(tx.objectStore(SAMPLES_STORE));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
 // ──────────────────────────────────────────────
 // Public API
 // ──────────────────────────────────────────────
@@ -28,7 +136,7 @@ const MODEL_KEY = 'indexeddb://corporate-gesture-model';
  */
 export async function loadUserModel(): Promise<tf.LayersModel | null> {
     try {
-        const model = await tf.loadLayersModel(MODEL_KEY);
+        const model = await tf.loadLayersModel(modelKey());
         console.log('🧠 Loaded user-trained model from IndexedDB');
         return model;
     } catch {
@@ -44,7 +152,7 @@ export async function loadUserModel(): Promise<tf.LayersModel | null> {
  */
 export async function saveUserModel(model: tf.LayersModel): Promise<void> {
     try {
-        await model.save(MODEL_KEY);
+        await model.save(modelKey());
         console.log('💾 User model saved to IndexedDB');
     } catch (err) {
         console.error('Failed to save user model:', err);
@@ -58,7 +166,7 @@ export async function saveUserModel(model: tf.LayersModel): Promise<void> {
  */
 export async function clearUserModel(): Promise<void> {
     try {
-        await tf.io.removeModel(MODEL_KEY);
+        await tf.io.removeModel(modelKey());
         console.log('🗑️ User model cleared from IndexedDB');
     } catch {
         // Model might not exist — that's fine
@@ -72,8 +180,107 @@ export async function clearUserModel(): Promise<void> {
 export async function hasUserModel(): Promise<boolean> {
     try {
         const models = await tf.io.listModels();
-        return MODEL_KEY in models;
+        return modelKey() in models;
     } catch {
         return false;
     }
 }
+
+/**
+ * Load user-defined gesture definitions from IndexedDB.
+ * Returns an empty list if none have been saved.
+ */
+export async function loadCustomGestures(): Promise<CustomGestureDefinition[]> {
+    try {
+        return (await metaGet<CustomGestureDefinition[]>(profileStorageKey(CUSTOM_GESTURES_KEY))) ?? [];
+    } catch (err) {
+        console.warn('Failed to load custom gestures:', err);
+        return [];
+    }
+}
+
+/**
+ * Save user-defined gesture definitions to IndexedDB.
+ * Overwrites the previously saved list.
+ */
+export async function saveCustomGestures(gestures: CustomGestureDefinition[]): Promise<void> {
+    try {
+        await metaSet(profileStorageKey(CUSTOM_GESTURES_KEY), gestures);
+        console.log(`💾 Saved ${gestures.length} custom gesture(s) to IndexedDB`);
+    } catch (err) {
+        console.error('Failed to save custom gestures:', err);
+        throw err;
+    }
+}
+
+/**
+ * Load a profile's recorded training samples, oldest first.
+ */
+export async function loadSamples(profileId: string = getActiveProfile().id): Promise<TrainingSample[]> {
+    const db = await openMetaDb();
+    try {
+        const records = await new Promise<(TrainingSample & { profileId: string })[]>((resolve, reject) => {
+            const request = db.transaction(SAMPLES_STORE, 'readonly')
+                .objectStore(SAMPLES_STORE)
+                .index(SAMPLES_PROFILE_INDEX)
+                .getAll(profileId);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return records
+            .map(({ profileId: _profileId, ...sample }) => sample)
+            .sort((a, b) => a.recordedAt - b.recordedAt);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Store recorded samples for a profile (existing ids are overwritten).
+ */
+export async function saveSamples(samples: TrainingSample[], profileId: string = getActiveProfile().id): Promise<void> {
+    if (samples.length === 0) return;
+    await withSamplesStore(store => {
+        for (const sample of samples) store.put({ ...sample, profileId });
+    });
+}
+
+/**
+ * Delete recorded samples by id.
+ */
+export async function deleteSamples(ids: string[]): Promise<void> {
+    if (ids.length === 0) return;
+    await withSamplesStore(store => {
+        for (const id of ids) store.delete(id);
+    });
+}
+
+/**
+ * Delete every recorded sample of a profile.
+ */
+export async function clearSamples(profileId: string = getActiveProfile().id): Promise<void> {
+    await withSamplesStore(store => {
+        const request = store.index(SAMPLES_PROFILE_INDEX).openKeyCursor(IDBKeyRange.only(profileId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    });
+}
+
+/**
+ * Remove everything stored for a profile (model, custom gestures and
+ * samples), when the profile is deleted.
+ */
+export async function deleteProfileData(profileId: string): Promise<void> {
+    try {
+        await tf.io.removeModel(modelKey(profileId));
+    } catch {
+        // The profile may never have trained a model
+    }
+    await metaDelete(profileStorageKey(CUSTOM_GESTURES_KEY, profileId));
+    await clearSamples(profileId);
+    console.log(`🗑️ Removed stored data for profile ${profileId}`);
+}
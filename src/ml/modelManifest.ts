@@ -0,0 +1,137 @@
+/**
+ * modelManifest.ts — What a Saved Model Was Trained On
+ *
+ * Every trainer (gestureTrainer in the browser, scripts/trainModel.mjs)
+ * saves a manifest as the model's user-defined metadata — model.json or
+ * the IndexedDB record:
+ *
+ *   - labels: the label of each output index, in order
+ *   - preprocessingVersion: the feature pipeline it expects
+ *   - trainedAt, sampleCounts, validationAccuracy: for the UI and reports
+ *   - fineTunedLabels: gestures corrected by fine-tuning the default model
+ *
+ * Every loader (gestureModel, the Node scripts) checks the manifest
+ * against the current label config before using the model. Outputs are
+ * read by label name, so a reordered config is remapped instead of
+ * mislabeling predictions; a model that can't be read (unknown features,
+ * output count that doesn't match its labels) is refused with a reason.
+ *
+ * Models saved before manifests existed are assumed to follow the current
+ * label order and use the legacy wrist-only features.
+ */
+
+import { PREPROCESSING_VERSION } from '../config/gestureConfig';
+import { LEGACY_PREPROCESSING_VERSION, SUPPORTED_PREPROCESSING_VERSIONS } from './landmarkFeatures';
+import type { ModelCompatibility, ModelManifest } from '../types';
+
+// ──────────────────────────────────────────────
+// Reading & Writing
+// ──────────────────────────────────────────────
+
+/**
+ * Manifest to save with a model trained now on `labels` (in output order).
+ */
+export function createModelManifest(
+    labels: readonly string[],
+    training: { sampleCounts?: Record<string, number>; validationAccuracy?: number; fineTunedLabels?: string[] } = {}
+): ModelManifest {
+    return {
+        preprocessingVersion: PREPROCESSING_VERSION,
+        labels: [...labels],
+        trainedAt: new Date().toISOString(),
+        sampleCounts: training.sampleCounts ? { ...training.sampleCounts } : null,
+        validationAccuracy: typeof training.validationAccuracy === 'number' ? training.validationAccuracy : null,
+        fineTunedLabels: training.fineTunedLabels ? [...training.fineTunedLabels] : null
+    };
+}
+
+/**
+ * Parse a model's user-defined metadata. Missing or malformed fields get
+ * their legacy meaning (wrist-only features) or null.
+ */
+export function readModelManifest(raw: unknown): ModelManifest {
+    const manifest = (raw ?? {}) as Partial<Record<keyof ModelManifest, unknown>>;
+    const isStringList = (value: unknown): value is string[] =>
+        Array.isArray(value) && value.every(item => typeof item === 'string');
+    const isCountMap = (value: unknown): value is Record<string, number> =>
+        typeof value === 'object' && value !== null && !Array.isArray(value)
+        && Object.values(value).every(count => typeof count === 'number');
+
+    return {
+        preprocessingVersion: typeof manifest.preprocessingVersion === 'number'
+            ? manifest.preprocessingVersion
+            : LEGACY_PREPROCESSING_VERSION,
+        labels: isStringList(manifest.labels) ? manifest.labels : null,
+        trainedAt: typeof manifest.trainedAt === 'string' ? manifest.trainedAt : null,
+        sampleCounts: isCountMap(manifest.sampleCounts) ? manifest.sampleCounts : null,
+        validationAccuracy: typeof manifest.validationAccuracy === 'number' ? manifest.validationAccuracy : null,
+        fineTunedLabels: isStringList(manifest.fineTunedLabels) ? manifest.fineTunedLabels : null
+    };
+}
+
+// ──────────────────────────────────────────────
+// Checks
+// ──────────────────────────────────────────────
+
+/**
+ * First difference between two label lists, where position matters.
+ * Returns a readable description, or null when they are identical.
+ */
+export function describeLabelMismatch(expected: readonly string[], actual: readonly string[]): string | null {
+    for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+        if (expected[i] === actual[i]) continue;
+
+        if (i >= actual.length) return `"${expected[i]}" is missing (index ${i})`;
+        if (i >= expected.length) return `unexpected "${actual[i]}" at index ${i}`;
+        if (actual.includes(expected[i])) {
+            return `"${expected[i]}" is at index ${actual.indexOf(expected[i])}, expected ${i}`;
+        }
+        return `expected "${expected[i]}" at index ${i}, found "${actual[i]}"`;
+    }
+    return null;
+}
+
+/**
+ * Can a model with this manifest and output size be read with `labels`,
+ * and which label does each output mean?
+ *
+ * Outputs are matched to labels by name. Labels added to the config after
+ * training just get no probability; model labels the config no longer has
+ * are ignored. Refused when the features are unknown, the output count
+ * doesn't match the manifest, or no output maps to a known label.
+ */
+export function checkModelCompatibility(
+    manifest: ModelManifest,
+    labels: readonly string[],
+    outputUnits: number
+): ModelCompatibility {
+    const refuse = (problem: string): ModelCompatibility => ({ problem, outputLabels: [], remapped: false, ignoredLabels: [] });
+
+    if (!SUPPORTED_PREPROCESSING_VERSIONS.includes(manifest.preprocessingVersion)) {
+        return refuse(`Model needs preprocessing version ${manifest.preprocessingVersion}, which this build doesn't support.`);
+    }
+
+    const modelLabels = manifest.labels;
+    if (!modelLabels) {
+        if (outputUnits > labels.length) {
+            return refuse(`Model has ${outputUnits} outputs but only ${labels.length} labels are defined.`);
+        }
+        return { problem: null, outputLabels: labels.slice(0, outputUnits), remapped: false, ignoredLabels: [] };
+    }
+
+    if (modelLabels.length !== outputUnits) {
+        return refuse(`Model has ${outputUnits} outputs but its manifest lists ${modelLabels.length} labels.`);
+    }
+
+    const outputLabels = modelLabels.map(label => (labels.includes(label) ? label : null));
+    if (outputLabels.every(label => label === null)) {
+        return refuse('None of the model\'s labels are in the gesture config.');
+    }
+
+    return {
+        problem: null,
+        outputLabels,
+        remapped: describeLabelMismatch(labels.slice(0, modelLabels.length), modelLabels) !== null,
+        ignoredLabels: modelLabels.filter(label => !labels.includes(label))
+    };
+}
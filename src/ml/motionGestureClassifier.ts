@@ -0,0 +1,288 @@
+/**
+ * motionGestureClassifier.ts — Dynamic (Motion-Based) Gestures
+ *
+ * Static gestures come from a single 63-float frame. This module instead
+ * looks at a sliding time window of wrist, palm-centre and index-fingertip
+ * trajectories to recognize movement: waving, swiping left/right, and a
+ * circular "loop in" motion.
+ *
+ * Core concepts:
+ *   - Time-based window: samples older than MOTION_WINDOW_MS are dropped,
+ *     so recognition is frame-rate independent
+ *   - Scale invariance: all distances are measured in palm lengths
+ *     (wrist → middle MCP), so near and far hands behave the same
+ *   - Stability: a pattern must be detected on MOTION_STABILITY_FRAMES
+ *     consecutive frames before it is accepted
+ *   - Cooldown: after acceptance the window is cleared and the classifier
+ *     ignores motion for MOTION_COOLDOWN_MS
+ *
+ * Directions are as the user sees them: the video is mirrored, so a
+ * decreasing raw x is a movement to the user's right.
+ */
+
+import { MOTION_GESTURES, getGestureTypeForLabel, getPhraseForLabel } from '../config/gestureConfig';
+import type { Landmark, GestureResult, MotionPattern, MotionSample } from '../types';
+
+// ──────────────────────────────────────────────
+// Configuration
+// ──────────────────────────────────────────────
+
+/** Sliding window length (ms) */
+export const MOTION_WINDOW_MS = 1200;
+
+/** Minimum samples in the window before classifying */
+const MIN_WINDOW_SAMPLES = 8;
+
+/** Consecutive frames a pattern must be detected before acceptance */
+const MOTION_STABILITY_FRAMES = 2;
+
+/** Cooldown (ms) after a motion gesture is accepted */
+export const MOTION_COOLDOWN_MS = 1500;
+
+/** Palm speed (palm lengths / s) above which the hand counts as moving */
+export const MOVING_SPEED_THRESHOLD = 1.5;
+
+/** Swipe: horizontal travel (palm lengths) within SWIPE_MAX_DURATION_MS */
+const SWIPE_MIN_DISTANCE = 2.0;
+const SWIPE_MAX_DURATION_MS = 700;
+
+/** Swipe: max vertical / horizontal travel ratio */
+const SWIPE_MAX_OFF_AXIS = 0.5;
+
+/** Wave: number of left/right swings and swing size (palm lengths) */
+const WAVE_MIN_SWINGS = 3;
+const WAVE_MIN_AMPLITUDE = 0.4;
+
+/** Loop: total angle swept around the trajectory centre, and minimum radius */
+const LOOP_MIN_TURN = 1.75 * Math.PI;
+const LOOP_MIN_RADIUS = 0.4;
+
+// ──────────────────────────────────────────────
+// MediaPipe hand landmark indices
+// ──────────────────────────────────────────────
+
+const LANDMARKS = {
+    WRIST: 0,
+    INDEX_MCP: 5,
+    INDEX_TIP: 8,
+    MIDDLE_MCP: 9,
+    RING_MCP: 13,
+    PINKY_MCP: 17
+} as const;
+
+// ──────────────────────────────────────────────
+// Trajectory feature extraction
+// ──────────────────────────────────────────────
+
+/**
+ * Reduce a landmark frame to the points the classifier tracks.
+ */
+export function toMotionSample(landmarks: Landmark[], timestamp: number): MotionSample {
+    const wrist = landmarks[LANDMARKS.WRIST];
+    const ids: number[] = [LANDMARKS.WRIST, LANDMARKS.INDEX_MCP, LANDMARKS.MIDDLE_MCP, LANDMARKS.RING_MCP, LANDMARKS.PINKY_MCP];
+    const palmCenter = {
+        x: ids.reduce((sum, i) => sum + landmarks[i].x, 0) / ids.length,
+        y: ids.reduce((sum, i) => sum + landmarks[i].y, 0) / ids.length,
+        z: ids.reduce((sum, i) => sum + landmarks[i].z, 0) / ids.length
+    };
+    const mcp = landmarks[LANDMARKS.MIDDLE_MCP];
+
+    return {
+        timestamp,
+        wrist,
+        palmCenter,
+        indexTip: landmarks[LANDMARKS.INDEX_TIP],
+        palmSize: Math.hypot(mcp.x - wrist.x, mcp.y - wrist.y) || 1e-6
+    };
+}
+
+function meanPalmSize(samples: MotionSample[]): number {
+    return samples.reduce((sum, s) => sum + s.palmSize, 0) / samples.length;
+}
+
+/**
+ * WAVE: the palm swings left-right several times.
+ * A swing only counts once it travels WAVE_MIN_AMPLITUDE from the last
+ * turning point, so jitter doesn't count.
+ */
+function detectWave(samples: MotionSample[], scale: number): boolean {
+    const amplitude = WAVE_MIN_AMPLITUDE * scale;
+    let swings = 0;
+    let direction = 0;
+    let extreme = samples[0].palmCenter.x;
+
+    for (const s of samples) {
+        const x = s.palmCenter.x;
+
+        if (direction === 0) {
+            if (Math.abs(x - extreme) > amplitude) {
+                direction = Math.sign(x - extreme);
+                swings = 1;
+                extreme = x;
+            }
+            continue;
+        }
+
+        if ((x - extreme) * direction > 0) {
+            // Still moving the same way — extend the swing
+            extreme = x;
+        } else if (Math.abs(x - extreme) > amplitude) {
+            direction = -direction;
+            swings++;
+            extreme = x;
+        }
+    }
+
+    return swings >= WAVE_MIN_SWINGS;
+}
+
+/**
+ * SWIPE: fast, mostly horizontal travel of the palm in the recent past.
+ * Returns the on-screen direction, or null.
+ */
+function detectSwipe(samples: MotionSample[], scale: number): 'SWIPE_LEFT' | 'SWIPE_RIGHT' | null {
+    const last = samples[samples.length - 1];
+    const recent = samples.filter(s => last.timestamp - s.timestamp <= SWIPE_MAX_DURATION_MS);
+    if (recent.length < 2) return null;
+
+    const first = recent[0];
+    const dx = (last.palmCenter.x - first.palmCenter.x) / scale;
+    const dy = (last.palmCenter.y - first.palmCenter.y) / scale;
+
+    if (Math.abs(dx) < SWIPE_MIN_DISTANCE) return null;
+    if (Math.abs(dy) > SWIPE_MAX_OFF_AXIS * Math.abs(dx)) return null;
+
+    // Mirrored video: raw x decreasing = moving right on screen
+    return dx < 0 ? 'SWIPE_RIGHT' : 'SWIPE_LEFT';
+}
+
+/**
+ * LOOP: the index fingertip circles its own centre by almost a full turn.
+ */
+function detectLoop(samples: MotionSample[], scale: number): boolean {
+    const cx = samples.reduce((sum, s) => sum + s.indexTip.x, 0) / samples.length;
+    const cy = samples.reduce((sum, s) => sum + s.indexTip.y, 0) / samples.length;
+
+    let radius = 0;
+    let turn = 0;
+    let prevAngle = Math.atan2(samples[0].indexTip.y - cy, samples[0].indexTip.x - cx);
+
+    for (const s of samples) {
+        radius += Math.hypot(s.indexTip.x - cx, s.indexTip.y - cy);
+        const angle = Math.atan2(s.indexTip.y - cy, s.indexTip.x - cx);
+        let delta = angle - prevAngle;
+        if (delta > Math.PI) delta -= 2 * Math.PI;
+        if (delta < -Math.PI) delta += 2 * Math.PI;
+        turn += delta;
+        prevAngle = angle;
+    }
+
+    return Math.abs(turn) >= LOOP_MIN_TURN && radius / samples.length >= LOOP_MIN_RADIUS * scale;
+}
+
+/**
+ * Classify a trajectory window. Checked in order: wave, loop, swipe
+ * (the tail of a wave can look like a swipe, so wave wins).
+ */
+export function classifyMotion(samples: MotionSample[]): MotionPattern | null {
+    if (samples.length < MIN_WINDOW_SAMPLES) return null;
+
+    const scale = meanPalmSize(samples);
+    if (detectWave(samples, scale)) return 'WAVE';
+    if (detectLoop(samples, scale)) return 'LOOP';
+    return detectSwipe(samples, scale);
+}
+
+// ──────────────────────────────────────────────
+// Motion Gesture Classifier Class
+// ──────────────────────────────────────────────
+
+export class MotionGestureClassifier {
+    /** Sliding window of trajectory samples, oldest first. */
+    window: MotionSample[];
+
+    /** Pattern detected on each of the most recent frames. */
+    stabilityBuffer: MotionPattern[];
+
+    /** Timestamp of the last accepted motion gesture. */
+    acceptedTimestamp: number;
+
+    constructor() {
+        this.window = [];
+        this.stabilityBuffer = [];
+        this.acceptedTimestamp = 0;
+    }
+
+    /**
+     * Reset the classifier state (e.g., when the hand disappears).
+     */
+    reset(): void {
+        this.window = [];
+        this.stabilityBuffer = [];
+        this.acceptedTimestamp = 0;
+    }
+
+    /**
+     * Whether the palm is currently moving fast enough that a static
+     * prediction is unreliable (used to pause static gesture voting).
+     */
+    isMoving(): boolean {
+        if (this.window.length < 2) return false;
+        const last = this.window[this.window.length - 1];
+        const prev = this.window[this.window.length - 2];
+        const dt = (last.timestamp - prev.timestamp) / 1000;
+        if (dt <= 0) return false;
+
+        const travelled = Math.hypot(last.palmCenter.x - prev.palmCenter.x, last.palmCenter.y - prev.palmCenter.y);
+        return travelled / last.palmSize / dt > MOVING_SPEED_THRESHOLD;
+    }
+
+    /**
+     * Process one frame of landmarks.
+     *
+     * Pipeline:
+     *   1. Append sample, drop samples older than the window
+     *   2. If in cooldown → return null
+     *   3. Classify the window and feed the stability buffer
+     *   4. If stable, accept: clear window, start cooldown, return result
+     */
+    processFrame(landmarks: Landmark[], now: number = Date.now()): GestureResult | null {
+        this.window.push(toMotionSample(landmarks, now));
+        while (this.window.length > 0 && now - this.window[0].timestamp > MOTION_WINDOW_MS) {
+            this.window.shift();
+        }
+
+        if (this.acceptedTimestamp !== 0 && now - this.acceptedTimestamp < MOTION_COOLDOWN_MS) {
+            return null;
+        }
+
+        const pattern = classifyMotion(this.window);
+        if (!pattern) {
+            this.stabilityBuffer = [];
+            return null;
+        }
+
+        this.stabilityBuffer.push(pattern);
+        if (this.stabilityBuffer.length > MOTION_STABILITY_FRAMES) {
+            this.stabilityBuffer.shift();
+        }
+
+        const stable = this.stabilityBuffer.length === MOTION_STABILITY_FRAMES
+            && this.stabilityBuffer.every(p => p === pattern);
+        if (!stable) return null;
+
+        const label = Object.keys(MOTION_GESTURES).find(l => MOTION_GESTURES[l].pattern === pattern);
+        if (!label) return null;
+
+        this.window = [];
+        this.stabilityBuffer = [];
+        this.acceptedTimestamp = now;
+
+        return {
+            label,
+            gestureType: getGestureTypeForLabel(label),
+            phrase: getPhraseForLabel(label),
+            reason: `motion (${pattern.toLowerCase()})`
+        };
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * recordingQuality.ts — Checks Behind the Recording Wizard
+ *
+ * Pure functions over raw MediaPipe landmarks, used by RecordingWizard
+ * while it captures Training Mode samples:
+ *   - isNearDuplicate: a still hand captured ten times a second gives many
+ *     copies of the same sample; only the first is worth keeping
+ *   - measureDiversity: how much a gesture's samples vary in palm angle,
+ *     distance from the camera and hand — what the wizard's prompts ask for
+ *
+ * Raw image coordinates are compared on purpose: the model's features
+ * (landmarkFeatures.ts) remove position, angle and scale, which would make
+ * a closer or tilted hand look like a duplicate.
+ */
+
+import { DIVERSITY_TARGETS, NEAR_DUPLICATE_DISTANCE } from '../config/gestureConfig';
+import type { Landmark, RecordedHand, SampleDiversity } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+
+// ──────────────────────────────────────────────
+// Near-Duplicates
+// ──────────────────────────────────────────────
+
+/**
+ * Mean distance between matching landmarks in the image plane.
+ */
+export function landmarkDistance(a: Landmark[], b: Landmark[]): number {
+    let total = 0;
+    for (let i = 0; i < a.length; i++) {
+        total += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+    }
+    return total / a.length;
+}
+
+/**
+ * Is this frame practically the same as one already recorded?
+ */
+export function isNearDuplicate(
+    landmarks: Landmark[],
+    recorded: Landmark[][],
+    threshold: number = NEAR_DUPLICATE_DISTANCE
+): boolean {
+    return recorded.some(other => other.length === landmarks.length && landmarkDistance(landmarks, other) < threshold);
+}
+
+// ──────────────────────────────────────────────
+// Diversity
+// ──────────────────────────────────────────────
+
+/** Wrist → middle finger MCP: its angle (degrees, left hands mirrored) and length. */
+function palmAxis({ landmarks, handedness }: RecordedHand): { angle: number; size: number } {
+    const mirror = handedness === 'Left' ? -1 : 1;
+    const dx = (landmarks[MIDDLE_MCP].x - landmarks[WRIST].x) * mirror;
+    const dy = landmarks[MIDDLE_MCP].y - landmarks[WRIST].y;
+    return { angle: Math.atan2(dy, dx) * 180 / Math.PI, size: Math.hypot(dx, dy) };
+}
+
+const clamp01 = (value: number) => Math.min(1, Math.max(0, value));
+
+/**
+ * How much the samples vary, each aspect scaled to DIVERSITY_TARGETS.
+ * All zeros for no samples.
+ */
+export function measureDiversity(samples: RecordedHand[]): SampleDiversity {
+    const axes = samples.filter(s => s.landmarks.length === 21).map(palmAxis).filter(axis => axis.size > 0);
+    if (axes.length === 0) return { angle: 0, distance: 0, hands: 0, overall: 0 };
+
+    const angles = axes.map(axis => axis.angle);
+    const sizes = axes.map(axis => axis.size);
+    const angle = clamp01((Math.max(...angles) - Math.min(...angles)) / DIVERSITY_TARGETS.angleRange);
+    const distance = clamp01((Math.max(...sizes) / Math.min(...sizes) - 1) / (DIVERSITY_TARGETS.distanceRatio - 1));
+    const hands = new Set(samples.map(s => s.handedness)).size > 1 ? 1 : 0;
+
+    return { angle, distance, hands, overall: (angle + distance + hands) / 3 };
+}
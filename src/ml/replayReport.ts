@@ -0,0 +1,192 @@
+/**
+ * replayReport.ts — Pipeline Evaluation over Recorded Sessions
+ *
+ * Runs a landmark session through the full recognition pipeline
+ * (preprocessing → model → decision engine → two-hand / motion / sequence
+ * recognizers) and summarizes what happened, frame by frame:
+ *
+ *   - Accepted gesture timeline
+ *   - Rejections per reason (low confidence, cooldown, stabilizing, …)
+ *   - Decision gate firings (thumb dominance, call-me, ...) and tie-break switches
+ *   - Latency: per-frame processing, model inference, time to acceptance
+ *
+ * The timeline can be checked against an expected-events file, so a
+ * recorded session doubles as a regression test for the decision logic.
+ */
+
+import { DECISION_GATES } from '../config/gestureConfig';
+import { replayLandmarkSession } from './landmarkSession';
+import type { ReplayFrameCallback } from './landmarkSession';
+import type { PredictFn } from './gesturePipeline';
+import type {
+    DecisionEngineOptions,
+    ExpectedEvent,
+    LandmarkSession,
+    LatencyStats,
+    ReplayEvent,
+    ReplayReport
+} from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+/** Default allowed drift (ms) between an expected and an actual event — about 3 frames at 30fps */
+export const DEFAULT_MATCH_TOLERANCE_MS = 100;
+
+// ──────────────────────────────────────────────
+// Report
+// ──────────────────────────────────────────────
+
+function percentile(sorted: number[], p: number): number {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+export function summarizeLatency(samples: number[]): LatencyStats {
+    const sorted = [...samples].sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        mean: sorted.length > 0 ? sorted.reduce((sum, v) => sum + v, 0) / sorted.length : 0,
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+    };
+}
+
+/**
+ * Replay a session and collect the timeline, rejection counts and latency.
+ */
+export function buildReplayReport(
+    session: LandmarkSession,
+    predict: PredictFn,
+    engineOptions?: DecisionEngineOptions
+): ReplayReport {
+    const rejections: ReplayReport['rejections'] = {
+        'low-confidence': 0,
+        'cooldown': 0,
+        'stabilizing': 0,
+        'already-accepted': 0,
+        'hand-moving': 0,
+        'two-hand': 0
+    };
+    const gates: ReplayReport['gates'] = Object.fromEntries(Object.keys(DECISION_GATES).map(name => [name, 0]));
+    const tieBreaks: ReplayReport['tieBreaks'] = { evidence: 0, preference: 0 };
+    const frameMs: number[] = [];
+    const inferenceMs: number[] = [];
+    const acceptMs: number[] = [];
+
+    const timedPredict: PredictFn = (landmarks, handedness) => {
+        const start = performance.now();
+        const prediction = predict(landmarks, handedness);
+        inferenceMs.push(performance.now() - start);
+        return prediction;
+    };
+
+    const onFrame: ReplayFrameCallback = (_frame, output, elapsedMs) => {
+        frameMs.push(elapsedMs);
+
+        for (const analysis of output.analyses) {
+            const decision = analysis.decision;
+            if (!decision) {
+                if (analysis.skipped) rejections[analysis.skipped]++;
+                continue;
+            }
+            if (decision.gate) gates[decision.gate]++;
+            if (decision.tieBreak && decision.tieBreak.chosen !== decision.tieBreak.top) {
+                tieBreaks[decision.tieBreak.reason]++;
+            }
+
+            if (decision.outcome !== 'accepted') {
+                rejections[decision.outcome]++;
+                continue;
+            }
+
+            // Time the hand held the pose: first buffered vote for the accepted label → now
+            const votes = decision.stabilityBuffer.filter(entry => entry.label === decision.gatedLabel);
+            if (votes.length > 0) {
+                acceptMs.push(analysis.timestamp - Math.min(...votes.map(entry => entry.timestamp)));
+            }
+        }
+    };
+
+    const events = replayLandmarkSession(session, timedPredict, { engineOptions, onFrame });
+
+    return {
+        frames: session.frames.length,
+        durationMs: session.frames.length > 0 ? session.frames[session.frames.length - 1].t : 0,
+        events,
+        rejections,
+        gates,
+        tieBreaks,
+        latency: {
+            frameMs: summarizeLatency(frameMs),
+            inferenceMs: summarizeLatency(inferenceMs),
+            acceptMs: summarizeLatency(acceptMs)
+        }
+    };
+}
+
+// ──────────────────────────────────────────────
+// Expected Events
+// ──────────────────────────────────────────────
+
+/**
+ * Parse an expected-events file: either a list of { t, label, hand? } or
+ * an object with an "events" list (so a saved --json report can be reused).
+ */
+export function parseExpectedEvents(text: string): ExpectedEvent[] {
+    let parsed: unknown;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new Error('Expected-events file is not valid JSON.');
+    }
+
+    const list = Array.isArray(parsed) ? parsed : (parsed as { events?: unknown })?.events;
+    if (!Array.isArray(list)) {
+        throw new Error('Expected-events file must be a list of events or an object with an "events" list.');
+    }
+
+    return list.map((raw, i) => {
+        const e = raw as { t?: unknown; label?: unknown; hand?: unknown };
+        if (typeof e?.t !== 'number' || typeof e.label !== 'string') {
+            throw new Error(`Expected event ${i} must have a numeric "t" and a "label".`);
+        }
+        return {
+            t: e.t,
+            label: e.label,
+            ...(typeof e.hand === 'string' ? { hand: e.hand as ExpectedEvent['hand'] } : {})
+        };
+    });
+}
+
+/**
+ * Compare the replayed timeline against the expected one, event by event
+ * in order. Returns a readable line per mismatch (empty = pass).
+ */
+export function compareReplayEvents(
+    actual: ReplayEvent[],
+    expected: ExpectedEvent[],
+    toleranceMs: number = DEFAULT_MATCH_TOLERANCE_MS
+): string[] {
+    const mismatches: string[] = [];
+    const describe = (e: ExpectedEvent): string => `${e.label}${e.hand ? ` (${e.hand})` : ''} at ${e.t}ms`;
+
+    for (let i = 0; i < Math.max(actual.length, expected.length); i++) {
+        const a = actual[i];
+        const e = expected[i];
+
+        if (!a) {
+            mismatches.push(`#${i + 1}: expected ${describe(e)}, got nothing`);
+        } else if (!e) {
+            mismatches.push(`#${i + 1}: unexpected ${describe(a)}`);
+        } else if (a.label !== e.label || (e.hand && a.hand !== e.hand)) {
+            mismatches.push(`#${i + 1}: expected ${describe(e)}, got ${describe(a)}`);
+        } else if (Math.abs(a.t - e.t) > toleranceMs) {
+            mismatches.push(`#${i + 1}: ${e.label} at ${a.t}ms, expected ${e.t}ms (±${toleranceMs}ms)`);
+        }
+    }
+
+    return mismatches;
+}
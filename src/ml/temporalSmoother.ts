@@ -0,0 +1,172 @@
+/**
+ * temporalSmoother.ts — Time-Based Stability for the Decision Engine
+ *
+ * The default stability rule (N identical consecutive frames) resets on a
+ * single noisy frame and takes longer on slow machines, because N frames
+ * at 15fps last twice as long as at 30fps. The two time-based modes here
+ * score every label on a 0–1 scale and measure time in ms, not frames:
+ *
+ *   - 'ema': exponential moving average of the per-frame probability
+ *     vectors. Each frame is weighted by the time since the previous one
+ *     (alpha = 1 − e^(−dt/τ), τ = stabilityWindowMs), so the average
+ *     moves at the same speed at any frame rate.
+ *   - 'window': confidence-weighted majority vote over the frames of the
+ *     last stabilityWindowMs. Nothing is stable until the smoother has
+ *     watched the hand for a full window.
+ *
+ * Hysteresis: a label becomes stable at hysteresisEnter and stays stable
+ * until it drops below hysteresisExit, so a held gesture doesn't flicker
+ * when a few frames disagree.
+ */
+
+import type { DecisionEngineSettings } from '../types';
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+
+/**
+ * A gap between frames longer than this (tab in background, tracking
+ * stall) restarts smoothing — the old average says nothing about the
+ * hand now.
+ */
+const MAX_FRAME_GAP_MS = 1000;
+
+// ──────────────────────────────────────────────
+// Temporal Smoother
+// ──────────────────────────────────────────────
+
+export class TemporalSmoother {
+    /** 'ema': smoothed probability per label. */
+    averages: Record<string, number>;
+
+    /** 'window': frames inside the vote window, oldest first. */
+    samples: Array<{ label: string; weight: number; timestamp: number }>;
+
+    /** Time of the first frame since the last reset (null = no frames yet). */
+    startedAt: number | null;
+
+    /** Time of the previous frame. */
+    lastTimestamp: number | null;
+
+    /** Label held stable by hysteresis. */
+    heldLabel: string | null;
+
+    constructor() {
+        this.averages = {};
+        this.samples = [];
+        this.startedAt = null;
+        this.lastTimestamp = null;
+        this.heldLabel = null;
+    }
+
+    reset(): void {
+        this.averages = {};
+        this.samples = [];
+        this.startedAt = null;
+        this.lastTimestamp = null;
+        this.heldLabel = null;
+    }
+
+    /**
+     * Smoothed score of `label` (0–1) under the given mode.
+     */
+    score(label: string, settings: DecisionEngineSettings): number {
+        if (settings.stabilizationMode === 'ema') return this.averages[label] ?? 0;
+
+        const total = this.samples.reduce((sum, s) => sum + s.weight, 0);
+        if (total === 0) return 0;
+        return this.samples.reduce((sum, s) => (s.label === label ? sum + s.weight : sum), 0) / total;
+    }
+
+    /**
+     * Feed one frame and return the label that is stable after it, if any.
+     *
+     * `label` is the engine's verdict for the frame (after tie-breaking and
+     * gates); `rawLabel`'s probability mass is moved onto it so a gate remap
+     * counts for the label the engine actually votes for. Without a
+     * probability map the frame counts as `confidence` for `label`.
+     */
+    update(
+        rawLabel: string,
+        label: string,
+        confidence: number,
+        probabilities: Record<string, number>,
+        now: number,
+        settings: DecisionEngineSettings
+    ): string | null {
+        if (this.lastTimestamp !== null && now - this.lastTimestamp > MAX_FRAME_GAP_MS) {
+            this.reset();
+        }
+        const dt = this.lastTimestamp === null ? 0 : Math.max(0, now - this.lastTimestamp);
+        if (this.startedAt === null) this.startedAt = now;
+        this.lastTimestamp = now;
+
+        if (settings.stabilizationMode === 'ema') {
+            const vector = this._frameVector(rawLabel, label, confidence, probabilities);
+            const alpha = 1 - Math.exp(-dt / settings.stabilityWindowMs);
+            for (const key of new Set([...Object.keys(this.averages), ...Object.keys(vector)])) {
+                const previous = this.averages[key] ?? 0;
+                this.averages[key] = previous + alpha * ((vector[key] ?? 0) - previous);
+            }
+        } else {
+            this.samples.push({ label, weight: confidence, timestamp: now });
+            while (this.samples.length > 0 && this.samples[0].timestamp <= now - settings.stabilityWindowMs) {
+                this.samples.shift();
+            }
+        }
+
+        return this._applyHysteresis(now, settings);
+    }
+
+    /** Probability vector for one frame with the raw label's mass moved to the verdict. */
+    _frameVector(
+        rawLabel: string,
+        label: string,
+        confidence: number,
+        probabilities: Record<string, number>
+    ): Record<string, number> {
+        if (Object.keys(probabilities).length === 0) return { [label]: confidence };
+        if (rawLabel === label) return probabilities;
+
+        const vector = { ...probabilities };
+        vector[label] = (vector[label] ?? 0) + (vector[rawLabel] ?? confidence);
+        vector[rawLabel] = 0;
+        return vector;
+    }
+
+    /**
+     * Keep the held label while it scores at least hysteresisExit;
+     * otherwise the best label takes over once it reaches hysteresisEnter.
+     */
+    _applyHysteresis(now: number, settings: DecisionEngineSettings): string | null {
+        if (this.heldLabel && this.score(this.heldLabel, settings) >= settings.hysteresisExit) {
+            return this.heldLabel;
+        }
+        this.heldLabel = null;
+
+        // Window mode needs a full window of observations before anything counts
+        const observedMs = now - (this.startedAt ?? now);
+        if (settings.stabilizationMode === 'window' && observedMs < settings.stabilityWindowMs) {
+            return null;
+        }
+
+        const labels = settings.stabilizationMode === 'ema'
+            ? Object.keys(this.averages)
+            : [...new Set(this.samples.map(s => s.label))];
+        let best: string | null = null;
+        let bestScore = 0;
+        for (const candidate of labels) {
+            const score = this.score(candidate, settings);
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+
+        if (best !== null && bestScore >= settings.hysteresisEnter) {
+            this.heldLabel = best;
+        }
+        return this.heldLabel;
+    }
+}
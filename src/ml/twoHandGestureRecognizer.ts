@@ -0,0 +1,247 @@
+/**
+ * twoHandGestureRecognizer.ts — Combined Two-Hand Gestures
+ *
+ * Runs alongside the per-hand decision engines. Each frame it receives
+ * both hands' raw predictions and landmarks, and checks them against
+ * TWO_HAND_GESTURES from gestureConfig.
+ *
+ * Core concepts:
+ *   - Label match: the per-hand ML labels must match the definition
+ *     (order-independent, so left/right doesn't matter)
+ *   - Pose match: optional geometric check on how the hands relate
+ *     to each other (e.g., T_SHAPE for "time-out")
+ *   - Stability + cooldown: the decision engine's stabilityFrames and
+ *     cooldownMs settings, so a combined gesture doesn't flicker or spam
+ *     TTS, and retuning the engine retunes it too
+ *
+ * While a two-hand gesture is matching, callers should keep the per-hand
+ * engines out of it (GesturePipeline restarts them every such frame) so
+ * the individual phrases don't fire and no cooldown starts behind it.
+ */
+
+import { TWO_HAND_GESTURES, getGestureTypeForLabel, getPhraseForLabel } from '../config/gestureConfig';
+import { DEFAULT_ENGINE_SETTINGS } from '../config/engineSettings';
+import type {
+    DecisionEngineSettings,
+    Landmark,
+    HandFrame,
+    GestureResult,
+    TwoHandGestureDefinition,
+    TwoHandPose
+} from '../types';
+
+// ──────────────────────────────────────────────
+// Configuration
+// ──────────────────────────────────────────────
+
+/**
+ * A hand counts as horizontal/vertical when its wrist → middle-MCP
+ * direction is within ~37° of that axis.
+ */
+const AXIS_ALIGNMENT_MIN = 0.8;
+
+/**
+ * For T_SHAPE, the stem hand's middle fingertip must be within this many
+ * palm-lengths of the top hand's palm centre.
+ */
+const T_TOUCH_FACTOR = 1.2;
+
+// ──────────────────────────────────────────────
+// MediaPipe hand landmark indices
+// ──────────────────────────────────────────────
+
+const LANDMARKS = {
+    WRIST: 0,
+    INDEX_MCP: 5,
+    MIDDLE_MCP: 9,
+    MIDDLE_TIP: 12,
+    RING_MCP: 13,
+    PINKY_MCP: 17
+} as const;
+
+// ──────────────────────────────────────────────
+// Geometry helpers
+// ──────────────────────────────────────────────
+
+function distance2d(a: Landmark, b: Landmark): number {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/** Palm length: wrist → middle finger MCP. */
+function palmSize(landmarks: Landmark[]): number {
+    return distance2d(landmarks[LANDMARKS.WRIST], landmarks[LANDMARKS.MIDDLE_MCP]);
+}
+
+/** Average of the wrist and the four finger MCP joints. */
+function palmCenter(landmarks: Landmark[]): Landmark {
+    const ids = [LANDMARKS.WRIST, LANDMARKS.INDEX_MCP, LANDMARKS.MIDDLE_MCP, LANDMARKS.RING_MCP, LANDMARKS.PINKY_MCP];
+    const sum = ids.reduce(
+        (acc, i) => ({ x: acc.x + landmarks[i].x, y: acc.y + landmarks[i].y, z: acc.z + landmarks[i].z }),
+        { x: 0, y: 0, z: 0 }
+    );
+    return { x: sum.x / ids.length, y: sum.y / ids.length, z: sum.z / ids.length };
+}
+
+/** Unit vector from wrist to middle MCP (2D, image space). */
+function handDirection(landmarks: Landmark[]): { x: number; y: number } {
+    const wrist = landmarks[LANDMARKS.WRIST];
+    const mcp = landmarks[LANDMARKS.MIDDLE_MCP];
+    const len = distance2d(wrist, mcp) || 1;
+    return { x: (mcp.x - wrist.x) / len, y: (mcp.y - wrist.y) / len };
+}
+
+/**
+ * T_SHAPE: one hand flat and horizontal (top of the T), the other
+ * vertical with its fingertips touching the first hand's palm.
+ */
+function isTShape(a: Landmark[], b: Landmark[]): boolean {
+    const check = (top: Landmark[], stem: Landmark[]): boolean => {
+        const topDir = handDirection(top);
+        const stemDir = handDirection(stem);
+        if (Math.abs(topDir.x) < AXIS_ALIGNMENT_MIN) return false;
+        if (Math.abs(stemDir.y) < AXIS_ALIGNMENT_MIN) return false;
+
+        const touch = distance2d(stem[LANDMARKS.MIDDLE_TIP], palmCenter(top));
+        return touch < T_TOUCH_FACTOR * palmSize(top);
+    };
+    return check(a, b) || check(b, a);
+}
+
+const POSE_CHECKS: Record<TwoHandPose, (a: Landmark[], b: Landmark[]) => boolean> = {
+    T_SHAPE: isTShape
+};
+
+/**
+ * Check whether a pair of hands satisfies a two-hand gesture definition.
+ */
+export function matchesTwoHandGesture(definition: TwoHandGestureDefinition, a: HandFrame, b: HandFrame): boolean {
+    if (definition.handLabels) {
+        const [l1, l2] = definition.handLabels;
+        const la = a.prediction.label;
+        const lb = b.prediction.label;
+        const labelsMatch = (la === l1 && lb === l2) || (la === l2 && lb === l1);
+        if (!labelsMatch) return false;
+    }
+
+    if (definition.pose) {
+        return POSE_CHECKS[definition.pose](a.landmarks, b.landmarks);
+    }
+
+    return true;
+}
+
+// ──────────────────────────────────────────────
+// Two-Hand Gesture Recognizer Class
+// ──────────────────────────────────────────────
+
+export class TwoHandGestureRecognizer {
+    /** Decision engine settings; stabilityFrames and cooldownMs apply here. */
+    settings: DecisionEngineSettings;
+
+    /** Label matched in each of the most recent frames. */
+    stabilityBuffer: string[];
+
+    /** Currently accepted two-hand gesture (what we last fired to UI). */
+    acceptedGesture: string | null;
+
+    /** Timestamp when the current gesture was accepted. */
+    acceptedTimestamp: number;
+
+    /** Two-hand label matched on the last processed frame, if any. */
+    currentMatch: string | null;
+
+    constructor(engineSettings: Partial<DecisionEngineSettings> = {}) {
+        this.settings = { ...DEFAULT_ENGINE_SETTINGS, ...engineSettings };
+        this.stabilityBuffer = [];
+        this.acceptedGesture = null;
+        this.acceptedTimestamp = 0;
+        this.currentMatch = null;
+    }
+
+    /**
+     * Change the stability count or cooldown at runtime, like the engines.
+     */
+    configure(patch: Partial<DecisionEngineSettings>): void {
+        this.settings = { ...this.settings, ...patch };
+        if (this.stabilityBuffer.length > this.settings.stabilityFrames) {
+            this.stabilityBuffer = this.stabilityBuffer.slice(-this.settings.stabilityFrames);
+        }
+    }
+
+    /**
+     * Reset the recognizer state (e.g., when one of the hands disappears).
+     */
+    reset(): void {
+        this.stabilityBuffer = [];
+        this.acceptedGesture = null;
+        this.acceptedTimestamp = 0;
+        this.currentMatch = null;
+    }
+
+    /**
+     * Find the first configured two-hand gesture the pair of hands matches.
+     */
+    _match(a: HandFrame, b: HandFrame): string | null {
+        for (const [label, definition] of Object.entries(TWO_HAND_GESTURES)) {
+            if (matchesTwoHandGesture(definition, a, b)) return label;
+        }
+        return null;
+    }
+
+    /**
+     * Process one frame containing both hands.
+     *
+     * Returns a GestureResult once a two-hand gesture has been stable for
+     * stabilityFrames frames and is outside cooldown; otherwise null.
+     * Check `currentMatch` afterwards to know whether to suppress
+     * per-hand output for this frame.
+     */
+    processFrame(hands: HandFrame[], now: number = Date.now()): GestureResult | null {
+        if (hands.length < 2) {
+            this.reset();
+            return null;
+        }
+
+        const match = this._match(hands[0], hands[1]);
+        this.currentMatch = match;
+
+        if (!match) {
+            // Hands separated — the same two-hand gesture may fire again later
+            this.stabilityBuffer = [];
+            this.acceptedGesture = null;
+            return null;
+        }
+
+        const { stabilityFrames, cooldownMs } = this.settings;
+        if (this.acceptedTimestamp !== 0 && now - this.acceptedTimestamp < cooldownMs) {
+            return null;
+        }
+
+        this.stabilityBuffer.push(match);
+        if (this.stabilityBuffer.length > stabilityFrames) {
+            this.stabilityBuffer.shift();
+        }
+
+        const stable = this.stabilityBuffer.length === stabilityFrames
+            && this.stabilityBuffer.every((l) => l === match);
+
+        if (stable && match !== this.acceptedGesture) {
+            this.acceptedGesture = match;
+            this.acceptedTimestamp = now;
+            this.stabilityBuffer = [];
+
+            return {
+                label: match,
+                gestureType: getGestureTypeForLabel(match),
+                phrase: getPhraseForLabel(match),
+                reason: `two-hand stable (${stabilityFrames} frames)`,
+                // Pose-based gestures are pure geometry — only label-based ones have a model confidence
+                confidence: TWO_HAND_GESTURES[match].handLabels
+                    ? Math.min(hands[0].prediction.confidence, hands[1].prediction.confidence)
+                    : undefined
+            };
+        }
+
+        return null;
+    }
+}
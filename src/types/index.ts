@@ -16,6 +16,9 @@ export interface Landmark {
     z: number;
 }
 
+/** Which hand MediaPipe believes it is looking at. */
+export type Handedness = 'Left' | 'Right';
+
 /** MediaPipe Hands result for a single frame. */
 export interface HandResults {
     multiHandLandmarks?: Landmark[][];
@@ -35,6 +38,44 @@ export interface MLPrediction {
     probabilities: Record<string, number>;
 }
 
+/** What a saved model was trained on (stored as its user-defined metadata). */
+export interface ModelManifest {
+    /** Feature pipeline version (landmarkFeatures.ts). */
+    preprocessingVersion: number;
+    /** Label of each output index; null for models saved before labels were recorded. */
+    labels: string[] | null;
+    /** When training finished (ISO 8601); null if not recorded. */
+    trainedAt: string | null;
+    /** Training samples per label; null if not recorded. */
+    sampleCounts: Record<string, number> | null;
+    /** Accuracy (0–1) on the held-out validation split; null if not recorded. */
+    validationAccuracy: number | null;
+    /** Gestures corrected by fine-tuning the default model; null when trained from scratch. */
+    fineTunedLabels: string[] | null;
+}
+
+/** Result of checking a manifest against the current label config. */
+export interface ModelCompatibility {
+    /** Why the model can't be used; null when it can. */
+    problem: string | null;
+    /** Current label for each model output (null = output ignored). */
+    outputLabels: (string | null)[];
+    /** Outputs are read by label name because their order differs from the config. */
+    remapped: boolean;
+    /** Model labels the config no longer has (their outputs are ignored). */
+    ignoredLabels: string[];
+}
+
+/** Which model is active and what happened while loading it, for the UI. */
+export interface ModelStatus {
+    /** Active model; null when none could be loaded. */
+    source: 'user' | 'default' | null;
+    manifest: ModelManifest | null;
+    remapped: boolean;
+    /** Why a model was refused or remapped (null = nothing to report). */
+    notice: string | null;
+}
+
 // ──────────────────────────────────────────────
 // Decision Engine
 // ──────────────────────────────────────────────
@@ -52,6 +93,143 @@ export interface GestureResult {
     gestureType: string | null;
     phrase: string;
     reason: string;
+    /** Mean model confidence behind the result; absent for purely geometric (motion) gestures. */
+    confidence?: number;
+    /** Set when a held gesture is re-emitted (holdRepeatMs): how long it had been held. */
+    heldMs?: number;
+}
+
+/** Phase of an accepted gesture: accepted, still held, released. */
+export type GesturePhase = 'start' | 'hold' | 'end';
+
+/** Lifecycle event for an accepted single-hand gesture. */
+export interface GestureLifecycleEvent {
+    phase: GesturePhase;
+    label: string;
+    gestureType: string | null;
+    /** ms since the gesture was accepted ('end': how long it was held). */
+    durationMs: number;
+    timestamp: number;
+    /** Hand holding the gesture (tagged by the pipeline). */
+    hand?: Handedness;
+}
+
+/** Name of a decision gate declared in DECISION_GATES (config); shown in traces. */
+export type DecisionGate = string;
+
+/** Geometric predicate a decision gate checks (implemented in ml/decisionGates.ts). */
+export type GateCheck =
+    | 'THUMB_DOMINANCE'
+    | 'CALL_ME_SHAPE'
+    | 'THUMB_INDEX_CIRCLE'
+    | 'TWO_FINGERS'
+    | 'THREE_FINGERS'
+    | 'FOUR_FINGERS'
+    | 'TUCKED_THUMB';
+
+/** Config entry for a gate that validates one raw label before voting. */
+export interface DecisionGateDefinition {
+    /** Raw model label this gate validates. */
+    label: string;
+    /** Geometry the landmarks must show for the label to stand. */
+    check: GateCheck;
+    /** Predictions below this confidence are remapped even when the geometry passes. */
+    minConfidence?: number;
+    /** Label used instead when the gate rejects. */
+    fallback: string;
+    display: GestureDisplayInfo;
+}
+
+/** How a near-tie between the top two classes was settled. */
+export interface TieBreak {
+    /** Model's top label. */
+    top: string;
+    /** Second most likely label. */
+    runnerUp: string;
+    /** Probability gap between them (below tieBreakMargin). */
+    margin: number;
+    /** Label the engine kept. */
+    chosen: string;
+    /** 'evidence' = one candidate's geometry fit better; 'preference' = conservative ordering decided. */
+    reason: 'evidence' | 'preference';
+}
+
+/**
+ * How the decision engine decides a label is stable:
+ *   - 'frames': N identical consecutive frames (stabilityFrames)
+ *   - 'ema': exponential moving average of the probability vectors
+ *   - 'window': confidence-weighted majority vote over the last stabilityWindowMs
+ */
+export type StabilizationMode = 'frames' | 'ema' | 'window';
+
+/** Smoothed score behind a time-based ('ema' / 'window') stability verdict. */
+export interface StabilizationTrace {
+    mode: Exclude<StabilizationMode, 'frames'>;
+    /** Smoothed score of the gated label, 0–1. */
+    score: number;
+    /** Score it must reach (hysteresisEnter), or stay above once held (hysteresisExit). */
+    threshold: number;
+    /** Label currently held by hysteresis, if any. */
+    heldLabel: string | null;
+}
+
+/** What the decision engine did with the latest frame. */
+export type DecisionOutcome = 'accepted' | 'low-confidence' | 'cooldown' | 'stabilizing' | 'already-accepted';
+
+/** Per-frame explanation of a decision engine verdict (for the UI). */
+export interface DecisionTrace {
+    /** Model's label before gating ('NONE' below the confidence threshold). */
+    rawLabel: string;
+    /** Label after tie-breaking and decision gates (same as rawLabel unless one of them changed it). */
+    gatedLabel: string;
+    confidence: number;
+    outcome: DecisionOutcome;
+    /** Gate that remapped rawLabel → gatedLabel, if any. */
+    gate: DecisionGate | null;
+    /** Near-tie the engine settled before gating, if any. */
+    tieBreak: TieBreak | null;
+    /** Consecutive matching frames in the stability buffer, out of requiredFrames. */
+    stableFrames: number;
+    requiredFrames: number;
+    /** Smoothed score in the time-based stabilization modes (null in 'frames' mode). */
+    stabilization: StabilizationTrace | null;
+    cooldownRemainingMs: number;
+    /** Copy of the stability buffer after this frame, oldest first. */
+    stabilityBuffer: StabilityEntry[];
+}
+
+/** Tunable decision engine thresholds (persisted by the engine settings panel). */
+export interface DecisionEngineSettings {
+    /** Consecutive identical frames required to accept a gesture. */
+    stabilityFrames: number;
+    /** Lockout (ms) after an accepted gesture. */
+    cooldownMs: number;
+    /** THUMBS_UP needs the thumb this many times farther from the wrist than any other fingertip. */
+    thumbDominanceThreshold: number;
+    /** Gates that don't run; a disabled gate never remaps a label. */
+    disabledGates: DecisionGate[];
+    /** Per-gate confidence floor overrides (defaults come from each gate's minConfidence). */
+    gateConfidence: Record<DecisionGate, number>;
+    /** Top two classes closer than this probability gap count as tied (0 = never). */
+    tieBreakMargin: number;
+    /** Labels to prefer on a tie when geometry doesn't decide, most conservative first. */
+    tieBreakPreference: string[];
+    /** Stability rule; 'ema' and 'window' are time-based, so they behave the same at any frame rate. */
+    stabilizationMode: StabilizationMode;
+    /** 'window': vote window length; 'ema': smoothing time constant (ms). */
+    stabilityWindowMs: number;
+    /** Smoothed score a label needs to become stable. */
+    hysteresisEnter: number;
+    /** A stable label stays stable until its score drops below this. */
+    hysteresisExit: number;
+    /** Re-emit a held gesture every this many ms (0 = once per hold). */
+    holdRepeatMs: number;
+}
+
+/** Constructor options for one GestureDecisionEngine instance. */
+export interface DecisionEngineOptions extends Partial<DecisionEngineSettings> {
+    /** Time source for cooldown and stability timestamps (defaults to Date.now). */
+    clock?: () => number;
 }
 
 /** Snapshot of the decision engine state (for debugging). */
@@ -62,6 +240,69 @@ export interface EngineState {
     cooldownTimeRemaining: number;
 }
 
+// ──────────────────────────────────────────────
+// Two-Hand Gestures
+// ──────────────────────────────────────────────
+
+/** One tracked hand in a frame, after per-hand ML inference. */
+export interface HandFrame {
+    /** Unique within the frame (keys per-hand state); may differ from MediaPipe's label. */
+    handedness: Handedness;
+    landmarks: Landmark[];
+    prediction: MLPrediction;
+}
+
+/** Geometric arrangement of both hands required by a two-hand gesture. */
+export type TwoHandPose = 'T_SHAPE';
+
+/** Config entry for a gesture made with both hands. */
+export interface TwoHandGestureDefinition {
+    phrase: string;
+    gestureType: string;
+    display: GestureDisplayInfo;
+    /** Per-hand labels required (unordered). Omit to accept any labels. */
+    handLabels?: [string, string];
+    /** Required geometric arrangement of the two hands. */
+    pose?: TwoHandPose;
+}
+
+// ──────────────────────────────────────────────
+// Gesture Sequences
+// ──────────────────────────────────────────────
+
+/** Config entry for a combo of accepted gestures that emits one compound phrase. */
+export interface GestureSequenceDefinition {
+    /** Accepted single-hand labels, in order. */
+    steps: string[];
+    phrase: string;
+    gestureType: string;
+    display: GestureDisplayInfo;
+}
+
+// ──────────────────────────────────────────────
+// Motion Gestures
+// ──────────────────────────────────────────────
+
+/** Trajectory pattern recognized by the motion classifier. */
+export type MotionPattern = 'WAVE' | 'SWIPE_LEFT' | 'SWIPE_RIGHT' | 'LOOP';
+
+/** Config entry for a motion-based (dynamic) gesture. */
+export interface MotionGestureDefinition {
+    pattern: MotionPattern;
+    phrase: string;
+    gestureType: string;
+    display: GestureDisplayInfo;
+}
+
+/** One sample in the motion classifier's sliding window. */
+export interface MotionSample {
+    timestamp: number;
+    wrist: Landmark;
+    palmCenter: Landmark;
+    indexTip: Landmark;
+    palmSize: number;
+}
+
 // ──────────────────────────────────────────────
 // Gesture Detection (UI callback payload)
 // ──────────────────────────────────────────────
@@ -70,6 +311,26 @@ export interface EngineState {
 export interface GestureDetection {
     phrase: string;
     gestureType: string | null;
+    /** Hand that produced the gesture; 'Both' for two-hand gestures. */
+    hand?: Handedness | 'Both';
+    /** Model confidence (0–1) behind an accepted gesture, when known. */
+    confidence?: number;
+    /** Set when a held gesture repeats: how long it has been held (ms). */
+    heldMs?: number;
+}
+
+/** Why a hand's engine sat out a frame: moving too fast, or part of a two-hand gesture. */
+export type EngineSkipReason = 'hand-moving' | 'two-hand';
+
+/** Live per-frame view of one hand, for the probability and debug panels. */
+export interface FrameAnalysis {
+    timestamp: number;
+    hand: Handedness;
+    probabilities: Record<string, number>;
+    /** Null when the engine didn't see the frame (see `skipped`). */
+    decision: DecisionTrace | null;
+    /** Set when the pipeline restarted this hand's engine instead of feeding it the frame. */
+    skipped: EngineSkipReason | null;
 }
 
 // ──────────────────────────────────────────────
@@ -82,6 +343,145 @@ export interface GestureDisplayInfo {
     name: string;
 }
 
+/** A gesture class created by the user from Training Mode. */
+export interface CustomGestureDefinition {
+    label: string;
+    name: string;
+    emoji: string;
+    phrase: string;
+}
+
+/** A named personalization profile (own model, dataset and phrase settings). */
+export interface ModelProfile {
+    id: string;
+    name: string;
+    createdAt: string;
+}
+
+// ──────────────────────────────────────────────
+// Phrase Packs
+// ──────────────────────────────────────────────
+
+/** A named set of phrases, several per gesture label. */
+export interface PhrasePack {
+    id: string;
+    name: string;
+    phrases: Record<string, string[]>;
+}
+
+/** How a phrase is chosen when a label has several. */
+export type PhraseRotationMode = 'round-robin' | 'random' | 'no-repeat';
+
+/** Persisted phrase preferences. */
+export interface PhraseSettings {
+    activePackId: string;
+    rotation: PhraseRotationMode;
+    /** For 'no-repeat': don't reuse any of the last N phrases for a label. */
+    noRepeatWindow: number;
+}
+
+// ──────────────────────────────────────────────
+// Pipeline & Landmark Sessions
+// ──────────────────────────────────────────────
+
+/** One hand exactly as MediaPipe reported it (handedness label not yet de-duplicated). */
+export interface RecordedHand {
+    handedness: string;
+    landmarks: Landmark[];
+}
+
+/** An accepted gesture leaving the full pipeline, tagged with its hand. */
+export interface AcceptedGesture extends GestureResult {
+    hand?: Handedness | 'Both';
+}
+
+/** Everything the pipeline produced for one camera frame. */
+export interface PipelineFrameOutput {
+    accepted: AcceptedGesture[];
+    /** Start / hold / end of each hand's accepted gesture. */
+    lifecycle: GestureLifecycleEvent[];
+    analyses: FrameAnalysis[];
+}
+
+/** One recorded camera frame; `hands` is empty when no hand was visible. */
+export interface LandmarkSessionFrame {
+    /** ms since recording started */
+    t: number;
+    hands: RecordedHand[];
+    /** Recognition was paused: hands were tracked for control gestures only. */
+    paused?: boolean;
+    /** Engine settings changed to these on this frame. */
+    engineSettings?: DecisionEngineSettings;
+}
+
+/** A recorded landmark stream that can be replayed without a camera. */
+export interface LandmarkSession {
+    format: 'corporate-landmark-session';
+    version: number;
+    /** Wall-clock start (ms since epoch); replay clocks run from here. */
+    startedAt: number;
+    /** Engine settings when recording started; absent in older files. */
+    engineSettings?: DecisionEngineSettings;
+    frames: LandmarkSessionFrame[];
+}
+
+/** An accepted gesture produced by replaying a session. */
+export interface ReplayEvent extends AcceptedGesture {
+    /** ms since the session started */
+    t: number;
+}
+
+/** An event an evaluation run must reproduce (ms since session start). */
+export interface ExpectedEvent {
+    t: number;
+    label: string;
+    /** Checked only when given. */
+    hand?: Handedness | 'Both';
+}
+
+/** Summary statistics for one latency measurement, in ms. */
+export interface LatencyStats {
+    count: number;
+    mean: number;
+    p50: number;
+    p95: number;
+    max: number;
+}
+
+/** Result of running a landmark session through the full pipeline. */
+export interface ReplayReport {
+    frames: number;
+    durationMs: number;
+    events: ReplayEvent[];
+    /** Per-hand frames the engine did not accept, by reason (including frames it sat out — EngineSkipReason). */
+    rejections: Record<Exclude<DecisionOutcome, 'accepted'> | EngineSkipReason, number>;
+    /** Frames whose raw label a decision gate remapped. */
+    gates: Record<DecisionGate, number>;
+    /** Frames where a near-tie switched to the runner-up, by what decided it. */
+    tieBreaks: Record<TieBreak['reason'], number>;
+    latency: {
+        /** Wall time to process one camera frame (inference + engines). */
+        frameMs: LatencyStats;
+        /** Wall time of one model inference. */
+        inferenceMs: LatencyStats;
+        /** Session time from the first stable frame to acceptance. */
+        acceptMs: LatencyStats;
+    };
+}
+
+// ──────────────────────────────────────────────
+// Control Gestures & Action Bindings
+// ──────────────────────────────────────────────
+
+/** Gestures that drive the app itself rather than producing a phrase. */
+export type ControlTrigger = 'PINCH';
+
+/** App actions a control gesture can be bound to. */
+export type ControlAction = 'none' | 'toggle-voice' | 'repeat-phrase' | 'open-training' | 'pause-recognition';
+
+/** Persisted trigger → action map. */
+export type ActionBindings = Record<ControlTrigger, ControlAction>;
+
 // ──────────────────────────────────────────────
 // Training
 // ──────────────────────────────────────────────
@@ -89,6 +489,111 @@ export interface GestureDisplayInfo {
 /** Progress callback signature for model training. */
 export type TrainProgressCallback = (currentEpoch: number, totalEpochs: number) => void;
 
+/**
+ * One recorded Training Mode sample. Raw landmarks are kept (not features)
+ * so samples can be drawn as thumbnails and re-featurized on retrain.
+ */
+export interface TrainingSample {
+    id: string;
+    label: string;
+    handedness: string;
+    landmarks: Landmark[];
+    /** Epoch ms */
+    recordedAt: number;
+}
+
+/** One round of the recording wizard (RECORDING_STEPS in gestureConfig.ts). */
+export interface RecordingStep {
+    prompt: string;
+    hint: string;
+}
+
+/** How much a gesture's samples vary, each 0 (not at all) to 1 (target reached). */
+export interface SampleDiversity {
+    /** Range of palm angles in the image. */
+    angle: number;
+    /** Range of hand sizes, i.e. distances from the camera. */
+    distance: number;
+    /** 1 when both hands are recorded. */
+    hands: number;
+    overall: number;
+}
+
+/** Where a landmark dataset came from (free-form provenance). */
+export interface LandmarkDatasetCapture {
+    /** What produced the samples, e.g. 'training-mode'. */
+    source: string;
+    /** Profile that recorded them, when exported from Training Mode. */
+    profile?: string;
+    userAgent?: string;
+}
+
+/** Portable training data file (JSON or CSV, see landmarkDataset.ts). */
+export interface LandmarkDataset {
+    format: 'corporate-landmark-dataset';
+    version: number;
+    /** ISO time of export; null when the file doesn't say. */
+    exportedAt: string | null;
+    capture: LandmarkDatasetCapture;
+    /** Labels covered by the file, in the exporter's label order. */
+    labels: string[];
+    samples: Omit<TrainingSample, 'id'>[];
+}
+
+/** Per-class metrics (0–1) on held-out samples (classificationMetrics.ts). */
+export interface ClassMetrics {
+    label: string;
+    precision: number;
+    recall: number;
+    f1: number;
+    /** Held-out samples of this label. */
+    support: number;
+}
+
+/** Metric values per epoch, as recorded by model.fit. */
+export interface TrainingHistory {
+    loss: number[];
+    accuracy: number[];
+    valLoss: number[];
+    valAccuracy: number[];
+}
+
+/** Quality of a model trained in Training Mode, measured on held-out samples. */
+export interface TrainingReport {
+    history: TrainingHistory;
+    /** Order of the confusion matrix rows and columns. */
+    labels: string[];
+    /** confusion[i][j] = held-out samples of labels[i] predicted as labels[j]. */
+    confusion: number[][];
+    classes: ClassMetrics[];
+    validationAccuracy: number;
+    /** The model in use before training, on the same samples; null if none was loaded. */
+    previousAccuracy: number | null;
+}
+
+/** Held-out accuracy (0–1) of one label before and after fine-tuning. */
+export interface LabelAccuracy {
+    label: string;
+    /** Accuracy of the default model; null for labels it doesn't have. */
+    before: number | null;
+    after: number;
+    /** Held-out samples the accuracies were measured on. */
+    samples: number;
+}
+
+/** How a fine-tuned model compares with the default model it started from. */
+export interface FineTuneReport {
+    /** Labels trained on the profile's own samples. */
+    correctedLabels: string[];
+    accuracy: LabelAccuracy[];
+    /** Untouched labels the fine-tuned model got worse at; non-empty means don't use it. */
+    regressedLabels: string[];
+    /** Fine-tuned model on all the held-out samples. */
+    validationAccuracy: number;
+    /** The model in use before fine-tuning, on the same samples; null if none was loaded. */
+    previousAccuracy: number | null;
+}
+
 // ──────────────────────────────────────────────
 // Component Props
 // ──────────────────────────────────────────────
@@ -96,7 +601,21 @@ export type TrainProgressCallback = (currentEpoch: number, totalEpochs: number)
 export interface VideoFeedProps {
     onGestureDetected: (detection: GestureDetection) => void;
     onLoadingComplete: () => void;
-    landmarksRef: React.MutableRefObject<Landmark[] | null>;
+    /** Primary hand (landmarks + handedness), for Training Mode capture. */
+    handRef: React.MutableRefObject<RecordedHand | null>;
+    onControlGesture?: (trigger: ControlTrigger) => void;
+    /** Gesture currently shown — control gestures that conflict with it are ignored. */
+    currentGestureType?: string | null;
+    /** When true, only control gestures are recognized. */
+    recognitionPaused?: boolean;
+    /** Called once per frame with every tracked hand (primary hand first). */
+    onFrameAnalysis?: (analyses: FrameAnalysis[]) => void;
+    /** Applied to every hand's decision engine as soon as it changes. */
+    engineSettings?: DecisionEngineSettings;
+    /** Start / hold / end events for every hand's accepted gesture. */
+    onGestureLifecycle?: (events: GestureLifecycleEvent[]) => void;
+    /** Called once the gesture model has loaded (or failed to). */
+    onModelStatus?: (status: ModelStatus) => void;
 }
 
 export interface PhraseOverlayProps {
@@ -105,7 +624,59 @@ export interface PhraseOverlayProps {
 }
 
 export interface TrainingModeProps {
-    landmarksRef: React.MutableRefObject<Landmark[] | null>;
+    /** Primary hand (landmarks + handedness), for Training Mode capture. */
+    handRef: React.MutableRefObject<RecordedHand | null>;
+    onClose: () => void;
+}
+
+export interface PhrasePackPanelProps {
+    onClose: () => void;
+}
+
+export interface ProbabilityPanelProps {
+    analysis: FrameAnalysis | null;
+}
+
+export interface DebugPanelProps {
+    analyses: FrameAnalysis[];
+    onClose: () => void;
+}
+
+export interface RecordingWizardProps {
+    /** Gesture being recorded. */
+    label: string;
+    handRef: React.MutableRefObject<RecordedHand | null>;
+    /** Called after each round and after samples are removed. */
+    onSamplesChanged: () => void;
+    onClose: () => void;
+}
+
+export interface TrainingReportPanelProps {
+    report: TrainingReport;
+}
+
+export interface DatasetBrowserProps {
+    samples: TrainingSample[];
+    onDeleteSample: (id: string) => void;
+    /** Disables deleting (e.g., while recording or training). */
+    disabled?: boolean;
+}
+
+/** One recorded frame in a decision trace file. */
+export interface RecordedTraceFrame extends Omit<FrameAnalysis, 'hand'> {
+    /** ms since recording started */
+    t: number;
+    /** Null for a frame with no hand in view (no probabilities, no decision). */
+    hand: Handedness | null;
+}
+
+export interface ActionBindingsPanelProps {
+    onClose: () => void;
+}
+
+export interface EngineSettingsPanelProps {
+    settings: DecisionEngineSettings;
+    onChange: (settings: DecisionEngineSettings) => void;
     onClose: () => void;
 }
 
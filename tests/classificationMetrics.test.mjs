@@ -0,0 +1,67 @@
+/**
+ * classificationMetrics.test.mjs — Unit Tests for Classification Metrics
+ *
+ * Imports the real classificationMetrics module (run through tsx), used
+ * by the evaluation script and the training report.
+ *
+ * Tests cover:
+ *   1. Classification metrics: confusion matrix, precision, recall, F1
+ *
+ * Run: npm test
+ */
+
+import { buildConfusionMatrix, computeClassMetrics, overallAccuracy } from '../src/ml/classificationMetrics.ts';
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+const LABELS = ['OPEN_PALM', 'CLOSED_FIST', 'ROCK_SIGN'];
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Classification Metrics — Unit Tests\n');
+
+console.log('Test 1: Classification metrics — confusion matrix, precision, recall');
+{
+    const results = [
+        ...Array(4).fill({ actual: 'OPEN_PALM', predicted: 'OPEN_PALM' }),
+        { actual: 'OPEN_PALM', predicted: 'ROCK_SIGN' },
+        ...Array(3).fill({ actual: 'ROCK_SIGN', predicted: 'ROCK_SIGN' }),
+        { actual: 'CLOSED_FIST', predicted: null },
+        { actual: 'UNKNOWN', predicted: 'OPEN_PALM' }
+    ];
+    const confusion = buildConfusionMatrix(LABELS, results);
+    assert(JSON.stringify(confusion) === JSON.stringify([[4, 0, 1], [0, 0, 0], [0, 0, 3]]),
+        'Rows = actual, columns = predicted; unknown labels and missing predictions not counted');
+    assert(overallAccuracy(confusion) === 7 / 8 && overallAccuracy([[0]]) === 0, 'Overall accuracy (0 when empty)');
+
+    const [palm, fist, rock] = computeClassMetrics(LABELS, confusion);
+    assert(palm.precision === 1 && palm.recall === 0.8 && palm.support === 5, 'Precision and recall from the matrix');
+    assert(rock.precision === 0.75 && rock.recall === 1 && Math.abs(rock.f1 - 6 / 7) < 1e-9, 'F1 is their harmonic mean');
+    assert(fist.precision === 0 && fist.recall === 0 && fist.f1 === 0 && fist.support === 0, 'No samples: metrics are 0');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
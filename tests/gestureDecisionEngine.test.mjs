@@ -1,151 +1,72 @@
 /**
  * gestureDecisionEngine.test.mjs — Unit Tests for Gesture Decision Engine
  *
- * Self-contained test suite that mirrors the production GestureDecisionEngine
- * logic without requiring Vite bundling. This ensures tests run in plain Node.
+ * Imports the real GestureDecisionEngine and label config from src/ (run
+ * through tsx), so the tests can't drift from production. Every frame is
+ * fed an explicit timestamp from a test clock — cooldown tests never
+ * depend on Date.now().
  *
  * Tests cover:
  *   1. Stability voting (N consecutive frames required)
  *   2. Thumb dominance gating (THUMBS_UP vs CLOSED_FIST)
  *   3. Cooldown enforcement (2.5s lockout after accepted gesture)
- *   4. Cooldown expiry (new gesture accepted after wait)
+ *   4. Cooldown expiry (new gesture accepted after wait, exact boundary)
  *   5. Hand disappearance reset
  *   6. NONE/null prediction rejection
  *   7. Mixed frame instability
  *   8. Same gesture deduplication
  *   9. Phrase and gestureType correctness for all 10 classes
  *  10. Fresh detection after hand loss + return
+ *  11. Decision traces (gate remaps, stabilizing, cooldown, low confidence)
+ *  12. Accepted confidence is the mean over the stable frames
+ *  13. CALL_ME gate (geometry and confidence floor)
+ *  14. Singleton API uses the injected timestamps
+ *  15. Per-instance options (thresholds, clock) and independent instances
+ *  16. Disabled gates never remap
+ *  17. Runtime configure() and settings sanitization
+ *  18. OK / Peace / Four gates (geometry, fallback, confidence floor)
+ *  19. Probability-aware tie-breaking (geometric evidence, preference order)
+ *  20. Time-based stabilization (EMA / window, hysteresis, frame rate)
+ *  21. Gesture lifecycle (start / hold / end) and hold-to-repeat
  *
  * Run: npm test
  */
 
+import {
+    GestureDecisionEngine,
+    processGestureFrame,
+    onHandLost
+} from '../src/ml/gestureDecisionEngine.ts';
+import { GESTURE_LABELS, CONFIDENCE_THRESHOLD, getPhraseForLabel, getGestureTypeForLabel } from '../src/config/gestureConfig.ts';
+import { DEFAULT_ENGINE_SETTINGS, sanitizeEngineSettings } from '../src/config/engineSettings.ts';
+
 // ──────────────────────────────────────────────
-// Engine Mirror (matches production code exactly)
+// Test Harness
 // ──────────────────────────────────────────────
 
-const STABILITY_FRAMES = 8;
-const GESTURE_COOLDOWN_MS = 2500;
-const THUMB_DOMINANCE_THRESHOLD = 1.3;
-
-const LM = { WRIST: 0, THUMB_TIP: 4, INDEX_TIP: 8, MIDDLE_TIP: 12, RING_TIP: 16, PINKY_TIP: 20 };
-
-function getPhraseForLabel(label) {
-    const map = {
-        'OPEN_PALM': "Let's put a pin in that for now.",
-        'CLOSED_FIST': "We need to circle back to the core deliverables.",
-        'THUMBS_UP': "I am fully aligned with this initiative.",
-        'POINTING_UP': "Let's take this offline.",
-        'PEACE_SIGN': "We have verified the cross-functional synergy.",
-        'OK_SIGN': "The current plan is on track.",
-        'CALL_ME': "Let's sync one-on-one after this.",
-        'ROCK_SIGN': "This initiative is a top priority.",
-        'THREE_FINGERS': "I have three key points to add.",
-        'FOUR_FINGERS': "Let's review four action items."
-    };
-    return map[label] || 'Waiting for input…';
-}
-
-function getGestureTypeForLabel(label) {
-    const map = {
-        'OPEN_PALM': 'open-palm', 'CLOSED_FIST': 'fist',
-        'THUMBS_UP': 'thumbs-up', 'POINTING_UP': 'pointing', 'PEACE_SIGN': 'peace',
-        'OK_SIGN': 'ok-sign', 'CALL_ME': 'call-me', 'ROCK_SIGN': 'rock-sign',
-        'THREE_FINGERS': 'three-fingers', 'FOUR_FINGERS': 'four-fingers'
-    };
-    return map[label] || null;
-}
-
-class GestureDecisionEngine {
-    constructor() { this.reset(); }
-
-    reset() {
-        this.stabilityBuffer = [];
-        this.acceptedGesture = null;
-        this.acceptedTimestamp = 0;
-        this.inCooldown = false;
-    }
-
-    _dist(a, b) {
-        return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2 + (b.z - a.z) ** 2);
-    }
-
-    _validateThumbDominance(landmarks) {
-        const w = landmarks[LM.WRIST];
-        const thumb = this._dist(w, landmarks[LM.THUMB_TIP]);
-        const others = [LM.INDEX_TIP, LM.MIDDLE_TIP, LM.RING_TIP, LM.PINKY_TIP]
-            .map(i => this._dist(w, landmarks[i]));
-        return thumb > THUMB_DOMINANCE_THRESHOLD * Math.max(...others);
-    }
-
-    _applyGates(label, confidence, landmarks) {
-        if (label === 'THUMBS_UP' && !this._validateThumbDominance(landmarks)) return 'CLOSED_FIST';
-        if (label === 'CALL_ME' && (!this._validateCallMeGeometry(landmarks) || confidence < 0.60)) return 'CLOSED_FIST';
-        return label;
-    }
-
-    // Validate 'Call Me' geometry: thumb and pinky extended, others curled
-    _validateCallMeGeometry(landmarks) {
-        const WRIST = LM.WRIST, THUMB_TIP = LM.THUMB_TIP, INDEX_TIP = LM.INDEX_TIP, MIDDLE_TIP = LM.MIDDLE_TIP, RING_TIP = LM.RING_TIP, PINKY_TIP = LM.PINKY_TIP;
-        const wrist = landmarks[WRIST];
-        const thumbDist = this._dist(wrist, landmarks[THUMB_TIP]);
-        const pinkyDist = this._dist(wrist, landmarks[PINKY_TIP]);
-        const indexDist = this._dist(wrist, landmarks[INDEX_TIP]);
-        const middleDist = this._dist(wrist, landmarks[MIDDLE_TIP]);
-        const ringDist = this._dist(wrist, landmarks[RING_TIP]);
-        const curledMax = Math.max(indexDist, middleDist, ringDist);
-        const EXTENSION_FACTOR = 1.1;
-        return thumbDist > EXTENSION_FACTOR * curledMax && pinkyDist > EXTENSION_FACTOR * curledMax;
-    }
+const engine = new GestureDecisionEngine();
+let passed = 0, failed = 0;
 
-    _updateBuffer(label, confidence) {
-        this.stabilityBuffer.push({ label, confidence, ts: Date.now() });
-        if (this.stabilityBuffer.length > STABILITY_FRAMES) this.stabilityBuffer.shift();
-        if (this.stabilityBuffer.length === STABILITY_FRAMES &&
-            this.stabilityBuffer.every(p => p.label === this.stabilityBuffer[0].label)) {
-            return this.stabilityBuffer[0].label;
-        }
-        return null;
-    }
+/** Frame interval (ms) — ~30fps */
+const DT = 33;
 
-    _isInCooldown() {
-        if (!this.inCooldown || !this.acceptedTimestamp) return false;
-        if (Date.now() - this.acceptedTimestamp >= GESTURE_COOLDOWN_MS) this.inCooldown = false;
-        return this.inCooldown;
-    }
+/** Cooldown length the engine enforces (ms) */
+const COOLDOWN_MS = 2500;
 
-    processFrame(pred, landmarks) {
-        const { label, confidence } = pred;
-        if (!label || label === 'NONE') return null;
-        if (this._isInCooldown()) return null;
-
-        const gated = this._applyGates(label, confidence, landmarks);
-        const stable = this._updateBuffer(gated, confidence);
-
-        if (stable && stable !== this.acceptedGesture) {
-            this.acceptedGesture = stable;
-            this.acceptedTimestamp = Date.now();
-            this.inCooldown = true;
-            this.stabilityBuffer = [];
-            return {
-                label: stable,
-                gestureType: getGestureTypeForLabel(stable),
-                phrase: getPhraseForLabel(stable),
-                reason: `stable (${STABILITY_FRAMES} frames)`
-            };
-        }
-        return null;
-    }
+/**
+ * Test clock: every frame gets an explicit timestamp. Starts well above 0
+ * because the engine treats acceptedTimestamp 0 as "never accepted".
+ */
+const clock = {
+    now: 1_000_000,
+    advance(ms) { this.now += ms; return this.now; }
+};
 
-    onHandDisappear() { this.reset(); }
+/** Reset the shared engine (and nothing else — the clock keeps running). */
+function resetEngine() {
+    engine.reset();
 }
 
-// ──────────────────────────────────────────────
-// Test Harness
-// ──────────────────────────────────────────────
-
-const engine = new GestureDecisionEngine();
-let passed = 0, failed = 0;
-
 function assert(cond, msg) {
     if (cond) { passed++; console.log(`  ✅ ${msg}`); }
     else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
@@ -180,6 +101,27 @@ function makeCallMeLandmarks() {
     return lm;
 }
 
+/**
+ * Generic hand: wrist at the bottom, fingers [index, middle, ring, pinky]
+ * extended (true) or curled, thumb 'out', 'tucked' across the palm, or
+ * touching the index tip ('circle').
+ */
+function makeHand(extended, thumb = 'tucked') {
+    const lm = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.8, z: 0 }));
+    const mcps = [[5, 0.56, 0.58], [9, 0.52, 0.56], [13, 0.48, 0.58], [17, 0.44, 0.60]];
+    mcps.forEach(([mcp, x, y], i) => {
+        lm[mcp] = { x, y, z: 0 };
+        const [pip, dip, tip] = extended[i] ? [-0.06, -0.10, -0.15] : [-0.03, 0.02, 0.04];
+        lm[mcp + 1] = { x, y: y + pip, z: 0 };
+        lm[mcp + 2] = { x, y: y + dip, z: 0 };
+        lm[mcp + 3] = { x, y: y + tip, z: 0 };
+    });
+    lm[4] = thumb === 'out' ? { x: 0.75, y: 0.6, z: 0 }
+        : thumb === 'circle' ? { x: lm[8].x + 0.01, y: lm[8].y, z: 0 }
+        : { x: 0.46, y: 0.66, z: 0 };
+    return lm;
+}
+
 function makeAmbiguousFist() {
     const lm = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
     lm[0] = { x: 0.5, y: 0.5, z: 0 };
@@ -192,12 +134,17 @@ function makeAmbiguousFist() {
 }
 
 function pred(label, conf = 0.9) {
-    return { label, confidence: conf, gestureType: getGestureTypeForLabel(label), phrase: getPhraseForLabel(label) };
+    return { label, confidence: conf, gestureType: getGestureTypeForLabel(label), phrase: getPhraseForLabel(label, { rotate: false }) };
 }
 
-function feed(p, lm, n) {
+/** One frame, one clock tick. */
+function frame(p, lm, target = engine) {
+    return target.processFrame(p, lm, clock.advance(DT));
+}
+
+function feed(p, lm, n, target = engine) {
     let r = null;
-    for (let i = 0; i < n; i++) r = engine.processFrame(p, lm);
+    for (let i = 0; i < n; i++) r = frame(p, lm, target);
     return r;
 }
 
@@ -249,11 +196,18 @@ console.log('\nTest 4: Cooldown Expires — new gesture accepted after wait');
     engine.reset();
     const lm = makeThumbsUpLandmarks();
     feed(pred('OPEN_PALM'), lm, 8);
-    engine.acceptedTimestamp = Date.now() - 3000;
-    engine.inCooldown = true;
-    const r = feed(pred('PEACE_SIGN'), lm, 8);
+    const acceptedAt = clock.now;
+
+    engine.processFrame(pred('ROCK_SIGN'), lm, acceptedAt + COOLDOWN_MS - 1);
+    assert(engine.lastDecision?.outcome === 'cooldown', '1ms before expiry → still in cooldown');
+
+    clock.now = acceptedAt + COOLDOWN_MS;
+    engine.processFrame(pred('ROCK_SIGN'), lm, clock.now);
+    assert(engine.lastDecision?.outcome === 'stabilizing', 'At exactly 2500ms → voting resumes');
+
+    const r = feed(pred('ROCK_SIGN'), lm, 7);
     assert(r !== null, 'New gesture accepted after cooldown expires');
-    assert(r?.label === 'PEACE_SIGN', 'Correct label: PEACE_SIGN');
+    assert(r?.label === 'ROCK_SIGN', 'Correct label: ROCK_SIGN');
 }
 
 console.log('\nTest 5: Hand Disappearance — full state reset');
@@ -278,7 +232,7 @@ console.log('\nTest 7: Mixed Frames — alternating gestures break stability');
 {
     engine.reset();
     const lm = makeThumbsUpLandmarks();
-    for (let i = 0; i < 30; i++) engine.processFrame(i % 2 === 0 ? pred('OPEN_PALM') : pred('PEACE_SIGN'), lm);
+    for (let i = 0; i < 30; i++) frame(i % 2 === 0 ? pred('OPEN_PALM') : pred('PEACE_SIGN'), lm);
     assert(engine.acceptedGesture === null, 'Alternating predictions never stabilize');
 }
 
@@ -288,14 +242,14 @@ console.log('\nTest 8: Same Gesture Deduplication — no re-trigger');
     const lm = makeThumbsUpLandmarks();
     const first = feed(pred('OPEN_PALM'), lm, 8);
     assert(first !== null, 'First trigger fires');
-    engine.acceptedTimestamp = Date.now() - 3000;
-    engine.inCooldown = false;
+    clock.advance(COOLDOWN_MS);
     assert(feed(pred('OPEN_PALM'), lm, 8) === null, 'Same gesture NOT re-triggered');
+    assert(engine.lastDecision?.outcome === 'already-accepted', 'Trace says already accepted');
 }
 
 console.log('\nTest 9: Phrase & GestureType Correctness — all gestures');
 {
-    for (const [lbl, type, phrase] of [
+    const expected = [
         ['OPEN_PALM', 'open-palm', "Let's put a pin in that for now."],
         ['CLOSED_FIST', 'fist', "We need to circle back to the core deliverables."],
         ['THUMBS_UP', 'thumbs-up', "I am fully aligned with this initiative."],
@@ -306,10 +260,15 @@ console.log('\nTest 9: Phrase & GestureType Correctness — all gestures');
         ['ROCK_SIGN', 'rock-sign', "This initiative is a top priority."],
         ['THREE_FINGERS', 'three-fingers', "I have three key points to add."],
         ['FOUR_FINGERS', 'four-fingers', "Let's review four action items."]
-    ]) {
+    ];
+    assert(expected.map(([lbl]) => lbl).join() === GESTURE_LABELS.join(), 'Table lists every built-in label in config order');
+    for (const [lbl, type, phrase] of expected) {
         engine.reset();
         let lm;
         if (lbl === 'CALL_ME') lm = makeCallMeLandmarks();
+        else if (lbl === 'PEACE_SIGN') lm = makeHand([true, true, false, false]);
+        else if (lbl === 'OK_SIGN') lm = makeHand([false, true, true, true], 'circle');
+        else if (lbl === 'FOUR_FINGERS') lm = makeHand([true, true, true, true]);
         else lm = makeThumbsUpLandmarks();
         const r = feed(pred(lbl), lm, 8);
         assert(r?.gestureType === type, `${lbl} → ${type}`);
@@ -326,6 +285,351 @@ console.log('\nTest 10: Fresh Detection After Hand Loss + Return');
     assert(feed(pred('OPEN_PALM'), lm, 8) !== null, 'Same gesture re-accepted after hand loss');
 }
 
+console.log('\nTest 11: Decision Traces — why a frame was rejected or remapped');
+{
+    engine.reset();
+    frame(pred('NONE', 0.3), makeThumbsUpLandmarks());
+    assert(engine.lastDecision?.outcome === 'low-confidence', 'NONE → low-confidence');
+    assert(engine.lastDecision?.confidence === 0.3, 'Trace keeps the raw confidence');
+
+    engine.reset();
+    frame(pred('THUMBS_UP'), makeAmbiguousFist());
+    const d = engine.lastDecision;
+    assert(d?.rawLabel === 'THUMBS_UP' && d?.gatedLabel === 'CLOSED_FIST', 'Remap recorded: THUMBS_UP → CLOSED_FIST');
+    assert(d?.gate === 'thumb-dominance', 'Thumb-dominance gate named');
+    assert(d?.outcome === 'stabilizing' && d?.stableFrames === 1 && d?.requiredFrames === 8, 'Stabilizing 1/8');
+    assert(d?.stabilityBuffer.length === 1 && d.stabilityBuffer[0].label === 'CLOSED_FIST', 'Trace carries the buffer contents');
+    assert(d?.stabilityBuffer !== engine.stabilityBuffer, 'Buffer is a copy, not the live array');
+
+    engine.reset();
+    frame(pred('CALL_ME', 0.5), makeCallMeLandmarks());
+    assert(engine.lastDecision?.gate === 'call-me', 'Low-confidence CALL_ME names the CALL_ME gate');
+
+    engine.reset();
+    feed(pred('OPEN_PALM'), makeThumbsUpLandmarks(), 8);
+    assert(engine.lastDecision?.outcome === 'accepted', 'Eighth frame → accepted');
+    frame(pred('PEACE_SIGN'), makeThumbsUpLandmarks());
+    assert(engine.lastDecision?.outcome === 'cooldown', 'Next frame → cooldown');
+    assert(engine.lastDecision?.cooldownRemainingMs > 0, 'Cooldown remaining reported');
+}
+
+console.log('\nTest 12: Accepted Confidence — mean over the stable frames');
+{
+    engine.reset();
+    const lm = makeThumbsUpLandmarks();
+    for (let i = 0; i < 7; i++) frame(pred('OPEN_PALM', i % 2 === 0 ? 0.8 : 1.0), lm);
+    const r = frame(pred('OPEN_PALM', 0.9), lm);
+    const expected = (0.8 * 4 + 1.0 * 3 + 0.9) / 8;
+    assert(r !== null && Math.abs(r.confidence - expected) < 1e-9, `Confidence ${r?.confidence?.toFixed(3)} = mean of buffer`);
+}
+
+console.log('\nTest 13: CALL_ME Gate — geometry and confidence floor');
+{
+    engine.reset();
+    const r = feed(pred('CALL_ME', 0.9), makeCallMeLandmarks(), 8);
+    assert(r?.label === 'CALL_ME', 'Thumb + pinky extended, confident → CALL_ME');
+    assert(engine.lastDecision?.gate === null, 'No gate fired');
+
+    engine.reset();
+    const wrongShape = feed(pred('CALL_ME', 0.9), makeThumbsUpLandmarks(), 8);
+    assert(wrongShape?.label === 'CLOSED_FIST', 'Pinky curled → downgraded to CLOSED_FIST');
+    assert(engine.lastDecision?.gate === 'call-me', 'Geometry failure names the CALL_ME gate');
+
+    engine.reset();
+    const lowConf = feed(pred('CALL_ME', 0.59), makeCallMeLandmarks(), 8);
+    assert(lowConf?.label === 'CLOSED_FIST', 'Confidence 0.59 (< 0.60) → CLOSED_FIST');
+
+    engine.reset();
+    const atFloor = feed(pred('CALL_ME', 0.60), makeCallMeLandmarks(), 8);
+    assert(atFloor?.label === 'CALL_ME', 'Confidence exactly 0.60 passes');
+
+    engine.reset();
+    frame(pred('ROCK_SIGN'), makeCallMeLandmarks());
+    assert(engine.lastDecision?.gate === null, 'CALL_ME gate ignores other labels');
+}
+
+console.log('\nTest 14: Singleton API — injected timestamps');
+{
+    onHandLost();
+    const lm = makeThumbsUpLandmarks();
+    let r = null;
+    for (let i = 0; i < 8; i++) r = processGestureFrame(pred('ROCK_SIGN'), lm, clock.advance(DT));
+    assert(r?.label === 'ROCK_SIGN', 'processGestureFrame accepts after 8 frames');
+    const acceptedAt = clock.now;
+    assert(processGestureFrame(pred('OPEN_PALM'), lm, acceptedAt + COOLDOWN_MS - 1) === null, 'Cooldown measured on the injected clock');
+    for (let i = 0; i < 8; i++) r = processGestureFrame(pred('OPEN_PALM'), lm, acceptedAt + COOLDOWN_MS + i * DT);
+    assert(r?.label === 'OPEN_PALM', 'Accepted once the injected clock passes the cooldown');
+    onHandLost();
+}
+
+console.log('\nTest 15: Per-instance Options — thresholds, clock, independence');
+{
+    let fakeNow = 5_000_000;
+    const quick = new GestureDecisionEngine({ stabilityFrames: 3, cooldownMs: 500, clock: () => fakeNow });
+    const lm = makeThumbsUpLandmarks();
+
+    // No timestamps passed: the injected clock is used
+    quick.processFrame(pred('OPEN_PALM'), lm);
+    quick.processFrame(pred('OPEN_PALM'), lm);
+    const r = quick.processFrame(pred('OPEN_PALM'), lm);
+    assert(r?.label === 'OPEN_PALM' && r.reason === 'stable (3 frames)', '3 stability frames → accepted on the 3rd');
+    assert(quick.acceptedTimestamp === 5_000_000, 'Accepted at the injected clock time');
+    assert(quick.lastDecision?.requiredFrames === 3, 'Trace reports the instance threshold');
+
+    fakeNow += 499;
+    quick.processFrame(pred('PEACE_SIGN'), lm);
+    assert(quick.lastDecision?.outcome === 'cooldown', '499ms later → still in 500ms cooldown');
+    fakeNow += 1;
+    quick.processFrame(pred('PEACE_SIGN'), lm);
+    assert(quick.lastDecision?.outcome === 'stabilizing', '500ms later → cooldown over');
+
+    const other = new GestureDecisionEngine({ clock: () => fakeNow });
+    feed(pred('OPEN_PALM'), lm, 3, other);
+    assert(other.acceptedGesture === null, 'Second instance keeps the default 8 frames');
+    assert(quick.settings.stabilityFrames === 3 && engine.settings.stabilityFrames === DEFAULT_ENGINE_SETTINGS.stabilityFrames, 'Instances do not share settings');
+
+    const strict = new GestureDecisionEngine({ thumbDominanceThreshold: 50 });
+    frame(pred('THUMBS_UP'), makeThumbsUpLandmarks(), strict);
+    assert(strict.lastDecision?.gatedLabel === 'CLOSED_FIST', 'Stricter thumb dominance factor rejects a valid thumbs up');
+
+    const lenient = new GestureDecisionEngine({ gateConfidence: { 'call-me': 0.3 } });
+    frame(pred('CALL_ME', 0.4), makeCallMeLandmarks(), lenient);
+    assert(lenient.lastDecision?.gate === null, 'Lowered CALL_ME confidence floor accepts 0.4');
+}
+
+console.log('\nTest 16: Disabled Gates — never remap');
+{
+    const noGates = new GestureDecisionEngine({ disabledGates: ['thumb-dominance', 'call-me', 'ok-circle', 'peace-two-fingers', 'four-tucked-thumb'] });
+    const r = feed(pred('THUMBS_UP'), makeAmbiguousFist(), 8, noGates);
+    assert(r?.label === 'THUMBS_UP', 'Thumb-dominance disabled → ambiguous THUMBS_UP kept');
+
+    const onlyThumb = new GestureDecisionEngine({ disabledGates: ['call-me'] });
+    frame(pred('CALL_ME', 0.3), makeThumbsUpLandmarks(), onlyThumb);
+    assert(onlyThumb.lastDecision?.gatedLabel === 'CALL_ME' && onlyThumb.lastDecision?.gate === null, 'CALL_ME gate disabled → CALL_ME kept');
+    frame(pred('THUMBS_UP'), makeAmbiguousFist(), onlyThumb);
+    assert(onlyThumb.lastDecision?.gate === 'thumb-dominance', 'Enabled gate still fires');
+}
+
+console.log('\nTest 17: Runtime configure() and settings sanitization');
+{
+    const tuned = new GestureDecisionEngine();
+    const lm = makeThumbsUpLandmarks();
+    feed(pred('OPEN_PALM'), lm, 5, tuned);
+    tuned.configure({ stabilityFrames: 4 });
+    assert(tuned.stabilityBuffer.length === 4, 'Buffer trimmed to the new length');
+    const r = frame(pred('OPEN_PALM'), lm, tuned);
+    assert(r?.label === 'OPEN_PALM', 'Next frame accepted under the new threshold');
+    assert(tuned.settings.cooldownMs === DEFAULT_ENGINE_SETTINGS.cooldownMs, 'Untouched settings keep their values');
+
+    const clean = sanitizeEngineSettings({ stabilityFrames: 4.6, cooldownMs: -5, thumbDominanceThreshold: 'x', disabledGates: ['call-me', 'bogus'], gateConfidence: { 'call-me': 0.8, 'ok-circle': 2, bogus: 0.5 } });
+    assert(clean.stabilityFrames === 5, 'Stability frames rounded to a whole frame');
+    assert(clean.cooldownMs === DEFAULT_ENGINE_SETTINGS.cooldownMs, 'Out-of-range value falls back to default');
+    assert(clean.thumbDominanceThreshold === DEFAULT_ENGINE_SETTINGS.thumbDominanceThreshold, 'Non-numeric value falls back to default');
+    assert(clean.disabledGates.length === 1 && clean.disabledGates[0] === 'call-me', 'Unknown gates dropped');
+    assert(JSON.stringify(clean.gateConfidence) === '{"call-me":0.8}', 'Only valid confidence floors for known gates kept');
+}
+
+console.log('\nTest 18: OK, Peace and Four Gates — geometry, fallback, floors');
+{
+    const gateOf = (label, lm, target = new GestureDecisionEngine(), conf = 0.9) => {
+        target.processFrame(pred(label, conf), lm, clock.advance(DT));
+        return target.lastDecision;
+    };
+
+    assert(gateOf('OK_SIGN', makeHand([false, true, true, true], 'circle')).gate === null, 'OK with thumb-index circle passes');
+    const noCircle = gateOf('OK_SIGN', makeHand([true, true, true, true], 'out'));
+    assert(noCircle.gate === 'ok-circle' && noCircle.gatedLabel === 'OPEN_PALM', 'OK without a circle → OPEN_PALM (ok-circle)');
+
+    assert(gateOf('PEACE_SIGN', makeHand([true, true, false, false])).gate === null, 'Peace with two fingers passes');
+    const threeUp = gateOf('PEACE_SIGN', makeHand([true, true, true, false]));
+    assert(threeUp.gate === 'peace-two-fingers' && threeUp.gatedLabel === 'THREE_FINGERS', 'Peace with the ring finger up → THREE_FINGERS');
+
+    assert(gateOf('FOUR_FINGERS', makeHand([true, true, true, true])).gate === null, 'Four with the thumb tucked passes');
+    const thumbOut = gateOf('FOUR_FINGERS', makeHand([true, true, true, true], 'out'));
+    assert(thumbOut.gate === 'four-tucked-thumb' && thumbOut.gatedLabel === 'OPEN_PALM', 'Four with the thumb out → OPEN_PALM');
+
+    const floored = new GestureDecisionEngine({ gateConfidence: { 'peace-two-fingers': 0.95 } });
+    assert(gateOf('PEACE_SIGN', makeHand([true, true, false, false]), floored).gate === 'peace-two-fingers', 'Confidence floor override rejects good geometry');
+
+    const off = new GestureDecisionEngine({ disabledGates: ['four-tucked-thumb'] });
+    assert(gateOf('FOUR_FINGERS', makeHand([true, true, true, true], 'out'), off).gatedLabel === 'FOUR_FINGERS', 'Disabled gate leaves FOUR_FINGERS alone');
+}
+
+console.log('\nTest 19: Tie-Breaking — geometric evidence, then conservative preference');
+{
+    /**
+     * What predictGesture returns when `top` and `runnerUp` lead the
+     * distribution: 'NONE' when the top class is under CONFIDENCE_THRESHOLD.
+     */
+    const tied = (top, pTop, runnerUp, pRunnerUp) => {
+        const probabilities = { OPEN_PALM: 0.01, POINTING_UP: 0.01, [top]: pTop, [runnerUp]: pRunnerUp };
+        return pTop >= CONFIDENCE_THRESHOLD
+            ? { ...pred(top, pTop), probabilities }
+            : { label: 'NONE', confidence: pTop, gestureType: null, phrase: 'Waiting for input…', probabilities };
+    };
+    const decide = (p, lm, target = new GestureDecisionEngine()) => {
+        target.processFrame(p, lm, clock.advance(DT));
+        return target.lastDecision;
+    };
+
+    assert(tied('CLOSED_FIST', 0.48, 'THUMBS_UP', 0.45).label === 'NONE', 'Fixture: a near-tie is below the confidence threshold');
+    const fistFirst = decide(tied('CLOSED_FIST', 0.48, 'THUMBS_UP', 0.45), makeThumbsUpLandmarks());
+    assert(fistFirst.rawLabel === 'CLOSED_FIST' && fistFirst.outcome === 'stabilizing', 'Near-tie recovered from the raw distribution instead of low-confidence');
+    assert(fistFirst.gatedLabel === 'THUMBS_UP' && fistFirst.tieBreak?.reason === 'evidence', 'Near-tie fist/thumbs up with a dominant thumb → THUMBS_UP');
+    assert(Math.abs(fistFirst.confidence - 0.48) < 1e-9, 'Trace keeps the top class probability');
+    const thumbFirst = decide(tied('THUMBS_UP', 0.48, 'CLOSED_FIST', 0.45), makeAmbiguousFist());
+    assert(thumbFirst.gatedLabel === 'CLOSED_FIST' && thumbFirst.gate === null, 'Near-tie without thumb dominance → CLOSED_FIST before any gate fires');
+
+    const fourHand = decide(tied('THREE_FINGERS', 0.47, 'FOUR_FINGERS', 0.44), makeHand([true, true, true, true]));
+    assert(fourHand.gatedLabel === 'FOUR_FINGERS', 'Near-tie three/four with four fingers up → FOUR_FINGERS');
+    const threeHand = decide(tied('FOUR_FINGERS', 0.47, 'THREE_FINGERS', 0.44), makeHand([true, true, true, false]));
+    assert(threeHand.gatedLabel === 'THREE_FINGERS' && threeHand.gate === null, 'Near-tie four/three with the pinky down → THREE_FINGERS');
+
+    const rockHand = makeHand([true, false, false, true], 'out');
+    const preferred = decide(tied('ROCK_SIGN', 0.46, 'CLOSED_FIST', 0.44), rockHand);
+    assert(preferred.gatedLabel === 'CLOSED_FIST' && preferred.tieBreak?.reason === 'preference', 'No geometric evidence → conservative preference wins');
+    const wide = decide(tied('ROCK_SIGN', 0.65, 'CLOSED_FIST', 0.30), rockHand);
+    assert(wide.gatedLabel === 'ROCK_SIGN' && wide.tieBreak === null, 'Confident top class → no tie-break');
+    assert(decide(tied('ROCK_SIGN', 0.45, 'CLOSED_FIST', 0.25), rockHand).outcome === 'low-confidence', 'Low confidence with a clear gap stays low-confidence');
+    assert(decide(tied('ROCK_SIGN', 0.28, 'CLOSED_FIST', 0.26), rockHand).outcome === 'low-confidence', 'Tied pair below the threshold together stays low-confidence');
+    assert(decide(pred('ROCK_SIGN'), rockHand).tieBreak === null, 'No probability map → no tie-break');
+
+    const accepting = new GestureDecisionEngine();
+    const accepted = feed(tied('CLOSED_FIST', 0.48, 'THUMBS_UP', 0.45), makeThumbsUpLandmarks(), 8, accepting);
+    assert(accepted?.label === 'THUMBS_UP', 'A sustained near-tie is accepted as the label the geometry supports');
+
+    const off = new GestureDecisionEngine({ tieBreakMargin: 0 });
+    assert(decide(tied('ROCK_SIGN', 0.46, 'CLOSED_FIST', 0.44), rockHand, off).outcome === 'low-confidence', 'Margin 0 disables tie-breaking');
+    const wideMargin = new GestureDecisionEngine({ tieBreakMargin: 0.3 });
+    assert(decide(tied('ROCK_SIGN', 0.62, 'CLOSED_FIST', 0.34), rockHand, wideMargin).gatedLabel === 'CLOSED_FIST', 'A wider margin also settles confident predictions');
+    const rockFirst = new GestureDecisionEngine({ tieBreakPreference: ['ROCK_SIGN', 'CLOSED_FIST'] });
+    assert(decide(tied('CLOSED_FIST', 0.46, 'ROCK_SIGN', 0.44), rockHand, rockFirst).gatedLabel === 'ROCK_SIGN', 'Custom preference order is honoured');
+
+    const clean = sanitizeEngineSettings({ tieBreakMargin: 0.5, tieBreakPreference: ['OK_SIGN', 3, 'OK_SIGN', 'OPEN_PALM'] });
+    assert(clean.tieBreakMargin === DEFAULT_ENGINE_SETTINGS.tieBreakMargin, 'Out-of-range margin falls back to default');
+    assert(JSON.stringify(clean.tieBreakPreference) === '["OK_SIGN","OPEN_PALM"]', 'Preference keeps unique label strings');
+}
+
+console.log('\nTest 20: Time-Based Stabilization — EMA / window, hysteresis, frame-rate independence');
+{
+    const lm = makeHand([true, false, false, true], 'out');
+    /** Feed `p` every `dt` ms until accepted (or maxMs); returns ms until acceptance. */
+    const timeToAccept = (target, p, dt, maxMs = 3000) => {
+        for (let elapsed = 0; elapsed <= maxMs; elapsed += dt) {
+            if (target.processFrame(p, lm, clock.advance(dt))) return elapsed;
+        }
+        return Infinity;
+    };
+
+    const at30 = timeToAccept(new GestureDecisionEngine({ stabilizationMode: 'ema' }), pred('ROCK_SIGN'), 33);
+    const at15 = timeToAccept(new GestureDecisionEngine({ stabilizationMode: 'ema' }), pred('ROCK_SIGN'), 66);
+    assert(at30 < 1000 && Math.abs(at30 - at15) <= 66, `EMA accepts after the same time at 30 and 15fps (${at30}ms vs ${at15}ms)`);
+    const slowFrames = timeToAccept(new GestureDecisionEngine(), pred('ROCK_SIGN'), 66);
+    assert(slowFrames > at15, `Frame voting takes longer at 15fps (${slowFrames}ms)`);
+
+    const noisy = new GestureDecisionEngine({ stabilizationMode: 'ema' });
+    feed(pred('ROCK_SIGN'), lm, 6, noisy);
+    frame(pred('OPEN_PALM'), lm, noisy);
+    const afterNoise = timeToAccept(noisy, pred('ROCK_SIGN'), DT);
+    assert(afterNoise < 8 * DT, `One noisy frame doesn't restart EMA progress (${afterNoise}ms more)`);
+
+    const held = new GestureDecisionEngine({ stabilizationMode: 'ema', cooldownMs: 0 });
+    assert(timeToAccept(held, pred('ROCK_SIGN'), DT) < Infinity, 'ROCK_SIGN accepted');
+    feed(pred('ROCK_SIGN'), lm, 30, held);
+    assert(held.smoother.heldLabel === 'ROCK_SIGN' && held.lastDecision?.outcome === 'already-accepted', 'Held label re-established after acceptance');
+    assert(feed(pred('OPEN_PALM'), lm, 3, held) === null && held.smoother.heldLabel === 'ROCK_SIGN', 'Short burst of another label → hysteresis keeps ROCK_SIGN');
+    assert(held.lastDecision?.stabilization?.threshold === held.settings.hysteresisEnter, 'Trace shows the enter threshold for a challenger');
+    assert(timeToAccept(held, pred('OPEN_PALM'), DT) < Infinity && held.acceptedGesture === 'OPEN_PALM', 'Sustained new label takes over');
+
+    const windowed = new GestureDecisionEngine({ stabilizationMode: 'window', stabilityWindowMs: 300 });
+    feed(pred('ROCK_SIGN'), lm, 5, windowed);
+    frame(pred('OPEN_PALM'), lm, windowed);
+    const r = feed(pred('ROCK_SIGN'), lm, 5, windowed);
+    assert(r?.label === 'ROCK_SIGN' && r.reason === 'stable (window, 300ms)', 'Window majority accepts despite a noisy frame once the window is full');
+    assert(windowed.stabilityBuffer.length === 0, 'Buffer cleared on acceptance');
+
+    const partial = new GestureDecisionEngine({ stabilizationMode: 'window', stabilityWindowMs: 300 });
+    assert(feed(pred('ROCK_SIGN'), lm, 8, partial) === null, 'Window not yet full → nothing stable');
+    const d = partial.lastDecision;
+    assert(d?.stabilization?.mode === 'window' && d.stabilization.score === 1, 'Trace carries the window score');
+    partial.processFrame(pred('ROCK_SIGN'), lm, clock.advance(1500));
+    assert(partial.smoother.startedAt === clock.now && partial.lastDecision?.outcome === 'stabilizing', 'Frame gap over 1s restarts smoothing');
+
+    partial.configure({ stabilizationMode: 'frames' });
+    assert(partial.stabilityBuffer.length === 0 && partial.smoother.startedAt === null, 'Switching mode clears votes');
+
+    const clean = sanitizeEngineSettings({ stabilizationMode: 'median', hysteresisEnter: 0.5, hysteresisExit: 0.8 });
+    assert(clean.stabilizationMode === 'frames', 'Unknown mode falls back to frames');
+    assert(clean.hysteresisExit === 0.5, 'Release score clamped to the accept score');
+}
+
+console.log('\nTest 21: Gesture Lifecycle — start, hold, end, hold-to-repeat');
+{
+    const lm = makeHand([true, false, false, true], 'out');
+    const phases = (target) => target.lifecycle.map(e => e.phase).join(',');
+
+    const life = new GestureDecisionEngine();
+    feed(pred('ROCK_SIGN'), lm, 8, life);
+    assert(phases(life) === 'start' && life.lifecycle[0].durationMs === 0, 'Acceptance emits start');
+    frame(pred('ROCK_SIGN'), lm, life);
+    assert(life.lastDecision?.outcome === 'cooldown' && phases(life) === 'hold', 'Hold reported during cooldown');
+    feed(pred('ROCK_SIGN'), lm, 29, life);
+    assert(life.lifecycle[0]?.durationMs === 30 * DT, `Hold carries the duration (${life.lifecycle[0]?.durationMs}ms)`);
+
+    frame(pred('OPEN_PALM'), lm, life);
+    assert(phases(life) === '', 'One different frame → no event yet');
+    frame(pred('ROCK_SIGN'), lm, life);
+    assert(phases(life) === 'hold', 'Same hold continues after a single misread frame');
+
+    const switchPhases = [];
+    for (let i = 0; i < 7; i++) { frame(pred('OPEN_PALM'), lm, life); switchPhases.push(phases(life)); }
+    assert(switchPhases.join('|') === '||||||end' && life.heldGesture === null, 'Another label shown for 200ms ends the hold');
+    assert(life.lifecycle[0]?.durationMs === 32 * DT, 'End reports how long it was actually held');
+
+    const disappear = new GestureDecisionEngine();
+    feed(pred('ROCK_SIGN'), lm, 8, disappear);
+    feed(pred('ROCK_SIGN'), lm, 5, disappear);
+    disappear.onHandDisappear(clock.now);
+    assert(phases(disappear) === 'end' && disappear.lifecycle[0].durationMs === 5 * DT, 'Hand loss emits end with the held duration');
+
+    const noneEnds = new GestureDecisionEngine();
+    feed(pred('ROCK_SIGN'), lm, 8, noneEnds);
+    const nonePhases = [];
+    for (let i = 0; i < 8; i++) { frame(pred('NONE', 0.2), lm, noneEnds); nonePhases.push(phases(noneEnds)); }
+    assert(nonePhases.filter(p => p === 'end').length === 1, 'Low-confidence frames end the hold once');
+
+    // Accepted, ~330ms of NONE, then shown again for 4s with the hand in view
+    const palm = makeHand([true, true, true, true], 'out');
+    const reshown = new GestureDecisionEngine();
+    feed(pred('OPEN_PALM'), palm, 8, reshown);
+    feed(pred('NONE', 0.2), palm, 10, reshown);
+    assert(reshown.heldGesture === null && reshown.acceptedGesture === null, 'Ended gesture is no longer accepted');
+    const again = [];
+    const againPhases = [];
+    for (let i = 0; i < 120; i++) {
+        const r = frame(pred('OPEN_PALM'), palm, reshown);
+        if (r) again.push(r);
+        againPhases.push(phases(reshown));
+    }
+    assert(again.length === 1 && again[0].label === 'OPEN_PALM', 'Shown again → accepted again once the cooldown is over');
+    assert(againPhases.filter(p => p === 'start').length === 1 && againPhases[againPhases.length - 1] === 'hold',
+        'Second showing starts a new hold and keeps reporting it');
+
+    const repeat = new GestureDecisionEngine({ holdRepeatMs: 1000 });
+    feed(pred('ROCK_SIGN'), lm, 8, repeat);
+    const repeats = [];
+    for (let i = 0; i < 70; i++) {
+        const r = frame(pred('ROCK_SIGN'), lm, repeat);
+        if (r) repeats.push(r);
+    }
+    assert(repeats.length === 2, `Held ~2.3s with holdRepeatMs 1000 → 2 repeats (got ${repeats.length})`);
+    assert(repeats[0].label === 'ROCK_SIGN' && repeats[0].heldMs >= 1000 && repeats[0].reason.startsWith('held'), 'Repeat carries label, heldMs and reason');
+    const once = new GestureDecisionEngine();
+    let emitted = 0;
+    for (let i = 0; i < 100; i++) if (frame(pred('ROCK_SIGN'), lm, once)) emitted++;
+    assert(emitted === 1 && once.lifecycle[0]?.phase === 'hold', 'Repeats are off by default — one emission per hold');
+}
+
 // ──────────────────────────────────────────────
 // Summary
 // ──────────────────────────────────────────────
@@ -0,0 +1,177 @@
+/**
+ * gesturePipeline.test.mjs — Unit Tests for Gesture Pipeline
+ *
+ * Imports the real GesturePipeline and session replay (run through tsx)
+ * and drives the pipeline with synthetic hands and a stub predictor —
+ * no camera, no model.
+ *
+ * Tests cover:
+ *   1. Gesture lifecycle through the pipeline, hold-to-repeat events, reset()
+ *   2. Each hand's handedness reaches the model
+ *   3. Two hands MediaPipe labels the same: separate engines, no mirroring
+ *
+ * Run: npm test
+ */
+
+import {
+    replayLandmarkSession,
+    LANDMARK_SESSION_FORMAT
+} from '../src/ml/landmarkSession.ts';
+import { GesturePipeline } from '../src/ml/gesturePipeline.ts';
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+const LABELS = ['OPEN_PALM', 'CLOSED_FIST', 'ROCK_SIGN'];
+
+/** Frame interval (ms) — ~30fps */
+const DT = 33;
+
+/** A still hand whose wrist z encodes the label the stub predictor returns. */
+function hand(label, handedness = 'Right') {
+    const landmarks = Array.from({ length: 21 }, (_, i) => ({ x: 0.5, y: 0.5 - i * 0.01, z: 0 }));
+    landmarks[0] = { x: 0.5, y: 0.6, z: LABELS.indexOf(label) };
+    return { handedness, landmarks };
+}
+
+function stubPredict(landmarks) {
+    const label = LABELS[Math.round(landmarks[0].z)];
+    const probabilities = Object.fromEntries(LABELS.map(l => [l, l === label ? 0.9 : 0.05]));
+    return { label, confidence: 0.9, gestureType: null, phrase: '', probabilities };
+}
+
+/** Build a session from [label | null, frameCount] segments (null = no hand). */
+function session(segments, startedAt = 5_000_000) {
+    const frames = [];
+    let t = 0;
+    for (const [label, count] of segments) {
+        for (let i = 0; i < count; i++) {
+            frames.push({ t, hands: label ? [hand(label)] : [] });
+            t += DT;
+        }
+    }
+    return { format: LANDMARK_SESSION_FORMAT, version: 1, startedAt, frames };
+}
+
+function summary(events) {
+    return events.map(e => `${e.label}@${e.t}/${e.hand ?? '-'}`).join(',');
+}
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Gesture Pipeline — Unit Tests\n');
+
+console.log('Test 1: Gesture lifecycle through the pipeline');
+{
+    const lifecycle = [];
+    const onFrame = (_frame, output) => lifecycle.push(...output.lifecycle);
+    replayLandmarkSession(session([['ROCK_SIGN', 20], [null, 1]]), stubPredict, { onFrame });
+    const phases = lifecycle.map(e => e.phase);
+    assert(phases[0] === 'start' && lifecycle[0].hand === 'Right', 'Start tagged with the hand');
+    assert(phases.filter(p => p === 'hold').length === 12, `Hold on every later frame (got ${phases.filter(p => p === 'hold').length})`);
+    const end = lifecycle[lifecycle.length - 1];
+    assert(end.phase === 'end' && end.label === 'ROCK_SIGN' && end.durationMs === 12 * DT, 'Hand loss ends the gesture with its held duration');
+
+    const repeated = replayLandmarkSession(session([['ROCK_SIGN', 40]]), stubPredict, { engineOptions: { holdRepeatMs: 1000 } });
+    assert(repeated.length === 2 && repeated[1].heldMs >= 1000, `Held gesture repeats as an accepted event (${summary(repeated)})`);
+
+    // CLOSED_FIST may start a combo: no repeat while it is still held back
+    const combo = replayLandmarkSession(session([['CLOSED_FIST', 40]]), stubPredict, { engineOptions: { holdRepeatMs: 1000 } });
+    assert(combo.length === 1 && combo[0].heldMs === undefined, `No repeat before the original is released (${summary(combo)})`);
+
+    /** Replay collecting accepted gestures and lifecycle events with their frame times. */
+    const trace = (s) => {
+        const out = { accepted: [], lifecycle: [] };
+        replayLandmarkSession(s, stubPredict, {
+            onFrame: (frame, output) => {
+                out.accepted.push(...output.accepted.map(e => ({ ...e, t: frame.t })));
+                out.lifecycle.push(...output.lifecycle.map(e => ({ ...e, t: frame.t })));
+            }
+        });
+        return out;
+    };
+
+    // Same gesture shown again after its hold ended, hand still in view
+    const again = trace(session([['ROCK_SIGN', 10], ['OPEN_PALM', 10], ['ROCK_SIGN', 120]]));
+    const rockPhases = again.lifecycle.filter(e => e.label === 'ROCK_SIGN').map(e => e.phase);
+    assert(again.accepted.filter(e => e.label === 'ROCK_SIGN').length === 2, `Shown again after its end → accepted again (${summary(again.accepted)})`);
+    assert(rockPhases.filter(p => p === 'start').length === 2 && rockPhases[rockPhases.length - 1] === 'hold',
+        'Second showing starts a new hold and keeps reporting it');
+
+    // CLOSED_FIST is held back as a possible REGROUP start: its hold starts on release
+    const heldBack = trace(session([['CLOSED_FIST', 260], [null, 1]]));
+    const released = heldBack.accepted.find(e => e.label === 'CLOSED_FIST');
+    const fistStart = heldBack.lifecycle[0];
+    assert(released && fistStart?.phase === 'start' && fistStart.t === released.t, 'Held-back gesture starts when it is released, not when accepted');
+    assert(fistStart?.durationMs > 0 && heldBack.lifecycle[heldBack.lifecycle.length - 1].phase === 'end', 'Start reports the time already held; hand loss ends it');
+
+    // Steps folded into a combo never start
+    const regroup = trace(session([['CLOSED_FIST', 80], ['OPEN_PALM', 80], ['CLOSED_FIST', 40], [null, 1]]));
+    assert(summary(regroup.accepted).startsWith('REGROUP') && regroup.lifecycle.length === 0,
+        `Combo steps have no lifecycle (${regroup.lifecycle.map(e => `${e.phase}:${e.label}`).join(',')})`);
+
+    // Per-hand gestures suppressed by a two-hand match have no lifecycle
+    const bothHands = { format: LANDMARK_SESSION_FORMAT, version: 1, startedAt: 5_000_000, frames: [] };
+    for (let i = 0; i < 20; i++) {
+        bothHands.frames.push({ t: i * DT, hands: [hand('OPEN_PALM', 'Left'), hand('OPEN_PALM', 'Right')] });
+    }
+    const twoHands = trace(bothHands);
+    assert(summary(twoHands.accepted) === `LEVEL_SET@${7 * DT}/Both` && twoHands.lifecycle.length === 0,
+        `Two-hand gesture only, no per-hand lifecycle (${summary(twoHands.accepted)})`);
+
+    // Pausing recognition resets the pipeline: a delivered hold ends there
+    const paused = new GesturePipeline(stubPredict);
+    for (let i = 0; i < 12; i++) paused.processFrame([hand('ROCK_SIGN')], 5_000_000 + i * DT);
+    const ended = paused.reset(5_000_000 + 12 * DT);
+    assert(ended.map(e => `${e.phase}:${e.label}/${e.hand}`).join(',') === 'end:ROCK_SIGN/Right', 'reset() returns the held gesture\'s end');
+    assert(paused.reset(5_000_000 + 13 * DT).length === 0, 'Nothing left to end after a reset');
+}
+
+console.log('\nTest 2: Each hand\'s handedness reaches the model');
+{
+    const seen = [];
+    const recordingPredict = (landmarks, handedness) => { seen.push(handedness); return stubPredict(landmarks); };
+    const twoHands = session([['OPEN_PALM', 2]]);
+    for (const frame of twoHands.frames) frame.hands.push(hand('CLOSED_FIST', 'Left'));
+    replayLandmarkSession(twoHands, recordingPredict);
+    assert(seen.join() === 'Right,Left,Right,Left', `Pipeline passes each hand's handedness to the model (${seen.join()})`);
+}
+
+console.log('\nTest 3: Two hands with the same MediaPipe label');
+{
+    const seen = [];
+    const recordingPredict = (landmarks, handedness) => {
+        seen.push(handedness);
+        return stubPredict(landmarks);
+    };
+    const pipeline = new GesturePipeline(recordingPredict);
+    const output = pipeline.processFrame([hand('ROCK_SIGN', 'Right'), hand('OPEN_PALM', 'Right')], 5_000_000);
+    assert(seen.join(',') === 'Right,Right', `Model gets MediaPipe's label for both hands (${seen.join(',')})`);
+    assert(output.analyses.map(a => a.hand).join(',') === 'Right,Left', 'Per-hand state is still kept apart');
+    assert([...pipeline.engines.keys()].sort().join(',') === 'Left,Right', 'One engine per hand');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
@@ -0,0 +1,231 @@
+/**
+ * gestureSequenceRecognizer.test.mjs — Unit Tests for Gesture Sequences
+ *
+ * Imports the real GestureSequenceRecognizer and GESTURE_SEQUENCES from
+ * src/ (run through tsx), so the tests can't drift from production. Times
+ * are explicit and relative to each combo's window under the default
+ * engine settings.
+ *
+ * Tests cover:
+ *   1. Two-step combo inside its window emits the compound phrase
+ *   2. No double-fire: the first step is held, never emitted on completion
+ *   3. Combo outside its window releases the individual gestures
+ *   4. Held gesture is released by poll() once the window expires
+ *   5. Non-matching follow-up releases the held gesture immediately
+ *   6. Gestures that can't start a combo pass straight through
+ *   7. Three-step macro (CLOSED_FIST → OPEN_PALM → CLOSED_FIST)
+ *   8. Broken prefix keeps the viable tail held
+ *   9. flush() emits everything held, reset() drops it
+ *  10. Combo confidence is its weakest step's confidence
+ *  11. Windows follow the engine's cooldown and stabilization settings
+ *  12. Definitions that can never complete are rejected
+ *
+ * Run: npm test
+ */
+
+import {
+    GestureSequenceRecognizer,
+    sequenceWindowMs,
+    validateSequences
+} from '../src/ml/gestureSequenceRecognizer.ts';
+import { GesturePipeline } from '../src/ml/gesturePipeline.ts';
+import { GESTURE_SEQUENCES, SEQUENCE_FRAME_INTERVAL_MS } from '../src/config/gestureConfig.ts';
+import { DEFAULT_ENGINE_SETTINGS } from '../src/config/engineSettings.ts';
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+const recognizer = new GestureSequenceRecognizer();
+
+/** Combo windows under the default engine settings (ms) */
+const ALIGNED_WINDOW = recognizer.windows.ALIGNED_OFFLINE;
+const REGROUP_WINDOW = recognizer.windows.REGROUP;
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+function accepted(label) {
+    return { label, gestureType: label.toLowerCase(), phrase: `${label} phrase`, reason: 'stable (8 frames)' };
+}
+
+function labels(results) {
+    return results.map(r => r.label).join(',');
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Gesture Sequence Recognizer — Unit Tests\n');
+
+console.log('Test 1: Two-step combo inside its window');
+{
+    recognizer.reset();
+    const first = recognizer.process(accepted('THUMBS_UP'), 0);
+    const second = recognizer.process(accepted('POINTING_UP'), ALIGNED_WINDOW - 200);
+    assert(first.length === 0, 'THUMBS_UP held as a possible combo start');
+    assert(labels(second) === 'ALIGNED_OFFLINE', 'Combo emitted as ALIGNED_OFFLINE');
+    assert(second[0]?.phrase === GESTURE_SEQUENCES.ALIGNED_OFFLINE.phrase, 'Compound phrase emitted');
+    assert(second[0]?.reason === 'sequence (THUMBS_UP → POINTING_UP)', 'Reason lists the steps');
+}
+
+console.log('\nTest 2: No double-fire of individual phrases');
+{
+    recognizer.reset();
+    const emitted = [
+        ...recognizer.process(accepted('THUMBS_UP'), 0),
+        ...recognizer.poll(1000),
+        ...recognizer.process(accepted('POINTING_UP'), ALIGNED_WINDOW - 100),
+        ...recognizer.poll(ALIGNED_WINDOW + 2000)
+    ];
+    assert(labels(emitted) === 'ALIGNED_OFFLINE', 'Only the compound result is emitted');
+    assert(recognizer.held.length === 0, 'Nothing left held after completion');
+}
+
+console.log('\nTest 3: Combo outside its window');
+{
+    recognizer.reset();
+    recognizer.process(accepted('THUMBS_UP'), 0);
+    const late = recognizer.process(accepted('POINTING_UP'), ALIGNED_WINDOW + 500);
+    assert(labels(late) === 'THUMBS_UP,POINTING_UP', 'Both gestures released individually, in order');
+}
+
+console.log('\nTest 4: poll() releases a held gesture when its window expires');
+{
+    recognizer.reset();
+    recognizer.process(accepted('THUMBS_UP'), 0);
+    assert(recognizer.poll(ALIGNED_WINDOW - 1000).length === 0, 'Still held inside the window');
+    assert(labels(recognizer.poll(ALIGNED_WINDOW + 1)) === 'THUMBS_UP', 'Released after the window');
+    assert(recognizer.held.length === 0, 'Nothing left held');
+}
+
+console.log('\nTest 5: Non-matching follow-up releases immediately');
+{
+    recognizer.reset();
+    recognizer.process(accepted('THUMBS_UP'), 0);
+    const r = recognizer.process(accepted('PEACE_SIGN'), 1000);
+    assert(labels(r) === 'THUMBS_UP,PEACE_SIGN', 'Held gesture and new gesture both released');
+}
+
+console.log('\nTest 6: Gestures that cannot start a combo pass straight through');
+{
+    recognizer.reset();
+    assert(labels(recognizer.process(accepted('PEACE_SIGN'), 0)) === 'PEACE_SIGN', 'PEACE_SIGN emitted immediately');
+    assert(labels(recognizer.process(accepted('POINTING_UP'), 100)) === 'POINTING_UP', 'POINTING_UP alone emitted immediately');
+}
+
+console.log('\nTest 7: Three-step macro');
+{
+    recognizer.reset();
+    assert(recognizer.process(accepted('CLOSED_FIST'), 0).length === 0, 'CLOSED_FIST held');
+    assert(recognizer.process(accepted('OPEN_PALM'), REGROUP_WINDOW / 2).length === 0, 'OPEN_PALM held (prefix continues)');
+    const r = recognizer.process(accepted('CLOSED_FIST'), REGROUP_WINDOW - 100);
+    assert(labels(r) === 'REGROUP', 'REGROUP emitted on third step');
+    assert(r[0]?.reason === 'sequence (CLOSED_FIST → OPEN_PALM → CLOSED_FIST)', 'Reason lists all three steps');
+}
+{
+    recognizer.reset();
+    recognizer.process(accepted('CLOSED_FIST'), 0);
+    recognizer.process(accepted('OPEN_PALM'), REGROUP_WINDOW / 2);
+    const r = recognizer.process(accepted('CLOSED_FIST'), REGROUP_WINDOW + 500);
+    assert(labels(r) === 'CLOSED_FIST,OPEN_PALM', 'Too slow: first two released individually');
+    assert(recognizer.held.length === 1 && recognizer.held[0].result.label === 'CLOSED_FIST', 'Last CLOSED_FIST held as a new combo start');
+}
+
+console.log('\nTest 8: Broken prefix keeps the viable tail held');
+{
+    recognizer.reset();
+    recognizer.process(accepted('THUMBS_UP'), 0);
+    const r = recognizer.process(accepted('CLOSED_FIST'), 1000);
+    assert(labels(r) === 'THUMBS_UP', 'THUMBS_UP released');
+    assert(recognizer.held.length === 1 && recognizer.held[0].result.label === 'CLOSED_FIST', 'CLOSED_FIST held for REGROUP');
+}
+
+console.log('\nTest 9: flush() and reset()');
+{
+    recognizer.reset();
+    recognizer.process(accepted('CLOSED_FIST'), 0);
+    assert(labels(recognizer.flush()) === 'CLOSED_FIST', 'flush() emits held gesture');
+    recognizer.process(accepted('THUMBS_UP'), 0);
+    recognizer.reset();
+    assert(recognizer.flush().length === 0, 'reset() drops held gestures');
+}
+
+console.log('\nTest 10: Combo confidence is its weakest step');
+{
+    recognizer.reset();
+    recognizer.process({ ...accepted('THUMBS_UP'), confidence: 0.9 }, 0);
+    const r = recognizer.process({ ...accepted('POINTING_UP'), confidence: 0.7 }, 1000);
+    assert(r[0]?.confidence === 0.7, 'Minimum step confidence reported');
+    recognizer.reset();
+    recognizer.process(accepted('THUMBS_UP'), 0);
+    const noConf = recognizer.process(accepted('POINTING_UP'), 1000);
+    assert(noConf[0]?.confidence === undefined, 'No confidence when no step has one');
+}
+
+console.log('\nTest 11: Windows follow the engine settings');
+{
+    const { cooldownMs, stabilityFrames } = DEFAULT_ENGINE_SETTINGS;
+    // Fastest the engine can accept the next step: cooldown, then a fresh stable run
+    const fastestStep = cooldownMs + stabilityFrames * SEQUENCE_FRAME_INTERVAL_MS;
+    assert(ALIGNED_WINDOW > fastestStep, `Two-step window (${ALIGNED_WINDOW}ms) leaves room after the fastest step (${fastestStep}ms)`);
+    assert(REGROUP_WINDOW === 2 * ALIGNED_WINDOW, 'Three steps get twice the two-step window');
+
+    const slow = new GestureSequenceRecognizer(GESTURE_SEQUENCES, { cooldownMs: 5000 });
+    assert(slow.windows.ALIGNED_OFFLINE === ALIGNED_WINDOW + 5000 - cooldownMs, 'A longer cooldown lengthens the window');
+    slow.process(accepted('THUMBS_UP'), 0);
+    assert(labels(slow.process(accepted('POINTING_UP'), 5000 + fastestStep - cooldownMs)) === 'ALIGNED_OFFLINE',
+        'Combo still reachable with the longer cooldown');
+
+    const quick = new GestureSequenceRecognizer(GESTURE_SEQUENCES, { cooldownMs: 500 });
+    quick.process(accepted('THUMBS_UP'), 0);
+    assert(labels(quick.poll(quick.windows.ALIGNED_OFFLINE + 1)) === 'THUMBS_UP' && quick.windows.ALIGNED_OFFLINE < ALIGNED_WINDOW,
+        'A shorter cooldown releases held gestures sooner');
+
+    const timed = sequenceWindowMs(2, { ...DEFAULT_ENGINE_SETTINGS, stabilizationMode: 'window', stabilityWindowMs: 800 });
+    assert(timed === ALIGNED_WINDOW - stabilityFrames * SEQUENCE_FRAME_INTERVAL_MS + 800, 'Time-based modes use stabilityWindowMs');
+
+    const pipeline = new GesturePipeline(() => null);
+    pipeline.configureEngines({ cooldownMs: 4000 });
+    assert(pipeline.sequenceRecognizer.windows.ALIGNED_OFFLINE === ALIGNED_WINDOW + 4000 - cooldownMs,
+        'Retuning the pipeline\'s engines retunes its sequence windows');
+}
+
+console.log('\nTest 12: Definitions that can never complete are rejected');
+{
+    const rejects = (sequences, fragment) => {
+        try {
+            validateSequences(sequences);
+            return false;
+        } catch (err) {
+            return err.message.includes(fragment);
+        }
+    };
+    const define = (steps) => ({ BAD: { steps, phrase: '', gestureType: 'bad', display: { emoji: '', name: 'Bad' } } });
+
+    let loaded = true;
+    try { validateSequences(GESTURE_SEQUENCES); } catch { loaded = false; }
+    assert(loaded, 'The built-in sequences are valid');
+    assert(rejects(define(['THUMBS_UP']), 'at least two steps'), 'A single step is rejected');
+    assert(rejects(define(['THUMBS_UP', 'LEVEL_SET']), 'LEVEL_SET'), 'A two-hand gesture as a step is rejected');
+    assert(rejects(define(['THUMBS_UP', 'THUMBS_SIDEWAYS']), 'THUMBS_SIDEWAYS'), 'An unknown label is rejected');
+    assert(!rejects(define(['WAVE', 'THUMBS_UP']), ''), 'Motion gestures can be steps');
+    let constructed = true;
+    try { new GestureSequenceRecognizer(define(['OPEN_PALM'])); } catch { constructed = false; }
+    assert(!constructed, 'The recognizer refuses invalid definitions');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
@@ -0,0 +1,195 @@
+/**
+ * gestureTrainer.test.mjs — Unit Tests for In-Browser Training
+ *
+ * Imports the real gestureTrainer module (run through tsx) and trains on
+ * synthetic landmarks with TensorFlow.js's CPU backend. There is no
+ * IndexedDB in Node: sample writes fail quietly, samples stay in memory.
+ *
+ * Tests cover:
+ *   1. Held-out split: decided by sample id, stable across runs
+ *   2. trainModel scores exactly the held-out samples
+ *   3. fineTuneModel: refusals before the base model is touched
+ *   4. fineTuneModel: corrects one gesture, rehearses the rest, no regressions;
+ *      overall held-out accuracy for the keep-or-replace choice
+ *
+ * Run: npm test
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import {
+    addSample,
+    clearDataset,
+    fineTuneModel,
+    getGestureLabels,
+    getSamples,
+    splitByHoldout,
+    trainModel,
+    MIN_SAMPLES_PER_GESTURE
+} from '../src/ml/gestureTrainer.ts';
+import { createLandmarkDataset } from '../src/ml/landmarkDataset.ts';
+import { readModelManifest } from '../src/ml/modelManifest.ts';
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+/** Deterministic pseudo-random numbers (mulberry32). */
+function random(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+    };
+}
+
+/** A made-up hand shape per label (same every time), plus a little noise. */
+function handFor(labelIndex, rand) {
+    const shape = random(1000 + labelIndex);
+    return Array.from({ length: 21 }, () => ({
+        x: 0.3 + shape() * 0.4 + (rand() - 0.5) * 0.005,
+        y: 0.3 + shape() * 0.4 + (rand() - 0.5) * 0.005,
+        z: 0
+    }));
+}
+
+function sample(id, label = 'OPEN_PALM') {
+    return { id, label, handedness: 'Right', landmarks: [], recordedAt: 0 };
+}
+
+/** Stand-in for public/model/rehearsal.csv: `perLabel` fresh samples of every gesture. */
+function rehearsalSet(perLabel, rand) {
+    const samples = getGestureLabels().flatMap((label, index) =>
+        Array.from({ length: perLabel }, () => ({ label, handedness: 'Right', landmarks: handFor(index, rand), recordedAt: 0 })));
+    return createLandmarkDataset(samples, { source: 'train-model' }, getGestureLabels());
+}
+
+/** The error message a promise rejects with, or null if it resolves. */
+async function rejection(promise) {
+    try {
+        await promise;
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// Warnings about the missing IndexedDB are expected here
+console.warn = () => {};
+await tf.setBackend('cpu');
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Gesture Trainer — Unit Tests\n');
+
+console.log('Test 1: Held-out split is decided by sample id');
+{
+    const samples = Array.from({ length: 400 }, (_, i) => sample(`s-${i}`));
+    const first = splitByHoldout(samples);
+    const again = splitByHoldout([...samples].reverse());
+    const ids = (list) => list.map(s => s.id).sort().join(',');
+
+    assert(ids(first.heldOut) === ids(again.heldOut), 'Same samples held out regardless of order');
+    const share = first.heldOut.length / samples.length;
+    assert(share > 0.14 && share < 0.26, `About a fifth held out (${(share * 100).toFixed(1)}%)`);
+    assert(first.training.length + first.heldOut.length === samples.length
+        && first.training.every(s => !first.heldOut.includes(s)), 'Every sample on exactly one side');
+
+    const grown = splitByHoldout([...samples, ...Array.from({ length: 100 }, (_, i) => sample(`new-${i}`))]);
+    assert(first.heldOut.every(s => grown.heldOut.some(g => g.id === s.id)), 'Recording more samples keeps the held-out ones held out');
+    assert(first.training.every(s => !grown.heldOut.some(g => g.id === s.id)), 'A sample trained on is never held out later');
+
+    const fallback = splitByHoldout(first.training.slice(0, 3));
+    assert(fallback.heldOut.length === 1 && fallback.training.length === 2, 'A gesture whose ids all fall outside the share still holds out one');
+    assert(splitByHoldout([]).heldOut.length === 0, 'No samples → nothing held out');
+}
+
+let base = null;
+
+console.log('\nTest 2: trainModel reports on the held-out samples');
+{
+    clearDataset();
+    const rand = random(7);
+    getGestureLabels().forEach((label, index) => {
+        for (let i = 0; i < 15; i++) addSample(handFor(index, rand), label);
+    });
+
+    const { model, report } = await trainModel();
+    const expected = getGestureLabels().map(label => splitByHoldout(getSamples(label)).heldOut.length);
+    const support = report.classes.map(c => c.support);
+    assert(JSON.stringify(support) === JSON.stringify(expected), `Each gesture scored on its held-out samples (${support.join(',')})`);
+    assert(report.previousAccuracy === null, 'No model in use → nothing to compare with');
+    assert(report.history.loss.length > 0 && report.validationAccuracy >= 0.9,
+        `Separable gestures are learned (${Math.round(report.validationAccuracy * 100)}% held out)`);
+    // Stands in for the default model below
+    base = model;
+}
+
+console.log('\nTest 3: fineTuneModel refuses before touching the base model');
+{
+    clearDataset();
+    const none = await rejection(fineTuneModel(base, rehearsalSet(5, random(11))));
+    assert(none?.includes(`Need at least ${MIN_SAMPLES_PER_GESTURE} samples`) ?? false, `No gesture to correct → refused (${none})`);
+
+    const legacy = tf.sequential({ layers: [tf.layers.dense({ inputShape: [63], units: getGestureLabels().length })] });
+    const old = await rejection(fineTuneModel(legacy, rehearsalSet(5, random(11))));
+    assert(old?.includes('older version') ?? false, 'A base model without a manifest is refused');
+    legacy.dispose();
+    assert(base.layers.every(layer => layer.trainable), 'Base model left as it was');
+}
+
+console.log('\nTest 4: fineTuneModel corrects one gesture and rehearses the rest');
+{
+    // OPEN_PALM now looks like a shape the base model has never seen
+    clearDataset();
+    const rand = random(23);
+    for (let i = 0; i < 20; i++) addSample(handFor(99, rand), 'OPEN_PALM');
+    const rehearsal = rehearsalSet(25, random(31));
+
+    const { model, report } = await fineTuneModel(base, rehearsal);
+    const byLabel = Object.fromEntries(report.accuracy.map(a => [a.label, a]));
+    const palm = byLabel.OPEN_PALM;
+
+    assert(report.correctedLabels.join(',') === 'OPEN_PALM', 'Only the recorded gesture is corrected');
+    assert(palm.samples === splitByHoldout(getSamples('OPEN_PALM')).heldOut.length,
+        'Corrected gesture scored on the same held-out samples trainModel would use');
+    assert(palm.before !== null && palm.before < 0.5 && palm.after >= 0.9,
+        `New OPEN_PALM shape learned (${Math.round(palm.before * 100)}% → ${Math.round(palm.after * 100)}%)`);
+
+    const rehearsed = report.accuracy.filter(a => a.label !== 'OPEN_PALM');
+    assert(rehearsed.length === getGestureLabels().length - 1 && rehearsed.every(a => a.samples === 5),
+        'Every other gesture scored on a fifth of its rehearsal samples');
+    assert(report.regressedLabels.length === 0 && rehearsed.every(a => a.after >= 0.9),
+        `Rehearsed gestures kept (lowest ${Math.round(Math.min(...rehearsed.map(a => a.after)) * 100)}%)`);
+
+    const manifest = readModelManifest(model.getUserDefinedMetadata());
+    assert(manifest.fineTunedLabels?.join(',') === 'OPEN_PALM' && manifest.labels?.join(',') === getGestureLabels().join(','),
+        'Manifest records the labels and which ones were fine-tuned');
+    assert(report.validationAccuracy === manifest.validationAccuracy && report.previousAccuracy === null,
+        'Overall held-out accuracy reported, for the comparison with the model in use (none here)');
+    model.dispose();
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
@@ -0,0 +1,93 @@
+/**
+ * landmarkDataset.test.mjs — Unit Tests for Landmark Dataset Files
+ *
+ * Imports the real landmarkDataset module (run through tsx) and round
+ * trips synthetic samples through the JSON and CSV export formats.
+ *
+ * Tests cover:
+ *   1. Landmark datasets: JSON and CSV round trips, metadata, readable errors
+ *
+ * Run: npm test
+ */
+
+import {
+    createLandmarkDataset,
+    datasetToJSON,
+    datasetToCSV,
+    parseLandmarkDataset,
+    LANDMARK_DATASET_VERSION
+} from '../src/ml/landmarkDataset.ts';
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+const LABELS = ['OPEN_PALM', 'CLOSED_FIST', 'ROCK_SIGN'];
+
+/** A still hand whose wrist z encodes its label. */
+function hand(label, handedness = 'Right') {
+    const landmarks = Array.from({ length: 21 }, (_, i) => ({ x: 0.5, y: 0.5 - i * 0.01, z: 0 }));
+    landmarks[0] = { x: 0.5, y: 0.6, z: LABELS.indexOf(label) };
+    return { handedness, landmarks };
+}
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Landmark Dataset Files — Unit Tests\n');
+
+console.log('Test 1: Landmark datasets — JSON and CSV round trips, errors');
+{
+    const samples = [
+        { ...hand('OPEN_PALM'), label: 'OPEN_PALM', recordedAt: 1_700_000_000_000 },
+        { ...hand('ROCK_SIGN', 'Left'), label: 'ROCK_SIGN', recordedAt: 1_700_000_000_500 }
+    ];
+    const dataset = createLandmarkDataset(samples, { source: 'training-mode', profile: 'Sam' }, LABELS);
+
+    const fromJSON = parseLandmarkDataset(datasetToJSON(dataset));
+    assert(JSON.stringify(fromJSON) === JSON.stringify(dataset), 'JSON round trip keeps everything');
+
+    const fromCSV = parseLandmarkDataset(datasetToCSV(dataset));
+    assert(JSON.stringify(fromCSV.samples) === JSON.stringify(dataset.samples), 'CSV round trip keeps samples, handedness and landmarks');
+    assert(fromCSV.capture.source === 'training-mode' && fromCSV.capture.profile === 'Sam', 'CSV keeps capture metadata');
+    assert(fromCSV.labels.join() === LABELS.join() && fromCSV.exportedAt === dataset.exportedAt, 'CSV keeps labels and export time');
+
+    const rejects = (text, fragment) => {
+        try {
+            parseLandmarkDataset(text);
+            return false;
+        } catch (err) {
+            return err.message.includes(fragment);
+        }
+    };
+    const csvLines = datasetToCSV(dataset).trim().split('\n');
+    assert(rejects('', 'empty'), 'Empty file');
+    assert(rejects(JSON.stringify({ format: 'corporate-landmark-session', frames: [] }), 'Not a landmark dataset'), 'Wrong format');
+    assert(rejects(JSON.stringify({ ...dataset, version: LANDMARK_DATASET_VERSION + 1 }), 'newer'), 'Newer version refused');
+    assert(rejects(JSON.stringify({ ...dataset, samples: [{ ...dataset.samples[0], handedness: 'Both' }] }), 'Sample 0'), 'Bad sample reported by index');
+    assert(rejects([...csvLines.slice(0, -1), csvLines.at(-1).replace(/,[^,]*$/, ',abc')].join('\n'), `Line ${csvLines.length}`), 'Bad CSV value reported by line');
+    assert(rejects('label,handedness\nOPEN_PALM,Right', 'header is missing'), 'CSV without landmark columns');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
@@ -0,0 +1,89 @@
+/**
+ * landmarkFeatures.test.mjs — Unit Tests for Landmark Features
+ *
+ * Imports the real landmarkFeatures module (run through tsx) and checks
+ * that the model sees the same features however a hand is placed.
+ *
+ * Tests cover:
+ *   1. Feature pipeline: same features for a moved, tilted, scaled or left hand
+ *
+ * Run: npm test
+ */
+
+import { extractFeatures, LEGACY_PREPROCESSING_VERSION } from '../src/ml/landmarkFeatures.ts';
+import { PREPROCESSING_VERSION } from '../src/config/gestureConfig.ts';
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Landmark Features — Unit Tests\n');
+
+console.log('Test 1: Feature pipeline normalizes position, tilt, size and handedness');
+{
+    // An irregular right hand, palm pointing up-right
+    const base = Array.from({ length: 21 }, (_, i) => ({
+        x: 0.4 + 0.02 * i + 0.01 * Math.sin(i),
+        y: 0.7 - 0.015 * i + 0.01 * Math.cos(i * 1.7),
+        z: 0.002 * i
+    }));
+    const transform = (landmarks, { dx = 0, dy = 0, angle = 0, scale = 1 }) => {
+        const w = landmarks[0];
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return landmarks.map(lm => {
+            const x = lm.x - w.x;
+            const y = lm.y - w.y;
+            return {
+                x: w.x + dx + scale * (x * cos - y * sin),
+                y: w.y + dy + scale * (x * sin + y * cos),
+                z: w.z + scale * (lm.z - w.z)
+            };
+        });
+    };
+    const maxDiff = (a, b) => Math.max(...a.map((v, i) => Math.abs(v - b[i])));
+
+    const reference = extractFeatures(base, 'Right');
+    assert(reference.length === 63, 'Produces 63 features');
+    const [palmX, palmY, palmZ] = reference.slice(9 * 3, 9 * 3 + 3);
+    assert(Math.abs(palmX) < 1e-9 && palmY < 0 && Math.abs(Math.hypot(palmX, palmY, palmZ) - 1) < 1e-9,
+        'Palm axis (wrist → middle MCP) points up and has length 1');
+
+    const moved = extractFeatures(transform(base, { dx: 0.2, dy: -0.1, angle: 0.6, scale: 0.5 }), 'Right');
+    assert(maxDiff(reference, moved) < 1e-9, `Moved, tilted and half-size hand → same features (Δ ${maxDiff(reference, moved).toExponential(1)})`);
+
+    const left = extractFeatures(base.map(lm => ({ x: 1 - lm.x, y: lm.y, z: lm.z })), 'Left');
+    assert(maxDiff(reference, left) < 1e-9, 'Mirrored left hand → same features as the right hand');
+    const unmirrored = extractFeatures(base.map(lm => ({ x: 1 - lm.x, y: lm.y, z: lm.z })), 'Right');
+    assert(maxDiff(reference, unmirrored) > 0.1, 'Handedness matters: the same landmarks labelled Right differ');
+
+    const legacy = extractFeatures(base, 'Left', LEGACY_PREPROCESSING_VERSION);
+    assert(maxDiff(legacy, base.flatMap(lm => [lm.x - base[0].x, lm.y - base[0].y, lm.z - base[0].z])) < 1e-12,
+        'Legacy version is wrist-relative only');
+
+    let threw = false;
+    try { extractFeatures(base, 'Right', PREPROCESSING_VERSION + 1); } catch { threw = true; }
+    assert(threw, 'Unknown preprocessing version throws');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
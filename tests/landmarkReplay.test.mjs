@@ -0,0 +1,241 @@
+/**
+ * landmarkReplay.test.mjs — Unit Tests for Landmark Session Replay
+ *
+ * Imports the real TypeScript modules (run through tsx) and replays
+ * synthetic sessions through the full GesturePipeline with a stub
+ * predictor — no camera, no model.
+ *
+ * Tests cover:
+ *   1. Accepted gesture and its timing come from the recorded timestamps
+ *   2. Replay is deterministic (same session → same events)
+ *   3. Recorder → JSON → parse round trip replays identically
+ *   4. JSONL sessions (header line + one frame per line)
+ *   5. Empty frames reset state like a real hand loss
+ *   6. Held sequence steps are flushed when the session ends
+ *   7. Invalid files are rejected with readable errors
+ *   8. Replay report: rejection counts and time to acceptance
+ *   9. Expected-events comparison (labels, hands, timing tolerance)
+ *  10. Recorded engine settings (and changes) and paused frames replay as live
+ *
+ * Run: npm test
+ */
+
+import {
+    LandmarkSessionRecorder,
+    parseLandmarkSession,
+    replayLandmarkSession,
+    LANDMARK_SESSION_FORMAT
+} from '../src/ml/landmarkSession.ts';
+import {
+    buildReplayReport,
+    parseExpectedEvents,
+    compareReplayEvents
+} from '../src/ml/replayReport.ts';
+import { DEFAULT_ENGINE_SETTINGS } from '../src/config/engineSettings.ts';
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+const LABELS = ['OPEN_PALM', 'CLOSED_FIST', 'ROCK_SIGN'];
+
+/** Frame interval (ms) — ~30fps */
+const DT = 33;
+
+/** A still hand whose wrist z encodes the label the stub predictor returns. */
+function hand(label, handedness = 'Right') {
+    const landmarks = Array.from({ length: 21 }, (_, i) => ({ x: 0.5, y: 0.5 - i * 0.01, z: 0 }));
+    landmarks[0] = { x: 0.5, y: 0.6, z: LABELS.indexOf(label) };
+    return { handedness, landmarks };
+}
+
+function stubPredict(landmarks) {
+    const label = LABELS[Math.round(landmarks[0].z)];
+    const probabilities = Object.fromEntries(LABELS.map(l => [l, l === label ? 0.9 : 0.05]));
+    return { label, confidence: 0.9, gestureType: null, phrase: '', probabilities };
+}
+
+/** Build a session from [label | null, frameCount] segments (null = no hand). */
+function session(segments, startedAt = 5_000_000) {
+    const frames = [];
+    let t = 0;
+    for (const [label, count] of segments) {
+        for (let i = 0; i < count; i++) {
+            frames.push({ t, hands: label ? [hand(label)] : [] });
+            t += DT;
+        }
+    }
+    return { format: LANDMARK_SESSION_FORMAT, version: 1, startedAt, frames };
+}
+
+function summary(events) {
+    return events.map(e => `${e.label}@${e.t}/${e.hand ?? '-'}`).join(',');
+}
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Landmark Session Replay — Unit Tests\n');
+
+console.log('Test 1: Accepted gesture timing follows recorded timestamps');
+{
+    const events = replayLandmarkSession(session([['ROCK_SIGN', 12]]), stubPredict);
+    assert(events.length === 1, 'Exactly one accepted gesture');
+    assert(events[0]?.label === 'ROCK_SIGN', 'ROCK_SIGN accepted');
+    assert(events[0]?.t === 7 * DT, `Accepted on the 8th frame (t=${events[0]?.t}ms)`);
+    assert(events[0]?.hand === 'Right', 'Tagged with the recorded hand');
+}
+
+console.log('\nTest 2: Replay is deterministic');
+{
+    const s = session([['ROCK_SIGN', 10], ['OPEN_PALM', 100], [null, 3], ['ROCK_SIGN', 10]]);
+    const a = summary(replayLandmarkSession(s, stubPredict));
+    const b = summary(replayLandmarkSession(s, stubPredict));
+    assert(a.length > 0 && a === b, `Same events on both runs (${a})`);
+}
+
+console.log('\nTest 3: Recorder → JSON → parse round trip');
+{
+    const recorder = new LandmarkSessionRecorder();
+    recorder.start(2_000_000);
+    for (let i = 0; i < 10; i++) recorder.add([hand('OPEN_PALM')], 2_000_000 + i * DT);
+    recorder.add([], 2_000_000 + 10 * DT);
+    recorder.stop();
+    recorder.add([hand('ROCK_SIGN')], 2_000_000 + 11 * DT);
+
+    const parsed = parseLandmarkSession(recorder.toJSON());
+    assert(parsed.frames.length === 11, 'Frames after stop() are not recorded');
+    assert(parsed.startedAt === 2_000_000, 'startedAt preserved');
+    assert(parsed.frames[10].hands.length === 0, 'Empty (no hand) frames preserved');
+    assert(
+        summary(replayLandmarkSession(parsed, stubPredict)) === summary(replayLandmarkSession(recorder.toSession(), stubPredict)),
+        'Parsed session replays identically'
+    );
+}
+
+console.log('\nTest 4: JSONL sessions');
+{
+    const s = session([['ROCK_SIGN', 9]]);
+    const jsonl = [
+        JSON.stringify({ format: LANDMARK_SESSION_FORMAT, version: 1, startedAt: s.startedAt }),
+        ...s.frames.map(f => JSON.stringify(f))
+    ].join('\n');
+    const parsed = parseLandmarkSession(jsonl);
+    assert(parsed.frames.length === 9, 'Header line skipped, 9 frames read');
+    assert(summary(replayLandmarkSession(parsed, stubPredict)) === summary(replayLandmarkSession(s, stubPredict)), 'JSONL replays like JSON');
+
+    const headerless = parseLandmarkSession(s.frames.map(f => JSON.stringify(f)).join('\n'));
+    assert(headerless.frames.length === 9 && headerless.startedAt > 0, 'Header is optional (non-zero default epoch)');
+}
+
+console.log('\nTest 5: Empty frames behave like a hand loss');
+{
+    const events = replayLandmarkSession(session([['ROCK_SIGN', 10], [null, 1], ['ROCK_SIGN', 10]]), stubPredict);
+    assert(summary(events) === `ROCK_SIGN@${7 * DT}/Right,ROCK_SIGN@${18 * DT}/Right`, 'Same gesture re-accepted after the hand returns');
+}
+
+console.log('\nTest 6: Held sequence steps are flushed at the end');
+{
+    // CLOSED_FIST may start the REGROUP combo, so it is held back…
+    const events = replayLandmarkSession(session([['CLOSED_FIST', 10]]), stubPredict);
+    assert(events.length === 1 && events[0].label === 'CLOSED_FIST', '…and released when the session ends');
+    assert(events[0]?.t === 9 * DT, 'Released at the last frame time');
+}
+
+console.log('\nTest 7: Invalid files are rejected');
+{
+    const rejects = (text, fragment) => {
+        try {
+            parseLandmarkSession(text);
+            return false;
+        } catch (err) {
+            return err.message.includes(fragment);
+        }
+    };
+    assert(rejects('', 'empty'), 'Empty file');
+    assert(rejects(JSON.stringify({ format: 'something-else', frames: [] }), 'Not a landmark session'), 'Wrong format');
+    assert(rejects(JSON.stringify({ frames: [{ t: 0, hands: [{ handedness: 'Left', landmarks: [] }] }] }), '21 landmarks'), 'Hand without 21 landmarks');
+    assert(rejects('{"t": 0, "hands": []}\nnot json', 'Line 2'), 'Bad JSONL line reported by number');
+}
+
+console.log('\nTest 8: Replay report');
+{
+    // 12 ROCK_SIGN frames: 7 stabilizing, accepted on the 8th, then cooldown
+    const report = buildReplayReport(session([['ROCK_SIGN', 12], ['OPEN_PALM', 3]]), stubPredict);
+    assert(report.frames === 15 && report.durationMs === 14 * DT, 'Frame count and duration');
+    assert(summary(report.events) === summary(replayLandmarkSession(session([['ROCK_SIGN', 12], ['OPEN_PALM', 3]]), stubPredict)), 'Same timeline as a plain replay');
+    assert(report.rejections.stabilizing === 7, `7 stabilizing frames (got ${report.rejections.stabilizing})`);
+    assert(report.rejections.cooldown === 7, `7 cooldown frames (got ${report.rejections.cooldown})`);
+    assert(report.latency.acceptMs.count === 1 && report.latency.acceptMs.max === 7 * DT, 'Time to accept spans the stable frames');
+    assert(report.latency.frameMs.count === 15 && report.latency.inferenceMs.count === 15, 'Latency sampled per frame and per inference');
+}
+
+console.log('\nTest 9: Expected-events comparison');
+{
+    const events = replayLandmarkSession(session([['ROCK_SIGN', 10]]), stubPredict);
+    const exact = [{ t: 7 * DT, label: 'ROCK_SIGN', hand: 'Right' }];
+    assert(compareReplayEvents(events, exact).length === 0, 'Exact match passes');
+    assert(compareReplayEvents(events, [{ t: 7 * DT + 50, label: 'ROCK_SIGN' }]).length === 0, 'Within tolerance, hand optional');
+    assert(compareReplayEvents(events, [{ t: 7 * DT + 50, label: 'ROCK_SIGN' }], 20).length === 1, 'Outside a tighter tolerance fails');
+    assert(compareReplayEvents(events, [{ t: 7 * DT, label: 'OPEN_PALM' }])[0]?.includes('expected OPEN_PALM'), 'Wrong label reported');
+    assert(compareReplayEvents(events, [{ t: 7 * DT, label: 'ROCK_SIGN', hand: 'Left' }]).length === 1, 'Wrong hand fails');
+    assert(compareReplayEvents(events, []).length === 1 && compareReplayEvents([], exact).length === 1, 'Extra and missing events fail');
+
+    const fromReport = parseExpectedEvents(JSON.stringify({ events: [{ t: 231, label: 'ROCK_SIGN', hand: 'Right', reason: 'x' }] }));
+    assert(fromReport.length === 1 && fromReport[0].hand === 'Right' && !('reason' in fromReport[0]), 'Saved report accepted as expected file');
+    let rejected = false;
+    try { parseExpectedEvents('[{"label": "ROCK_SIGN"}]'); } catch (err) { rejected = err.message.includes('numeric "t"'); }
+    assert(rejected, 'Event without a time rejected');
+}
+
+console.log('\nTest 10: Recorded engine settings and paused frames');
+{
+    const fast = { ...DEFAULT_ENGINE_SETTINGS, stabilityFrames: 4 };
+    const slow = { ...DEFAULT_ENGINE_SETTINGS, stabilityFrames: 10 };
+    const recorder = new LandmarkSessionRecorder();
+    recorder.start(3_000_000);
+    let i = 0;
+    const record = (label, frames, context) => {
+        for (let n = 0; n < frames; n++, i++) recorder.add([hand(label)], 3_000_000 + i * DT, context);
+    };
+    record('ROCK_SIGN', 6, { engineSettings: fast });
+    record('OPEN_PALM', 10, { engineSettings: fast, paused: true });
+    record('OPEN_PALM', 20, { engineSettings: slow });
+    const recorded = recorder.toSession();
+
+    assert(recorded.engineSettings?.stabilityFrames === 4 && recorded.frames[0].engineSettings === undefined, 'Starting settings stored once, in the header');
+    assert(recorded.frames.map((f, n) => f.engineSettings ? n : null).filter(n => n !== null).join() === '16', 'A change is stored on the frame it was made');
+    assert(recorded.frames.filter(f => f.paused).length === 10, 'Paused frames marked');
+
+    const expected = `ROCK_SIGN@${3 * DT}/Right,OPEN_PALM@${25 * DT}/Right`;
+    assert(summary(replayLandmarkSession(recorded, stubPredict)) === expected, `Replay uses the recorded settings and recognizes nothing while paused (${expected})`);
+    assert(summary(replayLandmarkSession(parseLandmarkSession(recorder.toJSON()), stubPredict)) === expected, 'Parsed session replays the same');
+    assert(summary(replayLandmarkSession(recorded, stubPredict, { engineOptions: { stabilityFrames: 8 } })) === `OPEN_PALM@${23 * DT}/Right`,
+        'Replay options override the recorded settings');
+
+    const old = parseLandmarkSession(JSON.stringify({ ...session([['ROCK_SIGN', 9]]), engineSettings: { stabilityFrames: 'many' } }));
+    assert(old.engineSettings.stabilityFrames === DEFAULT_ENGINE_SETTINGS.stabilityFrames, 'Invalid recorded settings fall back to the defaults');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
@@ -0,0 +1,106 @@
+/**
+ * modelManifest.test.mjs — Unit Tests for Model Manifest
+ *
+ * Imports the real modelManifest module and label config (run through
+ * tsx): what a saved model records about its training, and whether it
+ * can be used with the current label list.
+ *
+ * Tests cover:
+ *   1. Model manifest: round trip, remapping by label name, refusals
+ *
+ * Run: npm test
+ */
+
+import { LEGACY_PREPROCESSING_VERSION } from '../src/ml/landmarkFeatures.ts';
+import {
+    createModelManifest,
+    readModelManifest,
+    describeLabelMismatch,
+    checkModelCompatibility
+} from '../src/ml/modelManifest.ts';
+import { GESTURE_LABELS, PREPROCESSING_VERSION } from '../src/config/gestureConfig.ts';
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Model Manifest — Unit Tests\n');
+
+console.log('Test 1: Model manifest — round trip, remapping by label name, refusals');
+{
+    const counts = Object.fromEntries(GESTURE_LABELS.map(label => [label, 12]));
+    const saved = readModelManifest(JSON.parse(JSON.stringify(
+        createModelManifest(GESTURE_LABELS, { sampleCounts: counts, validationAccuracy: 0.95 })
+    )));
+    assert(saved.preprocessingVersion === PREPROCESSING_VERSION && saved.labels.join() === GESTURE_LABELS.join(),
+        'Labels and preprocessing version round-trip through JSON');
+    assert(!Number.isNaN(Date.parse(saved.trainedAt)) && saved.sampleCounts.OPEN_PALM === 12 && saved.validationAccuracy === 0.95,
+        'Training date, sample counts and validation accuracy round-trip');
+    assert(saved.fineTunedLabels === null
+        && readModelManifest(createModelManifest(GESTURE_LABELS, { fineTunedLabels: ['OK_SIGN'] })).fineTunedLabels.join() === 'OK_SIGN',
+        'Fine-tuned labels recorded only for fine-tuned models');
+    const legacy = readModelManifest(undefined);
+    assert(legacy.preprocessingVersion === LEGACY_PREPROCESSING_VERSION && legacy.labels === null
+        && legacy.trainedAt === null && legacy.sampleCounts === null && legacy.validationAccuracy === null
+        && legacy.fineTunedLabels === null,
+        'Models without a manifest: legacy features, everything else unknown');
+    const malformed = readModelManifest({ labels: 'OPEN_PALM', sampleCounts: { OPEN_PALM: 'ten' }, validationAccuracy: '0.9' });
+    assert(malformed.labels === null && malformed.sampleCounts === null && malformed.validationAccuracy === null,
+        'Malformed fields are read as unknown');
+
+    assert(describeLabelMismatch(['A', 'B', 'C'], ['A', 'B', 'C']) === null, 'Identical lists match');
+    assert(describeLabelMismatch(['A', 'B', 'C'], ['A', 'C', 'B']) === '"B" is at index 2, expected 1', 'Reorder names the moved label');
+    assert(describeLabelMismatch(['A', 'B', 'C'], ['A', 'B']) === '"C" is missing (index 2)', 'Missing label');
+    assert(describeLabelMismatch(['A', 'B'], ['A', 'B', 'X']) === 'unexpected "X" at index 2', 'Extra label');
+    assert(describeLabelMismatch(['A', 'B'], ['A', 'X']) === 'expected "B" at index 1, found "X"', 'Renamed label');
+
+    const labels = [...GESTURE_LABELS];
+    const current = createModelManifest(labels);
+    const matching = checkModelCompatibility(current, labels, labels.length);
+    assert(matching.problem === null && !matching.remapped && matching.outputLabels.join() === labels.join(),
+        'Matching model accepted as is');
+    const grown = checkModelCompatibility(current, [...labels, 'CUSTOM_MIC_DROP'], labels.length);
+    assert(grown.problem === null && !grown.remapped, 'Labels added after training are fine (they get no probability)');
+
+    const swapped = [...labels];
+    [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+    const reordered = checkModelCompatibility(current, swapped, labels.length);
+    assert(reordered.problem === null && reordered.remapped && reordered.outputLabels[0] === labels[0],
+        'Reordered config: outputs remapped by name');
+    const removed = checkModelCompatibility(current, labels.slice(1), labels.length);
+    assert(removed.problem === null && removed.remapped && removed.outputLabels[0] === null
+        && removed.ignoredLabels.join() === labels[0],
+        `Removed label: its output is ignored (${removed.ignoredLabels.join()})`);
+
+    const outputsMismatch = checkModelCompatibility(current, labels, labels.length + 1);
+    assert(outputsMismatch.problem?.includes(`${labels.length + 1} outputs`), `Output size must match the manifest (${outputsMismatch.problem})`);
+    assert(checkModelCompatibility({ ...current, preprocessingVersion: PREPROCESSING_VERSION + 1 }, labels, labels.length).problem !== null,
+        'Unknown preprocessing version refused');
+    assert(checkModelCompatibility(createModelManifest(['X', 'Y']), labels, 2).problem !== null,
+        'Model with no known labels refused');
+
+    assert(checkModelCompatibility(legacy, labels, labels.length).problem === null, 'Legacy model assumed to follow the config');
+    assert(checkModelCompatibility(legacy, labels, labels.length + 1).problem !== null, 'Legacy model with more outputs than labels refused');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
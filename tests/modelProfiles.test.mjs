@@ -0,0 +1,96 @@
+/**
+ * modelProfiles.test.mjs — Unit Tests for Personalization Profiles
+ *
+ * Imports the real modelProfiles module (run through tsx). There is no
+ * localStorage in Node: profiles live in memory for the run.
+ *
+ * Tests cover:
+ *   1. Profiles: create, rename, switch, delete and per-profile storage keys
+ *   2. A failed save (storage full) throws and changes nothing
+ *
+ * Run: npm test
+ */
+
+import {
+    getProfiles,
+    getActiveProfile,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    setActiveProfileId,
+    profileStorageKey,
+    DEFAULT_PROFILE_ID
+} from '../src/config/modelProfiles.ts';
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+const throws = (fn) => { try { fn(); return false; } catch { return true; } };
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Personalization Profiles — Unit Tests\n');
+
+console.log('Test 1: Profiles — create, rename, switch, delete, storage keys');
+{
+    assert(getProfiles().length === 1 && getActiveProfile().id === DEFAULT_PROFILE_ID, 'Starts with only the default profile, active');
+    assert(profileStorageKey('phrase-settings') === 'phrase-settings', 'Default profile keeps the pre-profile storage keys');
+
+    const alex = createProfile('  Alex  ');
+    assert(alex.name === 'Alex' && getProfiles().map(p => p.name).join() === 'Default,Alex', 'New profile is added (name trimmed)');
+    assert(getActiveProfile().id === DEFAULT_PROFILE_ID, 'Creating a profile does not switch to it');
+    assert(throws(() => createProfile('alex')), 'Duplicate name (any case) refused');
+    assert(throws(() => createProfile('   ')), 'Empty name refused');
+
+    setActiveProfileId(alex.id);
+    assert(getActiveProfile().id === alex.id, 'Switching makes the profile active');
+    assert(profileStorageKey('phrase-settings') === `phrase-settings:${alex.id}`, 'Other profiles get their own storage keys');
+    assert(profileStorageKey('phrase-settings', DEFAULT_PROFILE_ID) === 'phrase-settings', 'Keys for a given profile');
+
+    assert(renameProfile(alex.id, 'Sam').name === 'Sam' && getActiveProfile().name === 'Sam', 'Rename keeps the id');
+    assert(throws(() => renameProfile(alex.id, 'Default')), 'Rename to an existing name refused');
+    assert(throws(() => deleteProfile(alex.id)), 'Active profile cannot be deleted');
+    assert(throws(() => deleteProfile(DEFAULT_PROFILE_ID)), 'Default profile cannot be deleted');
+
+    setActiveProfileId(DEFAULT_PROFILE_ID);
+    deleteProfile(alex.id);
+    assert(getProfiles().length === 1, 'Deleted profile is gone');
+    assert(throws(() => setActiveProfileId(alex.id)), 'Unknown profile cannot be activated');
+}
+
+console.log('\nTest 2: A failed save changes nothing');
+{
+    const sam = createProfile('Sam');
+    const before = JSON.stringify(getProfiles());
+    globalThis.localStorage = {
+        getItem: () => null,
+        setItem: () => { throw new Error('QuotaExceededError'); },
+        removeItem: () => {}
+    };
+    assert(throws(() => createProfile('Robin')) && throws(() => renameProfile(sam.id, 'Robin')) && throws(() => deleteProfile(sam.id)),
+        'Create, rename and delete report the storage error');
+    assert(JSON.stringify(getProfiles()) === before, 'Profile list left as it was');
+    assert(throws(() => setActiveProfileId(sam.id)) && getActiveProfile().id === DEFAULT_PROFILE_ID, 'Active profile left as it was');
+    delete globalThis.localStorage;
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
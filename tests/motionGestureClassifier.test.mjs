@@ -0,0 +1,250 @@
+/**
+ * motionGestureClassifier.test.mjs — Unit Tests for Motion Gestures
+ *
+ * Imports the real MotionGestureClassifier and GesturePipeline from src/
+ * (run through tsx) and feeds them synthetic trajectories at ~30fps with
+ * explicit timestamps.
+ *
+ * Tests cover:
+ *   1. A still hand: no motion gesture, not moving
+ *   2. Wave: palm swings left and right
+ *   3. Loop in: index fingertip circles, palm still
+ *   4. Swipes: direction as the user sees it, vertical travel rejected
+ *   5. Scale invariance: a far (small) hand swipes like a near one
+ *   6. Cooldown: nothing accepted until it expires, then a new swipe is
+ *   7. isMoving() threshold (palm lengths per second)
+ *   8. Pipeline: a moving hand's votes are dropped; a jerk mid-hold is not re-accepted
+ *
+ * Run: npm test
+ */
+
+import {
+    MotionGestureClassifier,
+    MOTION_COOLDOWN_MS,
+    MOVING_SPEED_THRESHOLD
+} from '../src/ml/motionGestureClassifier.ts';
+import { GesturePipeline } from '../src/ml/gesturePipeline.ts';
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+/** Frame interval (ms) — ~30fps */
+const DT = 33;
+
+/** Palm length (wrist → middle MCP) of the default hand */
+const PALM = 0.1;
+
+/**
+ * A flat hand with its palm centred near (x, y), `palm` long, and the
+ * index fingertip at (tipX, tipY) (default: straight above the palm).
+ */
+function handAt(x, y, { palm = PALM, tipX = x, tipY = y - 1.5 * palm } = {}) {
+    const landmarks = Array.from({ length: 21 }, () => ({ x, y: y - palm / 2, z: 0 }));
+    landmarks[0] = { x, y: y + palm / 2, z: 0 };                    // wrist
+    landmarks[5] = { x: x - palm * 0.3, y: y - palm / 2, z: 0 };    // index MCP
+    landmarks[9] = { x, y: y - palm / 2, z: 0 };                    // middle MCP
+    landmarks[13] = { x: x + palm * 0.2, y: y - palm / 2, z: 0 };   // ring MCP
+    landmarks[17] = { x: x + palm * 0.4, y: y - palm / 2, z: 0 };   // pinky MCP
+    landmarks[8] = { x: tipX, y: tipY, z: 0 };                      // index tip
+    return landmarks;
+}
+
+/**
+ * Feed `frames` frames from `start`; `at(ms since start)` gives the
+ * landmarks. Returns the accepted labels with their times.
+ */
+function feed(classifier, start, frames, at) {
+    const accepted = [];
+    for (let i = 0; i < frames; i++) {
+        const now = start + i * DT;
+        const result = classifier.processFrame(at(i * DT), now);
+        if (result) accepted.push({ label: result.label, now });
+    }
+    return accepted;
+}
+
+/** Palm moving in a straight line from (x0, y0) to (x1, y1) over `ms`, then resting. */
+function line(x0, y0, x1, y1, ms, options) {
+    return (t) => {
+        const k = Math.min(1, t / ms);
+        return handAt(x0 + (x1 - x0) * k, y0 + (y1 - y0) * k, options);
+    };
+}
+
+const labels = (accepted) => accepted.map(a => a.label).join(',');
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Motion Gesture Classifier — Unit Tests\n');
+
+console.log('Test 1: A still hand');
+{
+    const classifier = new MotionGestureClassifier();
+    const accepted = feed(classifier, 1_000_000, 60, () => handAt(0.5, 0.5));
+    assert(accepted.length === 0, 'No motion gesture from a still hand');
+    assert(!classifier.isMoving(), 'A still hand is not moving');
+}
+
+console.log('\nTest 2: Wave');
+{
+    const classifier = new MotionGestureClassifier();
+    // ±0.8 palm lengths, two swings a second — too narrow to pass for a swipe
+    const accepted = feed(classifier, 1_000_000, 45, t => handAt(0.5 + 0.8 * PALM * Math.sin(2 * Math.PI * t / 500), 0.5));
+    assert(labels(accepted) === 'WAVE', `Waving → WAVE once (${labels(accepted) || 'nothing'})`);
+
+    const small = new MotionGestureClassifier();
+    const jitter = feed(small, 1_000_000, 45, t => handAt(0.5 + 0.1 * PALM * Math.sin(2 * Math.PI * t / 500), 0.5));
+    assert(jitter.length === 0, 'Swings below the minimum amplitude are jitter, not a wave');
+}
+
+console.log('\nTest 3: Loop');
+{
+    const classifier = new MotionGestureClassifier();
+    const radius = 0.6 * PALM;
+    const accepted = feed(classifier, 1_000_000, 40, t => {
+        const angle = 2 * Math.PI * t / 800;
+        return handAt(0.5, 0.5, { tipX: 0.5 + radius * Math.cos(angle), tipY: 0.3 + radius * Math.sin(angle) });
+    });
+    assert(labels(accepted) === 'LOOP_IN', `Fingertip circling → LOOP_IN once (${labels(accepted) || 'nothing'})`);
+    assert(!classifier.isMoving(), 'Only the fingertip moved — the palm counts as still');
+
+    const half = new MotionGestureClassifier();
+    const arc = feed(half, 1_000_000, 40, t => {
+        const angle = Math.PI * Math.min(1, t / 800);
+        return handAt(0.5, 0.5, { tipX: 0.5 + radius * Math.cos(angle), tipY: 0.3 + radius * Math.sin(angle) });
+    });
+    assert(arc.length === 0, 'Half a circle is not a loop');
+}
+
+console.log('\nTest 4: Swipes');
+{
+    // Mirrored video: raw x decreasing is a movement to the user's right
+    const right = feed(new MotionGestureClassifier(), 1_000_000, 20, line(0.8, 0.5, 0.3, 0.5, 400));
+    assert(labels(right) === 'SWIPE_RIGHT', `Raw x decreasing → SWIPE_RIGHT (${labels(right) || 'nothing'})`);
+
+    const left = feed(new MotionGestureClassifier(), 1_000_000, 20, line(0.3, 0.5, 0.8, 0.5, 400));
+    assert(labels(left) === 'SWIPE_LEFT', `Raw x increasing → SWIPE_LEFT (${labels(left) || 'nothing'})`);
+
+    const diagonal = feed(new MotionGestureClassifier(), 1_000_000, 20, line(0.3, 0.2, 0.6, 0.8, 400));
+    assert(diagonal.length === 0, 'Mostly vertical travel is not a swipe');
+
+    const slow = feed(new MotionGestureClassifier(), 1_000_000, 60, line(0.3, 0.5, 0.45, 0.5, 1800));
+    assert(slow.length === 0, 'A slow drift is not a swipe');
+}
+
+console.log('\nTest 5: Scale invariance');
+{
+    // Same movement in palm lengths, hand half the size (further from the camera)
+    const far = feed(new MotionGestureClassifier(), 1_000_000, 20, line(0.65, 0.5, 0.4, 0.5, 400, { palm: PALM / 2 }));
+    assert(labels(far) === 'SWIPE_RIGHT', `A far hand's swipe is recognized (${labels(far) || 'nothing'})`);
+
+    const short = feed(new MotionGestureClassifier(), 1_000_000, 20, line(0.65, 0.5, 0.55, 0.5, 400));
+    assert(short.length === 0, 'The same raw distance is too short for a near hand');
+}
+
+console.log('\nTest 6: Cooldown');
+{
+    const classifier = new MotionGestureClassifier();
+    const start = 1_000_000;
+    const first = feed(classifier, start, 20, line(0.8, 0.5, 0.3, 0.5, 400));
+    assert(labels(first) === 'SWIPE_RIGHT', 'First swipe accepted');
+    const acceptedAt = first[0]?.now ?? start;
+    assert(classifier.window.length === 0 || classifier.window[0].timestamp > acceptedAt, 'Window cleared on acceptance');
+
+    // Swiping back straight away, within the cooldown
+    const back = feed(classifier, start + 20 * DT, 20, line(0.3, 0.5, 0.8, 0.5, 400));
+    assert(back.length === 0, 'A swipe during the cooldown is ignored');
+
+    const afterCooldown = acceptedAt + MOTION_COOLDOWN_MS + DT;
+    const again = feed(classifier, afterCooldown, 20, line(0.8, 0.5, 0.3, 0.5, 400));
+    assert(labels(again) === 'SWIPE_RIGHT' && again[0].now >= acceptedAt + MOTION_COOLDOWN_MS, 'A new swipe is accepted once the cooldown is over');
+
+    classifier.reset();
+    assert(classifier.acceptedTimestamp === 0 && classifier.window.length === 0, 'reset() clears the window and the cooldown');
+}
+
+console.log('\nTest 7: isMoving() threshold');
+{
+    const speed = (palmLengthsPerSecond) => {
+        const classifier = new MotionGestureClassifier();
+        const step = palmLengthsPerSecond * PALM * DT / 1000;
+        classifier.processFrame(handAt(0.5, 0.5), 1_000_000);
+        classifier.processFrame(handAt(0.5 + step, 0.5), 1_000_000 + DT);
+        return classifier.isMoving();
+    };
+    assert(!speed(MOVING_SPEED_THRESHOLD * 0.9), 'Just below the threshold → not moving');
+    assert(speed(MOVING_SPEED_THRESHOLD * 1.1), 'Just above the threshold → moving');
+
+    const first = new MotionGestureClassifier();
+    first.processFrame(handAt(0.5, 0.5), 1_000_000);
+    assert(!first.isMoving(), 'A single sample is not moving');
+
+    const sameTime = new MotionGestureClassifier();
+    sameTime.processFrame(handAt(0.5, 0.5), 1_000_000);
+    sameTime.processFrame(handAt(0.9, 0.5), 1_000_000);
+    assert(!sameTime.isMoving(), 'Two samples at the same time are not moving');
+}
+
+console.log('\nTest 8: Pipeline — a moving hand\'s engine sits the frame out');
+{
+    const predict = () => ({
+        label: 'OPEN_PALM',
+        confidence: 0.9,
+        gestureType: null,
+        phrase: '',
+        probabilities: { OPEN_PALM: 0.9, CLOSED_FIST: 0.1 }
+    });
+    const still = { handedness: 'Right', landmarks: handAt(0.5, 0.5) };
+    const moved = { handedness: 'Right', landmarks: handAt(0.5 + 2 * PALM, 0.5) };
+
+    const pipeline = new GesturePipeline(predict);
+    let now = 1_000_000;
+    const run = (hands, frames) => {
+        const outputs = [];
+        for (let i = 0; i < frames; i++, now += DT) outputs.push(pipeline.processFrame([hands], now));
+        return outputs;
+    };
+
+    // 5 of 8 votes, a fast jerk, then still again
+    run(still, 5);
+    const jerk = run(moved, 1);
+    assert(jerk[0].analyses[0].decision === null, 'No decision while the hand moves');
+    assert(pipeline.engines.get('Right').stabilityBuffer.length === 0, 'Votes from before the movement are dropped');
+    const accepted = run(moved, 8).flatMap(o => o.accepted);
+    assert(accepted.length === 1, 'Accepted only after 8 fresh still frames');
+
+    // A single jerk inside a hold neither ends it nor accepts the pose again
+    const holding = run(moved, 5);
+    assert(holding.some(o => o.lifecycle.some(e => e.phase === 'hold')), 'Held while still');
+    const jerkBack = run(still, 1);
+    assert(jerkBack[0].analyses[0].skipped === 'hand-moving' && jerkBack[0].lifecycle.length === 0, 'The moving frame is skipped, the hold is not ended');
+    const after = run(still, 30);
+    assert(after.every(o => o.accepted.length === 0), 'No second acceptance once the hand is still again');
+    assert(after.every(o => o.lifecycle.every(e => e.phase === 'hold')) && after.some(o => o.lifecycle.length > 0), 'The same hold carries on');
+    assert(pipeline.engines.get('Right').inCooldown, 'The cooldown is kept');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
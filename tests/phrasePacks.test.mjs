@@ -0,0 +1,106 @@
+/**
+ * phrasePacks.test.mjs — Unit Tests for Phrase Pack Import / Export
+ *
+ * Imports the real phrasePacks module (run through tsx). There is no
+ * localStorage in Node: saved packs live in memory for the run.
+ *
+ * Tests cover:
+ *   1. Importing never replaces an existing pack (user or built-in)
+ *   2. Invalid pack files are rejected with readable errors
+ *   3. Repeated phrases are dropped; no-repeat rotation always picks one
+ *
+ * Run: npm test
+ */
+
+import {
+    BUILT_IN_PHRASE_PACKS,
+    exportPhrasePack,
+    getAllPhrasePacks,
+    parsePhrasePack,
+    savePhrasePack,
+    selectPhrase,
+    updatePhraseSettings
+} from '../src/config/phrasePacks.ts';
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+function rejects(text, fragment) {
+    try {
+        parsePhrasePack(text);
+        return false;
+    } catch (err) {
+        return err.message.includes(fragment);
+    }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Phrase Packs — Unit Tests\n');
+
+console.log('Test 1: Importing never replaces an existing pack');
+{
+    const file = exportPhrasePack({ id: 'team', name: 'Team', phrases: { OPEN_PALM: ['Hi all'] } });
+    const first = parsePhrasePack(file);
+    assert(first.id === 'team' && first.name === 'Team', 'New pack keeps its id and name');
+    savePhrasePack({ ...first, phrases: { OPEN_PALM: ['Edited locally'] } });
+
+    const second = parsePhrasePack(file);
+    assert(second.id === 'team-imported' && second.name === 'Team (imported)', `Same file again → new id and marked name (${second.id})`);
+    savePhrasePack(second);
+    assert(getAllPhrasePacks().find(p => p.id === 'team')?.phrases.OPEN_PALM[0] === 'Edited locally', 'Existing pack left as it was');
+
+    const third = parsePhrasePack(file);
+    assert(third.id === 'team-imported-2', `Third import → next free id (${third.id})`);
+
+    const builtIn = BUILT_IN_PHRASE_PACKS[1];
+    const copy = parsePhrasePack(exportPhrasePack(builtIn));
+    assert(copy.id === `${builtIn.id}-imported` && copy.name === `${builtIn.name} (imported)`, 'Built-in pack imported as a copy');
+
+    const idless = parsePhrasePack(JSON.stringify({ format: 'corporate-phrase-pack', name: 'Night  Shift', phrases: {} }));
+    assert(idless.id === 'night-shift', 'Pack without an id gets one from its name');
+}
+
+console.log('\nTest 2: Invalid pack files are rejected');
+{
+    assert(rejects('not json', 'not valid JSON'), 'Bad JSON');
+    assert(rejects(JSON.stringify({ format: 'something-else', name: 'X', phrases: {} }), 'Not a phrase pack'), 'Wrong format');
+    assert(rejects(JSON.stringify({ format: 'corporate-phrase-pack', name: ' ', phrases: {} }), 'missing a name'), 'Missing name');
+    assert(rejects(JSON.stringify({ format: 'corporate-phrase-pack', name: 'X', phrases: { OPEN_PALM: 'Hi' } }), 'OPEN_PALM'), 'Phrases that are not a list');
+}
+
+console.log('\nTest 3: Repeated phrases and no-repeat rotation');
+{
+    const file = JSON.stringify({ format: 'corporate-phrase-pack', id: 'echo', name: 'Echo', phrases: { OPEN_PALM: ['Hi', ' Hi ', 'Hey', 'Hi'] } });
+    assert(parsePhrasePack(file).phrases.OPEN_PALM.join('|') === 'Hi|Hey', 'Import drops repeats');
+
+    savePhrasePack({ id: 'echo', name: 'Echo', phrases: { OPEN_PALM: ['Same', 'Same', 'Same'], CLOSED_FIST: ['A', 'B', 'A'] } });
+    const saved = getAllPhrasePacks().find(p => p.id === 'echo');
+    assert(saved.phrases.OPEN_PALM.join('|') === 'Same' && saved.phrases.CLOSED_FIST.join('|') === 'A|B', 'Saving drops repeats');
+
+    updatePhraseSettings({ activePackId: 'echo', rotation: 'no-repeat', noRepeatWindow: 5 });
+    const picks = Array.from({ length: 6 }, () => selectPhrase('CLOSED_FIST', 'fallback'));
+    assert(picks.every(p => p === 'A' || p === 'B'), `No-repeat always picks a phrase (${picks.join(',')})`);
+    assert(picks.every((p, i) => i === 0 || p !== picks[i - 1]), 'Never the same phrase twice in a row');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
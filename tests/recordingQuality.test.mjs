@@ -0,0 +1,93 @@
+/**
+ * recordingQuality.test.mjs — Unit Tests for Recording Quality Checks
+ *
+ * Imports the real recordingQuality module (run through tsx) and scores
+ * synthetic hands rotated and scaled about the wrist.
+ *
+ * Tests cover:
+ *   1. Recording quality: near-duplicate frames and sample diversity
+ *
+ * Run: npm test
+ */
+
+import { isNearDuplicate, measureDiversity } from '../src/ml/recordingQuality.ts';
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+const LABELS = ['OPEN_PALM', 'CLOSED_FIST', 'ROCK_SIGN'];
+
+/** A still hand whose wrist z encodes its label. */
+function hand(label, handedness = 'Right') {
+    const landmarks = Array.from({ length: 21 }, (_, i) => ({ x: 0.5, y: 0.5 - i * 0.01, z: 0 }));
+    landmarks[0] = { x: 0.5, y: 0.6, z: LABELS.indexOf(label) };
+    return { handedness, landmarks };
+}
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Recording Quality Checks — Unit Tests\n');
+
+console.log('Test 1: Recording quality — near-duplicates and diversity');
+{
+    /** hand() rotated (degrees) and scaled about the wrist, optionally mirrored like a left hand. */
+    const posed = (degrees, scale = 1, handedness = 'Right') => {
+        const { landmarks } = hand('OPEN_PALM');
+        const [cx, cy] = [landmarks[0].x, landmarks[0].y];
+        const rad = degrees * Math.PI / 180;
+        const mirror = handedness === 'Left' ? -1 : 1;
+        return {
+            handedness,
+            landmarks: landmarks.map(({ x, y, z }) => {
+                const dx = (x - cx) * scale, dy = (y - cy) * scale;
+                const rx = dx * Math.cos(rad) - dy * Math.sin(rad);
+                return { x: cx + rx * mirror, y: cy + dx * Math.sin(rad) + dy * Math.cos(rad), z };
+            })
+        };
+    };
+    const shifted = (landmarks, by) => landmarks.map(({ x, y, z }) => ({ x: x + by, y, z }));
+
+    const still = posed(0).landmarks;
+    assert(isNearDuplicate(still, [still]) && isNearDuplicate(shifted(still, 0.001), [still]), 'A still hand is a near-duplicate');
+    assert(!isNearDuplicate(shifted(still, 0.02), [still]) && !isNearDuplicate(still, []), 'A moved hand, or nothing recorded, is not');
+    assert(isNearDuplicate(shifted(still, 0.02), [still], 0.05), 'Threshold can be overridden');
+
+    const none = measureDiversity([]);
+    const same = measureDiversity([posed(0), posed(0)]);
+    assert(none.overall === 0 && same.angle === 0 && same.distance === 0 && same.hands === 0, 'No variety: all zeros');
+
+    const varied = measureDiversity([posed(-25), posed(25, 1.6), posed(0, 1, 'Left')]);
+    assert(varied.angle === 1 && varied.distance === 1 && varied.hands === 1 && varied.overall === 1, 'Angle, distance and both hands at target');
+    const partial = measureDiversity([posed(0), posed(15, 1.25)]);
+    assert(Math.abs(partial.angle - 1 / 3) < 1e-9 && Math.abs(partial.distance - 0.5) < 1e-9 && partial.hands === 0,
+        'Partial variety scales to the targets');
+    assert(Math.abs(partial.overall - (1 / 3 + 0.5) / 3) < 1e-9, 'Overall is the mean');
+
+    const mirrored = measureDiversity([posed(20), posed(20, 1, 'Left')]);
+    assert(mirrored.angle < 1e-9 && mirrored.hands === 1, 'A left hand mirrors the same angle');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }
@@ -0,0 +1,241 @@
+/**
+ * twoHandGestureRecognizer.test.mjs — Unit Tests for Two-Hand Gestures
+ *
+ * Imports the real TwoHandGestureRecognizer and GesturePipeline from src/
+ * (run through tsx). Hands are synthetic landmark sets pointing in a given
+ * direction; every frame gets an explicit timestamp.
+ *
+ * Tests cover:
+ *   1. Label match is order-independent (LEVEL_SET)
+ *   2. T_SHAPE pose (TIME_OUT) from the hands' geometry alone
+ *   3. Stability count comes from the engine settings
+ *   4. Cooldown comes from the engine settings; configure() retunes both
+ *   5. Separating or losing a hand lets the gesture fire again; confidence
+ *   6. Pipeline: per-hand engines sit out a two-hand match; a held pose
+ *      isn't spoken again when the match ends
+ *   7. Pipeline: retuning the engines retunes the two-hand recognizer
+ *
+ * Run: npm test
+ */
+
+import { TwoHandGestureRecognizer, matchesTwoHandGesture } from '../src/ml/twoHandGestureRecognizer.ts';
+import { GesturePipeline } from '../src/ml/gesturePipeline.ts';
+import { TWO_HAND_GESTURES } from '../src/config/gestureConfig.ts';
+import { DEFAULT_ENGINE_SETTINGS } from '../src/config/engineSettings.ts';
+
+// ──────────────────────────────────────────────
+// Fixtures
+// ──────────────────────────────────────────────
+
+/** Frame interval (ms) — ~30fps */
+const DT = 33;
+
+/** Palm length (wrist → middle MCP) */
+const PALM = 0.1;
+
+const LABELS = ['OPEN_PALM', 'CLOSED_FIST', 'ROCK_SIGN'];
+
+/**
+ * A hand with its wrist at (x, y), pointing along (dx, dy): finger MCPs one
+ * palm length out, middle fingertip two. The wrist's z encodes `label` for
+ * the pipeline's stub predictor.
+ */
+function handAt(x, y, dx = 0, dy = -1, label = 'OPEN_PALM') {
+    const at = (k) => ({ x: x + dx * k * PALM, y: y + dy * k * PALM, z: 0 });
+    const landmarks = Array.from({ length: 21 }, () => at(1.5));
+    landmarks[0] = { x, y, z: LABELS.indexOf(label) };
+    for (const i of [5, 9, 13, 17]) landmarks[i] = at(1);
+    landmarks[12] = at(2);
+    return landmarks;
+}
+
+function frame(landmarks, label, handedness = 'Right', confidence = 0.9) {
+    return {
+        handedness,
+        landmarks,
+        prediction: { label, confidence, gestureType: null, phrase: '', probabilities: { [label]: confidence } }
+    };
+}
+
+/** Two open palms side by side, fingers up */
+const palms = (confidences = [0.9, 0.9]) => [
+    frame(handAt(0.3, 0.6), 'OPEN_PALM', 'Right', confidences[0]),
+    frame(handAt(0.7, 0.6), 'OPEN_PALM', 'Left', confidences[1])
+];
+
+/** Top hand flat (fingers to the side), stem hand's middle fingertip on its palm */
+const tShape = (topLabel = 'OPEN_PALM', stemLabel = 'OPEN_PALM') => [
+    frame(handAt(0.4, 0.4, 1, 0), topLabel, 'Right'),
+    frame(handAt(0.48, 0.6, 0, -1), stemLabel, 'Left')
+];
+
+/** Two fists apart — matches nothing */
+const separated = () => [
+    frame(handAt(0.2, 0.6), 'CLOSED_FIST', 'Right'),
+    frame(handAt(0.8, 0.6), 'CLOSED_FIST', 'Left')
+];
+
+/** Feed the same hands `frames` times from `start`; returns accepted labels with times. */
+function feed(recognizer, hands, start, frames) {
+    const accepted = [];
+    for (let i = 0; i < frames; i++) {
+        const result = recognizer.processFrame(hands, start + i * DT);
+        if (result) accepted.push({ ...result, now: start + i * DT });
+    }
+    return accepted;
+}
+
+const labels = (results) => results.map(r => r.label).join(',');
+
+// ──────────────────────────────────────────────
+// Test Harness
+// ──────────────────────────────────────────────
+
+let passed = 0, failed = 0;
+
+function assert(cond, msg) {
+    if (cond) { passed++; console.log(`  ✅ ${msg}`); }
+    else { failed++; console.error(`  ❌ FAIL: ${msg}`); }
+}
+
+// ──────────────────────────────────────────────
+// Test Suite
+// ──────────────────────────────────────────────
+
+console.log('\n🧪 Two-Hand Gesture Recognizer — Unit Tests\n');
+
+console.log('Test 1: Label match is order-independent');
+{
+    const [a, b] = palms();
+    assert(matchesTwoHandGesture(TWO_HAND_GESTURES.LEVEL_SET, a, b), 'Two open palms → LEVEL_SET');
+    assert(matchesTwoHandGesture(TWO_HAND_GESTURES.LEVEL_SET, b, a), 'Either order matches');
+    const fist = frame(handAt(0.7, 0.6), 'CLOSED_FIST', 'Left');
+    assert(!matchesTwoHandGesture(TWO_HAND_GESTURES.LEVEL_SET, a, fist), 'An open palm and a fist don\'t match');
+}
+
+console.log('\nTest 2: T_SHAPE pose');
+{
+    const recognizer = new TwoHandGestureRecognizer();
+    recognizer.processFrame(tShape('CLOSED_FIST', 'ROCK_SIGN'), 1_000_000);
+    assert(recognizer.currentMatch === 'TIME_OUT', 'T shape → TIME_OUT, whatever the model calls each hand');
+    recognizer.processFrame([...tShape()].reverse(), 1_000_000 + DT);
+    assert(recognizer.currentMatch === 'TIME_OUT', 'Stem listed first still matches');
+    recognizer.processFrame(palms(), 1_000_000 + 2 * DT);
+    assert(recognizer.currentMatch === 'LEVEL_SET', 'Two upright palms are not a T (LEVEL_SET instead)');
+
+    const apart = [frame(handAt(0.2, 0.4, 1, 0), 'CLOSED_FIST'), frame(handAt(0.8, 0.6), 'CLOSED_FIST', 'Left')];
+    recognizer.processFrame(apart, 1_000_000 + 3 * DT);
+    assert(recognizer.currentMatch === null, 'Stem fingertip away from the top palm → no match');
+}
+
+console.log('\nTest 3: Stability count from the engine settings');
+{
+    const { stabilityFrames } = DEFAULT_ENGINE_SETTINGS;
+    const defaults = feed(new TwoHandGestureRecognizer(), palms(), 1_000_000, stabilityFrames);
+    assert(labels(defaults) === 'LEVEL_SET' && defaults[0].now === 1_000_000 + (stabilityFrames - 1) * DT,
+        `Default settings: accepted on frame ${stabilityFrames}`);
+
+    const quick = feed(new TwoHandGestureRecognizer({ stabilityFrames: 3 }), palms(), 1_000_000, 3);
+    assert(labels(quick) === 'LEVEL_SET' && quick[0].now === 1_000_000 + 2 * DT, 'stabilityFrames 3 → accepted on frame 3');
+    assert(quick[0].reason === 'two-hand stable (3 frames)', 'Reason names the frame count');
+
+    const slow = feed(new TwoHandGestureRecognizer({ stabilityFrames: 12 }), palms(), 1_000_000, 11);
+    assert(slow.length === 0, 'stabilityFrames 12 → not accepted after 11 frames');
+}
+
+console.log('\nTest 4: Cooldown from the engine settings');
+{
+    const recognizer = new TwoHandGestureRecognizer({ stabilityFrames: 2, cooldownMs: 1000 });
+    const first = feed(recognizer, palms(), 1_000_000, 2);
+    const acceptedAt = first[0]?.now ?? 0;
+    feed(recognizer, separated(), acceptedAt + DT, 1);
+    assert(feed(recognizer, tShape(), acceptedAt + 2 * DT, 5).length === 0, 'Another two-hand gesture during the cooldown is ignored');
+    const after = feed(recognizer, tShape(), acceptedAt + 1000, 2);
+    assert(labels(after) === 'TIME_OUT', 'Accepted once the configured cooldown is over');
+
+    recognizer.configure({ stabilityFrames: 4, cooldownMs: 3000 });
+    assert(recognizer.settings.stabilityFrames === 4 && recognizer.settings.cooldownMs === 3000, 'configure() retunes stability and cooldown');
+    const retuned = feed(recognizer, palms(), after[0].now + 3000, 4);
+    assert(labels(retuned) === 'LEVEL_SET' && retuned[0].now === after[0].now + 3000 + 3 * DT, 'Retuned count applies to the next gesture');
+}
+
+console.log('\nTest 5: Separating or losing a hand; confidence');
+{
+    const recognizer = new TwoHandGestureRecognizer({ stabilityFrames: 2, cooldownMs: 0 });
+    const held = feed(recognizer, palms([0.9, 0.7]), 1_000_000, 10);
+    assert(labels(held) === 'LEVEL_SET', 'Held LEVEL_SET fires once');
+    assert(held[0].confidence === 0.7, 'Label-based gesture reports the weaker hand\'s confidence');
+
+    recognizer.processFrame([palms()[0]], 1_000_000 + 10 * DT);
+    assert(recognizer.currentMatch === null && recognizer.acceptedGesture === null, 'One hand → state reset');
+    assert(labels(feed(recognizer, palms(), 1_000_000 + 11 * DT, 2)) === 'LEVEL_SET', 'Same gesture fires again after a hand was lost');
+
+    feed(recognizer, separated(), 1_000_000 + 13 * DT, 1);
+    const pose = feed(recognizer, tShape(), 1_000_000 + 14 * DT, 2);
+    assert(labels(pose) === 'TIME_OUT' && pose[0].confidence === undefined, 'Pose-based gesture carries no model confidence');
+}
+
+console.log('\nTest 6: Pipeline — per-hand engines sit out a two-hand match');
+{
+    const predict = (landmarks) => {
+        const label = LABELS[Math.round(landmarks[0].z)];
+        return { label, confidence: 0.9, gestureType: null, phrase: '', probabilities: { [label]: 0.9 } };
+    };
+    const right = { handedness: 'Right', landmarks: handAt(0.3, 0.6) };
+    const left = { handedness: 'Left', landmarks: handAt(0.7, 0.6) };
+    const { stabilityFrames } = DEFAULT_ENGINE_SETTINGS;
+
+    const pipeline = new GesturePipeline(predict);
+    let now = 1_000_000;
+    const run = (hands, frames) => {
+        const outputs = [];
+        for (let i = 0; i < frames; i++, now += DT) outputs.push(pipeline.processFrame(hands, now));
+        return outputs;
+    };
+
+    const both = run([right, left], 3 * stabilityFrames);
+    const accepted = both.flatMap(o => o.accepted);
+    assert(accepted.map(a => `${a.label}/${a.hand}`).join(',') === 'LEVEL_SET/Both', 'Only the two-hand gesture fires');
+    assert(both.every(o => o.lifecycle.length === 0), 'No per-hand lifecycle during the match');
+    assert(both.every(o => o.analyses.every(a => a.decision === null && a.skipped === 'two-hand')), 'Both hands report skipped: two-hand');
+    assert([...pipeline.engines.values()].every(e => e.acceptedTimestamp === 0 && e.stabilityBuffer.length === 0),
+        'Per-hand engines never voted or went into cooldown');
+
+    // The left hand leaves: the right one is voted on afresh, with no cooldown left behind
+    const alone = run([right], stabilityFrames).flatMap(o => o.accepted);
+    assert(alone.map(a => `${a.label}/${a.hand}`).join(',') === 'OPEN_PALM/Right', `Right hand accepted after ${stabilityFrames} frames alone`);
+
+    // Accepted single → two-hand → release: the held pose isn't spoken again (cooldowns long over)
+    const holding = run([right], 80);
+    assert(holding.some(o => o.lifecycle.some(e => e.phase === 'hold' && e.hand === 'Right')), 'Right hand holding OPEN_PALM');
+    const combo = run([right, left], 2 * stabilityFrames);
+    assert(combo.flatMap(o => o.accepted).map(a => `${a.label}/${a.hand}`).join(',') === 'LEVEL_SET/Both', 'The two-hand gesture fires');
+    assert(combo.every(o => o.lifecycle.length === 0), 'Joining a two-hand gesture doesn\'t end the hold');
+    const released = run([right], 30);
+    assert(released.every(o => o.accepted.length === 0), 'Releasing the combo doesn\'t accept the held pose again');
+    assert(released.some(o => o.lifecycle.length > 0) && released.every(o => o.lifecycle.every(e => e.phase === 'hold')), 'The same hold carries on');
+
+    const fist = { handedness: 'Left', landmarks: handAt(0.7, 0.6, 0, -1, 'CLOSED_FIST') };
+    const noMatch = run([right, fist], 1);
+    assert(noMatch[0].analyses.every(a => a.skipped === null && a.decision !== null), 'Hands that match nothing are voted on as usual');
+}
+
+console.log('\nTest 7: Pipeline — retuning the engines retunes the two-hand recognizer');
+{
+    const pipeline = new GesturePipeline(() => null, { stabilityFrames: 5 });
+    assert(pipeline.twoHandRecognizer.settings.stabilityFrames === 5, 'Created with the pipeline\'s engine options');
+    pipeline.configureEngines({ cooldownMs: 4000 });
+    assert(pipeline.twoHandRecognizer.settings.cooldownMs === 4000 && pipeline.twoHandRecognizer.settings.stabilityFrames === 5,
+        'configureEngines() reaches the two-hand recognizer');
+}
+
+// ──────────────────────────────────────────────
+// Summary
+// ──────────────────────────────────────────────
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  RESULTS: ${passed} passed, ${failed} failed, ${passed + failed} total`);
+console.log(`${'═'.repeat(50)}\n`);
+
+if (failed > 0) { console.log('💥 Some tests failed.\n'); process.exit(1); }
+else { console.log('🎉 All tests passed!\n'); process.exit(0); }